@@ -0,0 +1,127 @@
+/**
+ * Daily and Hourly Cycle Calculations Module
+ *
+ * Calculates Daily Cycles (流日) within a monthly cycle (流月) and
+ * Hourly Cycles (流時) within a daily cycle.
+ *
+ * Palace arrangement:
+ * - 流日: the 流月 palace is 初一, then one palace clockwise per day
+ * - 流時: the 流日 palace is 子時, then one palace clockwise per double-hour
+ *
+ * Stem-branch:
+ * - Day stem-branch (日干支) is taken from the solar date of each lunar day
+ * - Hour stem follows the five-rat rule (五鼠遁) of the day stem:
+ *   甲/己 → 甲子, 乙/庚 → 丙子, 丙/辛 → 戊子, 丁/壬 → 庚子, 戊/癸 → 壬子
+ *
+ * Dependencies:
+ * - assets/data/constants.js (ziweiConstants)
+ * - assets/calculate/common/lunar-converter.js (LunarSolarConverter, getLunarMonthDays, getDayStemBranchIndex)
+ *
+ * Exports: registerAdapterModule('dailyCycle', ...)
+ */
+
+'use strict';
+
+/**
+ * Calculate the daily cycles of a lunar month
+ *
+ * @param {number} lunarYear Lunar year of the monthly cycle
+ * @param {number} lunarMonth Lunar month (1-12)
+ * @param {number} monthlyPalaceIndex Palace index of the 流月 (0-11)
+ * @param {boolean} [isLeap=false] Whether the 流月 is the 閏月
+ * @returns {Array} Array of 29 or 30 daily cycles, empty if the month is out of range or the year has no such 閏月
+ * Example: { day: 1, palaceIndex: 5, stemIndex: 0, stem: '甲', branchIndex: 4, branch: '辰', stemBranch: '甲辰', solar: { year: 2024, month: 2, day: 10 } }
+ */
+function calculateDailyCycles(lunarYear, lunarMonth, monthlyPalaceIndex, isLeap = false) {
+    if (typeof getLunarMonthDays !== 'function' || typeof getDayStemBranchIndex !== 'function') {
+        return [];
+    }
+    if (!Number.isInteger(monthlyPalaceIndex) || monthlyPalaceIndex < 0 || monthlyPalaceIndex > 11) {
+        throw new Error('Invalid monthly palace index: expected 0-11');
+    }
+
+    const dayCount = getLunarMonthDays(lunarYear, lunarMonth, !!isLeap);
+    if (!dayCount) {
+        return [];
+    }
+
+    const { STEM_NAMES, BRANCH_NAMES } = window.ziweiConstants;
+    const converter = new LunarSolarConverter();
+    const firstDay = new Lunar();
+    firstDay.lunarYear = lunarYear;
+    firstDay.lunarMonth = lunarMonth;
+    firstDay.lunarDay = 1;
+    firstDay.isleap = !!isLeap;
+    const firstSolar = converter.LunarToSolar(firstDay);
+    const firstSolarInt = converter.SolarToInt(firstSolar.solarYear, firstSolar.solarMonth, firstSolar.solarDay);
+
+    const cycles = [];
+    for (let i = 0; i < dayCount; i++) {
+        const solar = converter.SolarFromInt(firstSolarInt + i);
+        const { stemIndex, branchIndex } = getDayStemBranchIndex(solar.solarYear, solar.solarMonth, solar.solarDay);
+
+        cycles.push({
+            day: i + 1,
+            palaceIndex: (monthlyPalaceIndex + i) % 12,
+            stemIndex: stemIndex,
+            stem: STEM_NAMES[stemIndex],
+            branchIndex: branchIndex,
+            branch: BRANCH_NAMES[branchIndex],
+            stemBranch: STEM_NAMES[stemIndex] + BRANCH_NAMES[branchIndex],
+            solar: {
+                year: solar.solarYear,
+                month: solar.solarMonth,
+                day: solar.solarDay
+            }
+        });
+    }
+
+    return cycles;
+}
+
+/**
+ * Calculate the twelve hourly cycles of a day
+ *
+ * @param {number} dayStemIndex Heavenly stem index of the day (0-9)
+ * @param {number} dailyPalaceIndex Palace index of the 流日 (0-11)
+ * @returns {Array} Array of 12 hourly cycles ordered 子時 → 亥時
+ * Example: { hourIndex: 0, palaceIndex: 3, stemIndex: 0, stem: '甲', branchIndex: 0, branch: '子', stemBranch: '甲子' }
+ */
+function calculateHourlyCycles(dayStemIndex, dailyPalaceIndex) {
+    if (!Number.isInteger(dayStemIndex) || dayStemIndex < 0 || dayStemIndex > 9) {
+        throw new Error('Invalid day stem index: expected 0-9');
+    }
+    if (!Number.isInteger(dailyPalaceIndex) || dailyPalaceIndex < 0 || dailyPalaceIndex > 11) {
+        throw new Error('Invalid daily palace index: expected 0-11');
+    }
+
+    const { STEM_NAMES, BRANCH_NAMES } = window.ziweiConstants;
+    // Five-rat rule (五鼠遁): stem of 子時 by day stem
+    const ziStemIndex = [0, 2, 4, 6, 8][dayStemIndex % 5];
+
+    const cycles = [];
+    for (let hourIndex = 0; hourIndex < 12; hourIndex++) {
+        const stemIndex = (ziStemIndex + hourIndex) % 10;
+        cycles.push({
+            hourIndex: hourIndex,
+            palaceIndex: (dailyPalaceIndex + hourIndex) % 12,
+            stemIndex: stemIndex,
+            stem: STEM_NAMES[stemIndex],
+            branchIndex: hourIndex,
+            branch: BRANCH_NAMES[hourIndex],
+            stemBranch: STEM_NAMES[stemIndex] + BRANCH_NAMES[hourIndex]
+        });
+    }
+
+    return cycles;
+}
+
+/**
+ * registerAdapterModule centralized in assets/js/adapter-register.js
+ */
+
+// Expose public API
+registerAdapterModule('dailyCycle', {
+    calculateDailyCycles,
+    calculateHourlyCycles
+});
@@ -17,6 +17,10 @@
  * - Yang male (陽男) or Yin female (陰女): clockwise
  * - Yin male (陰男) or Yang female (陽女): counter-clockwise
  * 
+ * School variants (assets/data/schools.js):
+ * - longLife 'ming': 長生 starts at 命宮 instead of the nayin palace
+ * - majorCycleAge 'actual': the loci value is 實歲, so cycles start one 虛歲 later
+ * 
  * Dependencies:
  * - assets/js/data-adapter.js (ziweiAdapter)
  * - assets/calculate/astrology/basic.js (basic module)
@@ -49,10 +53,14 @@ const NAYIN_LOCI_TO_PALACE = {
  * @param {number} nayinLoci Nayin loci (2-6) determining starting position
  * @param {string} gender Birth gender ('M' or 'F')
  * @param {number} lunarYear Birth lunar year
+ * @param {Object} [profile] School profile (uses longLife; 中州派 when left out)
+ * @param {number} [mingPalaceIndex] Ming Palace index (0-11), required by longLife 'ming'
  * @returns {Object} Mapping of palace index (0-11) to life stage name
  */
-function calculateTwelveLongLifePositions(nayinLoci, gender, lunarYear) {
-    const startPalaceIndex = NAYIN_LOCI_TO_PALACE[nayinLoci];
+function calculateTwelveLongLifePositions(nayinLoci, gender, lunarYear, profile = {}, mingPalaceIndex = null) {
+    const startPalaceIndex = profile.longLife === 'ming'
+        ? mingPalaceIndex
+        : NAYIN_LOCI_TO_PALACE[nayinLoci];
     if (typeof startPalaceIndex !== 'number') {
         throw new Error('Invalid Nayin loci: no palace mapping available');
     }
@@ -85,14 +93,16 @@ function calculateTwelveLongLifePositions(nayinLoci, gender, lunarYear) {
  * @param {string} gender Birth gender ('M' or 'F')
  * @param {number} lunarYear Birth lunar year
  * @param {number} mingPalaceIndex Ming Palace index (0-11) - where first cycle starts
+ * @param {Object} [profile] School profile (uses majorCycleAge; 中州派 when left out)
  * @returns {Array} Array of major cycles with age ranges
  * Example: nayinLoci=2 → cycles start at age 2-11, 12-21, 22-31, etc.
  */
-function calculateMajorCycles(nayinLoci, gender, lunarYear, mingPalaceIndex) {
+function calculateMajorCycles(nayinLoci, gender, lunarYear, mingPalaceIndex, profile = {}) {
     if (typeof nayinLoci !== 'number') {
         throw new Error('Invalid Nayin loci: expected number');
     }
-    const startAge = nayinLoci;  // Nayin loci value is the starting age
+    // Nayin loci value is the starting age (虛歲, or 實歲 under 'actual')
+    const startAge = profile.majorCycleAge === 'actual' ? nayinLoci + 1 : nayinLoci;
     
     // Get arrangement direction using basic module via adapter
     var basicModule = getAdapterModule('basic');
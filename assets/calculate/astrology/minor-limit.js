@@ -0,0 +1,93 @@
+/**
+ * Minor Limit Calculations Module
+ *
+ * Calculates Minor Limits (小限): the palace governing each year of age.
+ *
+ * Starting palace by birth year branch group (age 1, 虛歲):
+ * 寅午戌 → 辰 (4), 申子辰 → 戌 (10), 巳酉丑 → 未 (7), 亥卯未 → 丑 (1)
+ *
+ * Arrangement rules:
+ * - Male (男): clockwise, one palace per year
+ * - Female (女): counter-clockwise, one palace per year
+ *
+ * Unlike 大限, the direction depends on gender only, not on the yin/yang of the year stem.
+ *
+ * Dependencies: None
+ *
+ * Exports: registerAdapterModule('minorLimit', ...)
+ */
+
+'use strict';
+
+// Year branch index (0=子 … 11=亥) → starting palace index for age 1
+const MINOR_LIMIT_START_PALACE = Object.freeze({
+    2: 4, 6: 4, 10: 4,   // 寅午戌 → 辰
+    8: 10, 0: 10, 4: 10, // 申子辰 → 戌
+    5: 7, 9: 7, 1: 7,    // 巳酉丑 → 未
+    11: 1, 3: 1, 7: 1    // 亥卯未 → 丑
+});
+
+const MINOR_LIMIT_MAX_AGE = 120;
+
+/**
+ * Get the palace where the minor limit starts (age 1)
+ * @param {number} yearBranchIndex Birth year earthly branch index (0-11)
+ * @returns {number} Starting palace index (0-11)
+ */
+function getMinorLimitStartPalace(yearBranchIndex) {
+    const startPalaceIndex = MINOR_LIMIT_START_PALACE[yearBranchIndex];
+    if (typeof startPalaceIndex !== 'number') {
+        throw new Error('Invalid year branch index: no minor limit start palace available');
+    }
+    return startPalaceIndex;
+}
+
+/**
+ * Get the minor limit palace for a given age
+ * @param {number} age Nominal age (虛歲, >= 1)
+ * @param {number} yearBranchIndex Birth year earthly branch index (0-11)
+ * @param {string} gender Birth gender ('M' or 'F')
+ * @returns {number} Palace index (0-11), or -1 if age is invalid
+ */
+function getMinorLimitPalaceForAge(age, yearBranchIndex, gender) {
+    if (!Number.isInteger(age) || age < 1) {
+        return -1;
+    }
+    const startPalaceIndex = getMinorLimitStartPalace(yearBranchIndex);
+    const isMale = gender === 'M' || gender === '男';
+    const steps = (age - 1) % 12;
+
+    return isMale
+        ? (startPalaceIndex + steps) % 12
+        : (startPalaceIndex - steps + 12) % 12;
+}
+
+/**
+ * Calculate minor limits for every age up to maxAge
+ * @param {number} yearBranchIndex Birth year earthly branch index (0-11)
+ * @param {string} gender Birth gender ('M' or 'F')
+ * @param {number} [maxAge=120] Last age to include
+ * @returns {Array} Array of { age, palaceIndex } ordered by age
+ * Example: 子年男 → age 1 at 戌(10), age 2 at 亥(11), age 3 at 子(0), etc.
+ */
+function calculateMinorLimits(yearBranchIndex, gender, maxAge = MINOR_LIMIT_MAX_AGE) {
+    const limits = [];
+    for (let age = 1; age <= maxAge; age++) {
+        limits.push({
+            age: age,
+            palaceIndex: getMinorLimitPalaceForAge(age, yearBranchIndex, gender)
+        });
+    }
+    return limits;
+}
+
+/**
+ * registerAdapterModule centralized in assets/js/adapter-register.js
+ */
+
+// Expose public API
+registerAdapterModule('minorLimit', {
+    getMinorLimitStartPalace,
+    getMinorLimitPalaceForAge,
+    calculateMinorLimits
+});
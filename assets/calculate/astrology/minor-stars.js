@@ -48,6 +48,7 @@ function getAdapterModule(name) {
  * @param {number} literaryTalentIndex - Literary Talent (文昌) position index (0-11) from secondary stars
  * @param {number} lunarDay - Birth lunar day (1-30) for Three Terraces and Eight Thrones calculation
  * @param {string} woundedServantHandling - Handling method: 'zhongzhou' (default) or 'noDistinction'
+ * @param {Object} [profile] - School profile from assets/data/schools.js (uses tianMa, xunKong; 中州派 when left out)
  * @returns {Object} Object mapping star names to palace indices (or arrays for stars appearing in multiple palaces)
  * 
  * @example
@@ -70,7 +71,8 @@ function calculateMinorStars(
     rightAssistIndex,
     literaryTalentIndex,
     lunarDay,
-    woundedServantHandling
+    woundedServantHandling,
+    profile = {}
 ) {
     // Calculation started (inputs are intentionally not logged to reduce console noise)
 
@@ -128,13 +130,11 @@ function calculateMinorStars(
     const xunKongSecond = (xunKongBase + 2) % 12;  // Second Xun Void position (palace after that)
 
     // Apply the parity rule above to select primary 旬空 / deputy 副旬.
+    // The 'single' school variant places the primary 旬空 only.
     const firstXunMatch = isYang(xunKongFirst) === yearYang;
-    if (firstXunMatch) {
-        minorStars['旬空'] = xunKongFirst;
-        minorStars['副旬'] = xunKongSecond;
-    } else {
-        minorStars['旬空'] = xunKongSecond;
-        minorStars['副旬'] = xunKongFirst;
+    minorStars['旬空'] = firstXunMatch ? xunKongFirst : xunKongSecond;
+    if (profile.xunKong !== 'single') {
+        minorStars['副旬'] = firstXunMatch ? xunKongSecond : xunKongFirst;
     }
     
     // xunKong positions computed (debug logging removed)
@@ -142,8 +142,10 @@ function calculateMinorStars(
     // 天馬 (Heavenly Horse) - based on year branch
     // Pattern: 子至亥 (0-11): 2,11,8,5,2,11,8,5,2,11,8,5 (repeats every 4, decreasing by 3 mod 12)
     // Formula: cycles through [2, 11, 8, 5]
+    // The 'month' school variant reads the same table by month branch (正月 = 寅, index 2)
     const tianMaPattern = [2, 11, 8, 5];
-    minorStars['天馬'] = tianMaPattern[yearBranchIndex % 4];
+    const tianMaBranch = profile.tianMa === 'month' ? (monthIndex + 2) % 12 : yearBranchIndex;
+    minorStars['天馬'] = tianMaPattern[tianMaBranch % 4];
 
     // 天空 (Sky Void) - based on year branch
     // 子年是丑宮(1)，順時針排，亥年是子宮(0)
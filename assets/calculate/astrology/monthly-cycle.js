@@ -0,0 +1,104 @@
+/**
+ * Monthly Cycle Calculations Module
+ *
+ * Calculates the twelve Monthly Cycles (流月) of a given annual cycle (流年).
+ *
+ * 斗君 (正月 palace of the annual cycle):
+ * From the annual cycle palace, count counter-clockwise to the birth month,
+ * then clockwise to the birth hour. 斗君 = 流年宮 - (生月 - 1) + 生時
+ *
+ * Subsequent months continue clockwise: 二月 = 斗君 + 1, 三月 = 斗君 + 2, etc.
+ *
+ * Month stem-branch follows the five-tiger rule (五虎遁) of the annual year:
+ * 正月 is always 寅, and its stem is derived from the annual year stem.
+ *
+ * 閏月 follows the month it repeats (same palace and stem-branch) and is
+ * listed right after it, so a year with a leap month has 13 monthly cycles.
+ *
+ * Dependencies:
+ * - assets/data/constants.js (ziweiConstants)
+ * - assets/calculate/common/lunar-converter.js (getLeapMonth)
+ * - assets/calculate/astrology/basic.js (basic module)
+ *
+ * Exports: registerAdapterModule('monthlyCycle', ...)
+ */
+
+'use strict';
+
+// ============================================================================
+// Adapter Helpers
+// ============================================================================
+function getAdapterModule(name) {
+    var adapter = window.ziweiAdapter;
+    return adapter && adapter.getModule ? adapter.getModule(name) : null;
+}
+
+/**
+ * Calculate the 斗君 palace (正月 of the annual cycle)
+ * @param {number} annualBranchIndex Earthly branch index of the annual cycle year (0-11)
+ * @param {number} monthIndex Birth lunar month index (0-11, 0 = 正月)
+ * @param {number} timeIndex Birth time index (0-11, 0 = 子時)
+ * @returns {number} Palace index (0-11) of 斗君
+ */
+function calculateDouJunPalace(annualBranchIndex, monthIndex, timeIndex) {
+    if (!Number.isInteger(annualBranchIndex) || !Number.isInteger(monthIndex) || !Number.isInteger(timeIndex)) {
+        throw new Error('Invalid input: annualBranchIndex, monthIndex and timeIndex must be integers');
+    }
+    return ((annualBranchIndex - monthIndex + timeIndex) % 12 + 24) % 12;
+}
+
+/**
+ * Calculate the twelve monthly cycles of an annual cycle
+ *
+ * @param {number} annualYear Lunar year of the annual cycle (e.g. 2025)
+ * @param {number} annualBranchIndex Earthly branch index of the annual cycle year (0-11)
+ * @param {number} monthIndex Birth lunar month index (0-11, 0 = 正月)
+ * @param {number} timeIndex Birth time index (0-11, 0 = 子時)
+ * @returns {Array} Array of 12 (13 with a 閏月) monthly cycles ordered 正月 → 十二月
+ * Example: { month: 1, isLeap: false, palaceIndex: 5, stemIndex: 2, stem: '丙', branchIndex: 2, branch: '寅', stemBranch: '丙寅' }
+ */
+function calculateMonthlyCycles(annualYear, annualBranchIndex, monthIndex, timeIndex) {
+    var basicModule = getAdapterModule('basic');
+    if (!basicModule || typeof basicModule.getPalaceStemByIndex !== 'function') {
+        return [];
+    }
+
+    const branchNames = window.ziweiConstants.BRANCH_NAMES;
+    const douJun = calculateDouJunPalace(annualBranchIndex, monthIndex, timeIndex);
+    const leapMonth = typeof getLeapMonth === 'function' ? getLeapMonth(annualYear) : 0;
+
+    const cycles = [];
+    for (let i = 0; i < 12; i++) {
+        // 正月 = 寅(2), 二月 = 卯(3), ..., 十二月 = 丑(1)
+        const branchIndex = (2 + i) % 12;
+        const { stemIndex, stem } = basicModule.getPalaceStemByIndex(branchIndex, annualYear);
+        const branch = branchNames[branchIndex];
+
+        const cycle = {
+            month: i + 1,
+            isLeap: false,
+            palaceIndex: (douJun + i) % 12,
+            stemIndex: stemIndex,
+            stem: stem,
+            branchIndex: branchIndex,
+            branch: branch,
+            stemBranch: stem + branch
+        };
+        cycles.push(cycle);
+        if (cycle.month === leapMonth) {
+            cycles.push(Object.assign({}, cycle, { isLeap: true }));
+        }
+    }
+
+    return cycles;
+}
+
+/**
+ * registerAdapterModule centralized in assets/js/adapter-register.js
+ */
+
+// Expose public API
+registerAdapterModule('monthlyCycle', {
+    calculateDouJunPalace,
+    calculateMonthlyCycles
+});
@@ -3,7 +3,12 @@
  * 
  * Calculates birth year mutations (生年四化) based on the heavenly stem (天干)
  * of birth year. Uses hybrid system: Zhongzhou School defaults + user-selectable
- * alternatives for controversial stems.
+ * alternatives for controversial stems. The selections are the
+ * stemInterpretation_* settings of the chart being shown: every function takes
+ * that chart's settings store, defaulting to the adapter's.
+ * 
+ * Also calculates flying mutations (飛化 / 宮干四化): the mutations produced by
+ * a palace's own stem and the palaces they land in, including self-mutations (自化).
  * 
  * Dependencies:
  * - assets/data/mutation.js (getMutation, getAllMutations)
@@ -31,13 +36,14 @@ const MUTATION_TYPES = ['祿', '權', '科', '忌'];
  * Calculate birth year four mutations (生年四化)
  * 
  * @param {number} stemIndex - Heavenly stem index (0-9) from getHeavenlyStemIndex()
+ * @param {Object} [settings] - Settings store with the stemInterpretation_* selections; defaults to the adapter's
  * @returns {Object} Object mapping mutation types to star names, and star names to mutation types
  *                   Format: { 
  *                     byType: { 祿: '廉貞', 權: '破軍', 科: '武曲', 忌: '太陽' },
  *                     byStar: { '廉貞': '祿', '破軍': '權', '武曲': '科', '太陽': '忌' }
  *                   }
  */
-function calculateBirthYearMutations(stemIndex) {
+function calculateBirthYearMutations(stemIndex, settings = window.ziweiAdapter?.settings) {
     // Validate stem index
     if (stemIndex < 0 || stemIndex > 9) {
         return { byType: {}, byStar: {} };
@@ -52,14 +58,13 @@ function calculateBirthYearMutations(stemIndex) {
         return { byType: {}, byStar: {} };
     }
     
-    // Get current user selections from adapter settings
+    // Get the chart's user selections from its settings
     let userSelections = null;
-    const adapterSettings = window.ziweiAdapter?.settings;
-    if (adapterSettings && typeof adapterSettings.get === 'function') {
+    if (settings && typeof settings.get === 'function') {
         userSelections = {};
         for (const controversialStem of CONTROVERSIAL_STEMS) {
             const settingName = `stemInterpretation_${controversialStem}`;
-            const value = adapterSettings.get(settingName);
+            const value = settings.get(settingName);
             if (value) {
                 userSelections[controversialStem] = value;
             }
@@ -145,30 +150,22 @@ function getStarForMutation(mutationType, mutationsData) {
  * Uses the same logic as birth year mutations but based on major cycle palace stem
  * 
  * @param {string} stemChar - Heavenly stem character of the major cycle palace (甲-癸)
- * @param {Object} [userSelections=null] - User selections for controversial stems
+ * @param {Object} [settings] - Settings store with the stemInterpretation_* selections; defaults to the adapter's
  * @returns {Object} Object mapping mutation types to star names, and star names to mutation types
  *                   Format: { 
  *                     byType: { 祿: '廉貞', 權: '破軍', 科: '武曲', 忌: '太陽' },
  *                     byStar: { '廉貞': '祿', '破軍': '權', '武曲': '科', '太陽': '忌' }
  *                   }
  */
-function calculateMajorCycleMutations(stemChar, userSelections = null) {
+function calculateMajorCycleMutations(stemChar, settings) {
     // Use the same logic as birth year mutations
     const stemIndex = STEM_NAMES.indexOf(stemChar);
     if (stemIndex === -1) {
         return { byType: {}, byStar: {} };
     }
     
-    // Get current user selections from adapter settings, use defaults if not available
-    let selections = userSelections;
-    if (!selections) {
-        selections = null; // Will use adapter settings in calculateBirthYearMutations
-    }
-    
     // Reuse the birth year mutations logic
-    const mutations = calculateBirthYearMutations(stemIndex, selections);
-    
-    return mutations;
+    return calculateBirthYearMutations(stemIndex, settings);
 }
 
 /**
@@ -176,30 +173,127 @@ function calculateMajorCycleMutations(stemChar, userSelections = null) {
  * Uses the same logic as birth year mutations but based on annual cycle palace stem
  * 
  * @param {string} stemChar - Heavenly stem character of the annual cycle palace (甲-癸)
- * @param {Object} [userSelections=null] - User selections for controversial stems
+ * @param {Object} [settings] - Settings store with the stemInterpretation_* selections; defaults to the adapter's
  * @returns {Object} Object mapping mutation types to star names, and star names to mutation types
  *                   Format: { 
  *                     byType: { 祿: '廉貞', 權: '破軍', 科: '武曲', 忌: '太陽' },
  *                     byStar: { '廉貞': '祿', '破軍': '權', '武曲': '科', '太陽': '忌' }
  *                   }
  */
-function calculateAnnualCycleMutations(stemChar, userSelections = null) {
+function calculateAnnualCycleMutations(stemChar, settings) {
     // Use the same logic as birth year mutations
     const stemIndex = STEM_NAMES.indexOf(stemChar);
     if (stemIndex === -1) {
         return { byType: {}, byStar: {} };
     }
     
-    // Get current user selections from adapter settings, use defaults if not available
-    let selections = userSelections;
-    if (!selections) {
-        selections = null; // Will use adapter settings in calculateBirthYearMutations
+    // Reuse the birth year mutations logic
+    return calculateBirthYearMutations(stemIndex, settings);
+}
+
+/**
+ * Calculate monthly cycle four mutations (流月四化)
+ * Uses the same logic as birth year mutations but based on the monthly cycle stem
+ * 
+ * @param {string} stemChar - Heavenly stem character of the monthly cycle (甲-癸)
+ * @param {Object} [settings] - Settings store with the stemInterpretation_* selections; defaults to the adapter's
+ * @returns {Object} Object mapping mutation types to star names, and star names to mutation types
+ *                   Format: { 
+ *                     byType: { 祿: '廉貞', 權: '破軍', 科: '武曲', 忌: '太陽' },
+ *                     byStar: { '廉貞': '祿', '破軍': '權', '武曲': '科', '太陽': '忌' }
+ *                   }
+ */
+function calculateMonthlyCycleMutations(stemChar, settings) {
+    const stemIndex = STEM_NAMES.indexOf(stemChar);
+    if (stemIndex === -1) {
+        return { byType: {}, byStar: {} };
     }
-    
+
     // Reuse the birth year mutations logic
-    const mutations = calculateBirthYearMutations(stemIndex, selections);
-    
-    return mutations;
+    return calculateBirthYearMutations(stemIndex, settings);
+}
+
+/**
+ * Calculate daily cycle four mutations (流日四化) from the day stem
+ * 
+ * @param {string} stemChar - Heavenly stem character of the day (甲-癸)
+ * @param {Object} [settings] - Settings store with the stemInterpretation_* selections; defaults to the adapter's
+ * @returns {Object} { byType, byStar } in the same format as calculateBirthYearMutations
+ */
+function calculateDailyCycleMutations(stemChar, settings) {
+    return calculateMonthlyCycleMutations(stemChar, settings);
+}
+
+/**
+ * Calculate hourly cycle four mutations (流時四化) from the hour stem
+ * 
+ * @param {string} stemChar - Heavenly stem character of the hour (甲-癸)
+ * @param {Object} [settings] - Settings store with the stemInterpretation_* selections; defaults to the adapter's
+ * @returns {Object} { byType, byStar } in the same format as calculateBirthYearMutations
+ */
+function calculateHourlyCycleMutations(stemChar, settings) {
+    return calculateMonthlyCycleMutations(stemChar, settings);
+}
+
+/**
+ * Calculate flying mutations (飛化) from one palace's stem
+ * 
+ * @param {number} sourceIndex - Palace branch index (0-11) whose stem flies out
+ * @param {Object|Array} palaces - Palace data keyed by branch index, each with a `stem` character
+ * @param {Object} starPositions - Star name to palace branch index map (主星 + 輔星)
+ * @param {Object} [settings] - Settings store with the stemInterpretation_* selections; defaults to the adapter's
+ * @returns {Array} One entry per mutation type, ordered 祿權科忌
+ *                  Format: [{ type: '祿', star: '廉貞', targetIndex: 3, isSelf: false }, ...]
+ *                  targetIndex is null when the star is not placed on the chart
+ */
+function calculateFlyingMutations(sourceIndex, palaces, starPositions, settings) {
+    const stemChar = palaces?.[sourceIndex]?.stem;
+    if (!stemChar || !starPositions) {
+        return [];
+    }
+
+    const stemIndex = STEM_NAMES.indexOf(stemChar);
+    if (stemIndex === -1) {
+        return [];
+    }
+
+    const { byType } = calculateBirthYearMutations(stemIndex, settings);
+    const result = [];
+    MUTATION_TYPES.forEach(type => {
+        const star = byType[type];
+        if (!star) return;
+
+        const targetIndex = Number.isInteger(starPositions[star]) ? starPositions[star] : null;
+        result.push({
+            type: type,
+            star: star,
+            targetIndex: targetIndex,
+            isSelf: targetIndex === sourceIndex
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Calculate self-mutations (自化) for every palace
+ * A star is self-mutated when the stem of the palace it sits in transforms it.
+ * 
+ * @param {Object|Array} palaces - Palace data keyed by branch index, each with a `stem` character
+ * @param {Object} starPositions - Star name to palace branch index map (主星 + 輔星)
+ * @param {Object} [settings] - Settings store with the stemInterpretation_* selections; defaults to the adapter's
+ * @returns {Array} Format: [{ branchIndex: 5, type: '忌', star: '太陽' }, ...]
+ */
+function calculateSelfMutations(palaces, starPositions, settings) {
+    const result = [];
+    for (let i = 0; i < 12; i++) {
+        calculateFlyingMutations(i, palaces, starPositions, settings).forEach(entry => {
+            if (entry.isSelf) {
+                result.push({ branchIndex: i, type: entry.type, star: entry.star });
+            }
+        });
+    }
+    return result;
 }
 
 /**
@@ -212,7 +306,12 @@ registerAdapterModule('mutations', {
     getMutationForStar,
     getStarForMutation,
     calculateMajorCycleMutations,
-    calculateAnnualCycleMutations
+    calculateAnnualCycleMutations,
+    calculateMonthlyCycleMutations,
+    calculateDailyCycleMutations,
+    calculateHourlyCycleMutations,
+    calculateFlyingMutations,
+    calculateSelfMutations
 });
 
 // Four Mutations module loaded (startup log removed to reduce console noise)
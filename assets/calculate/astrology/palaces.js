@@ -31,6 +31,7 @@ function getAdapterModule(name) {
  * @param {Object} meta Birth metadata
  * @param {Object} meta.lunar Lunar date object { lunarMonth, lunarDay, hour, isLeapMonth, lunarYear, ... }
  * @param {string} meta.gender Birth gender ('male' or 'female')
+ * @param {string} [meta.leapMonthHandling='mid'] 閏月 handling, the same mode the star placements use
  * @returns {Object} Palace positions mapping { 0-11 -> palace info }
  */
 function calculatePalacePositions(meta) {
@@ -57,7 +58,7 @@ function calculatePalacePositions(meta) {
         return {};
     }
 
-    const { monthIndex, timeIndex } = basicModule.getBasicIndices(lunar);
+    const { monthIndex, timeIndex } = basicModule.getBasicIndices(lunar, meta.leapMonthHandling || 'mid');
 
     const mingPalacePosition = calculateMingPalacePosition(monthIndex, timeIndex);
     const shenPalacePosition = calculateShenPalacePosition(monthIndex, timeIndex);
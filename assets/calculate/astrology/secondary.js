@@ -101,6 +101,22 @@ function calculateEarthlyStars(timeIndex) {
     };
 }
 
+/**
+ * 天魁/天鉞 tables by stem (甲-癸), keyed by school variant (assets/data/schools.js)
+ * - jiaWuGeng: 甲戊庚牛羊 ... 六辛逢馬虎
+ * - gengXin:   甲戊兼牛羊 ... 庚辛逢馬虎 (庚 moves to 午/寅 with 辛)
+ */
+const CELESTIAL_TABLES = {
+    jiaWuGeng: {
+        canopy: [1, 0, 11, 11, 1, 0, 1, 6, 3, 3],
+        seal: [7, 8, 9, 9, 7, 8, 7, 2, 5, 5]
+    },
+    gengXin: {
+        canopy: [1, 0, 11, 11, 1, 0, 6, 6, 3, 3],
+        seal: [7, 8, 9, 9, 7, 8, 2, 2, 5, 5]
+    }
+};
+
 /**
  * Calculate Celestial Canopy (天魁) and Celestial Seal (天鉞)
  * Calculated based on heavenly stem index (天干索引)
@@ -111,14 +127,14 @@ function calculateEarthlyStars(timeIndex) {
  * 壬癸免蛇藏，六辛逢馬虎，魁鉞貴人方。
  * 
  * @param {number} stemIndex Heavenly stem index (0-9), obtained from ziweiBasic.getHeavenlyStemIndex()
+ * @param {string} [table='jiaWuGeng'] School variant ('jiaWuGeng' or 'gengXin')
  * @returns {Object} { celestialCanopy: 0-11, celestialSeal: 0-11 }
  */
-function calculateCelestialStars(stemIndex) {
-    const celestialCanopyPositions = [1, 0, 11, 11, 1, 0, 1, 6, 3, 3];
-    const celestialSealPositions = [7, 8, 9, 9, 7, 8, 7, 2, 5, 5];
+function calculateCelestialStars(stemIndex, table = 'jiaWuGeng') {
+    const positions = CELESTIAL_TABLES[table] || CELESTIAL_TABLES.jiaWuGeng;
     
-    const celestialCanopy = celestialCanopyPositions[stemIndex]; // 天魁
-    const celestialSeal = celestialSealPositions[stemIndex]; // 天鉞
+    const celestialCanopy = positions.canopy[stemIndex]; // 天魁
+    const celestialSeal = positions.seal[stemIndex]; // 天鉞
 
     return {
         celestialCanopy: celestialCanopy,
@@ -156,11 +172,16 @@ function calculateWealthStars(stemIndex) {
  * 申子辰人寅戌揚，寅午戌人丑卯方，
  * 巳酉丑人卯戌位，亥卯未人酉戌房。
  * 
+ * The 'yinYang' school variant counts 陽男陰女 clockwise and 陰男陽女
+ * counter-clockwise from the same start palaces.
+ * 
  * @param {number} timeIndex Time index (0-11, where 0 = 子時)
  * @param {number} branchIndex Earthly branch index (0-11), obtained from ziweiBasic.getEarthlyBranchIndex()
+ * @param {string} [rule='hourClockwise'] School variant ('hourClockwise' or 'yinYang')
+ * @param {boolean} [clockwise=true] 陽男陰女, from ziweiBasic.isClockwise(); used by 'yinYang'
  * @returns {Object} { fire: 0-11, bells: 0-11 }
  */
-function calculateFireBells(timeIndex, branchIndex) {
+function calculateFireBells(timeIndex, branchIndex, rule = 'hourClockwise', clockwise = true) {
     let startFire, startBells;
     
     // Determine starting positions based on year branch group
@@ -180,9 +201,10 @@ function calculateFireBells(timeIndex, branchIndex) {
         throw new Error('Invalid branch index for Fire and Bells calculation');
     }
     
-    // Move clockwise by time index
-    const fire = (startFire + timeIndex) % 12;
-    const bells = (startBells + timeIndex) % 12;
+    // Move by time index (clockwise unless 陰男陽女 under 'yinYang')
+    const step = rule === 'yinYang' && !clockwise ? -timeIndex : timeIndex;
+    const fire = (startFire + step + 12) % 12;
+    const bells = (startBells + step + 12) % 12;
     
     return {
         fire: fire,
@@ -193,9 +215,11 @@ function calculateFireBells(timeIndex, branchIndex) {
 /**
  * Calculate all secondary stars at once
  * 
- * @param {Object} data Contains: { monthIndex, timeIndex, stemIndex, branchIndex }
+ * @param {Object} data Contains: { monthIndex, timeIndex, stemIndex, branchIndex, clockwise, profile }
  *   - stemIndex: from ziweiBasic.getHeavenlyStemIndex(lunarYear)
  *   - branchIndex: from ziweiBasic.getEarthlyBranchIndex(lunarYear)
+ *   - clockwise: from ziweiBasic.isClockwise(gender, lunarYear) (optional)
+ *   - profile: school profile from assets/data/schools.js (optional, 中州派 when left out)
  * @returns {Object} All secondary stars mapped to palace indices
  */
 function calculateAllSecondaryStars(data) {
@@ -203,15 +227,17 @@ function calculateAllSecondaryStars(data) {
         monthIndex,
         timeIndex,
         stemIndex,
-        branchIndex
+        branchIndex,
+        clockwise = true,
+        profile = {}
     } = data;
     
     const leftRight = calculateLeftRightAssist(monthIndex);
     const literary = calculateLiteraryStars(timeIndex);
     const earthly = calculateEarthlyStars(timeIndex);
-    const celestial = calculateCelestialStars(stemIndex);
+    const celestial = calculateCelestialStars(stemIndex, profile.kuiYue);
     const wealth = calculateWealthStars(stemIndex);
-    const fireBells = calculateFireBells(timeIndex, branchIndex); // Added branchIndex parameter
+    const fireBells = calculateFireBells(timeIndex, branchIndex, profile.fireBells, clockwise);
     
     // Create a mapping of star name to palace index
     const secondaryStarsMap = {
@@ -38,6 +38,11 @@
         ADAPTER_KEYS.RAW
     ]);
 
+    // The calculator form's container. Chart-only embeds are bound to their own
+    // adapter instance (data-ziwei-instance) and are left alone here.
+    const FORM_CONTAINER_SELECTOR = '.ziwei-cal:not([data-ziwei-instance])';
+    const FORM_CHART_SELECTOR = `${FORM_CONTAINER_SELECTOR} [data-ziwei-chart="1"]`;
+
     let lastRenderMode = 'chart';
 
     // ============================================================================
@@ -92,11 +97,12 @@
     /**
      * Clear adapter chart context
      * @param {Object} options
+     * @param {Object} [options.adapter] Chart instance; defaults to the form's adapter
      */
     function clearAdapterChartContext(options = {}) {
-        const { preserveFormInput = false } = options;
+        const { preserveFormInput = false, adapter = null } = options;
         const utils = window.ziweiAdapterUtils;
-        const storage = utils?.getStorage();
+        const storage = adapter ? adapter.storage : utils?.getStorage();
         
         if (!storage || typeof storage.remove !== 'function') {
             return;
@@ -114,13 +120,18 @@
     /**
      * Prime adapter with form input data
      * @param {Object} formData
+     * @param {Object} [adapter] Chart instance; defaults to the form's adapter
      */
-    function primeAdapterFormInput(formData) {
+    function primeAdapterFormInput(formData, adapter) {
         const utils = window.ziweiAdapterUtils;
-        if (!formData || !utils) return;
+        if (!formData || (!utils && !adapter)) return;
         
         const sanitized = sanitizeFormForStorage(formData);
-        utils.setStorageValue(ADAPTER_KEYS.FORM_INPUT, sanitized);
+        if (adapter) {
+            adapter.storage.set(ADAPTER_KEYS.FORM_INPUT, sanitized);
+        } else {
+            utils.setStorageValue(ADAPTER_KEYS.FORM_INPUT, sanitized);
+        }
     }
 
     // ============================================================================
@@ -172,11 +183,12 @@
     // ============================================================================
 
     /**
-     * Generate cache key from form input
+     * Generate cache key from form input and the settings of the chart it is computed for
      * @param {Object} formData
+     * @param {Object} [settings] Settings store of the chart (adapter or instance)
      * @returns {string}
      */
-    function getCacheKey(formData) {
+    function getCacheKey(formData, settings) {
         if (!formData) return '';
 
         const solar = formData.solar || formData;
@@ -190,14 +202,17 @@
             solar.minute,
             meta.gender || formData.gender || 'unknown',
             meta.calendarType || formData.calendarType || DEFAULTS.CALENDAR_TYPE,
-            resolveLeapMonthHandling(meta, formData),
-            resolveZiHourHandling(meta, formData)
+            resolveLeapMonthHandling(meta, formData, settings),
+            resolveZiHourHandling(meta, formData, settings),
+            resolveTrueSolarTime(formData, settings),
+            getSetting(settings, 'woundedServantHandling') || '',
+            getSetting(settings, 'school') || ''
         ];
 
         let key = keyParts.join('|');
 
         // Include stem interpretations for cache differentiation
-        const stemInterpretations = extractStemInterpretations(formData);
+        const stemInterpretations = extractStemInterpretations(formData, settings);
         if (stemInterpretations) {
             key += '|' + stemInterpretations;
         }
@@ -208,39 +223,67 @@
     /**
      * Resolve leap month handling value
      */
-    function resolveLeapMonthHandling(meta, formData) {
+    function resolveLeapMonthHandling(meta, formData, settings) {
         if (meta.leapMonthHandling !== undefined && meta.leapMonthHandling !== null) {
             return String(meta.leapMonthHandling);
         }
         if (formData.leapMonthHandling !== undefined && formData.leapMonthHandling !== null) {
             return String(formData.leapMonthHandling);
         }
-        return '';
+        // Charts with different settings (embeds) must not share entries
+        return getSetting(settings, 'leapMonthHandling') || '';
     }
 
     /**
      * Resolve zi hour handling value
      */
-    function resolveZiHourHandling(meta, formData) {
+    function resolveZiHourHandling(meta, formData, settings) {
         if (meta.ziHourHandling !== undefined) {
             return String(meta.ziHourHandling);
         }
         if (formData.ziHourHandling !== undefined) {
             return String(formData.ziHourHandling);
         }
-        return DEFAULTS.ZI_HOUR_HANDLING;
+        return getSetting(settings, 'ziHourHandling') || DEFAULTS.ZI_HOUR_HANDLING;
+    }
+
+    /**
+     * Resolve true solar time value
+     */
+    function resolveTrueSolarTime(formData, settings) {
+        if (typeof formData.trueSolarTime === 'string') {
+            return formData.trueSolarTime;
+        }
+        return getSetting(settings, 'trueSolarTime') || DEFAULTS.TRUE_SOLAR_TIME;
+    }
+
+    /**
+     * @param {Object} [settings] Settings store (adapter or instance)
+     * @param {string} name Setting name
+     * @returns {*} Current value, or null
+     */
+    function getSetting(settings, name) {
+        return settings && typeof settings.get === 'function' ? settings.get(name) ?? null : null;
     }
 
     /**
      * Extract stem interpretations for cache key
      */
-    function extractStemInterpretations(formData) {
+    function extractStemInterpretations(formData, settings) {
         const rawData = formData.raw || formData;
-        if (!rawData.stemInterpretations || typeof rawData.stemInterpretations !== 'object') {
-            return '';
+        // The mutations module computes with the chart's stemInterpretation_* settings; the form data may override some
+        const selections = {};
+        const values = settings && typeof settings.getAll === 'function' ? settings.getAll() : {};
+        Object.keys(values).forEach(name => {
+            if (name.startsWith('stemInterpretation_') && values[name]) {
+                selections[name.slice('stemInterpretation_'.length)] = values[name];
+            }
+        });
+        if (rawData.stemInterpretations && typeof rawData.stemInterpretations === 'object') {
+            Object.assign(selections, rawData.stemInterpretations);
         }
-        const sortedKeys = Object.keys(rawData.stemInterpretations).sort();
-        return sortedKeys.map(key => `${key}:${rawData.stemInterpretations[key]}`).join(',');
+        const sortedKeys = Object.keys(selections).sort();
+        return sortedKeys.map(key => `${key}:${selections[key]}`).join(',');
     }
 
     // ============================================================================
@@ -347,8 +390,7 @@
      * @param {Object} formData
      * @returns {Promise<Object>}
      */
-    async function computeChartInternal(formData) {
-        const adapter = window.ziweiAdapter;
+    async function computeChartInternal(formData, adapter = window.ziweiAdapter) {
         if (!adapter?.calculate) {
             throw new Error('計算模組尚未載入，無法進行排盤計算');
         }
@@ -364,17 +406,17 @@
     /**
      * Main computation with caching
      * @param {Object} formData
+     * @param {Object} [adapter] Chart instance to compute for; defaults to the form's adapter
      * @returns {Promise<Object>}
      */
-    async function computeChartWithCache(formData) {
+    async function computeChartWithCache(formData, adapter = window.ziweiAdapter) {
         const startTime = performance.now();
     
-        const adapter = window.ziweiAdapter;
         if (!adapter?.normalizeInput || !adapter?.calculate) {
             throw new Error('資料轉換模組尚未載入');
         }
     
-        const cacheKey = getCacheKey(formData);
+        const cacheKey = getCacheKey(formData, adapter.settings);
         const cachedResult = getCachedResult(cacheKey);
     
         if (cachedResult) {
@@ -415,12 +457,11 @@
         const normalizedInput = adapter.normalizeInput(formData);
     
         // Store form input reference
-        const utils = window.ziweiAdapterUtils;
-        if (utils) {
-            utils.setStorageValue(ADAPTER_KEYS.FORM_INPUT, normalizedInput.raw || formData);
+        if (adapter.storage && typeof adapter.storage.set === 'function') {
+            adapter.storage.set(ADAPTER_KEYS.FORM_INPUT, normalizedInput.raw || formData);
         }
     
-        const calcResult = await computeChartInternal(formData);
+        const calcResult = await computeChartInternal(formData, adapter);
     
         // Handle API error responses
         if (calcResult && calcResult.success === false) {
@@ -586,7 +627,7 @@
                 return;
             }
 
-            const existingChart = document.querySelector('[data-ziwei-chart="1"]');
+            const existingChart = document.querySelector(FORM_CHART_SELECTOR);
             if (existingChart?.parentNode) {
                 const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
                 const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
@@ -631,17 +672,73 @@
         });
     }
 
+    /**
+     * Compute and draw a chart straight into a container, without the form
+     * (embedded charts, see embed.js)
+     * @param {HTMLElement} container .ziwei-cal element; its content is replaced
+     * @param {Object} formData Same shape as the form's submitted data
+     * @param {Object} [options]
+     * @param {boolean} [options.fixed=false] Control bar without back/hour buttons
+     * @param {Object} [options.adapter] Chart instance; by default the container's
+     *   own (created and bound on first render), so the form's chart is untouched
+     * @returns {Promise<{chartElement: HTMLElement, adapterOutput: Object, adapter: Object}>}
+     */
+    async function renderEmbedded(container, formData, options = {}) {
+        const adapter = options.adapter || getContainerInstance(container);
+        clearAdapterChartContext({ adapter });
+        primeAdapterFormInput(formData, adapter);
+
+        const result = await computeChartWithCache(formData, adapter);
+        // A cache hit does not recalculate, so set the instance's chart here
+        adapter.setCurrentChart(result.adapterOutput);
+        const chartElement = await showChart(Object.assign({}, result, { adapter }));
+        chartElement.setAttribute('data-ziwei-chart', '1');
+
+        container.replaceChildren(chartElement);
+        container.setAttribute('data-ziwei-mode', 'chart');
+        if (window.ziweiControl && typeof window.ziweiControl.createBar === 'function') {
+            window.ziweiControl.createBar({
+                mountNode: container,
+                beforeNode: chartElement,
+                fixed: !!options.fixed
+            });
+        }
+
+        emitChartEvent('ziwei-chart-displayed', {
+            chartElement,
+            adapterOutput: result.adapterOutput
+        });
+        return { chartElement, adapterOutput: result.adapterOutput, adapter };
+    }
+
+    /**
+     * Adapter instance of an embed container, created and bound on first use
+     * @param {HTMLElement} container .ziwei-cal element
+     * @returns {Object}
+     */
+    function getContainerInstance(container) {
+        const adapter = window.ziweiAdapter;
+        const bound = adapter.forElement(container);
+        if (bound !== adapter) {
+            return bound;
+        }
+        const instance = adapter.createInstance();
+        adapter.bindElement(container, instance);
+        return instance;
+    }
+
     // ============================================================================
     // Cycle State Management
     // ============================================================================
 
     /**
      * Capture current cycle view state
+     * @param {ParentNode} [root] Chart to read; defaults to the form's chart
      * @returns {Object|null}
      */
-    function captureCurrentCycleState() {
-        const activeMajor = document.querySelector('.ziwei-major-cycle-button.active');
-        const activeAnnual = document.querySelector('.ziwei-annual-cycle-button.active');
+    function captureCurrentCycleState(root = getFormContainer()) {
+        const activeMajor = root.querySelector('.ziwei-major-cycle-button.active');
+        const activeAnnual = root.querySelector('.ziwei-annual-cycle-button.active');
 
         if (!activeMajor && !activeAnnual) {
             return null;
@@ -663,12 +760,13 @@
     /**
      * Restore cycle view state
      * @param {Object} cycleState
+     * @param {ParentNode} [root] Chart to update; defaults to the form's chart
      */
-    function restoreCycleState(cycleState) {
+    function restoreCycleState(cycleState, root) {
         if (!cycleState) return;
 
         if (cycleState.majorCycleIndex !== null) {
-            const majorButton = document.querySelector(
+            const majorButton = (root || getFormContainer()).querySelector(
                 `.ziwei-major-cycle-button[data-cycle-index="${cycleState.majorCycleIndex}"]`
             );
             majorButton?.click();
@@ -677,12 +775,14 @@
         if (cycleState.annualCycleAge !== null || cycleState.annualCycleYear !== null) {
             setTimeout(() => {
                 let annualButton;
+                // Looked up after the delay: the form's chart may have been replaced
+                const scope = root || getFormContainer();
                 if (cycleState.annualCycleAge !== null) {
-                    annualButton = document.querySelector(
+                    annualButton = scope.querySelector(
                         `.ziwei-annual-cycle-button[data-age="${cycleState.annualCycleAge}"]`
                     );
                 } else if (cycleState.annualCycleYear !== null) {
-                    annualButton = document.querySelector(
+                    annualButton = scope.querySelector(
                         `.ziwei-annual-cycle-button[data-year="${cycleState.annualCycleYear}"]`
                     );
                 }
@@ -691,6 +791,13 @@
         }
     }
 
+    /**
+     * @returns {ParentNode} The calculator form's container, or the document
+     */
+    function getFormContainer() {
+        return document.querySelector(FORM_CONTAINER_SELECTOR) || document;
+    }
+
     // ============================================================================
     // Settings Change Handler
     // ============================================================================
@@ -727,11 +834,11 @@
 
                 // Check if AI mode is currently active
                 // Check module state, DOM attribute, AND existence of AI panel to be absolutely sure
-                const container = document.querySelector('.ziwei-cal');
+                const container = document.querySelector(FORM_CONTAINER_SELECTOR);
                 const domModeAi = container && container.getAttribute('data-ziwei-mode') === 'ai';
                 const moduleActive = window.ziweiAiMode?.isActive?.();
-                const hasAiPanel = !!document.querySelector('.ziwei-ai-panel:not([style*="display: none"])') && 
-                                  !!document.querySelector('.ziwei-ai-panel[style*="display:"]:not([style*="display: none"])');
+                const hasAiPanel = !!container?.querySelector('.ziwei-ai-panel:not([style*="display: none"])') && 
+                                  !!container?.querySelector('.ziwei-ai-panel[style*="display:"]:not([style*="display: none"])');
                 const adapterActive = window.ziweiAdapter?.storage?.get('aiModeActive') === true;
                 
                 const aiModeActive = moduleActive || domModeAi || hasAiPanel || adapterActive;
@@ -781,11 +888,11 @@
             console.log('[DEBUG] ziwei-form-submit received', { formData });
 
             // Check if AI mode is currently active (robust check)
-            const container = document.querySelector('.ziwei-cal');
+            const container = document.querySelector(FORM_CONTAINER_SELECTOR);
             const domModeAi = container && container.getAttribute('data-ziwei-mode') === 'ai';
             const moduleActive = window.ziweiAiMode?.isActive?.();
-            const hasAiPanel = !!document.querySelector('.ziwei-ai-panel:not([style*="display: none"])') && 
-                              !!document.querySelector('.ziwei-ai-panel[style*="display:"]:not([style*="display: none"])');
+            const hasAiPanel = !!container?.querySelector('.ziwei-ai-panel:not([style*="display: none"])') && 
+                              !!container?.querySelector('.ziwei-ai-panel[style*="display:"]:not([style*="display: none"])');
             const adapterActive = window.ziweiAdapter?.storage?.get('aiModeActive') === true;
             
             const isAiModeActive = moduleActive || domModeAi || hasAiPanel || adapterActive;
@@ -801,7 +908,7 @@
             // If we are explicitly switching to chart mode from AI mode
             if (lastRenderMode === 'chart' && isAiModeActive) {
                 if (window.ziweiAiMode?.deactivate) {
-                    window.ziweiAiMode.deactivate(document.querySelector('[data-ziwei-chart="1"]'));
+                    window.ziweiAiMode.deactivate(document.querySelector(FORM_CHART_SELECTOR));
                 }
             }
 
@@ -827,6 +934,10 @@
                     ? window.ziweiAiMode.activate(chartElement)
                     : chartElement;
                 await updateDisplay(finalElement, { mode: renderMode, context: result });
+                emitChartEvent('ziwei-chart-displayed', {
+                    chartElement: finalElement,
+                    adapterOutput: result.adapterOutput
+                });
             } catch (error) {
                 console.error('[ziweiCalculator] Computation failed:', error);
                 if (window.ziweiForm?.handleAdapterError) {
@@ -846,6 +957,7 @@
         getMilitaryHourIndex,
         showChart,
         updateDisplay,
+        renderEmbedded,
         captureCurrentCycleState,
         restoreCycleState
     };
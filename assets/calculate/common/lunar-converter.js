@@ -13,6 +13,9 @@
  * - Lunar (constructor)
  * - Solar (constructor)
  * - LunarSolarConverter (main converter)
+ * - getLunarMonthDays (days in a lunar month)
+ * - getLeapMonth (閏月 of a lunar year)
+ * - getDayStemBranchIndex (日干支 of a solar date)
  */
 
 'use strict';
@@ -137,6 +140,74 @@ function LunarSolarConverter() {
     }
 }
 
+/**
+ * Get the number of days (29 or 30) in a lunar month
+ * 
+ * @param {number} lunarYear - Lunar year (800-2200)
+ * @param {number} lunarMonth - Lunar month (1-12)
+ * @param {boolean} [isLeap=false] - Whether the month is the leap month (閏月)
+ * @returns {number} 29 or 30, or 0 if the month does not exist / is out of range
+ */
+function getLunarMonthDays(lunarYear, lunarMonth, isLeap) {
+    var converter = new LunarSolarConverter();
+    var index = parseInt(lunarYear, 10) - converter.lunar_month_days[0];
+    if (isNaN(index) || index < 1 || index >= converter.lunar_month_days.length) {
+        return 0;
+    }
+    if (lunarMonth < 1 || lunarMonth > 12) {
+        return 0;
+    }
+
+    var days = converter.lunar_month_days[index];
+    var leap = converter.GetBitInt(days, 4, 13);
+    var position;
+    if (isLeap) {
+        if (leap !== lunarMonth) {
+            return 0;
+        }
+        position = leap;
+    } else {
+        position = (leap === 0 || lunarMonth <= leap) ? lunarMonth - 1 : lunarMonth;
+    }
+
+    return converter.GetBitInt(days, 1, 12 - position) == 1 ? 30 : 29;
+}
+
+/**
+ * Get the leap month (閏月) of a lunar year
+ * 
+ * @param {number} lunarYear - Lunar year (800-2200)
+ * @returns {number} Leap month (1-12), or 0 if the year has none / is out of range
+ */
+function getLeapMonth(lunarYear) {
+    var converter = new LunarSolarConverter();
+    var index = parseInt(lunarYear, 10) - converter.lunar_month_days[0];
+    if (isNaN(index) || index < 1 || index >= converter.lunar_month_days.length) {
+        return 0;
+    }
+    return converter.GetBitInt(converter.lunar_month_days[index], 4, 13);
+}
+
+/**
+ * Get the day stem-branch (日干支) indices of a solar date
+ * Reference: 2000-01-01 is 戊午日 (sexagenary index 54)
+ * 
+ * @param {number} year - Solar year
+ * @param {number} month - Solar month (1-12)
+ * @param {number} day - Solar day
+ * @returns {Object} { stemIndex: 0-9, branchIndex: 0-11 }
+ */
+function getDayStemBranchIndex(year, month, day) {
+    var converter = new LunarSolarConverter();
+    var cycleIndex = (converter.SolarToInt(year, month, day) + 9) % 60;
+    if (cycleIndex < 0) cycleIndex += 60;
+
+    return {
+        stemIndex: cycleIndex % 10,
+        branchIndex: cycleIndex % 12
+    };
+}
+
 /**
  * Convert birth hour to time index (0-11)
  * 子時 = 0, 丑時 = 1, 寅時 = 2, ..., 亥時 = 11
@@ -19,7 +19,7 @@
     const REGEX = Object.freeze({
         DATE: /^\d{4}-\d{2}-\d{2}$/,
         TIME: /^([01]\d|2[0-3]):([0-5]\d)$/,
-        YEAR: /^\d{4}$/,
+        YEAR: /^\d{3,4}$/,
         MONTH: /^(0?[1-9]|1[0-2])$/,
         DAY: /^(0?[1-9]|[12]\d|3[01])$/,
         HOUR: /^([01]?\d|2[0-3])$/,
@@ -137,6 +137,9 @@
         BASIC: 'basic',
         BRIGHTNESS: 'brightness',
         LIFE_CYCLE: 'lifeCycle',
+        MINOR_LIMIT: 'minorLimit',
+        MONTHLY_CYCLE: 'monthlyCycle',
+        DAILY_CYCLE: 'dailyCycle',
         NAYIN: 'nayin',
         GENDER: 'gender',
         MAJOR_CYCLE_STARS: 'majorCycleStars',
@@ -170,7 +173,8 @@
         BRIGHTNESS_SCHOOL: 'shuoshu',
         PALACE_SCHOOL: 'standard',
         ZI_HOUR_HANDLING: 'midnightChange',
-        LEAP_MONTH_HANDLING: 'mid'
+        LEAP_MONTH_HANDLING: 'mid',
+        TRUE_SOLAR_TIME: 'off'
     });
 
     // ============================================================================
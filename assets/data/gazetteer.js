@@ -0,0 +1,224 @@
+/**
+ * Birthplace Gazetteer (出生地資料)
+ *
+ * Offline city table used for birthplace autocomplete and true solar time
+ * (真太陽時) correction. Each city records its longitude (east positive) and
+ * the standard UTC offset in hours of its time zone (without daylight saving).
+ *
+ * Lookup accepts the Chinese name, traditional/simplified variants or the
+ * English name, and also matches free text that contains a known city
+ * (e.g. '香港九龍' → 香港).
+ *
+ * Dependencies: None
+ *
+ * Exports: window.ziweiGazetteer
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // City Table
+    // Format: [name, country, longitude, latitude, utcOffset, aliases]
+    // ============================================================================
+
+    const CITY_ROWS = [
+        // 港澳台
+        ['香港', 'HK', 114.17, 22.32, 8, ['Hong Kong', 'HK']],
+        ['九龍', 'HK', 114.18, 22.32, 8, ['九龙', 'Kowloon']],
+        ['新界', 'HK', 114.11, 22.41, 8, ['New Territories']],
+        ['澳門', 'MO', 113.54, 22.19, 8, ['澳门', 'Macau', 'Macao']],
+        ['台北', 'TW', 121.56, 25.04, 8, ['臺北', 'Taipei']],
+        ['新北', 'TW', 121.47, 25.01, 8, ['New Taipei']],
+        ['基隆', 'TW', 121.74, 25.13, 8, ['Keelung']],
+        ['桃園', 'TW', 121.30, 24.99, 8, ['桃园', 'Taoyuan']],
+        ['新竹', 'TW', 120.97, 24.80, 8, ['Hsinchu']],
+        ['台中', 'TW', 120.68, 24.14, 8, ['臺中', 'Taichung']],
+        ['嘉義', 'TW', 120.45, 23.48, 8, ['嘉义', 'Chiayi']],
+        ['台南', 'TW', 120.21, 22.99, 8, ['臺南', 'Tainan']],
+        ['高雄', 'TW', 120.31, 22.63, 8, ['Kaohsiung']],
+        ['宜蘭', 'TW', 121.75, 24.76, 8, ['宜兰', 'Yilan']],
+        ['花蓮', 'TW', 121.60, 23.99, 8, ['花莲', 'Hualien']],
+        ['台東', 'TW', 121.15, 22.76, 8, ['臺東', '台东', 'Taitung']],
+
+        // 中國內地
+        ['北京', 'CN', 116.41, 39.90, 8, ['Beijing']],
+        ['天津', 'CN', 117.20, 39.13, 8, ['Tianjin']],
+        ['上海', 'CN', 121.47, 31.23, 8, ['Shanghai']],
+        ['重慶', 'CN', 106.55, 29.56, 8, ['重庆', 'Chongqing']],
+        ['廣州', 'CN', 113.26, 23.13, 8, ['广州', 'Guangzhou']],
+        ['深圳', 'CN', 114.06, 22.54, 8, ['Shenzhen']],
+        ['珠海', 'CN', 113.58, 22.27, 8, ['Zhuhai']],
+        ['佛山', 'CN', 113.12, 23.02, 8, ['Foshan']],
+        ['東莞', 'CN', 113.75, 23.02, 8, ['东莞', 'Dongguan']],
+        ['中山', 'CN', 113.39, 22.52, 8, ['Zhongshan']],
+        ['江門', 'CN', 113.08, 22.58, 8, ['江门', 'Jiangmen']],
+        ['汕頭', 'CN', 116.68, 23.35, 8, ['汕头', 'Shantou']],
+        ['潮州', 'CN', 116.62, 23.66, 8, ['Chaozhou']],
+        ['梅州', 'CN', 116.12, 24.29, 8, ['Meizhou']],
+        ['福州', 'CN', 119.30, 26.08, 8, ['Fuzhou']],
+        ['廈門', 'CN', 118.09, 24.48, 8, ['厦门', 'Xiamen']],
+        ['泉州', 'CN', 118.68, 24.87, 8, ['Quanzhou']],
+        ['杭州', 'CN', 120.16, 30.27, 8, ['Hangzhou']],
+        ['寧波', 'CN', 121.55, 29.87, 8, ['宁波', 'Ningbo']],
+        ['溫州', 'CN', 120.70, 28.00, 8, ['温州', 'Wenzhou']],
+        ['南京', 'CN', 118.80, 32.06, 8, ['Nanjing']],
+        ['蘇州', 'CN', 120.59, 31.30, 8, ['苏州', 'Suzhou']],
+        ['無錫', 'CN', 120.31, 31.49, 8, ['无锡', 'Wuxi']],
+        ['合肥', 'CN', 117.23, 31.82, 8, ['Hefei']],
+        ['南昌', 'CN', 115.86, 28.68, 8, ['Nanchang']],
+        ['長沙', 'CN', 112.94, 28.23, 8, ['长沙', 'Changsha']],
+        ['武漢', 'CN', 114.31, 30.59, 8, ['武汉', 'Wuhan']],
+        ['鄭州', 'CN', 113.63, 34.75, 8, ['郑州', 'Zhengzhou']],
+        ['濟南', 'CN', 117.00, 36.65, 8, ['济南', 'Jinan']],
+        ['青島', 'CN', 120.38, 36.07, 8, ['青岛', 'Qingdao']],
+        ['石家莊', 'CN', 114.51, 38.04, 8, ['石家庄', 'Shijiazhuang']],
+        ['太原', 'CN', 112.55, 37.87, 8, ['Taiyuan']],
+        ['呼和浩特', 'CN', 111.75, 40.84, 8, ['Hohhot']],
+        ['瀋陽', 'CN', 123.43, 41.81, 8, ['沈阳', 'Shenyang']],
+        ['大連', 'CN', 121.61, 38.91, 8, ['大连', 'Dalian']],
+        ['長春', 'CN', 125.32, 43.82, 8, ['长春', 'Changchun']],
+        ['哈爾濱', 'CN', 126.53, 45.80, 8, ['哈尔滨', 'Harbin']],
+        ['西安', 'CN', 108.94, 34.34, 8, ["Xi'an", 'Xian']],
+        ['蘭州', 'CN', 103.83, 36.06, 8, ['兰州', 'Lanzhou']],
+        ['西寧', 'CN', 101.78, 36.62, 8, ['西宁', 'Xining']],
+        ['銀川', 'CN', 106.23, 38.49, 8, ['银川', 'Yinchuan']],
+        ['烏魯木齊', 'CN', 87.62, 43.83, 8, ['乌鲁木齐', 'Urumqi']],
+        ['喀什', 'CN', 75.99, 39.47, 8, ['Kashgar']],
+        ['拉薩', 'CN', 91.13, 29.65, 8, ['拉萨', 'Lhasa']],
+        ['成都', 'CN', 104.07, 30.57, 8, ['Chengdu']],
+        ['貴陽', 'CN', 106.63, 26.65, 8, ['贵阳', 'Guiyang']],
+        ['昆明', 'CN', 102.83, 24.88, 8, ['Kunming']],
+        ['南寧', 'CN', 108.37, 22.82, 8, ['南宁', 'Nanning']],
+        ['桂林', 'CN', 110.29, 25.27, 8, ['Guilin']],
+        ['海口', 'CN', 110.35, 20.02, 8, ['Haikou']],
+        ['三亞', 'CN', 109.51, 18.25, 8, ['三亚', 'Sanya']],
+
+        // 亞洲
+        ['新加坡', 'SG', 103.82, 1.35, 8, ['Singapore', '星加坡']],
+        ['吉隆坡', 'MY', 101.69, 3.14, 8, ['Kuala Lumpur']],
+        ['檳城', 'MY', 100.33, 5.41, 8, ['槟城', 'Penang']],
+        ['新山', 'MY', 103.76, 1.49, 8, ['Johor Bahru']],
+        ['古晉', 'MY', 110.34, 1.55, 8, ['古晋', 'Kuching']],
+        ['曼谷', 'TH', 100.50, 13.76, 7, ['Bangkok']],
+        ['雅加達', 'ID', 106.85, -6.21, 7, ['雅加达', 'Jakarta']],
+        ['馬尼拉', 'PH', 120.98, 14.60, 8, ['马尼拉', 'Manila']],
+        ['胡志明市', 'VN', 106.63, 10.82, 7, ['Ho Chi Minh City', 'Saigon', '西貢']],
+        ['河內', 'VN', 105.85, 21.03, 7, ['河内', 'Hanoi']],
+        ['金邊', 'KH', 104.92, 11.56, 7, ['金边', 'Phnom Penh']],
+        ['仰光', 'MM', 96.20, 16.87, 6.5, ['Yangon']],
+        ['東京', 'JP', 139.69, 35.69, 9, ['东京', 'Tokyo']],
+        ['大阪', 'JP', 135.50, 34.69, 9, ['Osaka']],
+        ['首爾', 'KR', 126.98, 37.57, 9, ['首尔', '漢城', 'Seoul']],
+        ['釜山', 'KR', 129.08, 35.18, 9, ['Busan']],
+        ['新德里', 'IN', 77.21, 28.61, 5.5, ['New Delhi']],
+        ['杜拜', 'AE', 55.27, 25.20, 4, ['迪拜', 'Dubai']],
+
+        // 大洋洲
+        ['悉尼', 'AU', 151.21, -33.87, 10, ['雪梨', 'Sydney']],
+        ['墨爾本', 'AU', 144.96, -37.81, 10, ['墨尔本', 'Melbourne']],
+        ['布里斯班', 'AU', 153.03, -27.47, 10, ['布里斯本', 'Brisbane']],
+        ['柏斯', 'AU', 115.86, -31.95, 8, ['珀斯', 'Perth']],
+        ['奧克蘭', 'NZ', 174.76, -36.85, 12, ['奥克兰', 'Auckland']],
+
+        // 美洲
+        ['溫哥華', 'CA', -123.12, 49.28, -8, ['温哥华', 'Vancouver']],
+        ['多倫多', 'CA', -79.38, 43.65, -5, ['多伦多', 'Toronto']],
+        ['滿地可', 'CA', -73.57, 45.50, -5, ['蒙特利爾', '蒙特利尔', 'Montreal']],
+        ['西雅圖', 'US', -122.33, 47.61, -8, ['西雅图', 'Seattle']],
+        ['三藩市', 'US', -122.42, 37.77, -8, ['舊金山', '旧金山', 'San Francisco']],
+        ['洛杉磯', 'US', -118.24, 34.05, -8, ['洛杉矶', 'Los Angeles']],
+        ['芝加哥', 'US', -87.63, 41.88, -6, ['Chicago']],
+        ['休斯頓', 'US', -95.37, 29.76, -6, ['休斯顿', 'Houston']],
+        ['紐約', 'US', -74.01, 40.71, -5, ['纽约', 'New York']],
+        ['波士頓', 'US', -71.06, 42.36, -5, ['波士顿', 'Boston']],
+        ['檀香山', 'US', -157.86, 21.31, -10, ['Honolulu']],
+
+        // 歐洲
+        ['倫敦', 'GB', -0.13, 51.51, 0, ['伦敦', 'London']],
+        ['曼徹斯特', 'GB', -2.24, 53.48, 0, ['曼彻斯特', 'Manchester']],
+        ['巴黎', 'FR', 2.35, 48.86, 1, ['Paris']],
+        ['柏林', 'DE', 13.40, 52.52, 1, ['Berlin']],
+        ['阿姆斯特丹', 'NL', 4.90, 52.37, 1, ['Amsterdam']]
+    ];
+
+    const CITIES = Object.freeze(CITY_ROWS.map(([name, country, longitude, latitude, utcOffset, aliases]) => Object.freeze({
+        name,
+        country,
+        longitude,
+        latitude,
+        utcOffset,
+        aliases: Object.freeze(aliases || [])
+    })));
+
+    // ============================================================================
+    // Lookup Helpers
+    // ============================================================================
+
+    function normalizeKey(value) {
+        return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    function getCityKeys(city) {
+        return [city.name].concat(city.aliases).map(normalizeKey);
+    }
+
+    /**
+     * Find a city by name, alias, or free text containing a known city name
+     * @param {string} text Birthplace text from the form
+     * @returns {Object|null} City record or null if not found
+     */
+    function findCity(text) {
+        const key = normalizeKey(text);
+        if (!key) return null;
+
+        // 1. Exact name/alias match
+        for (let i = 0; i < CITIES.length; i++) {
+            if (getCityKeys(CITIES[i]).includes(key)) {
+                return CITIES[i];
+            }
+        }
+
+        // 2. Longest city name contained in the text (e.g. '中國廣東省廣州市' → 廣州)
+        let best = null;
+        let bestLength = 0;
+        for (let i = 0; i < CITIES.length; i++) {
+            getCityKeys(CITIES[i]).forEach((cityKey) => {
+                if (cityKey.length > bestLength && cityKey.length >= 2 && key.includes(cityKey)) {
+                    best = CITIES[i];
+                    bestLength = cityKey.length;
+                }
+            });
+        }
+        return best;
+    }
+
+    /**
+     * Search cities for autocomplete suggestions
+     * @param {string} query Partial input
+     * @param {number} [limit=10] Maximum number of results
+     * @returns {Array} Matching city records, prefix matches first
+     */
+    function searchCities(query, limit = 10) {
+        const key = normalizeKey(query);
+        if (!key) return CITIES.slice(0, limit);
+
+        const prefix = [];
+        const partial = [];
+        CITIES.forEach((city) => {
+            const keys = getCityKeys(city);
+            if (keys.some(k => k.startsWith(key))) {
+                prefix.push(city);
+            } else if (keys.some(k => k.includes(key))) {
+                partial.push(city);
+            }
+        });
+        return prefix.concat(partial).slice(0, limit);
+    }
+
+    window.ziweiGazetteer = Object.freeze({
+        CITIES,
+        findCity,
+        searchCities
+    });
+})();
@@ -0,0 +1,142 @@
+/**
+ * School (派別) Profiles
+ *
+ * A profile bundles the placement variants one school uses. The calculation
+ * modules only see the variant keys; the star tables themselves stay in
+ * secondary.js, minor-stars.js and life-cycle.js.
+ *
+ * Variants (first option = 中州派, the rules this plugin has always used):
+ * - fireBells:     火鈴 from the year-branch start palaces, counted by hour
+ *                  clockwise, or in the 陽男陰女/陰男陽女 direction
+ * - tianMa:        天馬 by year branch or by month branch
+ * - kuiYue:        天魁天鉞 table (甲戊庚牛羊 or 甲戊兼牛羊、庚辛逢馬虎)
+ * - xunKong:       旬空 with 副旬, or the 正 palace only
+ * - longLife:      十二長生 from the 五行局 palace or from 命宮
+ * - majorCycleAge: 五行局 number read as 虛歲 or as 實歲 (虛歲 + 1)
+ *
+ * Dependencies: assets/js/adapter-utils.js
+ *
+ * Exports: registerAdapterModule('schools', ...), window.ziweiSchools
+ */
+
+'use strict';
+
+const DEFAULT_SCHOOL = 'zhongzhou';
+
+/**
+ * Variant keys and their labels, in settings panel order
+ */
+const PLACEMENT_VARIANTS = {
+    fireBells: {
+        label: '火鈴',
+        options: { hourClockwise: '依時順數', yinYang: '陽男陰女順、陰男陽女逆' }
+    },
+    tianMa: {
+        label: '天馬',
+        options: { year: '年支起馬', month: '月支起馬' }
+    },
+    kuiYue: {
+        label: '魁鉞',
+        options: { jiaWuGeng: '甲戊庚牛羊', gengXin: '庚辛逢馬虎' }
+    },
+    xunKong: {
+        label: '旬空',
+        options: { paired: '正副旬空', single: '只排旬空' }
+    },
+    longLife: {
+        label: '長生',
+        options: { nayin: '依五行局', ming: '由命宮起' }
+    },
+    majorCycleAge: {
+        label: '起運',
+        options: { nominal: '局數為虛歲', actual: '局數為實歲' }
+    }
+};
+
+const SCHOOL_PROFILES = {
+    zhongzhou: {
+        label: '中州派',
+        fireBells: 'hourClockwise',
+        tianMa: 'year',
+        kuiYue: 'jiaWuGeng',
+        xunKong: 'paired',
+        longLife: 'nayin',
+        majorCycleAge: 'nominal'
+    },
+    sanhe: {
+        label: '三合派',
+        fireBells: 'hourClockwise',
+        tianMa: 'year',
+        kuiYue: 'gengXin',
+        xunKong: 'single',
+        longLife: 'nayin',
+        majorCycleAge: 'nominal'
+    },
+    feixing: {
+        label: '飛星派',
+        fireBells: 'yinYang',
+        tianMa: 'year',
+        kuiYue: 'jiaWuGeng',
+        xunKong: 'single',
+        longLife: 'nayin',
+        majorCycleAge: 'actual'
+    },
+    qintian: {
+        label: '欽天門',
+        fireBells: 'yinYang',
+        tianMa: 'month',
+        kuiYue: 'gengXin',
+        xunKong: 'single',
+        longLife: 'ming',
+        majorCycleAge: 'actual'
+    }
+};
+
+/**
+ * Get a school profile
+ * @param {string} [school='zhongzhou'] Profile key
+ * @returns {Object} Profile; unknown keys fall back to 中州派
+ */
+function getSchoolProfile(school = DEFAULT_SCHOOL) {
+    return SCHOOL_PROFILES[school] || SCHOOL_PROFILES[DEFAULT_SCHOOL];
+}
+
+/**
+ * Get all available schools
+ * @returns {Array} [{ value, label }] in settings panel order
+ */
+function listSchools() {
+    return Object.keys(SCHOOL_PROFILES).map(key => ({ value: key, label: SCHOOL_PROFILES[key].label }));
+}
+
+/**
+ * Describe a school's variants
+ * @param {string} school Profile key
+ * @returns {Array<string>} Lines like '天馬：年支起馬'
+ */
+function describeSchool(school) {
+    const profile = getSchoolProfile(school);
+    return Object.keys(PLACEMENT_VARIANTS).map(rule => {
+        const variant = PLACEMENT_VARIANTS[rule];
+        return `${variant.label}：${variant.options[profile[rule]]}`;
+    });
+}
+
+// Expose public API through centralized adapter registration (assets/js/adapter-utils.js)
+window.registerAdapterModule('schools', {
+    DEFAULT_SCHOOL,
+    PLACEMENT_VARIANTS,
+    SCHOOL_PROFILES,
+    getSchoolProfile,
+    listSchools,
+    describeSchool
+});
+
+window.ziweiSchools = {
+    DEFAULT_SCHOOL,
+    PLACEMENT_VARIANTS,
+    SCHOOL_PROFILES,
+    getSchoolProfile,
+    listSchools,
+    describeSchool
+};
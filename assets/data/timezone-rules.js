@@ -0,0 +1,191 @@
+/**
+ * Historical Time Zone & Daylight-Saving Rules (歷史時區與夏令時間)
+ *
+ * Periods when the clock ran ahead of standard time (UTC+8) in Hong Kong,
+ * Taiwan and mainland China, derived from the IANA tz database
+ * (Asia/Hong_Kong, Asia/Taipei, Asia/Shanghai). Birth times recorded on the
+ * wall clock during these periods are shifted back to standard time before
+ * the 時辰 is determined.
+ *
+ * Period format: [start, end, offsetMinutes, label]
+ * - start/end are local wall-clock times 'YYYY-MM-DD HH:MM', end exclusive
+ * - offsetMinutes is how far the clock ran ahead of standard time
+ *
+ * Dependencies: None
+ *
+ * Exports: window.ziweiTimezoneRules
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================================================
+    // Rule Table
+    // ============================================================================
+
+    const REGION_RULES = {
+        HK: {
+            label: '香港',
+            periods: [
+                ['1941-06-15 03:00', '1941-10-01 04:00', 60, '夏令時間'],
+                ['1941-10-01 04:00', '1941-12-25 00:00', 30, '冬令時間'],
+                ['1941-12-25 00:00', '1945-11-18 02:00', 60, '日佔時間'],
+                ['1946-04-21 00:00', '1946-12-01 03:30', 60, '夏令時間'],
+                ['1947-04-13 03:30', '1947-11-30 03:30', 60, '夏令時間'],
+                ['1948-05-02 03:30', '1948-10-31 03:30', 60, '夏令時間'],
+                ['1949-04-03 03:30', '1949-10-30 03:30', 60, '夏令時間'],
+                ['1950-04-02 03:30', '1950-10-29 03:30', 60, '夏令時間'],
+                ['1951-04-01 03:30', '1951-10-28 03:30', 60, '夏令時間'],
+                ['1952-04-06 03:30', '1952-11-02 03:30', 60, '夏令時間'],
+                ['1953-04-05 03:30', '1953-11-01 03:30', 60, '夏令時間'],
+                ['1954-03-21 03:30', '1954-10-31 03:30', 60, '夏令時間'],
+                ['1955-03-20 03:30', '1955-11-06 03:30', 60, '夏令時間'],
+                ['1956-03-18 03:30', '1956-11-04 03:30', 60, '夏令時間'],
+                ['1957-03-24 03:30', '1957-11-03 03:30', 60, '夏令時間'],
+                ['1958-03-23 03:30', '1958-11-02 03:30', 60, '夏令時間'],
+                ['1959-03-22 03:30', '1959-11-01 03:30', 60, '夏令時間'],
+                ['1960-03-20 03:30', '1960-11-06 03:30', 60, '夏令時間'],
+                ['1961-03-19 03:30', '1961-11-05 03:30', 60, '夏令時間'],
+                ['1962-03-18 03:30', '1962-11-04 03:30', 60, '夏令時間'],
+                ['1963-03-24 03:30', '1963-11-03 03:30', 60, '夏令時間'],
+                ['1964-03-22 03:30', '1964-11-01 03:30', 60, '夏令時間'],
+                ['1965-04-18 03:30', '1965-10-17 03:30', 60, '夏令時間'],
+                ['1966-04-17 03:30', '1966-10-16 03:30', 60, '夏令時間'],
+                ['1967-04-16 03:30', '1967-10-22 03:30', 60, '夏令時間'],
+                ['1968-04-21 03:30', '1968-10-20 03:30', 60, '夏令時間'],
+                ['1969-04-20 03:30', '1969-10-19 03:30', 60, '夏令時間'],
+                ['1970-04-19 03:30', '1970-10-18 03:30', 60, '夏令時間'],
+                ['1971-04-18 03:30', '1971-10-17 03:30', 60, '夏令時間'],
+                ['1972-04-16 03:30', '1972-10-22 03:30', 60, '夏令時間'],
+                ['1973-04-22 03:30', '1973-10-21 03:30', 60, '夏令時間'],
+                ['1973-12-30 03:30', '1974-10-20 03:30', 60, '夏令時間'],
+                ['1975-04-20 03:30', '1975-10-19 03:30', 60, '夏令時間'],
+                ['1976-04-18 03:30', '1976-10-17 03:30', 60, '夏令時間'],
+                ['1979-05-13 03:30', '1979-10-21 03:30', 60, '夏令時間']
+            ]
+        },
+        TW: {
+            label: '台灣',
+            periods: [
+                ['1937-10-01 00:00', '1945-09-21 01:00', 60, '日治時間'],
+                ['1946-05-15 00:00', '1946-10-01 00:00', 60, '夏令時間'],
+                ['1947-04-15 00:00', '1947-11-01 00:00', 60, '夏令時間'],
+                ['1948-05-01 00:00', '1948-10-01 00:00', 60, '夏令時間'],
+                ['1949-05-01 00:00', '1949-10-01 00:00', 60, '夏令時間'],
+                ['1950-05-01 00:00', '1950-10-01 00:00', 60, '夏令時間'],
+                ['1951-05-01 00:00', '1951-10-01 00:00', 60, '夏令時間'],
+                ['1952-03-01 00:00', '1952-11-01 00:00', 60, '夏令時間'],
+                ['1953-04-01 00:00', '1953-11-01 00:00', 60, '夏令時間'],
+                ['1954-04-01 00:00', '1954-11-01 00:00', 60, '夏令時間'],
+                ['1955-04-01 00:00', '1955-10-01 00:00', 60, '夏令時間'],
+                ['1956-04-01 00:00', '1956-10-01 00:00', 60, '夏令時間'],
+                ['1957-04-01 00:00', '1957-10-01 00:00', 60, '夏令時間'],
+                ['1958-04-01 00:00', '1958-10-01 00:00', 60, '夏令時間'],
+                ['1959-04-01 00:00', '1959-10-01 00:00', 60, '夏令時間'],
+                ['1960-04-01 00:00', '1960-10-01 00:00', 60, '夏令時間'],
+                ['1961-04-01 00:00', '1961-10-01 00:00', 60, '夏令時間'],
+                ['1974-04-01 00:00', '1974-10-01 00:00', 60, '夏令時間'],
+                ['1975-04-01 00:00', '1975-10-01 00:00', 60, '夏令時間'],
+                ['1979-07-01 00:00', '1979-10-01 00:00', 60, '夏令時間']
+            ]
+        },
+        CN: {
+            label: '中國內地',
+            periods: [
+                ['1940-06-01 00:00', '1940-10-13 00:00', 60, '夏令時間'],
+                ['1941-03-15 00:00', '1941-11-02 00:00', 60, '夏令時間'],
+                ['1942-01-31 00:00', '1945-09-02 00:00', 60, '夏令時間'],
+                ['1946-05-15 00:00', '1946-10-01 00:00', 60, '夏令時間'],
+                ['1947-04-15 00:00', '1947-11-01 00:00', 60, '夏令時間'],
+                ['1948-05-01 00:00', '1948-10-01 00:00', 60, '夏令時間'],
+                ['1949-05-01 00:00', '1949-05-28 00:00', 60, '夏令時間'],
+                ['1986-05-04 02:00', '1986-09-14 02:00', 60, '夏令時間'],
+                ['1987-04-12 02:00', '1987-09-13 02:00', 60, '夏令時間'],
+                ['1988-04-17 02:00', '1988-09-11 02:00', 60, '夏令時間'],
+                ['1989-04-16 02:00', '1989-09-17 02:00', 60, '夏令時間'],
+                ['1990-04-15 02:00', '1990-09-16 02:00', 60, '夏令時間'],
+                ['1991-04-14 02:00', '1991-09-15 02:00', 60, '夏令時間']
+            ]
+        }
+    };
+
+    /**
+     * Region selector values
+     * - auto: derive the region from the birthplace (gazetteer country code)
+     * - none: never adjust
+     */
+    const REGION_AUTO = 'auto';
+    const REGION_NONE = 'none';
+
+    // ============================================================================
+    // Lookup Helpers
+    // ============================================================================
+
+    function pad2(num) {
+        return String(num).padStart(2, '0');
+    }
+
+    function toClockKey(year, month, day, hour, minute) {
+        return `${String(year).padStart(4, '0')}-${pad2(month)}-${pad2(day)} ${pad2(hour)}:${pad2(minute)}`;
+    }
+
+    /**
+     * Get the supported region codes
+     * @returns {Array} e.g. ['HK', 'TW', 'CN']
+     */
+    function getRegions() {
+        return Object.keys(REGION_RULES);
+    }
+
+    /**
+     * Get the display label of a region
+     * @param {string} region Region code
+     * @returns {string} Label, or empty string if unknown
+     */
+    function getRegionLabel(region) {
+        return REGION_RULES[region] ? REGION_RULES[region].label : '';
+    }
+
+    /**
+     * Resolve the rule region from the selector value and birthplace country
+     * @param {string} selection Selector value ('auto', 'none' or a region code)
+     * @param {string|null} country Gazetteer country code of the birthplace
+     * @returns {string|null} Region code or null when no rules apply
+     */
+    function resolveRegion(selection, country) {
+        if (selection === REGION_NONE) return null;
+        if (selection && selection !== REGION_AUTO) {
+            return REGION_RULES[selection] ? selection : null;
+        }
+        return country && REGION_RULES[country] ? country : null;
+    }
+
+    /**
+     * Find the clock offset in effect for a wall-clock time
+     * @param {string} region Region code
+     * @param {Object} clock { year, month, day, hour, minute }
+     * @returns {Object|null} { offsetMinutes, label, start, end } or null if standard time
+     */
+    function findClockOffset(region, clock) {
+        const rules = REGION_RULES[region];
+        if (!rules || !clock) return null;
+
+        const key = toClockKey(clock.year, clock.month, clock.day, clock.hour, clock.minute || 0);
+        for (let i = 0; i < rules.periods.length; i++) {
+            const [start, end, offsetMinutes, label] = rules.periods[i];
+            if (key >= start && key < end) {
+                return { offsetMinutes, label, start, end };
+            }
+        }
+        return null;
+    }
+
+    window.ziweiTimezoneRules = Object.freeze({
+        REGION_AUTO,
+        REGION_NONE,
+        getRegions,
+        getRegionLabel,
+        resolveRegion,
+        findClockOffset
+    });
+})();
@@ -13,7 +13,8 @@
  * - assets/display/css/palace-interaction.css
  * - assets/display/css/cycles.css
  * 
- * Exports: window.ziweiChart
+ * Exports: window.ziweiChart, window.ziweiChartHelpers (forChart(element) returns
+ * the cycle helpers bound to the chart containing an element)
  */
 
 (function() {
@@ -26,14 +27,33 @@ if (window.ziweiChartLoaded) {
 window.ziweiChartLoaded = true;
 
 // ============================================================================
-// Module State
+// Chart State
 // ============================================================================
-let cycleDisplayRegistry = Object.create(null);
-let starMutationRegistry = Object.create(null);
-let starElementIndex = new Map();
-let lastPalaceDataRef = {};
-let currentMajorCycleMingIndex = null;
-let currentAnnualCycleMingIndex = null;
+
+/**
+ * Per-chart state: the DOM registries the cycle helpers update and the
+ * palace the cycle labels currently sit on. draw() creates one for each grid
+ * it renders; the helpers take it as their first argument and forChart()
+ * binds them to the state of one grid.
+ * @param {Object} adapter The chart's adapter instance (or ziweiAdapter for the form's chart)
+ * @returns {Object}
+ */
+function createChartState(adapter) {
+    return {
+        adapter,
+        cycleDisplayRegistry: Object.create(null),
+        starMutationRegistry: Object.create(null),
+        starElementIndex: new Map(),
+        currentMajorCycleMingIndex: null,
+        currentAnnualCycleMingIndex: null,
+        currentMinorLimitIndex: null,
+        currentMonthlyCycleMingIndex: null,
+        cycleLayerMingIndex: Object.create(null)
+    };
+}
+
+// Grid element → chart state
+const chartStates = new WeakMap();
 
 // ============================================================================
 // AI Mode Detection
@@ -57,6 +77,29 @@ const MODULE_NAMES = constants.MODULE_NAMES;
 const NUMERIC = constants.NUMERIC;
 const ADAPTER_KEYS = constants.ADAPTER_KEYS;
 
+/**
+ * Drill-down cycle layers below 流月 that only move the 命 label and apply
+ * their own stem mutations (no cycle stars)
+ */
+const CYCLE_LAYERS = Object.freeze({
+    daily: Object.freeze({
+        role: 'daily-cycle',
+        mingRole: 'daily-cycle-ming',
+        mingText: '日命',
+        tagClass: 'ziwei-palace-tag-daily',
+        mutationClass: 'ziwei-mutation-daily',
+        mutationFn: 'calculateDailyCycleMutations'
+    }),
+    hourly: Object.freeze({
+        role: 'hourly-cycle',
+        mingRole: 'hourly-cycle-ming',
+        mingText: '時命',
+        tagClass: 'ziwei-palace-tag-hourly',
+        mutationClass: 'ziwei-mutation-hourly',
+        mutationFn: 'calculateHourlyCycleMutations'
+    })
+});
+
 // ============================================================================
 // Adapter Access (delegated to centralized utilities)
 // ============================================================================
@@ -77,21 +120,27 @@ function getAttributesForPalace(index, attributesMap) {
 }
 
 /**
- * Reset registry state before rendering a new chart
+ * @param {HTMLElement} element Grid, chart wrapper or any element inside the wrapper
+ * @returns {HTMLElement|null} The chart's .ziwei-4x4-grid
  */
-function resetCycleRegistries() {
-    cycleDisplayRegistry = Object.create(null);
-    starMutationRegistry = Object.create(null);
-    starElementIndex = new Map();
-    currentMajorCycleMingIndex = null;
-    currentAnnualCycleMingIndex = null;
+function resolveChartGrid(element) {
+    if (!element) {
+        return null;
+    }
+    if (element.classList && element.classList.contains('ziwei-4x4-grid')) {
+        return element;
+    }
+    const wrapper = typeof element.closest === 'function' ? element.closest('.ziwei-chart-wrapper') : null;
+    const scope = wrapper || element;
+    return typeof scope.querySelector === 'function' ? scope.querySelector('.ziwei-4x4-grid') : null;
 }
 
 /**
  * Hide all major/annual cycle star placeholders
+ * @param {Object} state Chart state from createChartState()
  */
-function clearMajorCycleStars() {
-    Object.values(cycleDisplayRegistry).forEach((elements) => {
+function clearMajorCycleStars(state) {
+    Object.values(state.cycleDisplayRegistry).forEach((elements) => {
         if (!elements) return;
         const { major, annual, wrapper } = elements;
 
@@ -107,7 +156,7 @@ function clearMajorCycleStars() {
 
         // Also remove any dynamically added major/annual cycle star nodes
         if (wrapper) {
-            const dynamicNodes = wrapper.querySelectorAll('[data-role="major-cycle"], [data-role="annual-cycle"]');
+            const dynamicNodes = wrapper.querySelectorAll('[data-role="major-cycle"], [data-role="annual-cycle"], [data-role="monthly-cycle"]');
             dynamicNodes.forEach((n) => n.remove());
         }
     });
@@ -115,9 +164,10 @@ function clearMajorCycleStars() {
 
 /**
  * Remove previously applied major cycle mutation badges
+ * @param {Object} state Chart state from createChartState()
  */
-function clearMutationsByRole(roleName) {
-    Object.values(starMutationRegistry).forEach((starMap) => {
+function clearMutationsByRole(state, roleName) {
+    Object.values(state.starMutationRegistry).forEach((starMap) => {
         Object.values(starMap).forEach((groupList) => {
             groupList.forEach((groupEl) => {
                 const wrapper = groupEl.querySelector('.ziwei-mutations-wrapper');
@@ -159,16 +209,21 @@ function clearMutationsByRole(roleName) {
     });
 }
 
-function clearMajorCycleMutations() {
-    clearMutationsByRole('major-cycle');
+function clearMajorCycleMutations(state) {
+    clearMutationsByRole(state, 'major-cycle');
+}
+
+function clearAnnualCycleMutations(state) {
+    clearMutationsByRole(state, 'annual-cycle');
 }
 
-function clearAnnualCycleMutations() {
-    clearMutationsByRole('annual-cycle');
+function clearMonthlyCycleMutations(state) {
+    clearMutationsByRole(state, 'monthly-cycle');
 }
 
 /**
  * Display placeholder major/annual cycle stars when a major cycle is selected
+ * @param {Object} state Chart state from createChartState()
  * @param {Object} options Cycle render options
  * @param {Object} options.cycle Selected major cycle data
  * @param {string} [options.stem] Heavenly stem associated with the cycle
@@ -176,8 +231,8 @@ function clearAnnualCycleMutations() {
  * @param {number} [options.timeIndex] Birth time index (0-11)
  * @param {Object} [options.palaceData] Palace data mapping for stem/branch lookup
  */
-function showMajorCycleStars({ cycle, stem, branchIndex, timeIndex, palaceData } = {}) {
-    clearMajorCycleStars();
+function showMajorCycleStars(state, { cycle, stem, branchIndex, timeIndex, palaceData } = {}) {
+    clearMajorCycleStars(state);
 
     if (!cycle) return;
 
@@ -214,7 +269,7 @@ function showMajorCycleStars({ cycle, stem, branchIndex, timeIndex, palaceData }
     }
 
     // Display major cycle stars in appropriate palace cells
-    Object.entries(cycleDisplayRegistry).forEach(([branchIndex, elements]) => {
+    Object.entries(state.cycleDisplayRegistry).forEach(([branchIndex, elements]) => {
         if (!elements) return;
         const { major, annual, wrapper } = elements;
         const branchNum = Number(branchIndex);
@@ -255,16 +310,17 @@ function showMajorCycleStars({ cycle, stem, branchIndex, timeIndex, palaceData }
     });
 
     if (Number.isInteger(majorCycleBranchIndex)) {
-        setMajorCycleMingLabel(majorCycleBranchIndex);
+        setMajorCycleMingLabel(state, majorCycleBranchIndex);
     }
 }
 
 /**
  * Apply major cycle four-mutation badges based on cycle stem
+ * @param {Object} state Chart state from createChartState()
  * @param {string} cycleStem Heavenly stem character of the major cycle palace
  */
-function applyMajorCycleMutations(cycleStem) {
-    clearMajorCycleMutations();
+function applyMajorCycleMutations(state, cycleStem) {
+    clearMajorCycleMutations(state);
 
     if (!cycleStem) {
         return;
@@ -276,14 +332,14 @@ function applyMajorCycleMutations(cycleStem) {
         return;
     }
 
-    const mutationsData = mutationsModule.calculateMajorCycleMutations(cycleStem);
+    const mutationsData = mutationsModule.calculateMajorCycleMutations(cycleStem, state.adapter.settings);
     if (!mutationsData || !mutationsData.byStar) {
         return;
     }
 
     // Use reverse index for O(mutations) complexity instead of O(mutations × palaces × stars)
     Object.entries(mutationsData.byStar).forEach(([starName, mutationType]) => {
-        const groupList = starElementIndex.get(starName);
+        const groupList = state.starElementIndex.get(starName);
         if (!groupList) return;
 
         groupList.forEach((groupEl) => {
@@ -312,8 +368,8 @@ function applyMajorCycleMutations(cycleStem) {
     });
 }
 
-function applyAnnualCycleMutations(stemChar) {
-    clearAnnualCycleMutations();
+function applyAnnualCycleMutations(state, stemChar) {
+    clearAnnualCycleMutations(state);
 
     if (!stemChar) {
         return;
@@ -325,14 +381,14 @@ function applyAnnualCycleMutations(stemChar) {
         return;
     }
 
-    const mutationsData = mutationsModule.calculateAnnualCycleMutations(stemChar);
+    const mutationsData = mutationsModule.calculateAnnualCycleMutations(stemChar, state.adapter.settings);
     if (!mutationsData || !mutationsData.byStar) {
         return;
     }
 
     // Use reverse index for O(mutations) complexity instead of O(mutations × palaces × stars)
     Object.entries(mutationsData.byStar).forEach(([starName, mutationType]) => {
-        const groupList = starElementIndex.get(starName);
+        const groupList = state.starElementIndex.get(starName);
         if (!groupList) return;
 
         groupList.forEach((groupEl) => {
@@ -361,15 +417,68 @@ function applyAnnualCycleMutations(stemChar) {
     });
 }
 
+/**
+ * Apply monthly cycle four-mutation badges (流月四化) based on month stem
+ * @param {Object} state Chart state from createChartState()
+ * @param {string} stemChar Heavenly stem character of the monthly cycle
+ */
+function applyMonthlyCycleMutations(state, stemChar) {
+    clearMonthlyCycleMutations(state);
+
+    if (!stemChar) {
+        return;
+    }
+
+    const mutationsModule = getAdapterModule('mutations');
+    if (!mutationsModule || typeof mutationsModule.calculateMonthlyCycleMutations !== 'function') {
+        return;
+    }
+
+    const mutationsData = mutationsModule.calculateMonthlyCycleMutations(stemChar, state.adapter.settings);
+    if (!mutationsData || !mutationsData.byStar) {
+        return;
+    }
+
+    Object.entries(mutationsData.byStar).forEach(([starName, mutationType]) => {
+        const groupList = state.starElementIndex.get(starName);
+        if (!groupList) return;
+
+        groupList.forEach((groupEl) => {
+            const wrapper = ensureMutationWrapper(groupEl);
+            if (!wrapper) {
+                return;
+            }
+
+            const mutationMonthlyEl = wrapper.querySelector('.ziwei-mutation-monthly');
+            if (!mutationMonthlyEl) {
+                return;
+            }
+
+            mutationMonthlyEl.textContent = mutationType;
+            mutationMonthlyEl.style.visibility = 'visible';
+            mutationMonthlyEl.dataset.mutationRole = 'monthly-cycle';
+
+            const starMutationBox = groupEl.querySelector('.ziwei-star-mutation-box');
+            if (starMutationBox) {
+                starMutationBox.classList.add('ziwei-with-mutation');
+            }
+
+            groupEl.classList.add('ziwei-star-with-mutation');
+            groupEl.classList.remove('ziwei-star-no-mutation');
+        });
+    });
+}
+
 /**
  * Display annual cycle stars (流曜) in all palace cells
  * Adds "流曜" stars alongside existing major cycle stars without clearing them
+ * @param {Object} state Chart state from createChartState()
  * @param {Object} options Annual cycle render options
  * @param {number} [options.age] Age during this annual cycle
  * @param {number} [options.year] Lunar year
  * @param {number} [options.branchIndex] Earthly branch index of the annual palace (0-11)
  */
-function showAnnualCycleStars({ age, year, branchIndex, stemChar, timeIndex } = {}) {
+function showAnnualCycleStars(state, { age, year, branchIndex, stemChar, timeIndex } = {}) {
     let annualCycleStars = {};
     const branchIdx = Number.isInteger(branchIndex) ? branchIndex : Number(branchIndex);
     const majorCycleModule = getAdapterModule('majorCycleStars');
@@ -407,7 +516,7 @@ function showAnnualCycleStars({ age, year, branchIndex, stemChar, timeIndex } =
         palaceBuckets.get(palaceIdx).push(starLabel);
     }
 
-    Object.entries(cycleDisplayRegistry).forEach(([palaceBranchIndex, elements]) => {
+    Object.entries(state.cycleDisplayRegistry).forEach(([palaceBranchIndex, elements]) => {
         if (!elements) return;
         const { major, annual, wrapper } = elements;
         const branchNum = Number(palaceBranchIndex);
@@ -443,17 +552,201 @@ function showAnnualCycleStars({ age, year, branchIndex, stemChar, timeIndex } =
     });
 
     if (Number.isInteger(branchIdx) && branchIdx >= 0 && branchIdx < NUMERIC.PALACES_COUNT) {
-        setAnnualCycleMingLabel(branchIdx);
+        setAnnualCycleMingLabel(state, branchIdx);
+    }
+}
+
+/**
+ * Apply a drill-down layer's four-mutation badges (流日/流時四化)
+ * @param {Object} state Chart state from createChartState()
+ * @param {string} layerName Key of CYCLE_LAYERS ('daily' or 'hourly')
+ * @param {string} stemChar Heavenly stem character of the day/hour
+ */
+function applyCycleLayerMutations(state, layerName, stemChar) {
+    const layer = CYCLE_LAYERS[layerName];
+    if (!layer) {
+        return;
+    }
+
+    clearMutationsByRole(state, layer.role);
+
+    if (!stemChar) {
+        return;
+    }
+
+    const mutationsModule = getAdapterModule('mutations');
+    if (!mutationsModule || typeof mutationsModule[layer.mutationFn] !== 'function') {
+        return;
+    }
+
+    const mutationsData = mutationsModule[layer.mutationFn](stemChar, state.adapter.settings);
+    if (!mutationsData || !mutationsData.byStar) {
+        return;
+    }
+
+    Object.entries(mutationsData.byStar).forEach(([starName, mutationType]) => {
+        const groupList = state.starElementIndex.get(starName);
+        if (!groupList) return;
+
+        groupList.forEach((groupEl) => {
+            const wrapper = ensureMutationWrapper(groupEl);
+            const mutationEl = wrapper?.querySelector(`.${layer.mutationClass}`);
+            if (!mutationEl) {
+                return;
+            }
+
+            mutationEl.textContent = mutationType;
+            mutationEl.style.visibility = 'visible';
+            mutationEl.dataset.mutationRole = layer.role;
+
+            const starMutationBox = groupEl.querySelector('.ziwei-star-mutation-box');
+            if (starMutationBox) {
+                starMutationBox.classList.add('ziwei-with-mutation');
+            }
+
+            groupEl.classList.add('ziwei-star-with-mutation');
+            groupEl.classList.remove('ziwei-star-no-mutation');
+        });
+    });
+}
+
+/**
+ * Remove a drill-down layer's mutation badges
+ * @param {Object} state Chart state from createChartState()
+ * @param {string} layerName Key of CYCLE_LAYERS ('daily' or 'hourly')
+ */
+function clearCycleLayerMutations(state, layerName) {
+    const layer = CYCLE_LAYERS[layerName];
+    if (layer) {
+        clearMutationsByRole(state, layer.role);
     }
 }
 
-function clearMajorMingLabel() {
-    if (!Number.isInteger(currentMajorCycleMingIndex)) {
-        currentMajorCycleMingIndex = null;
+/**
+ * Mark self-mutated stars (自化) below the star name
+ * @param {Object} state Chart state from createChartState()
+ * @param {Array} selfMutations Entries of { star, type } from mutations.calculateSelfMutations
+ */
+function applySelfMutationMarks(state, selfMutations) {
+    clearSelfMutationMarks(state);
+
+    if (!Array.isArray(selfMutations)) {
         return;
     }
 
-    const record = cycleDisplayRegistry[currentMajorCycleMingIndex];
+    selfMutations.forEach(({ star, type }) => {
+        const groupList = state.starElementIndex.get(star);
+        if (!groupList) return;
+
+        groupList.forEach((groupEl) => {
+            const markEl = document.createElement('div');
+            markEl.className = 'ziwei-self-mutation';
+            markEl.dataset.selfMutation = type;
+            markEl.textContent = `自${type}`;
+            groupEl.appendChild(markEl);
+        });
+    });
+}
+
+/**
+ * Remove all self-mutation (自化) marks
+ * @param {Object} state Chart state from createChartState()
+ */
+function clearSelfMutationMarks(state) {
+    state.starElementIndex.forEach((groupList) => {
+        groupList.forEach((groupEl) => {
+            groupEl.querySelectorAll('.ziwei-self-mutation').forEach(el => el.remove());
+        });
+    });
+}
+
+/**
+ * Display monthly cycle stars (月曜) alongside major/annual cycle stars
+ * @param {Object} state Chart state from createChartState()
+ * @param {Object} options Monthly cycle render options
+ * @param {number} [options.palaceIndex] Palace index of the monthly cycle (流月命宮, 0-11)
+ * @param {number} [options.branchIndex] Earthly branch index of the month itself (0-11)
+ * @param {string} [options.stemChar] Heavenly stem character of the month
+ * @param {number} [options.timeIndex] Birth time index (0-11)
+ */
+function showMonthlyCycleStars(state, { palaceIndex, branchIndex, stemChar, timeIndex } = {}) {
+    let monthlyCycleStars = {};
+    const majorCycleModule = getAdapterModule('majorCycleStars');
+
+    if (majorCycleModule && typeof majorCycleModule.calculateAllMajorCycleStars === 'function') {
+        const stemIndex = stemChar
+            ? majorCycleModule.stemCharToIndex(stemChar)
+            : -1;
+        if (stemIndex >= 0 && Number.isInteger(branchIndex)) {
+            const rawStars = majorCycleModule.calculateAllMajorCycleStars(
+                stemIndex,
+                branchIndex,
+                Number.isInteger(timeIndex) ? timeIndex : 0
+            );
+            monthlyCycleStars = Object.fromEntries(
+                Object.entries(rawStars).map(([starName, palace]) => {
+                    const label = starName.startsWith('大')
+                        ? starName.replace(/^大/, '月')
+                        : `月${starName}`;
+                    return [label, palace];
+                })
+            );
+        }
+    }
+
+    const palaceBuckets = new Map();
+    for (const [starLabel, palaceIdx] of Object.entries(monthlyCycleStars)) {
+        if (!palaceBuckets.has(palaceIdx)) {
+            palaceBuckets.set(palaceIdx, []);
+        }
+        palaceBuckets.get(palaceIdx).push(starLabel);
+    }
+
+    Object.entries(state.cycleDisplayRegistry).forEach(([palaceBranchIndex, elements]) => {
+        const wrapper = elements?.wrapper;
+        if (!wrapper) return;
+
+        wrapper.querySelectorAll('[data-role="monthly-cycle"]').forEach(n => n.remove());
+
+        const starsInPalace = palaceBuckets.get(Number(palaceBranchIndex)) || [];
+        if (starsInPalace.length > 0) {
+            const frag = document.createDocumentFragment();
+            starsInPalace.forEach((label) => {
+                const el = document.createElement('div');
+                el.className = 'ziwei-monthly-cycle-star';
+                el.dataset.role = 'monthly-cycle';
+                el.textContent = label;
+                frag.appendChild(el);
+            });
+            wrapper.appendChild(frag);
+        }
+    });
+
+    if (Number.isInteger(palaceIndex) && palaceIndex >= 0 && palaceIndex < NUMERIC.PALACES_COUNT) {
+        setMonthlyCycleMingLabel(state, palaceIndex);
+    }
+}
+
+/**
+ * Remove monthly cycle stars (月曜) from all palace cells
+ * @param {Object} state Chart state from createChartState()
+ */
+function clearMonthlyCycleStars(state) {
+    Object.values(state.cycleDisplayRegistry).forEach((elements) => {
+        const wrapper = elements?.wrapper;
+        if (wrapper) {
+            wrapper.querySelectorAll('[data-role="monthly-cycle"]').forEach(n => n.remove());
+        }
+    });
+}
+
+function clearMajorMingLabel(state) {
+    if (!Number.isInteger(state.currentMajorCycleMingIndex)) {
+        state.currentMajorCycleMingIndex = null;
+        return;
+    }
+
+    const record = state.cycleDisplayRegistry[state.currentMajorCycleMingIndex];
     const container = record?.palaceContainer;
     if (container) {
         const label = container.querySelector('[data-role="major-cycle-ming"]');
@@ -462,17 +755,17 @@ function clearMajorMingLabel() {
         }
     }
 
-    currentMajorCycleMingIndex = null;
+    state.currentMajorCycleMingIndex = null;
 }
 
-function setMajorCycleMingLabel(branchIndex) {
+function setMajorCycleMingLabel(state, branchIndex) {
     if (!Number.isInteger(branchIndex) || branchIndex < 0 || branchIndex > 11) {
         return;
     }
 
-    clearMajorMingLabel();
+    clearMajorMingLabel(state);
 
-    const record = cycleDisplayRegistry[branchIndex];
+    const record = state.cycleDisplayRegistry[branchIndex];
     const container = record?.palaceContainer;
     if (!container) {
         return;
@@ -489,16 +782,16 @@ function setMajorCycleMingLabel(branchIndex) {
     tag.textContent = '大命';
     container.prepend(tag);
 
-    currentMajorCycleMingIndex = branchIndex;
+    state.currentMajorCycleMingIndex = branchIndex;
 }
 
-function clearAnnualMingLabel() {
-    if (!Number.isInteger(currentAnnualCycleMingIndex)) {
-        currentAnnualCycleMingIndex = null;
+function clearAnnualMingLabel(state) {
+    if (!Number.isInteger(state.currentAnnualCycleMingIndex)) {
+        state.currentAnnualCycleMingIndex = null;
         return;
     }
 
-    const record = cycleDisplayRegistry[currentAnnualCycleMingIndex];
+    const record = state.cycleDisplayRegistry[state.currentAnnualCycleMingIndex];
     const container = record?.palaceContainer;
     if (container) {
         const label = container.querySelector('[data-role="annual-cycle-ming"]');
@@ -507,17 +800,17 @@ function clearAnnualMingLabel() {
         }
     }
 
-    currentAnnualCycleMingIndex = null;
+    state.currentAnnualCycleMingIndex = null;
 }
 
-function setAnnualCycleMingLabel(branchIndex) {
+function setAnnualCycleMingLabel(state, branchIndex) {
     if (!Number.isInteger(branchIndex) || branchIndex < 0 || branchIndex > 11) {
         return;
     }
 
-    clearAnnualMingLabel();
+    clearAnnualMingLabel(state);
 
-    const record = cycleDisplayRegistry[branchIndex];
+    const record = state.cycleDisplayRegistry[branchIndex];
     const container = record?.palaceContainer;
     if (!container) {
         return;
@@ -534,32 +827,169 @@ function setAnnualCycleMingLabel(branchIndex) {
     tag.textContent = '年命';
     container.prepend(tag);
 
-    currentAnnualCycleMingIndex = branchIndex;
+    state.currentAnnualCycleMingIndex = branchIndex;
+}
+
+function clearMinorLimitLabel(state) {
+    if (!Number.isInteger(state.currentMinorLimitIndex)) {
+        state.currentMinorLimitIndex = null;
+        return;
+    }
+
+    const record = state.cycleDisplayRegistry[state.currentMinorLimitIndex];
+    const container = record?.palaceContainer;
+    if (container) {
+        const label = container.querySelector('[data-role="minor-limit"]');
+        if (label) {
+            label.remove();
+        }
+    }
+
+    state.currentMinorLimitIndex = null;
+}
+
+/**
+ * Mark the palace governing the selected age's 小限
+ * @param {Object} state Chart state from createChartState()
+ * @param {number} branchIndex Palace branch index (0-11)
+ */
+function setMinorLimitLabel(state, branchIndex) {
+    if (!Number.isInteger(branchIndex) || branchIndex < 0 || branchIndex > 11) {
+        return;
+    }
+
+    clearMinorLimitLabel(state);
+
+    const record = state.cycleDisplayRegistry[branchIndex];
+    const container = record?.palaceContainer;
+    if (!container) {
+        return;
+    }
+
+    const tag = document.createElement('div');
+    tag.className = 'ziwei-palace-label ziwei-palace-tag ziwei-palace-tag-minor';
+    tag.setAttribute('data-role', 'minor-limit');
+    tag.textContent = '小限';
+    container.prepend(tag);
+
+    state.currentMinorLimitIndex = branchIndex;
+}
+
+function clearMonthlyMingLabel(state) {
+    if (!Number.isInteger(state.currentMonthlyCycleMingIndex)) {
+        state.currentMonthlyCycleMingIndex = null;
+        return;
+    }
+
+    const record = state.cycleDisplayRegistry[state.currentMonthlyCycleMingIndex];
+    const container = record?.palaceContainer;
+    if (container) {
+        const label = container.querySelector('[data-role="monthly-cycle-ming"]');
+        if (label) {
+            label.remove();
+        }
+    }
+
+    state.currentMonthlyCycleMingIndex = null;
+}
+
+function setMonthlyCycleMingLabel(state, branchIndex) {
+    if (!Number.isInteger(branchIndex) || branchIndex < 0 || branchIndex > 11) {
+        return;
+    }
+
+    clearMonthlyMingLabel(state);
+
+    const record = state.cycleDisplayRegistry[branchIndex];
+    const container = record?.palaceContainer;
+    if (!container) {
+        return;
+    }
+
+    const tag = document.createElement('div');
+    tag.className = 'ziwei-palace-label ziwei-palace-tag ziwei-palace-tag-monthly';
+    tag.setAttribute('data-role', 'monthly-cycle-ming');
+    tag.textContent = '月命';
+    container.prepend(tag);
+
+    state.currentMonthlyCycleMingIndex = branchIndex;
+}
+
+/**
+ * Remove a drill-down layer's 命 label (日命/時命)
+ * @param {Object} state Chart state from createChartState()
+ * @param {string} layerName Key of CYCLE_LAYERS ('daily' or 'hourly')
+ */
+function clearCycleLayerMingLabel(state, layerName) {
+    const layer = CYCLE_LAYERS[layerName];
+    if (!layer) {
+        return;
+    }
+
+    const currentIndex = state.cycleLayerMingIndex[layerName];
+    if (Number.isInteger(currentIndex)) {
+        const container = state.cycleDisplayRegistry[currentIndex]?.palaceContainer;
+        const label = container?.querySelector(`[data-role="${layer.mingRole}"]`);
+        if (label) {
+            label.remove();
+        }
+    }
+
+    state.cycleLayerMingIndex[layerName] = null;
+}
+
+/**
+ * Move a drill-down layer's 命 label (日命/時命) to the given palace
+ * @param {Object} state Chart state from createChartState()
+ * @param {string} layerName Key of CYCLE_LAYERS ('daily' or 'hourly')
+ * @param {number} branchIndex Palace branch index (0-11)
+ */
+function setCycleLayerMingLabel(state, layerName, branchIndex) {
+    const layer = CYCLE_LAYERS[layerName];
+    if (!layer || !Number.isInteger(branchIndex) || branchIndex < 0 || branchIndex > 11) {
+        return;
+    }
+
+    clearCycleLayerMingLabel(state, layerName);
+
+    const container = state.cycleDisplayRegistry[branchIndex]?.palaceContainer;
+    if (!container) {
+        return;
+    }
+
+    const tag = document.createElement('div');
+    tag.className = `ziwei-palace-label ziwei-palace-tag ${layer.tagClass}`;
+    tag.setAttribute('data-role', layer.mingRole);
+    tag.textContent = layer.mingText;
+    container.prepend(tag);
+
+    state.cycleLayerMingIndex[layerName] = branchIndex;
 }
 
 /**
  * Set a clockwise sequence of major-cycle labels starting from a given palace branch index.
  * Labels array should contain up to 12 strings. The first label will be placed at startBranchIndex,
  * the next at (start+1) mod 12, and so on.
+ * @param {Object} state Chart state from createChartState()
  * @param {number} startBranchIndex
  * @param {Array<string>} labelsArray
  */
-function setMajorCycleLabels(startBranchIndex, labelsArray) {
+function setMajorCycleLabels(state, startBranchIndex, labelsArray) {
     if (!Number.isInteger(startBranchIndex) || startBranchIndex < 0 || startBranchIndex > 11) return;
     if (!Array.isArray(labelsArray) || labelsArray.length === 0) return;
 
     // Clear any previously placed major-cycle sequence labels first
-    clearMajorCycleLabels();
+    clearMajorCycleLabels(state);
     labelsArray.forEach((labelText, i) => {
         const targetIndex = (startBranchIndex + i) % 12;
-        const record = cycleDisplayRegistry[targetIndex];
+        const record = state.cycleDisplayRegistry[targetIndex];
         const container = record?.palaceContainer;
         if (!container) return;
 
         // For the first label (index 0) prefer the existing major-cycle-ming tag
         if (i === 0) {
             // Ensure the canonical major-cycle-ming label exists and has correct text
-            setMajorCycleMingLabel(targetIndex);
+            setMajorCycleMingLabel(state, targetIndex);
             // Update text if different
             const existing = container.querySelector('[data-role="major-cycle-ming"]');
             if (existing && existing.textContent !== labelText) {
@@ -581,14 +1011,15 @@ function setMajorCycleLabels(startBranchIndex, labelsArray) {
     });
 
     // Keep track of the first major cycle palace (大命) index for compatibility with other helpers
-    currentMajorCycleMingIndex = startBranchIndex;
+    state.currentMajorCycleMingIndex = startBranchIndex;
 }
 
 /**
  * Clear any major-cycle sequence labels inserted by setMajorCycleLabels
+ * @param {Object} state Chart state from createChartState()
  */
-function clearMajorCycleLabels() {
-    Object.values(cycleDisplayRegistry).forEach((record) => {
+function clearMajorCycleLabels(state) {
+    Object.values(state.cycleDisplayRegistry).forEach((record) => {
         const container = record?.palaceContainer;
         if (!container) return;
         const nodes = container.querySelectorAll('[data-role^="major-cycle-label-"]');
@@ -600,20 +1031,21 @@ function clearMajorCycleLabels() {
  * Set an ordered sequence of annual-cycle labels (skip the main 年命 palace).
  * labelsArray should contain labels in clockwise order excluding the main '年命'.
  * They will be placed starting at startBranchIndex+1, +2, ...
+ * @param {Object} state Chart state from createChartState()
  * @param {number} startBranchIndex
  * @param {Array<string>} labelsArray
  */
-function setAnnualCycleLabels(startBranchIndex, labelsArray) {
+function setAnnualCycleLabels(state, startBranchIndex, labelsArray) {
     if (!Number.isInteger(startBranchIndex) || startBranchIndex < 0 || startBranchIndex > 11) return;
     if (!Array.isArray(labelsArray) || labelsArray.length === 0) return;
 
     // Clear any previous annual labels
-    clearAnnualCycleLabels();
+    clearAnnualCycleLabels(state);
 
     labelsArray.forEach((labelText, i) => {
         // Place labels starting at the next palace clockwise (skip the main annual Ming palace 年命)
         const targetIndex = (startBranchIndex + 1 + i) % 12;
-        const record = cycleDisplayRegistry[targetIndex];
+        const record = state.cycleDisplayRegistry[targetIndex];
         const container = record?.palaceContainer;
         if (!container) return;
 
@@ -631,9 +1063,10 @@ function setAnnualCycleLabels(startBranchIndex, labelsArray) {
 
 /**
  * Clear any annual-cycle sequence labels inserted by setAnnualCycleLabels
+ * @param {Object} state Chart state from createChartState()
  */
-function clearAnnualCycleLabels() {
-    Object.values(cycleDisplayRegistry).forEach((record) => {
+function clearAnnualCycleLabels(state) {
+    Object.values(state.cycleDisplayRegistry).forEach((record) => {
         const container = record?.palaceContainer;
         if (!container) return;
         const nodes = container.querySelectorAll('[data-role^="annual-cycle-label-"]');
@@ -641,28 +1074,73 @@ function clearAnnualCycleLabels() {
     });
 }
 
+/**
+ * Set an ordered sequence of monthly-cycle labels (skip the main 月命 palace).
+ * Mirrors setAnnualCycleLabels: labels are placed starting at startBranchIndex+1, +2, ...
+ * @param {Object} state Chart state from createChartState()
+ * @param {number} startBranchIndex
+ * @param {Array<string>} labelsArray
+ */
+function setMonthlyCycleLabels(state, startBranchIndex, labelsArray) {
+    if (!Number.isInteger(startBranchIndex) || startBranchIndex < 0 || startBranchIndex > 11) return;
+    if (!Array.isArray(labelsArray) || labelsArray.length === 0) return;
+
+    clearMonthlyCycleLabels(state);
+
+    labelsArray.forEach((labelText, i) => {
+        const targetIndex = (startBranchIndex + 1 + i) % 12;
+        const record = state.cycleDisplayRegistry[targetIndex];
+        const container = record?.palaceContainer;
+        if (!container) return;
+
+        const roleName = `monthly-cycle-label-${i}`;
+        const existing = container.querySelector(`[data-role="${roleName}"]`);
+        if (existing) existing.remove();
+
+        const tag = document.createElement('div');
+        tag.className = 'ziwei-palace-label ziwei-palace-tag ziwei-palace-tag-monthly';
+        tag.setAttribute('data-role', roleName);
+        tag.textContent = labelText;
+        container.prepend(tag);
+    });
+}
+
+/**
+ * Clear any monthly-cycle sequence labels inserted by setMonthlyCycleLabels
+ * @param {Object} state Chart state from createChartState()
+ */
+function clearMonthlyCycleLabels(state) {
+    Object.values(state.cycleDisplayRegistry).forEach((record) => {
+        const container = record?.palaceContainer;
+        if (!container) return;
+        const nodes = container.querySelectorAll('[data-role^="monthly-cycle-label-"]');
+        nodes.forEach((n) => n.remove());
+    });
+}
+
 /**
  * Register star group DOM element for later mutation augmentation
+ * @param {Object} state Chart state from createChartState()
  * @param {number} branchIndex Palace branch index (0-11)
  * @param {string} starName Star name
  * @param {HTMLElement} groupEl DOM element containing the star block
  */
-function registerStarGroup(branchIndex, starName, groupEl) {
-    if (!starMutationRegistry[branchIndex]) {
-        starMutationRegistry[branchIndex] = {};
+function registerStarGroup(state, branchIndex, starName, groupEl) {
+    if (!state.starMutationRegistry[branchIndex]) {
+        state.starMutationRegistry[branchIndex] = {};
     }
 
-    if (!starMutationRegistry[branchIndex][starName]) {
-        starMutationRegistry[branchIndex][starName] = [];
+    if (!state.starMutationRegistry[branchIndex][starName]) {
+        state.starMutationRegistry[branchIndex][starName] = [];
     }
 
-    starMutationRegistry[branchIndex][starName].push(groupEl);
+    state.starMutationRegistry[branchIndex][starName].push(groupEl);
     
     // Also populate reverse index for fast mutation lookups
-    if (!starElementIndex.has(starName)) {
-        starElementIndex.set(starName, []);
+    if (!state.starElementIndex.has(starName)) {
+        state.starElementIndex.set(starName, []);
     }
-    starElementIndex.get(starName).push(groupEl);
+    state.starElementIndex.get(starName).push(groupEl);
 }
 
 /**
@@ -707,6 +1185,10 @@ function ensureMutationWrapper(groupEl) {
     wrapper.appendChild(createMutationSlot('ziwei-mutation ziwei-mutation-birth'));
     wrapper.appendChild(createMutationSlot('ziwei-mutation ziwei-mutation-major'));
     wrapper.appendChild(createMutationSlot('ziwei-mutation ziwei-mutation-annual'));
+    wrapper.appendChild(createMutationSlot('ziwei-mutation ziwei-mutation-monthly'));
+    Object.values(CYCLE_LAYERS).forEach((layer) => {
+        wrapper.appendChild(createMutationSlot(`ziwei-mutation ${layer.mutationClass}`));
+    });
 
     starMutationBox.appendChild(wrapper);
     return wrapper;
@@ -720,10 +1202,11 @@ function ensureMutationWrapper(groupEl) {
  * @param {string|null} mutationBirth Birth year mutation character (生年四化) or null
  * @param {string|null} mutationMajor Major cycle mutation character (大限四化) or null
  * @param {string|null} mutationAnnual Annual cycle mutation character (流年四化) or null
+ * @param {string|null} mutationMonthly Monthly cycle mutation character (流月四化) or null
  * @param {string} brightness Brightness indicator character (廟/旺/利/平/陷) or empty string
  * @returns {HTMLElement} The constructed star group element
  */
-function createStarGroupElement(starName, starClass, mutationBirth, mutationMajor, mutationAnnual, brightness = '') {
+function createStarGroupElement(starName, starClass, mutationBirth, mutationMajor, mutationAnnual, mutationMonthly, brightness = '') {
     const groupEl = document.createElement('div');
     groupEl.className = 'ziwei-star-mutation-group';
 
@@ -741,7 +1224,10 @@ function createStarGroupElement(starName, starClass, mutationBirth, mutationMajo
     const mutationConfig = [
         { className: 'ziwei-mutation ziwei-mutation-birth', value: mutationBirth, role: 'birth-year' },
         { className: 'ziwei-mutation ziwei-mutation-major', value: mutationMajor, role: 'major-cycle' },
-        { className: 'ziwei-mutation ziwei-mutation-annual', value: mutationAnnual, role: 'annual-cycle' }
+        { className: 'ziwei-mutation ziwei-mutation-annual', value: mutationAnnual, role: 'annual-cycle' },
+        { className: 'ziwei-mutation ziwei-mutation-monthly', value: mutationMonthly, role: 'monthly-cycle' },
+        // Drill-down layers are only applied on demand, so their slots start empty
+        ...Object.values(CYCLE_LAYERS).map(layer => ({ className: `ziwei-mutation ${layer.mutationClass}`, value: null, role: layer.role }))
     ];
 
     if (mutationConfig.some(config => Boolean(config.value))) {
@@ -807,6 +1293,7 @@ function failAndAbort(message) {
  * Performance: O(n) where n = total star entries, but only matching stars are appended.
  * All DOM writes batched into single appendChild(fragment) operation.
  * 
+ * @param {Object} state Chart state from createChartState()
  * @param {HTMLElement} container Shared container element for all palace's stars
  * @param {Object} starsData Mapping: {starName -> palaceIndex} from calculation modules
  * @param {number} branchIndex Current palace branch index (0-11) to filter stars
@@ -814,9 +1301,10 @@ function failAndAbort(message) {
  * @param {Object} mutationBirthLookup Map: {starName -> birthMutationType} for 生年四化
  * @param {Object} mutationMajorLookup Map: {starName -> majorMutationType} for 大限四化
  * @param {Object} mutationAnnualLookup Map: {starName -> annualMutationType} for 流年四化
+ * @param {Object} mutationMonthlyLookup Map: {starName -> monthlyMutationType} for 流月四化
  * @param {Object} brightnessData Mapping for brightness display
  */
-function appendStarsToContainer(container, starsData, branchIndex, starClass, mutationBirthLookup, mutationMajorLookup, mutationAnnualLookup, brightnessData = {}) {
+function appendStarsToContainer(state, container, starsData, branchIndex, starClass, mutationBirthLookup, mutationMajorLookup, mutationAnnualLookup, mutationMonthlyLookup, brightnessData = {}) {
     if (!starsData || !container) return;
 
     // Use DocumentFragment to batch DOM operations: build tree, then single appendChild()
@@ -835,10 +1323,11 @@ function appendStarsToContainer(container, starsData, branchIndex, starClass, mu
         const mutationBirth = mutationBirthLookup?.[starName] || null;
         const mutationMajor = mutationMajorLookup?.[starName] || null;
         const mutationAnnual = mutationAnnualLookup?.[starName] || null;
+        const mutationMonthly = mutationMonthlyLookup?.[starName] || null;
         const brightness = brightnessData[starName]?.brightness || '';
-        const starGroupEl = createStarGroupElement(starName, starClass, mutationBirth, mutationMajor, mutationAnnual, brightness);
+        const starGroupEl = createStarGroupElement(starName, starClass, mutationBirth, mutationMajor, mutationAnnual, mutationMonthly, brightness);
         frag.appendChild(starGroupEl);
-        registerStarGroup(branchIndex, starName, starGroupEl);
+        registerStarGroup(state, branchIndex, starName, starGroupEl);
     });
     
     if (frag.childNodes.length > 0) {
@@ -868,6 +1357,8 @@ function draw(context) {
     if (!adapter || !adapter.normalizeInput || !adapter.calculate) {
         throw new Error('資料轉換模組尚未載入，無法繪製命盤');
     }
+    // Chart instance (see ziweiAdapter.createInstance); the form's chart uses the adapter itself
+    const chartAdapter = (context && context.adapter) || adapter;
 
     const isAdapterError = adapter.errors?.isAdapterError;
 
@@ -891,9 +1382,8 @@ function draw(context) {
     grid.className = 'ziwei-4x4-grid';
     // grid.style.opacity = '0';  // Temporarily disabled for debugging
 
-    clearMajorCycleStars();
-    clearMajorCycleMutations();
-    resetCycleRegistries();
+    const state = createChartState(chartAdapter);
+    chartStates.set(grid, state);
 
     const meta = adapterOutput.meta || {};
     const sections = adapterOutput.sections || {};
@@ -944,8 +1434,6 @@ function draw(context) {
         failAndAbort('神煞計算失敗：無法取得神煞或太歲資料');
     }
 
-    lastPalaceDataRef = palaces;
-
     const minorStarsBuckets = Array.from({ length: NUMERIC.PALACES_COUNT }, () => []);
     if (minorStars && typeof minorStars === 'object') {
         Object.entries(minorStars).forEach(([starName, placement]) => {
@@ -963,10 +1451,13 @@ function draw(context) {
 
     const majorCycles = Array.isArray(lifeCycles.major) ? lifeCycles.major : [];
     const twelveLongLifePositions = lifeCycles.twelve || {};
+    const minorLimits = Array.isArray(lifeCycles.minor) ? lifeCycles.minor : [];
 
     const lifeCyclePayload = {
         majorCycles,
         twelveLongLifePositions,
+        minorLimits,
+        monthIndex: adapterOutput.indices?.monthIndex ?? null,
         nayinLoci: nayinInfo.loci,
         mingPalaceIndex: derived.mingPalace ? derived.mingPalace.index : null,
         palaceData: palaces,
@@ -987,6 +1478,7 @@ function draw(context) {
                 continue;
             }
             grid.appendChild(createPalaceCell(
+                state,
                 row,
                 col,
                 palaces,
@@ -1015,10 +1507,14 @@ function draw(context) {
     const chartWrapper = document.createElement('div');
     chartWrapper.className = 'ziwei-chart-wrapper';
     chartWrapper.setAttribute('data-ziwei-chart', '1');
+    if (chartAdapter !== adapter && typeof adapter.bindElement === 'function') {
+        // Lets cycles.js and palace-interaction.js find this chart's storage before it is mounted
+        adapter.bindElement(chartWrapper, chartAdapter);
+    }
     
-    const adapterSettings = window.ziweiAdapter && window.ziweiAdapter.settings;
-    const brightnessSetting = adapterSettings && typeof adapterSettings.get === 'function'
-        ? adapterSettings.get('starBrightness') || 'hidden'
+    const chartSettings = chartAdapter.settings;
+    const brightnessSetting = chartSettings && typeof chartSettings.get === 'function'
+        ? chartSettings.get('starBrightness') || 'hidden'
         : 'hidden';
     chartWrapper.setAttribute('data-star-brightness', brightnessSetting);
     
@@ -1026,13 +1522,13 @@ function draw(context) {
     chartWrapper.appendChild(grid);
 
     // Store in adapter using centralized keys
-    if (adapter?.storage?.set) {
-        adapter.storage.set(ADAPTER_KEYS.ADAPTER_OUTPUT, adapterOutput);
+    if (chartAdapter?.storage?.set) {
+        chartAdapter.storage.set(ADAPTER_KEYS.ADAPTER_OUTPUT, adapterOutput);
         if (calcResult) {
-            adapter.storage.set(ADAPTER_KEYS.CALC_RESULT, calcResult);
+            chartAdapter.storage.set(ADAPTER_KEYS.CALC_RESULT, calcResult);
         }
-        adapter.storage.set(ADAPTER_KEYS.META, Object.assign({}, meta, { lunar: adapterOutput.lunar }));
-        adapter.storage.set(ADAPTER_KEYS.NORMALIZED_INPUT, adapterOutput.normalized || {});
+        chartAdapter.storage.set(ADAPTER_KEYS.META, Object.assign({}, meta, { lunar: adapterOutput.lunar }));
+        chartAdapter.storage.set(ADAPTER_KEYS.NORMALIZED_INPUT, adapterOutput.normalized || {});
     }
 
     const palaceInteraction = window.initializePalaceInteraction
@@ -1055,6 +1551,10 @@ function draw(context) {
     
     // Star brightness setting
     document.addEventListener('ziwei-starBrightness-changed', function handleStarBrightnessChange(e) {
+        // The settings panel belongs to the form's chart; instance charts keep their own settings
+        if (chartAdapter !== adapter) {
+            return;
+        }
         // Skip chart updates in AI mode
         const aiModeActive = isAiModeActive();
         console.log('[ziweiChart] Star brightness event received, AI mode active:', aiModeActive);
@@ -1067,12 +1567,7 @@ function draw(context) {
         const brightnessValue = detail.value || 'hidden';
 
         // Update chart wrapper's data attribute for CSS-driven visibility
-        let chart = document.querySelector('[data-ziwei-chart]') ||
-                    document.querySelector('.ziwei-chart-wrapper');
-
-        if (chart) {
-            chart.setAttribute('data-star-brightness', brightnessValue);
-        }
+        chartWrapper.setAttribute('data-star-brightness', brightnessValue);
 
         if (window.ziweiCalData && window.ziweiCalData.env && window.ziweiCalData.env.isDebug) {
             console.log('[ziweiChart] Star brightness changed to:', brightnessValue);
@@ -1081,6 +1576,10 @@ function draw(context) {
 
     // XunKong (截空旬空 - void stars) setting
     document.addEventListener('ziwei-xunkong-changed', function handleXunKongChange(e) {
+        // The settings panel belongs to the form's chart; instance charts keep their own settings
+        if (chartAdapter !== adapter) {
+            return;
+        }
         // Skip chart updates in AI mode
         const aiModeActive = isAiModeActive();
         console.log('[ziweiChart] XunKong event received, AI mode active:', aiModeActive);
@@ -1096,7 +1595,7 @@ function draw(context) {
         chartWrapper.setAttribute('data-xunkong-mode', xunKongValue);
 
         // Find and update xunKong/jieKong minor star visibility
-        const allMinorStarElements = document.querySelectorAll('.ziwei-minor-star');
+        const allMinorStarElements = chartWrapper.querySelectorAll('.ziwei-minor-star');
         allMinorStarElements.forEach((element) => {
             const starName = element.textContent.trim();
             // Secondary void stars to hide when primaryOnly mode: 副旬、副截
@@ -1115,6 +1614,10 @@ function draw(context) {
     });
 
     document.addEventListener('ziwei-palace-name-changed', function handlePalaceNameChange(e) {
+        // The settings panel belongs to the form's chart; instance charts keep their own settings
+        if (chartAdapter !== adapter) {
+            return;
+        }
         // Skip chart updates in AI mode
         const aiModeActive = isAiModeActive();
         console.log('[ziweiChart] Palace name event received, AI mode active:', aiModeActive);
@@ -1167,7 +1670,7 @@ function draw(context) {
         }
 
         // Find all palace name elements and update those that match
-        const palaceNameElements = document.querySelectorAll('.ziwei-palace-name');
+        const palaceNameElements = chartWrapper.querySelectorAll('.ziwei-palace-name');
         let updated = false;
 
         palaceNameElements.forEach((el) => {
@@ -1331,6 +1834,22 @@ function createCenterCell(meta, palaceData = {}, lunarYear = 0, mingPalaceData =
         lunarEl.textContent = '農曆：資料缺失';
     }
 
+    // Daylight-saving notice, only when the adapter removed a clock offset
+    let timezoneNoticeEl = null;
+    if (meta.timezoneAdjustmentText) {
+        timezoneNoticeEl = document.createElement('div');
+        timezoneNoticeEl.className = 'ziwei-timezone-notice';
+        timezoneNoticeEl.textContent = meta.timezoneAdjustmentText;
+    }
+
+    // True solar time (真太陽時) line, only when the adapter applied a correction
+    let trueSolarEl = null;
+    if (meta.trueSolarTimeText) {
+        trueSolarEl = document.createElement('div');
+        trueSolarEl.className = 'ziwei-true-solar-time';
+        trueSolarEl.textContent = meta.trueSolarTimeText;
+    }
+
     // Master and Body Palace information
     let masterBodyEl = null;
     if (meta.lunar) {
@@ -1355,6 +1874,12 @@ function createCenterCell(meta, palaceData = {}, lunarYear = 0, mingPalaceData =
     // Append elements into left container in order (name + gender on top-left)
     left.appendChild(whenEl);
     left.appendChild(lunarEl);
+    if (timezoneNoticeEl) {
+        left.appendChild(timezoneNoticeEl);
+    }
+    if (trueSolarEl) {
+        left.appendChild(trueSolarEl);
+    }
     if (masterBodyEl) {
         left.appendChild(masterBodyEl);
     }
@@ -1386,8 +1911,9 @@ function createCenterCell(meta, palaceData = {}, lunarYear = 0, mingPalaceData =
  * Performance optimizations:
  * - minorStarsBuckets pre-indexes all minor stars by palace for O(1) lookup
  * - DocumentFragment used for batch appending (no individual DOM writes)
- * - starElementIndex registered for cycles.js to update dynamically
+ * - state.starElementIndex registered for cycles.js to update dynamically
  * 
+ * @param {Object} state Chart state from createChartState()
  * @param {number} row Row number (1-4) in 4×4 grid
  * @param {number} col Column number (1-4) in 4×4 grid
  * @param {Object} palaceData Palace position mapping from calculatePalacePositions: {0-11 -> {name, stem, branch...}}
@@ -1400,7 +1926,7 @@ function createCenterCell(meta, palaceData = {}, lunarYear = 0, mingPalaceData =
  * @param {boolean} hasPalaceData Fallback flag: log if false
  * @returns {HTMLElement} The complete palace cell div.ziwei-cell with data-branchIndex
  */
-function createPalaceCell(row, col, palaceData = {}, primaryStarsData = {}, secondaryStarsData = {}, lifeCycleData = {}, mutationsData = null, minorStarsBuckets = [], taiSuiStarsData = {}, hasPalaceData = false, primaryBrightnessData = {}, secondaryBrightnessData = {}) {
+function createPalaceCell(state, row, col, palaceData = {}, primaryStarsData = {}, secondaryStarsData = {}, lifeCycleData = {}, mutationsData = null, minorStarsBuckets = [], taiSuiStarsData = {}, hasPalaceData = false, primaryBrightnessData = {}, secondaryBrightnessData = {}) {
     const cell = document.createElement('div');
     cell.className = 'ziwei-cell';
     cell.style.gridColumnStart = String(col);
@@ -1409,10 +1935,11 @@ function createPalaceCell(row, col, palaceData = {}, primaryStarsData = {}, seco
     // Use module-level constant (with fallback already included)
     const branchIndex = GRID_BRANCH_MAP[row - 1]?.[col - 1];
     
-    // Prepare three separate mutation lookups for birth/major/annual cycles
+    // Prepare separate mutation lookups for birth/major/annual/monthly cycles
     const mutationBirthLookup = mutationsData?.byStar || {};
     const mutationMajorLookup = {};  // TODO: Will be populated when major cycle (大限四化) calculation is implemented
     const mutationAnnualLookup = {};  // TODO: Will be populated when annual cycle (流年四化) calculation is implemented
+    const mutationMonthlyLookup = {};  // Monthly cycle (流月四化) badges are applied on demand by applyMonthlyCycleMutations
 
     if (branchIndex >= 0) {
         cell.dataset.branchIndex = String(branchIndex);
@@ -1422,8 +1949,8 @@ function createPalaceCell(row, col, palaceData = {}, primaryStarsData = {}, seco
             const starsContainer = document.createElement('div');
             starsContainer.className = 'ziwei-stars-container';
 
-            appendStarsToContainer(starsContainer, primaryStarsData, branchIndex, 'ziwei-primary-star', mutationBirthLookup, mutationMajorLookup, mutationAnnualLookup, primaryBrightnessData);
-            appendStarsToContainer(starsContainer, secondaryStarsData, branchIndex, 'ziwei-secondary-star', mutationBirthLookup, mutationMajorLookup, mutationAnnualLookup, secondaryBrightnessData);
+            appendStarsToContainer(state, starsContainer, primaryStarsData, branchIndex, 'ziwei-primary-star', mutationBirthLookup, mutationMajorLookup, mutationAnnualLookup, mutationMonthlyLookup, primaryBrightnessData);
+            appendStarsToContainer(state, starsContainer, secondaryStarsData, branchIndex, 'ziwei-secondary-star', mutationBirthLookup, mutationMajorLookup, mutationAnnualLookup, mutationMonthlyLookup, secondaryBrightnessData);
 
             if (starsContainer.children.length > 0) {
                 cell.appendChild(starsContainer);
@@ -1438,10 +1965,10 @@ function createPalaceCell(row, col, palaceData = {}, primaryStarsData = {}, seco
                 const minorStarsGroup = document.createElement('div');
                 minorStarsGroup.className = 'ziwei-minor-stars-group';
 
-                // Get current xunKong setting to determine visibility
-                const adapter = window.ziweiAdapter;
-                const xunKongSetting = adapter && adapter.settings && typeof adapter.settings.get === 'function'
-                    ? adapter.settings.get('xunKong') || 'marked'
+                // Get the chart's xunKong setting to determine visibility
+                const chartSettings = state.adapter.settings;
+                const xunKongSetting = chartSettings && typeof chartSettings.get === 'function'
+                    ? chartSettings.get('xunKong') || 'marked'
                     : 'marked';
 
                 // Batch minor stars into DocumentFragment to minimize reflow for 43+ elements
@@ -1479,7 +2006,7 @@ function createPalaceCell(row, col, palaceData = {}, primaryStarsData = {}, seco
             cycleStarsWrapper.appendChild(annualCycleStarEl);
 
             cell.appendChild(cycleStarsWrapper);
-            cycleDisplayRegistry[branchIndex] = {
+            state.cycleDisplayRegistry[branchIndex] = {
                 major: majorCycleStarEl,
                 annual: annualCycleStarEl,
                 wrapper: cycleStarsWrapper
@@ -1500,12 +2027,12 @@ function createPalaceCell(row, col, palaceData = {}, primaryStarsData = {}, seco
             // Check by palace name (宮位名稱), not by index
             let displayName = palace.name;
             
-            // Check for palace name settings (palaceNameCareer, palaceNameFriends)
-            const adapter = window.ziweiAdapter;
-            if (adapter && adapter.settings && typeof adapter.settings.get === 'function') {
+            // Check for the chart's palace name settings (palaceNameCareer, palaceNameFriends)
+            const chartSettings = state.adapter.settings;
+            if (chartSettings && typeof chartSettings.get === 'function') {
                 // For 事業宮 (position 4 relative to Ming Palace)
                 if (palace.name === '事業') {
-                    const careerSetting = adapter.settings.get('palaceNameCareer') || 'career';
+                    const careerSetting = chartSettings.get('palaceNameCareer') || 'career';
                     const careerMapping = { career: '事業', official: '官祿' };
                     const selectedCareerName = careerMapping[careerSetting] || '事業';
                     // Check if this is also Shen Palace, apply combined name if needed
@@ -1519,7 +2046,7 @@ function createPalaceCell(row, col, palaceData = {}, primaryStarsData = {}, seco
                 // For 交友宮 (position 5 relative to Ming Palace)
                 // Note: Friends Palace cannot be Shen Palace per Ziwei system rules, so no Shen combination logic
                 else if (palace.name === '交友') {
-                    const friendsSetting = adapter.settings.get('palaceNameFriends') || 'friends';
+                    const friendsSetting = chartSettings.get('palaceNameFriends') || 'friends';
                     const friendsMapping = { friends: '交友', servants: '奴僕', servants_alt: '僕役' };
                     displayName = friendsMapping[friendsSetting] || '交友';
                 }
@@ -1532,8 +2059,8 @@ function createPalaceCell(row, col, palaceData = {}, primaryStarsData = {}, seco
             palaceContainer.appendChild(stemBranchEl);
             cell.appendChild(palaceContainer);
 
-            if (cycleDisplayRegistry[branchIndex]) {
-                cycleDisplayRegistry[branchIndex].palaceContainer = palaceContainer;
+            if (state.cycleDisplayRegistry[branchIndex]) {
+                state.cycleDisplayRegistry[branchIndex].palaceContainer = palaceContainer;
             }
 
             const attributesForPalace = getAttributesForPalace(branchIndex, taiSuiStarsData);
@@ -1599,24 +2126,71 @@ function createPalaceCell(row, col, palaceData = {}, primaryStarsData = {}, seco
 window.ziweiChart = window.ziweiChart || {};
 window.ziweiChart.draw = draw;
 
-// Helper functions consumed by cycles.js for interactive updates
-window.ziweiChartHelpers = window.ziweiChartHelpers || {};
-window.ziweiChartHelpers.showMajorCycleStars = showMajorCycleStars;
-window.ziweiChartHelpers.clearMajorCycleStars = clearMajorCycleStars;
-window.ziweiChartHelpers.applyMajorCycleMutations = applyMajorCycleMutations;
-window.ziweiChartHelpers.clearMajorCycleMutations = clearMajorCycleMutations;
-window.ziweiChartHelpers.clearMutationsByRole = clearMutationsByRole;
-window.ziweiChartHelpers.showAnnualCycleStars = showAnnualCycleStars;
-window.ziweiChartHelpers.applyAnnualCycleMutations = applyAnnualCycleMutations;
-window.ziweiChartHelpers.clearAnnualCycleMutations = clearAnnualCycleMutations;
-window.ziweiChartHelpers.clearMajorMingLabel = clearMajorMingLabel;
-window.ziweiChartHelpers.setMajorCycleMingLabel = setMajorCycleMingLabel;
-window.ziweiChartHelpers.clearAnnualMingLabel = clearAnnualMingLabel;
-window.ziweiChartHelpers.setAnnualCycleMingLabel = setAnnualCycleMingLabel;
-window.ziweiChartHelpers.setMajorCycleLabels = setMajorCycleLabels;
-window.ziweiChartHelpers.clearMajorCycleLabels = clearMajorCycleLabels;
-window.ziweiChartHelpers.setAnnualCycleLabels = setAnnualCycleLabels;
-window.ziweiChartHelpers.clearAnnualCycleLabels = clearAnnualCycleLabels;
+// Helper functions consumed by cycles.js for interactive updates; each takes
+// the chart state first, so callers reach them through forChart()
+const CHART_HELPERS = Object.freeze({
+    showMajorCycleStars,
+    clearMajorCycleStars,
+    applyMajorCycleMutations,
+    clearMajorCycleMutations,
+    clearMutationsByRole,
+    showAnnualCycleStars,
+    applyAnnualCycleMutations,
+    clearAnnualCycleMutations,
+    clearMajorMingLabel,
+    setMajorCycleMingLabel,
+    clearAnnualMingLabel,
+    setAnnualCycleMingLabel,
+    setMajorCycleLabels,
+    clearMajorCycleLabels,
+    setAnnualCycleLabels,
+    clearAnnualCycleLabels,
+    setMinorLimitLabel,
+    clearMinorLimitLabel,
+    showMonthlyCycleStars,
+    clearMonthlyCycleStars,
+    applyMonthlyCycleMutations,
+    clearMonthlyCycleMutations,
+    setMonthlyCycleMingLabel,
+    clearMonthlyMingLabel,
+    setMonthlyCycleLabels,
+    clearMonthlyCycleLabels,
+    applyCycleLayerMutations,
+    applySelfMutationMarks,
+    clearSelfMutationMarks,
+    clearCycleLayerMutations,
+    setCycleLayerMingLabel,
+    clearCycleLayerMingLabel
+});
+
+/**
+ * Chart helpers with one chart's state bound as their first argument
+ * @param {Object} state Chart state from createChartState()
+ * @returns {Object}
+ */
+function bindChartHelpers(state) {
+    if (!state.helpers) {
+        const bound = {};
+        Object.entries(CHART_HELPERS).forEach(([name, fn]) => {
+            bound[name] = (...args) => fn(state, ...args);
+        });
+        state.helpers = Object.freeze(bound);
+    }
+    return state.helpers;
+}
+
+/**
+ * Helpers bound to the chart containing an element
+ * @param {HTMLElement} element Grid, chart wrapper or any element inside it
+ * @returns {Object|null} The CHART_HELPERS functions without their state argument, or null when no chart is found
+ */
+function forChart(element) {
+    const grid = resolveChartGrid(element);
+    const state = grid ? chartStates.get(grid) : null;
+    return state ? bindChartHelpers(state) : null;
+}
+
+window.ziweiChartHelpers = { forChart };
 
 // -------------------------------------------------------------------------
 // Global event handlers (listening for calculation events)
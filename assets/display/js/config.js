@@ -23,6 +23,8 @@
 
     const constants = window.ziweiConstants;
     const SETTINGS_SELECTOR = '.ziwei-settings-panel';
+    // The calculator form's container; embedded charts carry data-ziwei-instance
+    const FORM_CONTAINER_SELECTOR = '.ziwei-cal:not([data-ziwei-instance])';
     
     // Heavenly stems from centralized constants
     const HEAVENLY_STEMS = constants.STEM_NAMES;
@@ -35,6 +37,22 @@
         lunarDate: ''
     };
     
+    /**
+     * @returns {ParentNode} The calculator form's container, or the document
+     */
+    function getFormRoot() {
+        return document.querySelector(FORM_CONTAINER_SELECTOR) || document;
+    }
+
+    /**
+     * Chart helpers (chart.js) bound to the form's chart
+     * @returns {Object|null} Null when no chart is drawn
+     */
+    function getFormChartHelpers() {
+        const chart = getFormRoot().querySelector('.ziwei-chart-wrapper');
+        return (chart && window.ziweiChartHelpers?.forChart?.(chart)) || null;
+    }
+
     // -----------------------------
     // Adapter helpers
     // Functions that access the centralized adapter instance, its settings
@@ -242,6 +260,18 @@
             affectsChart: false,  // display-only
             handler: 'applyPersonalInfoChange'
         },
+        {
+            category: '一般設定',
+            label: '飛化分析',
+            name: 'flyingMutations',
+            options: [
+                { value: 'off', text: '關閉 - 預設' },
+                { value: 'palaceStem', text: '宮干四化' }
+            ],
+            defaultValue: 'off',
+            affectsChart: false,  // display-only
+            handler: 'applyFlyingMutationChange'
+        },
         // 日期處理
         {
             category: '日期處理',
@@ -268,6 +298,18 @@
             affectsChart: true,  // affects chart computation via adapter
             handler: 'applyZiHourChange'
         },
+        {
+            category: '日期處理',
+            label: '真太陽時',
+            name: 'trueSolarTime',
+            options: [
+                { value: 'off', text: '不校正 - 預設' },
+                { value: 'longitude', text: '按出生地經度及均時差校正' }
+            ],
+            defaultValue: 'off',
+            affectsChart: true,  // affects chart computation via adapter
+            handler: 'applyTrueSolarTimeChange'
+        },
         // 宮位
     {
         category: '宮位',
@@ -296,6 +338,20 @@
     },
 
     // 安星規則
+    {
+        category: '安星規則',
+        label: '派別',
+        name: 'school',
+        options: [
+            { value: 'zhongzhou', text: '中州派 - 預設' },
+            { value: 'sanhe', text: '三合派' },
+            { value: 'feixing', text: '飛星派' },
+            { value: 'qintian', text: '欽天門' }
+        ],
+        defaultValue: 'zhongzhou',
+        affectsChart: true,  // affects chart computation via adapter (assets/data/schools.js)
+        handler: 'applySchoolChange'
+    },
     {
         category: '安星規則',
         label: '星曜亮度',
@@ -388,6 +444,61 @@
         handler: 'applyStemInterpretationChange'
     },
     ];
+
+    const DEFAULT_OPTION_SUFFIX = ' - 預設';
+
+    /**
+     * Move the " - 預設" marker to the option holding the default value
+     * @param {Array} options Dropdown items ({ value, text })
+     * @param {string} defaultValue Value to mark
+     * @returns {Array} New option list
+     */
+    function markDefaultOption(options, defaultValue) {
+        return options.map(opt => {
+            const text = opt.text.endsWith(DEFAULT_OPTION_SUFFIX)
+                ? opt.text.slice(0, -DEFAULT_OPTION_SUFFIX.length)
+                : opt.text;
+            return Object.assign({}, opt, {
+                text: opt.value === defaultValue ? text + DEFAULT_OPTION_SUFFIX : text
+            });
+        });
+    }
+
+    /**
+     * Apply the site defaults chosen on Settings → 紫微斗數 (ziweiCalData.defaults)
+     *
+     * Each known setting with an allowed value becomes the setting's defaultValue
+     * (panel label, 「預設」 preset) and is written to the adapter unless the
+     * visitor already has a value, so the first chart is drawn with it.
+     * The server leaves out personalInfo, which stays a per-visitor choice.
+     */
+    function applySiteDefaults() {
+        const siteDefaults = window.ziweiCalData?.defaults;
+        if (!siteDefaults || typeof siteDefaults !== 'object') {
+            return;
+        }
+        Object.entries(siteDefaults).forEach(([name, value]) => {
+            const setting = getSetting(name);
+            if (!setting || setting.defaultValue === value || !getAllowedSettingValues(name).includes(value)) {
+                return;
+            }
+            setting.defaultValue = value;
+            setting.options = markDefaultOption(setting.options, value);
+            if (!getAdapterSettingValue(name)) {
+                setAdapterSettingValue(name, value);
+            }
+        });
+    }
+
+    /**
+     * Whether an optional feature is enabled on Settings → 紫微斗數 (ziweiCalData.features)
+     * @param {string} name Feature key: 'aiMode', 'shareLink', 'pdfExport' or 'synastry'
+     * @returns {boolean} True unless the site switched it off
+     */
+    function isFeatureEnabled(name) {
+        return window.ziweiCalData?.features?.[name] !== false;
+    }
+
     /**
      * Get all settings configuration
      * @returns {Array} Settings configuration array
@@ -511,7 +622,7 @@
         
         // 5. Trigger recalculation via form submit event
         try {
-            const container = document.querySelector('.ziwei-cal') || document;
+            const container = getFormRoot();
             container.dispatchEvent(new CustomEvent('ziwei-form-submit', { bubbles: true, detail: { formData } }));
         } catch (e) {
             console.error(`[ziweiConfig] Failed to dispatch ziwei-form-submit for ${settingName}:`, e);
@@ -614,6 +725,16 @@
         dispatchSettingChangeEvent('starBrightness', brightnessValue);
     }
 
+    /**
+     * Apply flying mutation (飛化) analysis mode changes
+     * @param {string} modeValue Selected mode ('off' or 'palaceStem')
+     */
+    function applyFlyingMutationChange(modeValue) {
+        dispatchSettingChangeEvent('flyingMutations', modeValue, {
+            eventName: 'ziwei-flying-mutation-changed'
+        });
+    }
+
     // -----------------------------
     // Handlers - Calculation-affecting
     // These handlers modify normalization/calculation inputs and trigger
@@ -635,6 +756,14 @@
         applySettingWithRecalculation('ziHourHandling', handlingValue, applyZiHourConversion);
     }
 
+    /**
+     * Apply true solar time (真太陽時) correction changes to chart
+     * @param {string} correctionValue Selected correction ('off' or 'longitude')
+     */
+    function applyTrueSolarTimeChange(correctionValue) {
+        applySettingWithRecalculation('trueSolarTime', correctionValue);
+    }
+
     function buildFormDataFromNormalized(normalized) {
         if (!normalized) return null;
         const solar = normalized.solar || {};
@@ -729,6 +858,15 @@
         });
     }
 
+    /**
+     * Apply school (派別) profile changes
+     * The profile moves 火鈴, 天馬, 魁鉞, 旬空, 長生 and 大限 ages, so the chart is recalculated
+     * @param {string} schoolValue Selected profile key from assets/data/schools.js
+     */
+    function applySchoolChange(schoolValue) {
+        applySettingWithRecalculation('school', schoolValue);
+    }
+
     /**
      * Apply palace name changes
      * Dispatches ziwei-palace-name-changed event for real-time display updates
@@ -812,6 +950,17 @@
         }
     }
 
+    /**
+     * Show or hide the birth time correction lines (they reveal the birth time)
+     * @param {ParentNode} root Chart element or document
+     * @param {boolean} hidden Whether to hide the lines
+     */
+    function setBirthTimeNotesHidden(root, hidden) {
+        (root || document).querySelectorAll('.ziwei-timezone-notice, .ziwei-true-solar-time').forEach((el) => {
+            el.hidden = hidden;
+        });
+    }
+
     /**
      * Apply hide mode - Hide all personal information
      * @param {Object} elements DOM elements
@@ -838,6 +987,7 @@
         safeSetElementText(elements.genderEl, PLACEHOLDER_TEXTS.HIDDEN_GENDER);
         safeSetElementText(elements.gregDateEl, PLACEHOLDER_TEXTS.HIDDEN_GREGORIAN_DATE);
         safeSetElementText(elements.lunarDateEl, PLACEHOLDER_TEXTS.HIDDEN_LUNAR_DATE);
+        setBirthTimeNotesHidden(document, true);
     }
 
     /**
@@ -875,6 +1025,7 @@
         safeSetElementText(elements.genderEl, genderText);
         safeSetElementText(elements.gregDateEl, PLACEHOLDER_TEXTS.HIDDEN_GREGORIAN_DATE);
         safeSetElementText(elements.lunarDateEl, PLACEHOLDER_TEXTS.HIDDEN_LUNAR_DATE);
+        setBirthTimeNotesHidden(document, true);
     }
 
     /**
@@ -915,6 +1066,7 @@
         safeSetElementText(elements.genderEl, genderText);
         safeSetElementText(elements.gregDateEl, solarText || originalPersonalInfo.gregorianDate || PLACEHOLDER_TEXTS.MISSING_GREGORIAN);
         safeSetElementText(elements.lunarDateEl, lunarText || originalPersonalInfo.lunarDate || PLACEHOLDER_TEXTS.MISSING_LUNAR);
+        setBirthTimeNotesHidden(document, false);
     }
 
     /**
@@ -1003,7 +1155,10 @@
     const MUTATION_TYPES = {
         BIRTH_YEAR: 'birth-year',
         MAJOR_CYCLE: 'major-cycle', 
-        ANNUAL_CYCLE: 'annual-cycle'
+        ANNUAL_CYCLE: 'annual-cycle',
+        MONTHLY_CYCLE: 'monthly-cycle',
+        DAILY_CYCLE: 'daily-cycle',
+        HOURLY_CYCLE: 'hourly-cycle'
     };
     
     /**
@@ -1018,11 +1173,17 @@
         MUTATION_BIRTH: '.ziwei-mutation-birth',
         MUTATION_MAJOR: '.ziwei-mutation-major',
         MUTATION_ANNUAL: '.ziwei-mutation-annual',
+        MUTATION_MONTHLY: '.ziwei-mutation-monthly',
+        MUTATION_DAILY: '.ziwei-mutation-daily',
+        MUTATION_HOURLY: '.ziwei-mutation-hourly',
         WITH_MUTATION: 'ziwei-with-mutation',
         STAR_WITH_MUTATION: 'ziwei-star-with-mutation',
         STAR_NO_MUTATION: 'ziwei-star-no-mutation',
         MAJOR_CYCLE_BUTTON: '.ziwei-major-cycle-button',
         ANNUAL_CYCLE_BUTTON: '.ziwei-annual-cycle-button',
+        MONTHLY_CYCLE_BUTTON: '.ziwei-monthly-cycle-button',
+        DAILY_CYCLE_BUTTON: '.ziwei-daily-cycle-button',
+        HOURLY_CYCLE_BUTTON: '.ziwei-hourly-cycle-button',
         CYCLE_BUTTON_ACTIVE: 'ziwei-cycle-button-active',
         ANNUAL_STEM_BRANCH: '.ziwei-annual-stem-branch'
     };
@@ -1091,24 +1252,40 @@
      */
     function clearMutationsByType(mutationType) {
         try {
-            if (!window.ziweiChartHelpers) {
+            const chartHelpers = getFormChartHelpers();
+            if (!chartHelpers) {
                 return;
             }
             
             switch (mutationType) {
                 case MUTATION_TYPES.BIRTH_YEAR:
-                    if (typeof window.ziweiChartHelpers.clearMutationsByRole === 'function') {
-                        window.ziweiChartHelpers.clearMutationsByRole(MUTATION_TYPES.BIRTH_YEAR);
+                    if (typeof chartHelpers.clearMutationsByRole === 'function') {
+                        chartHelpers.clearMutationsByRole(MUTATION_TYPES.BIRTH_YEAR);
                     }
                     break;
                 case MUTATION_TYPES.MAJOR_CYCLE:
-                    if (typeof window.ziweiChartHelpers.clearMajorCycleMutations === 'function') {
-                        window.ziweiChartHelpers.clearMajorCycleMutations();
+                    if (typeof chartHelpers.clearMajorCycleMutations === 'function') {
+                        chartHelpers.clearMajorCycleMutations();
                     }
                     break;
                 case MUTATION_TYPES.ANNUAL_CYCLE:
-                    if (typeof window.ziweiChartHelpers.clearAnnualCycleMutations === 'function') {
-                        window.ziweiChartHelpers.clearAnnualCycleMutations();
+                    if (typeof chartHelpers.clearAnnualCycleMutations === 'function') {
+                        chartHelpers.clearAnnualCycleMutations();
+                    }
+                    break;
+                case MUTATION_TYPES.MONTHLY_CYCLE:
+                    if (typeof chartHelpers.clearMonthlyCycleMutations === 'function') {
+                        chartHelpers.clearMonthlyCycleMutations();
+                    }
+                    break;
+                case MUTATION_TYPES.DAILY_CYCLE:
+                    if (typeof chartHelpers.clearCycleLayerMutations === 'function') {
+                        chartHelpers.clearCycleLayerMutations('daily');
+                    }
+                    break;
+                case MUTATION_TYPES.HOURLY_CYCLE:
+                    if (typeof chartHelpers.clearCycleLayerMutations === 'function') {
+                        chartHelpers.clearCycleLayerMutations('hourly');
                     }
                     break;
                 default:
@@ -1190,6 +1367,20 @@
             annualSlot.style.visibility = 'hidden';
             wrapper.appendChild(annualSlot);
             
+            // Create monthly mutation slot
+            const monthlySlot = document.createElement('span');
+            monthlySlot.className = `ziwei-mutation ${CSS_CLASSES.MUTATION_MONTHLY.substring(1)}`;
+            monthlySlot.style.visibility = 'hidden';
+            wrapper.appendChild(monthlySlot);
+            
+            // Create daily and hourly mutation slots
+            [CSS_CLASSES.MUTATION_DAILY, CSS_CLASSES.MUTATION_HOURLY].forEach((slotClass) => {
+                const slot = document.createElement('span');
+                slot.className = `ziwei-mutation ${slotClass.substring(1)}`;
+                slot.style.visibility = 'hidden';
+                wrapper.appendChild(slot);
+            });
+            
             starMutationBox.appendChild(wrapper);
             return wrapper;
         } catch (error) {
@@ -1273,7 +1464,7 @@
         }
         
         try {
-            const starGroups = document.querySelectorAll(CSS_CLASSES.STAR_MUTATION_GROUP);
+            const starGroups = getFormRoot().querySelectorAll(CSS_CLASSES.STAR_MUTATION_GROUP);
             let appliedCount = 0;
             
             starGroups.forEach((groupEl) => {
@@ -1299,9 +1490,10 @@
      */
     function applyMajorCycleMutations() {
         try {
-            const activeMajorButton = document.querySelector(`${CSS_CLASSES.MAJOR_CYCLE_BUTTON}.${CSS_CLASSES.CYCLE_BUTTON_ACTIVE}`);
+            const activeMajorButton = getFormRoot().querySelector(`${CSS_CLASSES.MAJOR_CYCLE_BUTTON}.${CSS_CLASSES.CYCLE_BUTTON_ACTIVE}`);
             
-            if (!activeMajorButton || !window.ziweiChartHelpers || typeof window.ziweiChartHelpers.applyMajorCycleMutations !== 'function') {
+            const chartHelpers = getFormChartHelpers();
+            if (!activeMajorButton || !chartHelpers || typeof chartHelpers.applyMajorCycleMutations !== 'function') {
                 return;
             }
             
@@ -1319,7 +1511,7 @@
             const palace = chartData.derived.palaces[palaceIndex];
             
             if (palace && palace.stem) {
-                window.ziweiChartHelpers.applyMajorCycleMutations(palace.stem);
+                chartHelpers.applyMajorCycleMutations(palace.stem);
                 console.log(`[ziweiConfig] Applied major cycle mutations for palace ${palaceIndex}, stem: ${palace.stem}`);
             }
         } catch (error) {
@@ -1332,9 +1524,10 @@
      */
     function applyAnnualCycleMutations() {
         try {
-            const activeAnnualButton = document.querySelector(`${CSS_CLASSES.ANNUAL_CYCLE_BUTTON}.${CSS_CLASSES.CYCLE_BUTTON_ACTIVE}`);
+            const activeAnnualButton = getFormRoot().querySelector(`${CSS_CLASSES.ANNUAL_CYCLE_BUTTON}.${CSS_CLASSES.CYCLE_BUTTON_ACTIVE}`);
             
-            if (!activeAnnualButton || !window.ziweiChartHelpers || typeof window.ziweiChartHelpers.applyAnnualCycleMutations !== 'function') {
+            const chartHelpers = getFormChartHelpers();
+            if (!activeAnnualButton || !chartHelpers || typeof chartHelpers.applyAnnualCycleMutations !== 'function') {
                 return;
             }
             
@@ -1348,19 +1541,69 @@
                 return;
             }
             
-            window.ziweiChartHelpers.applyAnnualCycleMutations(stemChar);
+            chartHelpers.applyAnnualCycleMutations(stemChar);
             console.log(`[ziweiConfig] Applied annual cycle mutations for stem: ${stemChar}`);
         } catch (error) {
             console.error('[ziweiConfig] Failed to apply annual cycle mutations:', error);
         }
     }
     
+    /**
+     * Apply monthly cycle mutations if active
+     */
+    function applyMonthlyCycleMutations() {
+        try {
+            const activeMonthlyButton = getFormRoot().querySelector(`${CSS_CLASSES.MONTHLY_CYCLE_BUTTON}.${CSS_CLASSES.CYCLE_BUTTON_ACTIVE}`);
+            
+            const chartHelpers = getFormChartHelpers();
+            if (!activeMonthlyButton || !chartHelpers || typeof chartHelpers.applyMonthlyCycleMutations !== 'function') {
+                return;
+            }
+            
+            const stemChar = activeMonthlyButton.dataset.stem;
+            if (!stemChar || !CHINESE_CHAR_PATTERN.test(stemChar)) {
+                return;
+            }
+            
+            chartHelpers.applyMonthlyCycleMutations(stemChar);
+            console.log(`[ziweiConfig] Applied monthly cycle mutations for stem: ${stemChar}`);
+        } catch (error) {
+            console.error('[ziweiConfig] Failed to apply monthly cycle mutations:', error);
+        }
+    }
+    
+    /**
+     * Apply daily or hourly cycle mutations if active
+     * @param {string} layerName - Cycle layer ('daily' or 'hourly')
+     * @param {string} buttonSelector - Selector of the layer's cycle buttons
+     */
+    function applyCycleLayerMutations(layerName, buttonSelector) {
+        try {
+            const activeButton = getFormRoot().querySelector(`${buttonSelector}.${CSS_CLASSES.CYCLE_BUTTON_ACTIVE}`);
+            
+            const chartHelpers = getFormChartHelpers();
+            if (!activeButton || !chartHelpers || typeof chartHelpers.applyCycleLayerMutations !== 'function') {
+                return;
+            }
+            
+            const stemChar = activeButton.dataset.stem;
+            if (!stemChar || !CHINESE_CHAR_PATTERN.test(stemChar)) {
+                return;
+            }
+            
+            chartHelpers.applyCycleLayerMutations(layerName, stemChar);
+            console.log(`[ziweiConfig] Applied ${layerName} cycle mutations for stem: ${stemChar}`);
+        } catch (error) {
+            console.error(`[ziweiConfig] Failed to apply ${layerName} cycle mutations:`, error);
+        }
+    }
+    
     /**
      * Main function: Apply a change to the stem interpretation setting and update chart mutations
      * 
      * This function extracts the stem from the setting name, updates current stem selections,
      * persists the change, and selectively updates chart mutations without full chart recomputation
-     * to avoid visual flashing. It handles birth-year, major-cycle, and annual-cycle mutations.
+     * to avoid visual flashing. It handles birth-year, major-cycle, annual-cycle, monthly-cycle, daily-cycle and hourly-cycle mutations.
      * 
      * @param {string} interpretationValue - New interpretation value for the stem
      * @param {string} settingName - Setting name in format 'stemInterpretation_<stem>'
@@ -1404,6 +1647,13 @@
             // Reapply annual-cycle mutations if active
             applyAnnualCycleMutations();
             
+            // Reapply monthly-cycle mutations if active
+            applyMonthlyCycleMutations();
+            
+            // Reapply daily/hourly-cycle mutations if active
+            applyCycleLayerMutations('daily', CSS_CLASSES.DAILY_CYCLE_BUTTON);
+            applyCycleLayerMutations('hourly', CSS_CLASSES.HOURLY_CYCLE_BUTTON);
+            
             // Dispatch event to notify interpretation panel of mutation changes
             dispatchSettingChangeEvent(settingName, interpretationValue, {
                 eventName: 'ziwei-mutation-changed'
@@ -1440,6 +1690,113 @@
         }
     }
 
+    /**
+     * Allowed values of a setting (stem interpretations are resolved dynamically)
+     * @param {string} name Setting name
+     * @returns {Array<string>} Option values, empty when unknown
+     */
+    function getAllowedSettingValues(name) {
+        const stemMatch = name.match(/^stemInterpretation_(.+)$/);
+        if (stemMatch && typeof window.getAvailableInterpretations === 'function') {
+            return window.getAvailableInterpretations(stemMatch[1]);
+        }
+        const setting = getSetting(name);
+        return setting ? setting.options.map(opt => opt.value) : [];
+    }
+
+    /**
+     * Apply several settings at once (presets, restored settings)
+     *
+     * Without a chart on the page values are only written to the adapter, so the
+     * next chart is drawn with them. With a chart, display-only settings go
+     * through their handlers, and calculation settings are written first and
+     * trigger a single recalculation instead of one per setting.
+     *
+     * @param {Object} values Setting name → value; unknown names or values are skipped
+     * @returns {Array<string>} Names of the settings that changed
+     */
+    function applySettings(values) {
+        const changed = [];
+        Object.entries(values || {}).forEach(([name, value]) => {
+            const setting = getSetting(name);
+            if (!setting || !getAllowedSettingValues(name).includes(value)) {
+                return;
+            }
+            if ((getAdapterSettingValue(name) || setting.defaultValue) !== value) {
+                changed.push(setting);
+            }
+        });
+        if (changed.length === 0) {
+            return [];
+        }
+
+        const hasChart = !!getFormRoot().querySelector('[data-ziwei-chart]');
+        const stemSelections = {};
+        const recalculate = [];
+
+        changed.forEach(setting => {
+            const value = values[setting.name];
+            const select = document.getElementById(`settings-${setting.name}`);
+            if (select) {
+                select.value = value;
+            }
+
+            const stem = setting.handler === 'applyStemInterpretationChange'
+                ? extractStemFromSetting(setting.name)
+                : null;
+            if (stem) {
+                stemSelections[stem] = value;
+            }
+
+            if (!hasChart) {
+                setAdapterSettingValue(setting.name, value);
+            } else if (setting.affectsChart && !stem) {
+                setAdapterSettingValue(setting.name, value);
+                recalculate.push(setting);
+            } else if (!stem) {
+                applySetting(setting.name, value);
+            }
+        });
+
+        if (Object.keys(stemSelections).length > 0) {
+            if (hasChart && recalculate.length === 0) {
+                // Stem changes alone only re-mark mutations on the current chart
+                Object.entries(stemSelections).forEach(([stem, value]) => {
+                    applySetting(`stemInterpretation_${stem}`, value);
+                });
+            } else {
+                Object.entries(stemSelections).forEach(([stem, value]) => {
+                    setAdapterSettingValue(`stemInterpretation_${stem}`, value);
+                });
+                if (typeof window.updateStemSelections === 'function') {
+                    window.updateStemSelections(stemSelections);
+                }
+            }
+        }
+
+        if (recalculate.length > 0) {
+            const first = recalculate[0];
+            const ziHourChanged = recalculate.some(setting => setting.name === 'ziHourHandling');
+            applySettingWithRecalculation(first.name, values[first.name], (formData) => {
+                ['leapMonthHandling', 'ziHourHandling', 'trueSolarTime'].forEach(name => {
+                    const current = getAdapterSettingValue(name);
+                    if (current) {
+                        formData[name] = current;
+                    }
+                });
+                if (ziHourChanged) {
+                    applyZiHourConversion(formData, formData.ziHourHandling);
+                }
+                // Part of the calculator cache key, so a changed 四化 choice is not served stale
+                if (Object.keys(stemSelections).length > 0) {
+                    formData.stemInterpretations = Object.assign({}, formData.stemInterpretations, stemSelections);
+                }
+            });
+        }
+
+        return changed.map(setting => setting.name);
+    }
+
     /**
      * Create settings group element
      * @param {string} label Display label
@@ -1478,6 +1835,10 @@
                 value: key,
                 text: window.getInterpretationName(stem, key)
             }));
+            const settingCfg = getSetting(name);
+            if (settingCfg) {
+                dynamicOptions = markDefaultOption(dynamicOptions, settingCfg.defaultValue);
+            }
         }
 
         // Add options (dynamic or static)
@@ -1697,6 +2058,7 @@
             if (lunarDateEl) {
                 lunarDateEl.textContent = '農曆：用戶不顯示出生日期';
             }
+            setBirthTimeNotesHidden(newChartElement, true);
         } else if (currentPersonalInfoState === 'hideDates') {
             try {
                 const snap = buildPersonalInfoSnapshotFromAdapter();
@@ -1741,6 +2103,7 @@
             if (lunarDateEl) {
                 lunarDateEl.textContent = '農曆：用戶不顯示出生日期';
             }
+            setBirthTimeNotesHidden(newChartElement, true);
         }
     }
 
@@ -1812,6 +2175,16 @@
             panel.appendChild(wrapper);
         });
 
+        // Saved settings and presets (assets/display/js/settings-presets.js)
+        if (window.ziweiSettingsPresets && typeof window.ziweiSettingsPresets.createPresetSection === 'function') {
+            panel.appendChild(window.ziweiSettingsPresets.createPresetSection());
+        }
+
+        // User 格局 rules (assets/display/js/pattern-rules.js)
+        if (window.ziweiPatternRules && typeof window.ziweiPatternRules.createRuleSection === 'function') {
+            panel.appendChild(window.ziweiPatternRules.createRuleSection());
+        }
+
         // Insert after control bar or at end
         if (afterNode && containerNode.contains(afterNode)) {
             afterNode.insertAdjacentElement('afterend', panel);
@@ -1830,22 +2203,23 @@
      */
     function replaceChartInner(newChartElement, result) {
         try {
-            const currentChart = document.querySelector('.ziwei-chart-wrapper');
+            const currentChart = getFormRoot().querySelector('.ziwei-chart-wrapper');
             if (currentChart) {
                 // Clear all existing mutations before replacing chart content
                 // This ensures old mutation marks are removed before new chart is displayed
-                if (window.ziweiChartHelpers) {
+                const chartHelpers = window.ziweiChartHelpers?.forChart?.(currentChart);
+                if (chartHelpers) {
                     // Clear birth-year mutations (生年四化)
-                    if (typeof window.ziweiChartHelpers.clearMutationsByRole === 'function') {
-                        window.ziweiChartHelpers.clearMutationsByRole('birth-year');
+                    if (typeof chartHelpers.clearMutationsByRole === 'function') {
+                        chartHelpers.clearMutationsByRole('birth-year');
                     }
                     // Clear major-cycle mutations (大限四化)
-                    if (typeof window.ziweiChartHelpers.clearMajorCycleMutations === 'function') {
-                        window.ziweiChartHelpers.clearMajorCycleMutations();
+                    if (typeof chartHelpers.clearMajorCycleMutations === 'function') {
+                        chartHelpers.clearMajorCycleMutations();
                     }
                     // Clear annual-cycle mutations (流年四化)
-                    if (typeof window.ziweiChartHelpers.clearAnnualCycleMutations === 'function') {
-                        window.ziweiChartHelpers.clearAnnualCycleMutations();
+                    if (typeof chartHelpers.clearAnnualCycleMutations === 'function') {
+                        chartHelpers.clearAnnualCycleMutations();
                     }
                 }
 
@@ -1907,16 +2281,16 @@
             }
 
             // Fallback: replace whole chart wrapper or append
-            const currentChartEl = document.querySelector('[data-ziwei-chart]');
+            const currentChartEl = getFormRoot().querySelector('[data-ziwei-chart]');
             if (currentChartEl) {
                 currentChartEl.replaceWith(newChartElement);
             } else {
-                const container = document.querySelector('.ziwei-cal');
+                const container = document.querySelector(FORM_CONTAINER_SELECTOR);
                 if (container) container.appendChild(newChartElement);
             }
         } catch (e) {
             console.error('[ziweiConfig] replaceChartInner failed, falling back to full replace', e);
-            const currentChartEl = document.querySelector('[data-ziwei-chart]');
+            const currentChartEl = getFormRoot().querySelector('[data-ziwei-chart]');
             if (currentChartEl) {
                 currentChartEl.replaceWith(newChartElement);
             }
@@ -2056,7 +2430,8 @@
      * 
      * IMPROVED VERSION: This function ensures settings are reset when the page
      * reloads or browser closes per FR-011a (privacy-first policy). Settings are
-     * stored in adapter._settings (in-memory) and NOT persisted to any browser storage.
+     * stored in adapter._settings (in-memory) and NOT persisted to any browser storage
+     * unless the user opts in to 「在此瀏覽器記住設定」 (settings-presets.js).
      * 
      * Key improvements:
      * - Comprehensive error handling
@@ -2123,6 +2498,13 @@
         console.error('[ziweiConfig] T045 initialization failed:', e);
     }
 
+    // Site defaults go to the adapter before stem selections are read from it
+    try {
+        applySiteDefaults();
+    } catch (e) {
+        console.error('[ziweiConfig] Site defaults initialization failed:', e);
+    }
+
     // Initialize stem selections from adapter settings
     try {
         initializeStemSelections();
@@ -2135,16 +2517,22 @@
         getSettingsConfig,
         getSetting,
         applySetting,
+        applySettings,
+        getAllowedSettingValues,
+        isFeatureEnabled,
         createSettingsGroup,
         createSettingsPanel,
         updateStoredPersonalInfoIfHidden,  // Called BEFORE chart replacement
         reapplyPersonalInfoStateImmediately,  // Called AFTER chart replacement
         // Handlers
         applyStarBrightnessChange,
+        applyFlyingMutationChange,
         applyLeapMonthChange,
         applyZiHourChange,
+        applyTrueSolarTimeChange,
         applyXunKongChange,
         applyWoundedServantChange,
+        applySchoolChange,
         applyPalaceNameChange,
         applyPersonalInfoChange,
         applyStemInterpretationChange
@@ -2,7 +2,7 @@
  * Control Bar Module
  * 
  * Manages navigation and control buttons for the Ziwei chart view:
- * back button, hour navigation, settings toggle, and share button.
+ * back button, hour navigation, 合盤 toggle, settings toggle, and share button.
  * Settings UI and logic are delegated to config.js.
  * 
  * Dependencies:
@@ -27,6 +27,8 @@
 
     const CONTROL_SELECTOR = '.ziwei-control-bar';
     const SETTINGS_SELECTOR = '.ziwei-settings-panel';
+    // The calculator form's chart; embedded charts carry data-ziwei-instance
+    const FORM_CHART_SELECTOR = '.ziwei-cal:not([data-ziwei-instance]) [data-ziwei-chart]';
 
     function getAdapterInstance() {
         return window.ziweiAdapter || null;
@@ -44,6 +46,16 @@
         }
     }
 
+    /**
+     * Feature switch from Settings → 紫微斗數 (see ziweiConfig.isFeatureEnabled)
+     * @param {string} name Feature key
+     * @returns {boolean}
+     */
+    function isFeatureEnabled(name) {
+        const config = window.ziweiConfig;
+        return !config || typeof config.isFeatureEnabled !== 'function' || config.isFeatureEnabled(name);
+    }
+
     function getAdapterSettingValue(name) {
         if (!name) {
             return null;
@@ -274,7 +286,7 @@
      * @param {Object} [adapterContext] Optional adapter context (expects { adapterOutput })
      */
     function updateChartDisplay(newChartElement, adapterContext) {
-        const currentChart = document.querySelector('[data-ziwei-chart]');
+        const currentChart = document.querySelector(FORM_CHART_SELECTOR);
         if (!currentChart) {
             console.error('[ziweiControl] Current chart not found');
             return;
@@ -377,9 +389,10 @@
      * @param {Object} options Options for rendering the control bar
      * @param {HTMLElement} options.mountNode Parent element that will receive the control bar
      * @param {HTMLElement} [options.beforeNode] Node before which the bar should be inserted
+     * @param {boolean} [options.fixed=false] Fixed chart (embedded by shortcode): no back or hour buttons
      * @returns {HTMLElement|null}
      */
-    function createBar({ mountNode, beforeNode } = {}) {
+    function createBar({ mountNode, beforeNode, fixed = false } = {}) {
         if (!mountNode) {
             console.error('ziweiControl.createBar: mountNode is required');
             return null;
@@ -402,7 +415,9 @@
         rightGroup.className = 'ziwei-control-group ziwei-control-group-right';
 
         const backBtn = createButton('◀', 'ziwei-back-btn');
-        leftGroup.appendChild(backBtn);
+        if (!fixed) {
+            leftGroup.appendChild(backBtn);
+        }
 
         // Add event listener for back button
         backBtn.addEventListener('click', (e) => {
@@ -414,23 +429,32 @@
                 if (window.ziweiAiMode && typeof window.ziweiAiMode.deactivate === 'function') {
                     window.ziweiAiMode.deactivate(chartElement);
                 }
+                if (window.ziweiSynastry) {
+                    window.ziweiSynastry.close();
+                }
                 window.ziweiForm.restoreForm(chartElement);
             }
         });
 
         const prevBtn = createButton('← 時辰', 'ziwei-control-prev-hour');
         prevBtn.setAttribute('data-control', 'prev-hour');
-        centerGroup.appendChild(prevBtn);
+        if (!fixed) {
+            centerGroup.appendChild(prevBtn);
+        }
 
         const container = mountNode.closest('.ziwei-cal') || mountNode;
         const currentMode = container.getAttribute('data-ziwei-mode') || 'chart';
         const modeBtnLabel = currentMode === 'ai' ? '看命盤' : '看AI提示詞';
         const modeBtn = createButton(modeBtnLabel, 'ziwei-control-mode-toggle');
-        centerGroup.appendChild(modeBtn);
+        if (isFeatureEnabled('aiMode')) {
+            centerGroup.appendChild(modeBtn);
+        }
 
         const nextBtn = createButton('時辰 →', 'ziwei-control-next-hour');
         nextBtn.setAttribute('data-control', 'next-hour');
-        centerGroup.appendChild(nextBtn);
+        if (!fixed) {
+            centerGroup.appendChild(nextBtn);
+        }
 
         // Create a lightweight Share button (visible immediately).
         // The heavy share module will be loaded lazily when the user clicks it.
@@ -451,6 +475,13 @@
             shareBtn.style.pointerEvents = 'auto';
         } catch (e) {}
 
+        // 合盤 comparison view (assets/display/js/synastry.js), for the form's chart only
+        const synastryBtn = createButton('合盤', 'ziwei-synastry-btn');
+        synastryBtn.setAttribute('data-control', 'synastry');
+        if (!fixed && isFeatureEnabled('synastry')) {
+            rightGroup.appendChild(synastryBtn);
+        }
+
         // Append the share button (no spinner or loading text)
         rightGroup.appendChild(shareBtn);
 
@@ -469,11 +500,11 @@
             e.stopPropagation();
 
             try {
-                await lazyLoadShareModule();
+                await lazyLoadShareModule(shareBtn);
                 // After loading, we must manually trigger the menu ONCE
                 // because we stopped propagation of the original click.
                 if (window.ziweiShare && typeof window.ziweiShare._toggleMenu === 'function') {
-                    window.ziweiShare._toggleMenu();
+                    window.ziweiShare._toggleMenu(shareBtn);
                 }
             } catch (err) {
                 console.error('[ziweiControl] Failed to load share module:', err);
@@ -512,6 +543,14 @@
             handleHourChange('next');
         });
 
+        synastryBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (window.ziweiSynastry) {
+                window.ziweiSynastry.toggle(mountNode.closest('.ziwei-cal') || mountNode);
+            }
+        });
+
         // Add event listener for mode toggle button
         modeBtn.addEventListener('click', (e) => {
             e.preventDefault();
@@ -529,11 +568,11 @@
                 }
                 const grid = chartElement.querySelector('.ziwei-4x4-grid');
                 if (grid) grid.style.display = '';
-                const interpPanels = document.querySelectorAll('.ziwei-interpretation-panel, .ziwei-interpretation-wrapper');
+                const interpPanels = container.querySelectorAll('.ziwei-interpretation-panel, .ziwei-interpretation-wrapper');
                 interpPanels.forEach((panel) => panel.style.display = '');
                 
                 // Force re-inject share menu and enable PNG/PDF
-                const shareBtn = document.querySelector('.ziwei-share-btn');
+                const shareBtn = container.querySelector('.ziwei-share-btn');
                 if (shareBtn) {
                     const existingMenu = shareBtn.querySelector('.ziwei-share-menu');
                     if (existingMenu) {
@@ -544,7 +583,7 @@
                     }
                     // Force enable PNG/PDF options with delay
                     setTimeout(() => {
-                        const targets = document.querySelectorAll('.ziwei-share-option[data-action="download-png"], .ziwei-share-option[data-action="download-pdf"]');
+                        const targets = container.querySelectorAll('.ziwei-share-option[data-action="download-png"], .ziwei-share-option[data-action="download-pdf"]');
                         targets.forEach((opt) => {
                             opt.classList.remove('disabled');
                             opt.removeAttribute('aria-disabled');
@@ -560,7 +599,7 @@
                     window.ziweiAiMode.activate(chartElement);
                 }
                 // Force re-inject share menu for AI mode
-                const shareBtn = document.querySelector('.ziwei-share-btn');
+                const shareBtn = container.querySelector('.ziwei-share-btn');
                 if (shareBtn) {
                     const existingMenu = shareBtn.querySelector('.ziwei-share-menu');
                     if (existingMenu) {
@@ -613,7 +652,7 @@
      * Lazy-load external scripts required by share module.
      * Returns a promise that resolves when the share script is loaded.
      */
-    function ensureScript(src, globalCheckNames) {
+    function ensureScript(src, globalCheckNames, integrity) {
         return new Promise((resolve, reject) => {
             try {
                 // If any of the global names already exist, consider it loaded
@@ -642,6 +681,10 @@
                 }
 
                 const s = document.createElement('script');
+                if (integrity) {
+                    s.integrity = integrity;
+                    s.crossOrigin = 'anonymous';
+                }
                 s.src = src;
                 s.async = true;
                 s.defer = true;
@@ -657,29 +700,31 @@
         });
     }
 
-    function lazyLoadShareModule() {
+    /**
+     * Ensure a bundled export library (ziweiCalData.vendor entry, falling back
+     * to the copy under assets/vendor/) is loaded, with its integrity hash.
+     */
+    function ensureVendorScript(key, fallbackPath, globalCheckNames) {
+        const pluginBase = (window.ziweiCalData && window.ziweiCalData.pluginUrl) ? window.ziweiCalData.pluginUrl : '';
+        const entry = (window.ziweiCalData && window.ziweiCalData.vendor) ? window.ziweiCalData.vendor[key] : null;
+        const src = (entry && entry.src) ? entry.src : pluginBase + 'assets/vendor/' + fallbackPath;
+        return ensureScript(src, globalCheckNames, entry ? entry.integrity : undefined);
+    }
+
+    function lazyLoadShareModule(shareBtn) {
         if (window.ziweiShare && typeof window.ziweiShare._toggleMenu === 'function') {
             // If share.js is already loaded but dependencies are missing, load them.
-            const pluginBase = (window.ziweiCalData && window.ziweiCalData.pluginUrl) ? window.ziweiCalData.pluginUrl : '';
-            const pluginVersion = (window.ziweiCalData && window.ziweiCalData.pluginVersion) ? window.ziweiCalData.pluginVersion : Date.now();
-            const urls = {
-                domToImage: 'https://cdn.jsdelivr.net/npm/dom-to-image@2.6.0/dist/dom-to-image.min.js',
-                upng: 'https://cdn.jsdelivr.net/npm/upng-js@2.1.0/UPNG.min.js',
-                jspdf: 'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js',
-                share: pluginBase + 'assets/display/js/share.js?ver=' + pluginVersion
-            };
-
             const needsDom = !window.domtoimage;
             const needsUpng = !window.UPNG;
-            const needsJsPdf = !(window.jspdf?.jsPDF || window.jsPDF);
+            const needsJsPdf = isFeatureEnabled('pdfExport') && !(window.jspdf?.jsPDF || window.jsPDF);
 
             return Promise.resolve()
-                .then(() => needsDom ? ensureScript(urls.domToImage, ['domtoimage']) : null)
-                .then(() => needsUpng ? ensureScript(urls.upng, ['UPNG']) : null)
-                .then(() => needsJsPdf ? ensureScript(urls.jspdf, ['jspdf']) : null)
+                .then(() => needsDom ? ensureVendorScript('domtoimage', 'dom-to-image/dom-to-image.min.js', ['domtoimage']) : null)
+                .then(() => needsUpng ? ensureVendorScript('upng', 'upng-js/UPNG.js', ['UPNG']) : null)
+                .then(() => needsJsPdf ? ensureVendorScript('jspdf', 'jspdf/jspdf.umd.min.js', ['jspdf']) : null)
                 .then(() => {
                     try {
-                        window.ziweiShare._toggleMenu();
+                        window.ziweiShare._toggleMenu(shareBtn);
                     } catch (e) {
                         // ignore if menu not ready
                     }
@@ -687,20 +732,14 @@
         }
         const pluginBase = (window.ziweiCalData && window.ziweiCalData.pluginUrl) ? window.ziweiCalData.pluginUrl : '';
         const pluginVersion = (window.ziweiCalData && window.ziweiCalData.pluginVersion) ? window.ziweiCalData.pluginVersion : Date.now();
-        const urls = {
-            pako: 'https://cdn.jsdelivr.net/npm/pako@2.1.0/dist/pako.min.js',
-            domToImage: 'https://cdn.jsdelivr.net/npm/dom-to-image@2.6.0/dist/dom-to-image.min.js',
-            upng: 'https://cdn.jsdelivr.net/npm/upng-js@2.1.0/UPNG.min.js',
-            jspdf: 'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js',
-            share: pluginBase + 'assets/display/js/share.js?ver=' + pluginVersion
-        };
+        const shareUrl = pluginBase + 'assets/display/js/share.js?ver=' + pluginVersion;
 
         // Load lightweight libs first (in sequence to ensure globals are available)
-        return ensureScript(urls.pako, ['pako'])
-            .then(() => ensureScript(urls.domToImage, ['domtoimage']))
-            .then(() => ensureScript(urls.upng, ['UPNG']))
-            .then(() => ensureScript(urls.jspdf, ['jspdf']))
-            .then(() => ensureScript(urls.share, ['ziweiShare']))
+        return ensureVendorScript('pako', 'pako/pako.min.js', ['pako'])
+            .then(() => ensureVendorScript('domtoimage', 'dom-to-image/dom-to-image.min.js', ['domtoimage']))
+            .then(() => ensureVendorScript('upng', 'upng-js/UPNG.js', ['UPNG']))
+            .then(() => isFeatureEnabled('pdfExport') ? ensureVendorScript('jspdf', 'jspdf/jspdf.umd.min.js', ['jspdf']) : null)
+            .then(() => ensureScript(shareUrl, ['ziweiShare']))
             .catch(err => {
                 return Promise.reject(err);
             });
@@ -1,12 +1,16 @@
 /**
  * Major and Annual Cycles Display Module
  * 
- * Renders the cycle panel below the chart with major (大限) and annual (流年)
- * cycle buttons. Handles cycle selection, palace highlighting, and star display.
+ * Renders the cycle panel below the chart with major (大限), annual (流年)
+ * and monthly (流月) cycle buttons. Handles cycle selection, palace highlighting, and star display.
+ * Selecting an annual cycle also marks the 小限 palace for that age.
+ * Selecting a month drills down into its lunar days (流日), and a day into its twelve hours (流時).
  * 
  * Dependencies:
  * - assets/data/constants.js (ziweiConstants)
  * - assets/js/data-adapter.js (ziweiAdapter)
+ * - assets/calculate/astrology/monthly-cycle.js (monthlyCycle module)
+ * - assets/calculate/astrology/daily-cycle.js (dailyCycle module)
  * 
  * Corresponding CSS: assets/display/css/cycles.css
  * 
@@ -33,8 +37,22 @@
         return modules[name] || null;
     }
 
-    function getAdapterStorageValue(key) {
-        const adapter = window.ziweiAdapter;
+    /**
+     * @param {HTMLElement} [element] Element of a chart
+     * @returns {Object|undefined} That chart's adapter instance, else the adapter
+     */
+    function getChartAdapter(element) {
+        return element && window.ziweiAdapter?.forElement
+            ? window.ziweiAdapter.forElement(element)
+            : window.ziweiAdapter;
+    }
+
+    /**
+     * @param {string} key Storage key
+     * @param {HTMLElement} [element] Element of the chart whose storage to read
+     */
+    function getAdapterStorageValue(key, element) {
+        const adapter = getChartAdapter(element);
         if (!adapter || !adapter.storage || typeof adapter.storage.get !== 'function') {
             return null;
         }
@@ -56,6 +74,8 @@
         const majorCycles = Array.isArray(lifeCycleData?.majorCycles) ? lifeCycleData.majorCycles : [];
         const palaceData = lifeCycleData?.palaceData || {};
         const timeIndex = lifeCycleData?.timeIndex;
+        const minorLimits = Array.isArray(lifeCycleData?.minorLimits) ? lifeCycleData.minorLimits : [];
+        const monthIndex = lifeCycleData?.monthIndex;
 
     // cycles initialized
 
@@ -63,6 +83,10 @@
             return null;
         }
 
+        // Several charts can share a page: helpers, settings and storage of this grid's chart only
+        const chartHelpers = window.ziweiChartHelpers?.forChart?.(grid);
+        const chartAdapter = getChartAdapter(grid);
+
         const panel = document.createElement('div');
         panel.className = 'ziwei-cycle-panel';
 
@@ -96,6 +120,54 @@
         annualRow.style.display = 'none';
         annualSection.appendChild(annualRow);
 
+        // Monthly cycle section
+        const monthlySection = document.createElement('div');
+        monthlySection.className = 'ziwei-cycle-section';
+        panel.appendChild(monthlySection);
+
+        const monthlyLabel = document.createElement('div');
+        monthlyLabel.className = 'ziwei-cycle-label';
+        monthlyLabel.textContent = '流月';
+        monthlyLabel.style.display = 'none';
+        monthlySection.appendChild(monthlyLabel);
+
+        const monthlyRow = document.createElement('div');
+        monthlyRow.className = 'ziwei-cycle-row ziwei-monthly-cycle-row';
+        monthlyRow.style.display = 'none';
+        monthlySection.appendChild(monthlyRow);
+
+        // Daily cycle section
+        const dailySection = document.createElement('div');
+        dailySection.className = 'ziwei-cycle-section';
+        panel.appendChild(dailySection);
+
+        const dailyLabel = document.createElement('div');
+        dailyLabel.className = 'ziwei-cycle-label';
+        dailyLabel.textContent = '流日';
+        dailyLabel.style.display = 'none';
+        dailySection.appendChild(dailyLabel);
+
+        const dailyRow = document.createElement('div');
+        dailyRow.className = 'ziwei-cycle-row ziwei-daily-cycle-row';
+        dailyRow.style.display = 'none';
+        dailySection.appendChild(dailyRow);
+
+        // Hourly cycle section
+        const hourlySection = document.createElement('div');
+        hourlySection.className = 'ziwei-cycle-section';
+        panel.appendChild(hourlySection);
+
+        const hourlyLabel = document.createElement('div');
+        hourlyLabel.className = 'ziwei-cycle-label';
+        hourlyLabel.textContent = '流時';
+        hourlyLabel.style.display = 'none';
+        hourlySection.appendChild(hourlyLabel);
+
+        const hourlyRow = document.createElement('div');
+        hourlyRow.className = 'ziwei-cycle-row ziwei-hourly-cycle-row';
+        hourlyRow.style.display = 'none';
+        hourlySection.appendChild(hourlyRow);
+
     let activeMajorButton = null;
         let isProcessingCycleClick = false;
 
@@ -107,10 +179,10 @@
          * @returns {Array<string>} Array of 12 labels for 大限
          */
         const generateMajorLabels = () => {
-            const adapter = window.ziweiAdapter;
+            const adapter = chartAdapter;
             const baseLabels = ['大命','大父','大福','大田','大事','大友','大遷','大疾','大財','大子','大夫','大兄'];
             
-            // Read user's palace name settings from adapter
+            // Read user's palace name settings from the chart's adapter
             if (!adapter || !adapter.settings || typeof adapter.settings.get !== 'function') {
                 return baseLabels;
             }
@@ -141,10 +213,10 @@
          * @returns {Array<string>} Array of 11 labels for 流年 (skip main palace)
          */
         const generateAnnualLabels = () => {
-            const adapter = window.ziweiAdapter;
+            const adapter = chartAdapter;
             const baseLabels = ['年父','年福','年田','年事','年友','年遷','年疾','年財','年子','年夫','年兄'];
 
-            // Read user's palace name settings from adapter
+            // Read user's palace name settings from the chart's adapter
             if (!adapter || !adapter.settings || typeof adapter.settings.get !== 'function') {
                 return baseLabels;
             }
@@ -165,6 +237,94 @@
             return baseLabels;
         };
 
+        /**
+         * Generate monthly cycle labels (流月 clockwise sequence, excluding main palace)
+         * Applies the same palace name preferences as generateAnnualLabels
+         * @returns {Array<string>} Array of 11 labels for 流月 (skip main palace)
+         */
+        const generateMonthlyLabels = () => {
+            return generateAnnualLabels().map(label => label.replace(/^年/, '月'));
+        };
+
+        /**
+         * Refresh AI prompt only if AI mode is truly active
+         * Check both module state AND DOM state to avoid false positives during mode transitions
+         */
+        const refreshAiPromptIfActive = () => {
+            if (!window.ziweiAiMode || !window.ziweiAiMode.updateJsonText) {
+                return;
+            }
+            const isTrulyActive = window.ziweiAiMode.isActive();
+            const container = grid.closest('.ziwei-cal');
+            const domModeAi = container && container.getAttribute('data-ziwei-mode') === 'ai';
+            const aiPanelVisible = !!container?.querySelector('.ziwei-ai-panel[style*="display:"]') ||
+                                 !!container?.querySelector('.ziwei-ai-panel:not([style*="display: none"])');
+            if (isTrulyActive && domModeAi && aiPanelVisible) {
+                window.ziweiAiMode.updateJsonText();
+            }
+        };
+
+        /**
+         * Remove a drill-down layer's 命 label and mutations ('daily' or 'hourly')
+         */
+        const clearCycleLayerOverlays = (layerName) => {
+            chartHelpers?.clearCycleLayerMingLabel?.(layerName);
+            chartHelpers?.clearCycleLayerMutations?.(layerName);
+        };
+
+        /**
+         * Clear hourly cycle row and its 流時 overlays
+         */
+        const clearHourlyState = () => {
+            hourlyRow.innerHTML = '';
+            hourlyRow.style.display = 'none';
+            hourlyLabel.style.display = 'none';
+            clearCycleLayerOverlays('hourly');
+        };
+
+        /**
+         * Clear daily cycle row and its 流日 overlays (and everything below it)
+         */
+        const clearDailyState = () => {
+            clearHourlyState();
+            dailyRow.innerHTML = '';
+            dailyRow.style.display = 'none';
+            dailyLabel.style.display = 'none';
+            clearCycleLayerOverlays('daily');
+        };
+
+        const clearMonthlyOverlays = () => {
+            clearDailyState();
+            chartHelpers?.clearMonthlyCycleStars?.();
+            chartHelpers?.clearMonthlyCycleMutations?.();
+            chartHelpers?.clearMonthlyMingLabel?.();
+            chartHelpers?.clearMonthlyCycleLabels?.();
+        };
+
+        /**
+         * Clear monthly cycle row and all 流月 overlays on the chart
+         */
+        const clearMonthlyState = () => {
+            monthlyRow.innerHTML = '';
+            monthlyRow.style.display = 'none';
+            monthlyLabel.style.display = 'none';
+            clearMonthlyOverlays();
+        };
+
+        /**
+         * Format a lunar day number as its traditional name (初一 … 三十)
+         * @param {number} day Lunar day (1-30)
+         * @returns {string}
+         */
+        const formatLunarDayName = (day) => {
+            const DIGITS = ['十', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
+            if (day <= 10) return '初' + (day === 10 ? '十' : DIGITS[day]);
+            if (day < 20) return '十' + DIGITS[day - 10];
+            if (day === 20) return '二十';
+            if (day < 30) return '廿' + DIGITS[day - 20];
+            return '三十';
+        };
+
         const clearCycleState = () => {
             // Don't clear if we're in the middle of processing a cycle button click
             if (isProcessingCycleClick) return;
@@ -175,15 +335,17 @@
             annualRow.innerHTML = '';
             annualRow.style.display = 'none';
             annualLabel.style.display = 'none';
-            window.ziweiChartHelpers?.clearMajorCycleStars?.();
-            window.ziweiChartHelpers?.clearMajorCycleMutations?.();
-            window.ziweiChartHelpers?.clearMajorMingLabel?.();
+            chartHelpers?.clearMajorCycleStars?.();
+            chartHelpers?.clearMajorCycleMutations?.();
+            chartHelpers?.clearMajorMingLabel?.();
             // Also clear any multi-palace major-cycle labels
-            window.ziweiChartHelpers?.clearMajorCycleLabels?.();
+            chartHelpers?.clearMajorCycleLabels?.();
             // Clear any multi-palace annual-cycle labels
-            window.ziweiChartHelpers?.clearAnnualCycleLabels?.();
-            window.ziweiChartHelpers?.clearAnnualCycleMutations?.();
-            window.ziweiChartHelpers?.clearAnnualMingLabel?.();
+            chartHelpers?.clearAnnualCycleLabels?.();
+            chartHelpers?.clearAnnualCycleMutations?.();
+            chartHelpers?.clearAnnualMingLabel?.();
+            chartHelpers?.clearMinorLimitLabel?.();
+            clearMonthlyState();
         };
 
         const highlightPalace = (palaceIndex) => {
@@ -230,6 +392,16 @@
             }
             return branchNames.indexOf(branchChar);
         };
+        /**
+         * Find the 小限 palace for a given nominal age
+         * @param {number} age Nominal age (虛歲)
+         * @returns {number|null} Palace index (0-11) or null if unavailable
+         */
+        const getMinorLimitPalace = (age) => {
+            const entry = minorLimits.find(limit => limit && limit.age === age);
+            return entry && Number.isInteger(entry.palaceIndex) ? entry.palaceIndex : null;
+        };
+
         const getPalaceStemBranch = (palaceIndex) => {
             if (palaceData && palaceData[palaceIndex]) {
                 const palace = palaceData[palaceIndex];
@@ -239,7 +411,7 @@
         };
 
         const lunarYear = (function() {
-            const adapterOutput = getAdapterStorageValue('adapterOutput');
+            const adapterOutput = getAdapterStorageValue('adapterOutput', grid);
             // Prefer the adapter's canonical lunar numeric fields. The adapter
             // exposes lunar.lunarYear and may also provide a numeric snapshot
             // under meta.birthdateLunarNumeric.lunarYear.
@@ -256,7 +428,7 @@
             if (Number.isInteger(adapterOutput?.meta?.lunarYear)) {
                 return adapterOutput.meta.lunarYear;
             }
-            console.error('[ziweiCycles] Missing lunar year in adapterOutput snapshot', adapterOutput, getAdapterStorageValue('meta'));
+            console.error('[ziweiCycles] Missing lunar year in adapterOutput snapshot', adapterOutput, getAdapterStorageValue('meta', grid));
             return null;
         })();
 
@@ -292,15 +464,17 @@
 
         const renderAnnualRow = (cycle) => {
             annualRow.innerHTML = '';
-            window.ziweiChartHelpers?.clearAnnualMingLabel?.();
-            window.ziweiChartHelpers?.clearAnnualCycleLabels?.();
-            window.ziweiChartHelpers?.clearAnnualCycleMutations?.();
+            chartHelpers?.clearAnnualMingLabel?.();
+            chartHelpers?.clearAnnualCycleLabels?.();
+            chartHelpers?.clearAnnualCycleMutations?.();
+            chartHelpers?.clearMinorLimitLabel?.();
+            clearMonthlyState();
 
             // Strict requirement: must have lunarYear to compute actual years.
             if (!Number.isInteger(lunarYear)) {
                 console.error('ziweiCycles: unable to render annual years — missing lunarYear', {
                     lunarYear,
-                    adapterMeta: getAdapterStorageValue('meta'),
+                    adapterMeta: getAdapterStorageValue('meta', grid),
                     gridDataset: grid?.dataset
                 });
                 // Do not show the annual row when data insufficient (no fallback assumptions).
@@ -347,18 +521,20 @@
                             allAnnualButtons.forEach(btn => {
                                 btn.classList.remove('ziwei-cycle-button-active');
                             });
-                            window.ziweiChartHelpers?.clearAnnualCycleStars?.();
-                            window.ziweiChartHelpers?.clearAnnualCycleMutations?.();
-                            window.ziweiChartHelpers?.clearAnnualMingLabel?.();
-                            window.ziweiChartHelpers?.clearAnnualCycleLabels?.();
+                            chartHelpers?.clearAnnualCycleStars?.();
+                            chartHelpers?.clearAnnualCycleMutations?.();
+                            chartHelpers?.clearAnnualMingLabel?.();
+                            chartHelpers?.clearAnnualCycleLabels?.();
+                            chartHelpers?.clearMinorLimitLabel?.();
+                            clearMonthlyState();
 
                             // Update AI prompt for major cycle view (without annual)
                             if (window.ziweiAiMode && window.ziweiAiMode.updateJsonText) {
                                 const isTrulyActive = window.ziweiAiMode.isActive();
-                                const container = document.querySelector('.ziwei-cal');
+                                const container = grid.closest('.ziwei-cal');
                                 const domModeAi = container && container.getAttribute('data-ziwei-mode') === 'ai';
-                                const aiPanelVisible = !!document.querySelector('.ziwei-ai-panel[style*="display:"]') ||
-                                                      !!document.querySelector('.ziwei-ai-panel:not([style*="display: none"])');
+                                const aiPanelVisible = !!container?.querySelector('.ziwei-ai-panel[style*="display:"]') ||
+                                                      !!container?.querySelector('.ziwei-ai-panel:not([style*="display: none"])');
                                 const trulyActive = isTrulyActive && domModeAi && aiPanelVisible;
 
                                 if (trulyActive) {
@@ -387,7 +563,7 @@
                         highlightPalace(branchIndex);
 
                         // Show annual stars - ADD to existing major cycle stars, don't replace them
-                        window.ziweiChartHelpers?.showAnnualCycleStars?.({
+                        chartHelpers?.showAnnualCycleStars?.({
                             age: age,
                             year: displayYear,
                             branchIndex: branchIndex,
@@ -398,21 +574,32 @@
                         // Also render the clockwise sequence of annual labels (skip the main 年命 palace)
                         // Apply user's palace name preferences dynamically
                         const ANNUAL_LABELS = generateAnnualLabels();
-                        window.ziweiChartHelpers?.setAnnualCycleLabels?.(branchIndex, ANNUAL_LABELS);
+                        chartHelpers?.setAnnualCycleLabels?.(branchIndex, ANNUAL_LABELS);
 
                         // Apply annual cycle mutations (流年四化)
                         if (stemChar) {
-                            window.ziweiChartHelpers?.applyAnnualCycleMutations?.(stemChar);
+                            chartHelpers?.applyAnnualCycleMutations?.(stemChar);
+                        }
+
+                        // Render the twelve 流月 of this year
+                        renderMonthlyRow(displayYear, branchIndex);
+
+                        // Mark the 小限 palace for this age
+                        const minorLimitPalace = getMinorLimitPalace(age);
+                        if (minorLimitPalace !== null) {
+                            chartHelpers?.setMinorLimitLabel?.(minorLimitPalace);
+                        } else {
+                            chartHelpers?.clearMinorLimitLabel?.();
                         }
 
                         // Update AI prompt only if AI mode is truly active
                         // Check both module state AND DOM state to avoid false positives during mode transitions
                         if (window.ziweiAiMode && window.ziweiAiMode.updateJsonText) {
                             const isTrulyActive = window.ziweiAiMode.isActive();
-                            const container = document.querySelector('.ziwei-cal');
+                            const container = grid.closest('.ziwei-cal');
                             const domModeAi = container && container.getAttribute('data-ziwei-mode') === 'ai';
-                            const aiPanelVisible = !!document.querySelector('.ziwei-ai-panel[style*="display:"]') ||
-                                                 !!document.querySelector('.ziwei-ai-panel:not([style*="display: none"])');
+                            const aiPanelVisible = !!container?.querySelector('.ziwei-ai-panel[style*="display:"]') ||
+                                                 !!container?.querySelector('.ziwei-ai-panel:not([style*="display: none"])');
                             const trulyActive = isTrulyActive && domModeAi && aiPanelVisible;
 
                             console.log('[ziweiCycles] Checking AI mode for annual cycle update:', {
@@ -437,6 +624,258 @@
             annualLabel.style.display = 'block';
         };
 
+        /**
+         * Render the twelve monthly cycle (流月) buttons for the selected annual cycle
+         * @param {number} annualYear Lunar year of the selected annual cycle
+         * @param {number} annualBranchIndex Earthly branch index of the annual cycle (0-11)
+         */
+        const renderMonthlyRow = (annualYear, annualBranchIndex) => {
+            clearMonthlyState();
+
+            const monthlyCycleModule = getAdapterModule('monthlyCycle');
+            if (!monthlyCycleModule || typeof monthlyCycleModule.calculateMonthlyCycles !== 'function') {
+                return;
+            }
+            if (!Number.isInteger(monthIndex) || !Number.isInteger(timeIndex)) {
+                console.error('ziweiCycles: unable to render monthly cycles — missing monthIndex/timeIndex', {
+                    monthIndex,
+                    timeIndex
+                });
+                return;
+            }
+
+            const monthlyCycles = monthlyCycleModule.calculateMonthlyCycles(
+                annualYear,
+                annualBranchIndex,
+                monthIndex,
+                timeIndex
+            );
+            const MONTH_NAMES = ['正月', '二月', '三月', '四月', '五月', '六月', '七月', '八月', '九月', '十月', '冬月', '臘月'];
+
+            monthlyCycles.forEach((monthly) => {
+                const monthlyBtn = document.createElement('button');
+                monthlyBtn.type = 'button';
+                monthlyBtn.className = 'ziwei-cycle-button ziwei-monthly-cycle-button';
+                monthlyBtn.dataset.month = String(monthly.month);
+                monthlyBtn.dataset.leap = monthly.isLeap ? '1' : '0';
+                monthlyBtn.dataset.palaceIndex = String(monthly.palaceIndex);
+                monthlyBtn.dataset.branchIndex = String(monthly.branchIndex);
+                monthlyBtn.dataset.stem = monthly.stem;
+                monthlyBtn.dataset.year = String(annualYear);
+
+                const monthSpan = document.createElement('div');
+                monthSpan.className = 'ziwei-monthly-name';
+                monthSpan.textContent = (monthly.isLeap ? '閏' : '') + MONTH_NAMES[monthly.month - 1];
+
+                const stemBranchSpan = document.createElement('div');
+                stemBranchSpan.className = 'ziwei-monthly-stem-branch';
+                stemBranchSpan.textContent = monthly.stemBranch;
+
+                monthlyBtn.appendChild(monthSpan);
+                monthlyBtn.appendChild(stemBranchSpan);
+
+                monthlyBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    e.preventDefault();
+
+                    const allMonthlyButtons = monthlyRow.querySelectorAll('.ziwei-monthly-cycle-button');
+
+                    // Deselect: clear only the monthly overlays, keep annual/major active
+                    if (monthlyBtn.classList.contains('ziwei-cycle-button-active')) {
+                        allMonthlyButtons.forEach(btn => btn.classList.remove('ziwei-cycle-button-active'));
+                        clearMonthlyOverlays();
+                        refreshAiPromptIfActive();
+                        return;
+                    }
+
+                    isProcessingCycleClick = true;
+
+                    allMonthlyButtons.forEach(btn => btn.classList.remove('ziwei-cycle-button-active'));
+                    monthlyBtn.classList.add('ziwei-cycle-button-active');
+
+                    highlightPalace(monthly.palaceIndex);
+
+                    chartHelpers?.showMonthlyCycleStars?.({
+                        palaceIndex: monthly.palaceIndex,
+                        branchIndex: monthly.branchIndex,
+                        stemChar: monthly.stem,
+                        timeIndex: timeIndex
+                    });
+                    chartHelpers?.setMonthlyCycleLabels?.(monthly.palaceIndex, generateMonthlyLabels());
+                    chartHelpers?.applyMonthlyCycleMutations?.(monthly.stem);
+
+                    renderDailyRow(annualYear, monthly.month, monthly.palaceIndex, monthly.isLeap);
+
+                    refreshAiPromptIfActive();
+
+                    setTimeout(() => {
+                        isProcessingCycleClick = false;
+                    }, 100);
+                });
+
+                monthlyRow.appendChild(monthlyBtn);
+            });
+
+            // A 閏月 adds a 13th button
+            monthlyRow.classList.toggle('ziwei-monthly-cycle-row-leap', monthlyCycles.length > 12);
+            monthlyRow.style.display = 'grid';
+            monthlyLabel.style.display = 'block';
+        };
+
+        /**
+         * Render the daily cycle (流日) buttons for the selected lunar month
+         * @param {number} lunarYear Lunar year of the annual cycle
+         * @param {number} lunarMonth Lunar month of the monthly cycle (1-12)
+         * @param {number} monthlyPalaceIndex Palace index of the 流月
+         * @param {boolean} [isLeap=false] Whether the 流月 is the 閏月
+         */
+        const renderDailyRow = (lunarYear, lunarMonth, monthlyPalaceIndex, isLeap = false) => {
+            clearDailyState();
+
+            const dailyCycleModule = getAdapterModule('dailyCycle');
+            if (!dailyCycleModule || typeof dailyCycleModule.calculateDailyCycles !== 'function') {
+                return;
+            }
+
+            const dailyCycles = dailyCycleModule.calculateDailyCycles(lunarYear, lunarMonth, monthlyPalaceIndex, isLeap);
+            if (!dailyCycles.length) {
+                return;
+            }
+
+            dailyCycles.forEach((daily) => {
+                const dailyBtn = document.createElement('button');
+                dailyBtn.type = 'button';
+                dailyBtn.className = 'ziwei-cycle-button ziwei-daily-cycle-button';
+                dailyBtn.dataset.day = String(daily.day);
+                dailyBtn.dataset.palaceIndex = String(daily.palaceIndex);
+                dailyBtn.dataset.stem = daily.stem;
+                dailyBtn.dataset.stemIndex = String(daily.stemIndex);
+                dailyBtn.title = `${daily.solar.year}-${daily.solar.month}-${daily.solar.day}`;
+
+                const daySpan = document.createElement('span');
+                daySpan.className = 'ziwei-daily-name';
+                daySpan.textContent = formatLunarDayName(daily.day);
+
+                const stemBranchSpan = document.createElement('span');
+                stemBranchSpan.className = 'ziwei-daily-stem-branch';
+                stemBranchSpan.textContent = daily.stemBranch;
+
+                dailyBtn.appendChild(daySpan);
+                dailyBtn.appendChild(stemBranchSpan);
+
+                dailyBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    e.preventDefault();
+
+                    const allDailyButtons = dailyRow.querySelectorAll('.ziwei-daily-cycle-button');
+
+                    // Deselect: clear daily and hourly overlays, keep the month active
+                    if (dailyBtn.classList.contains('ziwei-cycle-button-active')) {
+                        allDailyButtons.forEach(btn => btn.classList.remove('ziwei-cycle-button-active'));
+                        clearHourlyState();
+                        clearCycleLayerOverlays('daily');
+                        refreshAiPromptIfActive();
+                        return;
+                    }
+
+                    isProcessingCycleClick = true;
+
+                    allDailyButtons.forEach(btn => btn.classList.remove('ziwei-cycle-button-active'));
+                    dailyBtn.classList.add('ziwei-cycle-button-active');
+
+                    highlightPalace(daily.palaceIndex);
+
+                    chartHelpers?.setCycleLayerMingLabel?.('daily', daily.palaceIndex);
+                    chartHelpers?.applyCycleLayerMutations?.('daily', daily.stem);
+
+                    renderHourlyRow(daily.stemIndex, daily.palaceIndex);
+
+                    refreshAiPromptIfActive();
+
+                    setTimeout(() => {
+                        isProcessingCycleClick = false;
+                    }, 100);
+                });
+
+                dailyRow.appendChild(dailyBtn);
+            });
+
+            dailyRow.style.display = 'grid';
+            dailyLabel.style.display = 'block';
+        };
+
+        /**
+         * Render the twelve hourly cycle (流時) buttons for the selected day
+         * @param {number} dayStemIndex Heavenly stem index of the selected day (0-9)
+         * @param {number} dailyPalaceIndex Palace index of the 流日
+         */
+        const renderHourlyRow = (dayStemIndex, dailyPalaceIndex) => {
+            clearHourlyState();
+
+            const dailyCycleModule = getAdapterModule('dailyCycle');
+            if (!dailyCycleModule || typeof dailyCycleModule.calculateHourlyCycles !== 'function') {
+                return;
+            }
+
+            const hourlyCycles = dailyCycleModule.calculateHourlyCycles(dayStemIndex, dailyPalaceIndex);
+
+            hourlyCycles.forEach((hourly) => {
+                const hourlyBtn = document.createElement('button');
+                hourlyBtn.type = 'button';
+                hourlyBtn.className = 'ziwei-cycle-button ziwei-hourly-cycle-button';
+                hourlyBtn.dataset.hourIndex = String(hourly.hourIndex);
+                hourlyBtn.dataset.palaceIndex = String(hourly.palaceIndex);
+                hourlyBtn.dataset.stem = hourly.stem;
+
+                const hourSpan = document.createElement('span');
+                hourSpan.className = 'ziwei-hourly-name';
+                hourSpan.textContent = hourly.branch + '時';
+
+                const stemBranchSpan = document.createElement('span');
+                stemBranchSpan.className = 'ziwei-hourly-stem-branch';
+                stemBranchSpan.textContent = hourly.stemBranch;
+
+                hourlyBtn.appendChild(hourSpan);
+                hourlyBtn.appendChild(stemBranchSpan);
+
+                hourlyBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    e.preventDefault();
+
+                    const allHourlyButtons = hourlyRow.querySelectorAll('.ziwei-hourly-cycle-button');
+
+                    // Deselect: clear only the hourly overlays, keep the day active
+                    if (hourlyBtn.classList.contains('ziwei-cycle-button-active')) {
+                        allHourlyButtons.forEach(btn => btn.classList.remove('ziwei-cycle-button-active'));
+                        clearCycleLayerOverlays('hourly');
+                        refreshAiPromptIfActive();
+                        return;
+                    }
+
+                    isProcessingCycleClick = true;
+
+                    allHourlyButtons.forEach(btn => btn.classList.remove('ziwei-cycle-button-active'));
+                    hourlyBtn.classList.add('ziwei-cycle-button-active');
+
+                    highlightPalace(hourly.palaceIndex);
+
+                    chartHelpers?.setCycleLayerMingLabel?.('hourly', hourly.palaceIndex);
+                    chartHelpers?.applyCycleLayerMutations?.('hourly', hourly.stem);
+
+                    refreshAiPromptIfActive();
+
+                    setTimeout(() => {
+                        isProcessingCycleClick = false;
+                    }, 100);
+                });
+
+                hourlyRow.appendChild(hourlyBtn);
+            });
+
+            hourlyRow.style.display = 'grid';
+            hourlyLabel.style.display = 'block';
+        };
+
         const handleMajorCycleSelection = (cycle, stemBranch) => {
             if (!cycle) return;
 
@@ -444,7 +883,7 @@
             const cycleStem = palace?.stem || (stemBranch ? stemBranch.charAt(0) : '');
             const cycleBranchIndex = palace?.index;
 
-            window.ziweiChartHelpers?.showMajorCycleStars?.({ 
+            chartHelpers?.showMajorCycleStars?.({ 
                 cycle, 
                 stem: cycleStem,
                 branchIndex: cycleBranchIndex,
@@ -453,13 +892,13 @@
             });
             // Apply major cycle mutations (大限四化)
             if (cycleStem) {
-                window.ziweiChartHelpers?.applyMajorCycleMutations?.(cycleStem);
+                chartHelpers?.applyMajorCycleMutations?.(cycleStem);
             }
             // Render the full clockwise sequence of 大限 labels around 命宮
             // Apply user's palace name preferences dynamically
             if (Number.isInteger(cycleBranchIndex)) {
                 const MAJOR_LABELS = generateMajorLabels();
-                window.ziweiChartHelpers?.setMajorCycleLabels?.(cycleBranchIndex, MAJOR_LABELS);
+                chartHelpers?.setMajorCycleLabels?.(cycleBranchIndex, MAJOR_LABELS);
             }
         };
 
@@ -493,10 +932,10 @@
                     // Update AI prompt for natal chart view
                     if (window.ziweiAiMode && window.ziweiAiMode.updateJsonText) {
                         const isTrulyActive = window.ziweiAiMode.isActive();
-                        const container = document.querySelector('.ziwei-cal');
+                        const container = grid.closest('.ziwei-cal');
                         const domModeAi = container && container.getAttribute('data-ziwei-mode') === 'ai';
-                        const aiPanelVisible = !!document.querySelector('.ziwei-ai-panel[style*="display:"]') ||
-                                              !!document.querySelector('.ziwei-ai-panel:not([style*="display: none"])');
+                        const aiPanelVisible = !!container?.querySelector('.ziwei-ai-panel[style*="display:"]') ||
+                                              !!container?.querySelector('.ziwei-ai-panel:not([style*="display: none"])');
                         const trulyActive = isTrulyActive && domModeAi && aiPanelVisible;
 
                         if (trulyActive) {
@@ -530,10 +969,10 @@
                 // Check both module state AND DOM state to avoid false positives during mode transitions
                 if (window.ziweiAiMode && window.ziweiAiMode.updateJsonText) {
                     const isTrulyActive = window.ziweiAiMode.isActive();
-                    const container = document.querySelector('.ziwei-cal');
+                    const container = grid.closest('.ziwei-cal');
                     const domModeAi = container && container.getAttribute('data-ziwei-mode') === 'ai';
-                    const aiPanelVisible = !!document.querySelector('.ziwei-ai-panel[style*="display:"]') ||
-                                         !!document.querySelector('.ziwei-ai-panel:not([style*="display: none"])');
+                    const aiPanelVisible = !!container?.querySelector('.ziwei-ai-panel[style*="display:"]') ||
+                                         !!container?.querySelector('.ziwei-ai-panel:not([style*="display: none"])');
                     const trulyActive = isTrulyActive && domModeAi && aiPanelVisible;
 
                     console.log('[ziweiCycles] Checking AI mode for major cycle update:', {
@@ -580,15 +1019,18 @@
             }
             
             // Always clear existing cycle labels first (defensive, prevents lingering labels)
-            if (typeof window.ziweiChartHelpers?.clearMajorCycleLabels === 'function') {
-                window.ziweiChartHelpers.clearMajorCycleLabels();
+            if (typeof chartHelpers?.clearMajorCycleLabels === 'function') {
+                chartHelpers.clearMajorCycleLabels();
             }
-            if (typeof window.ziweiChartHelpers?.clearAnnualCycleLabels === 'function') {
-                window.ziweiChartHelpers.clearAnnualCycleLabels();
+            if (typeof chartHelpers?.clearAnnualCycleLabels === 'function') {
+                chartHelpers.clearAnnualCycleLabels();
+            }
+            if (typeof chartHelpers?.clearMonthlyCycleLabels === 'function') {
+                chartHelpers.clearMonthlyCycleLabels();
             }
             
             // If there's an active major cycle button, regenerate and apply major labels
-            if (activeMajorButton && typeof window.ziweiChartHelpers?.setMajorCycleLabels === 'function') {
+            if (activeMajorButton && typeof chartHelpers?.setMajorCycleLabels === 'function') {
                 const cycleIndex = parseInt(activeMajorButton.dataset.cycleIndex, 10);
                 const palaceIndex = parseInt(activeMajorButton.dataset.palaceIndex, 10);
                 
@@ -597,13 +1039,13 @@
                     const palace = palaceData?.[palaceIndex] || null;
                     if (palace && Number.isInteger(palace.index)) {
                         const MAJOR_LABELS = generateMajorLabels();
-                        window.ziweiChartHelpers.setMajorCycleLabels(palace.index, MAJOR_LABELS);
+                        chartHelpers.setMajorCycleLabels(palace.index, MAJOR_LABELS);
                     }
                 }
             }
             
             // If annual row is visible, regenerate and apply annual labels
-            if (annualRow && annualRow.style.display !== 'none' && typeof window.ziweiChartHelpers?.setAnnualCycleLabels === 'function') {
+            if (annualRow && annualRow.style.display !== 'none' && typeof chartHelpers?.setAnnualCycleLabels === 'function') {
                 const annualBtnActive = annualRow.querySelector('.ziwei-cycle-button-active');
                 if (annualBtnActive) {
                     // Extract branch index from the active annual button's stem-branch text
@@ -616,12 +1058,21 @@
                             const branchIndex = branchCharToIndex(branchChar);
                             if (Number.isInteger(branchIndex) && branchIndex >= 0) {
                                 const ANNUAL_LABELS = generateAnnualLabels();
-                                window.ziweiChartHelpers.setAnnualCycleLabels(branchIndex, ANNUAL_LABELS);
+                                chartHelpers.setAnnualCycleLabels(branchIndex, ANNUAL_LABELS);
                             }
                         }
                     }
                 }
             }
+
+            // If a monthly button is active, regenerate and apply monthly labels
+            const monthlyBtnActive = monthlyRow.querySelector('.ziwei-cycle-button-active');
+            if (monthlyBtnActive && typeof chartHelpers?.setMonthlyCycleLabels === 'function') {
+                const monthlyPalaceIndex = parseInt(monthlyBtnActive.dataset.palaceIndex, 10);
+                if (Number.isInteger(monthlyPalaceIndex)) {
+                    chartHelpers.setMonthlyCycleLabels(monthlyPalaceIndex, generateMonthlyLabels());
+                }
+            }
         });
 
         return panel;
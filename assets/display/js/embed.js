@@ -0,0 +1,310 @@
+/**
+ * Embedded Chart Module
+ *
+ * Applies the attributes of [ziwei_cal] shortcodes
+ * (includes/class-ziwei-shortcode.php), which arrive validated as JSON in the
+ * container's data-ziwei-embed attribute:
+ * - mode="chart-only": the chart is computed and drawn in the container, with
+ *   a control bar without back and hour buttons. It gets its own adapter
+ *   instance whose settings are the panel defaults overlaid with the
+ *   shortcode's, so every visitor sees the same chart and the form's settings
+ *   are never touched.
+ * - mode="form": the shortcode's settings are applied before form.js submits
+ *   the pre-filled birth date (form.js waits for ziweiEmbed.ready).
+ * - cycle="major:N" / "annual:YYYY" selects a 大限 or 流年 once the chart is shown.
+ *
+ * Dependencies:
+ * - assets/calculate/common/calculator.js (ziweiCalculator.renderEmbedded)
+ * - assets/display/js/config.js (ziweiConfig.getSettingsConfig, getAllowedSettingValues)
+ * - assets/js/data-adapter.js (ziweiAdapter.settings, createInstance, bindElement)
+ *
+ * Corresponding CSS: assets/display/css/form.css
+ *
+ * Exports: window.ziweiEmbed
+ */
+
+'use strict';
+
+(function () {
+
+    // ============================================================================
+    // Module Constants
+    // ============================================================================
+
+    const EMBED_SELECTOR = '.ziwei-cal[data-ziwei-embed]';
+    const LOG_PREFIX = '[ziweiEmbed]';
+
+    // Privacy mask stays the visitor's choice
+    const EXCLUDED_SETTINGS = ['personalInfo'];
+
+    // Same delay as ziweiCalculator.restoreCycleState: annual buttons appear after the major click
+    const ANNUAL_CLICK_DELAY = 50;
+
+    let resolveReady;
+    const ready = new Promise(resolve => { resolveReady = resolve; });
+
+    // ============================================================================
+    // Settings
+    // ============================================================================
+
+    /**
+     * @param {HTMLElement} container .ziwei-cal element
+     * @returns {Object|null} Embed configuration from Ziwei_Shortcode::parse_attributes()
+     */
+    function readEmbedConfig(container) {
+        try {
+            return JSON.parse(container.getAttribute('data-ziwei-embed') || 'null');
+        } catch (e) {
+            console.error(`${LOG_PREFIX} Invalid data-ziwei-embed:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Shortcode settings the settings panel accepts
+     * @param {Object} values Setting name → value
+     * @returns {Object} The same minus excluded settings and unknown names or values
+     */
+    function filterEmbedSettings(values) {
+        const config = window.ziweiConfig;
+        const valid = {};
+        if (!config) {
+            return valid;
+        }
+        Object.entries(values || {}).forEach(([name, value]) => {
+            if (EXCLUDED_SETTINGS.includes(name) || !config.getAllowedSettingValues(name).includes(value)) {
+                console.warn(`${LOG_PREFIX} Ignoring setting ${name}=${value}`);
+                return;
+            }
+            valid[name] = value;
+        });
+        return valid;
+    }
+
+    /**
+     * Write a form embed's settings to the adapter. Unlike
+     * ziweiConfig.applySettings() this does not recalculate the chart.
+     * @param {Object} values Setting name → value; unknown names or values are skipped
+     */
+    function applyEmbedSettings(values) {
+        const settings = window.ziweiAdapter?.settings;
+        if (!settings || typeof settings.set !== 'function') {
+            return;
+        }
+
+        const stemSelections = {};
+        Object.entries(filterEmbedSettings(values)).forEach(([name, value]) => {
+            const stemMatch = name.match(/^stemInterpretation_(.+)$/);
+            if (stemMatch) {
+                stemSelections[stemMatch[1]] = value;
+            } else {
+                settings.set(name, value);
+            }
+        });
+
+        if (Object.keys(stemSelections).length > 0 && typeof window.updateStemSelections === 'function') {
+            const current = typeof window.getCurrentStemSelections === 'function'
+                ? window.getCurrentStemSelections()
+                : {};
+            window.updateStemSelections(Object.assign({}, current, stemSelections));
+        }
+    }
+
+    /**
+     * Settings of a chart-only embed: panel defaults (site defaults included)
+     * overlaid with the shortcode's
+     * @param {Object} embedSettings Setting name → value from the shortcode
+     * @returns {Object}
+     */
+    function getFixedChartSettings(embedSettings) {
+        const values = {};
+        window.ziweiConfig.getSettingsConfig().forEach(setting => {
+            if (!EXCLUDED_SETTINGS.includes(setting.name)) {
+                values[setting.name] = setting.defaultValue;
+            }
+        });
+        return filterEmbedSettings(Object.assign(values, embedSettings));
+    }
+
+    /**
+     * Adapter instance of a chart-only embed, bound to its container
+     * @param {HTMLElement} container .ziwei-cal-embed element
+     * @param {Object} embedSettings Setting name → value from the shortcode
+     * @returns {Object}
+     */
+    function createChartInstance(container, embedSettings) {
+        const adapter = window.ziweiAdapter;
+        const instance = adapter.createInstance(undefined, getFixedChartSettings(embedSettings));
+        adapter.bindElement(container, instance);
+        return instance;
+    }
+
+    // ============================================================================
+    // Charts
+    // ============================================================================
+
+    /**
+     * @param {Object} embed Embed configuration with birth and gender
+     * @returns {Object} Form data in the shape form.js submits
+     */
+    function buildFormData(embed) {
+        const birth = embed.birth;
+        return {
+            name: embed.name || '',
+            gender: embed.gender,
+            year: String(birth.year),
+            month: String(birth.month),
+            day: String(birth.day),
+            hour: String(birth.hour),
+            minute: String(birth.minute),
+            birthplace: '',
+            calendarType: 'solar',
+            leapMonth: '',
+            lunarInput: null,
+            timezone: 'UTC+8',
+            timezoneRegion: 'auto'
+        };
+    }
+
+    /**
+     * Click the 大限 (and 流年) buttons of one chart
+     * @param {HTMLElement} root Element containing the chart's cycle panel
+     * @param {{type: string, value: number}|null} cycle From the shortcode
+     * @param {Object} adapterOutput The chart's adapter output (for the lunar year)
+     */
+    function selectCycle(root, cycle, adapterOutput) {
+        if (!cycle || !root) {
+            return;
+        }
+
+        let majorButton;
+        if (cycle.type === 'major') {
+            majorButton = root.querySelector(`.ziwei-major-cycle-button[data-cycle-index="${cycle.value - 1}"]`);
+        } else {
+            const lunarYear = adapterOutput?.lunar?.lunarYear;
+            const age = cycle.value - lunarYear + 1;
+            majorButton = Array.from(root.querySelectorAll('.ziwei-major-cycle-button')).find(button => {
+                const [from, to] = (button.dataset.ageRange || '').split('-').map(Number);
+                return age >= from && age <= to;
+            });
+        }
+
+        if (!majorButton) {
+            console.warn(`${LOG_PREFIX} No cycle for ${cycle.type}:${cycle.value} in this chart`);
+            return;
+        }
+        majorButton.click();
+
+        if (cycle.type === 'annual') {
+            setTimeout(() => {
+                const annualButton = root.querySelector(`.ziwei-annual-cycle-button[data-year="${cycle.value}"]`);
+                if (annualButton) {
+                    annualButton.click();
+                } else {
+                    console.warn(`${LOG_PREFIX} No 流年 button for ${cycle.value}`);
+                }
+            }, ANNUAL_CLICK_DELAY);
+        }
+    }
+
+    /**
+     * @param {HTMLElement} container .ziwei-cal-embed element
+     * @param {string} message Shown in place of the chart
+     */
+    function showEmbedError(container, message) {
+        const error = document.createElement('div');
+        error.className = 'ziwei-cal-embed-error';
+        error.textContent = message;
+        container.replaceChildren(error);
+    }
+
+    /**
+     * Compute and draw a chart-only embed
+     * @param {HTMLElement} container .ziwei-cal-embed element
+     * @param {Object} embed Embed configuration
+     */
+    async function renderFixedChart(container, embed) {
+        if (!window.ziweiCalculator || typeof window.ziweiCalculator.renderEmbedded !== 'function') {
+            showEmbedError(container, '命盤載入失敗：排盤模組未載入');
+            return;
+        }
+        try {
+            const { chartElement, adapterOutput } = await window.ziweiCalculator.renderEmbedded(
+                container,
+                buildFormData(embed),
+                { fixed: true, adapter: createChartInstance(container, embed.settings) }
+            );
+            selectCycle(chartElement, embed.cycle, adapterOutput);
+        } catch (e) {
+            console.error(`${LOG_PREFIX} Failed to render embedded chart:`, e);
+            showEmbedError(container, `命盤載入失敗：${e.message || e}`);
+        }
+    }
+
+    /**
+     * Select the shortcode's cycle once the form's chart is shown
+     * @param {HTMLElement} container The form's .ziwei-cal element
+     * @param {Object} cycle From the shortcode
+     */
+    function watchFormChart(container, cycle) {
+        const onDisplayed = (event) => {
+            const detail = event.detail || {};
+            if (!detail.chartElement || !container.contains(detail.chartElement)) {
+                return;
+            }
+            document.removeEventListener('ziwei-chart-displayed', onDisplayed);
+            selectCycle(detail.chartElement, cycle, detail.adapterOutput);
+        };
+        document.addEventListener('ziwei-chart-displayed', onDisplayed);
+    }
+
+    /**
+     * Draw the chart-only embeds, then give the form the visitor's settings
+     * plus its shortcode's
+     */
+    async function initEmbeds() {
+        const containers = document.querySelectorAll(EMBED_SELECTOR);
+        if (containers.length === 0) {
+            return;
+        }
+
+        let formEmbed = null;
+        for (const container of containers) {
+            const embed = readEmbedConfig(container);
+            if (!embed) {
+                continue;
+            }
+            if (embed.mode === 'chart-only') {
+                await renderFixedChart(container, embed);
+            } else {
+                formEmbed = { container, embed };
+            }
+        }
+
+        if (formEmbed) {
+            applyEmbedSettings(formEmbed.embed.settings);
+            if (formEmbed.embed.cycle) {
+                watchFormChart(formEmbed.container, formEmbed.embed.cycle);
+            }
+        }
+    }
+
+    function initialize() {
+        initEmbeds()
+            .catch(e => console.error(`${LOG_PREFIX} Initialization failed:`, e))
+            .finally(() => resolveReady());
+    }
+
+    // Expose API
+    window.ziweiEmbed = {
+        ready,
+        applyEmbedSettings,
+        selectCycle
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+})();
@@ -4,8 +4,14 @@
  * Handles birth data input form: field validation, calendar type switching,
  * date/time selection, and form submission to API.
  * 
+ * Lunar (農曆) birth dates are validated against LunarSolarConverter and
+ * converted to the solar date before submission, so the rest of the
+ * pipeline (share links, hour navigation) always works on solar dates.
+ * 
  * Dependencies:
  * - assets/data/constants.js (ziweiConstants)
+ * - assets/calculate/common/lunar-converter.js (LunarSolarConverter, getLunarMonthDays)
+ * - assets/data/gazetteer.js (ziweiGazetteer, birthplace autocomplete)
  * 
  * Corresponding CSS: assets/display/css/form.css
  * 
@@ -53,6 +59,12 @@ let _domCache = {
     daySelect: null,
     hourSelect: null,
     minuteSelect: null,
+    lunarYearInput: null,
+    lunarMonthSelect: null,
+    lunarDaySelect: null,
+    lunarLeapCheckbox: null,
+    solarDateSection: null,
+    lunarDateSection: null,
     formContainer: null,
     genderGroup: null
 };
@@ -265,6 +277,7 @@ function prefillFromShareLink(params) {
 function checkAndProcessShareLink() {
     const params = parseShareLinkParameters();
     if (!params) {
+        checkAndProcessEmbedBirth();
         return;
     }
 
@@ -292,9 +305,61 @@ function checkAndProcessShareLink() {
         log('Could not clear URL parameters:', e);
     }
 
-    // Auto-submit after a short delay to ensure form is ready
+    autoSubmitForm('share link');
+}
+
+/**
+ * Birth data given to the shortcode ([ziwei_cal birth="…" gender="…"]),
+ * in the parseShareLinkParameters() shape
+ * @returns {Object|null} Parameters, or null when the form has no preset birth
+ */
+function parseEmbedParameters() {
+    const raw = _domCache.formContainer?.getAttribute('data-ziwei-embed');
+    if (!raw) {
+        return null;
+    }
+    try {
+        const embed = JSON.parse(raw);
+        if (!embed || !embed.birth) {
+            return null;
+        }
+        return {
+            gender: embed.gender,
+            year: embed.birth.year,
+            month: embed.birth.month,
+            day: embed.birth.day,
+            hour: embed.birth.hour,
+            minute: embed.birth.minute,
+            bd_name: embed.name || ''
+        };
+    } catch (error) {
+        warn('Invalid data-ziwei-embed on form container:', error);
+        return null;
+    }
+}
+
+/**
+ * Pre-fill and submit the form when the shortcode preset a birth date
+ * (share links take precedence)
+ */
+function checkAndProcessEmbedBirth() {
+    const params = parseEmbedParameters();
+    if (!params) {
+        return;
+    }
+    log('Shortcode birth data detected, processing...');
+    prefillFromShareLink(params);
+    // embed.js applies the shortcode settings first
+    Promise.resolve(window.ziweiEmbed?.ready).then(() => autoSubmitForm('shortcode'));
+}
+
+/**
+ * Submit the pre-filled form after a short delay to ensure it is ready
+ * @param {string} source What filled the form, for the log
+ */
+function autoSubmitForm(source) {
     setTimeout(() => {
-        log('Auto-submitting form from share link...');
+        log(`Auto-submitting form from ${source}...`);
         // Create a synthetic event for handleSubmit
         const syntheticEvent = {
             preventDefault: () => {},
@@ -401,7 +466,14 @@ function initForm() {
     _domCache.daySelect = document.getElementById('ziwei-birth-day');
     _domCache.hourSelect = document.getElementById('ziwei-birth-hour');
     _domCache.minuteSelect = document.getElementById('ziwei-birth-minute');
-    _domCache.formContainer = document.querySelector('.ziwei-cal');
+    _domCache.lunarYearInput = document.getElementById('ziwei-lunar-year');
+    _domCache.lunarMonthSelect = document.getElementById('ziwei-lunar-month');
+    _domCache.lunarDaySelect = document.getElementById('ziwei-lunar-day');
+    _domCache.lunarLeapCheckbox = document.getElementById('ziwei-lunar-leap');
+    _domCache.solarDateSection = form.querySelector('.ziwei-cal-solar-date');
+    _domCache.lunarDateSection = form.querySelector('.ziwei-cal-lunar-date');
+    // closest(): embedded charts on the same page are .ziwei-cal containers too
+    _domCache.formContainer = form.closest('.ziwei-cal');
     _domCache.genderGroup = document.querySelector('.ziwei-cal-gender-group');
     
     // Build input map for fast lookup
@@ -436,10 +508,20 @@ function initForm() {
     
     // Register event listeners
     const handleReset = () => {
-        // Re-fill date and time after form reset
-        setTimeout(prefillCurrentDateTime, 0);
+        // Re-fill date and time after form reset (reset also restores the solar toggle)
+        setTimeout(() => {
+            prefillCurrentDateTime();
+            updateCalendarSections();
+        }, 0);
     };
     
+    // Calendar toggle (西曆/農曆) switches the visible date section
+    form.querySelectorAll('input[name="calendarType"]').forEach((radio) => {
+        radio.addEventListener('change', updateCalendarSections);
+    });
+    updateCalendarSections();
+    populateBirthplaceSuggestions();
+    
     form.addEventListener('submit', (e) => {
         if (DEBUG_FORM) console.log('[form.js] Submit event attached and fired');
         handleSubmit(e, { mode: 'chart' });
@@ -549,6 +631,110 @@ function prefillCurrentDateTime() {
         _domCache.minuteSelect.value = String(minute);
         log(`Pre-filled minute: ${minute}`);
     }
+    
+    if (_domCache.lunarYearInput) {
+        _domCache.lunarYearInput.value = String(year);
+    }
+}
+
+// ============================================================================
+// Calendar Type (西曆/農曆)
+// ============================================================================
+
+/**
+ * Get the currently selected calendar type
+ * @returns {string} 'solar' or 'lunar'
+ */
+function getCalendarType() {
+    const checked = state.form?.querySelector('input[name="calendarType"]:checked');
+    return checked && checked.value === 'lunar' ? 'lunar' : 'solar';
+}
+
+/**
+ * Show the date section matching the selected calendar type
+ */
+function updateCalendarSections() {
+    const isLunar = getCalendarType() === 'lunar';
+    if (_domCache.solarDateSection) {
+        _domCache.solarDateSection.style.display = isLunar ? 'none' : '';
+    }
+    if (_domCache.lunarDateSection) {
+        _domCache.lunarDateSection.style.display = isLunar ? '' : 'none';
+    }
+}
+
+/**
+ * Validate a lunar birth date and convert it to the solar date
+ * @param {Object} values Collected form values (lunarYear, lunarMonth, lunarDay, leapMonth)
+ * @returns {{valid: boolean, field?: string, message?: string, solar?: Object, lunar?: Object}}
+ */
+function convertLunarInputToSolar(values) {
+    const numeric = constants?.NUMERIC || {};
+    const yearMin = numeric.LUNAR_YEAR_MIN ?? 800;
+    const yearMax = numeric.LUNAR_YEAR_MAX ?? 2200;
+
+    const year = parseInt(values.lunarYear, 10);
+    const month = parseInt(values.lunarMonth, 10);
+    const day = parseInt(values.lunarDay, 10);
+    const isLeapMonth = values.leapMonth === '1';
+
+    if (!Number.isInteger(year) || year < yearMin || year > yearMax) {
+        return { valid: false, field: 'lunarYear', message: `農曆年份需介於 ${yearMin}-${yearMax}` };
+    }
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+        return { valid: false, field: 'lunarMonth', message: '農曆月份格式不正確' };
+    }
+    if (typeof LunarSolarConverter !== 'function' || typeof getLunarMonthDays !== 'function') {
+        return { valid: false, field: 'lunarYear', message: '找不到農曆轉換函式' };
+    }
+
+    const monthDays = getLunarMonthDays(year, month, isLeapMonth);
+    if (!monthDays) {
+        return {
+            valid: false,
+            field: 'leapMonth',
+            message: isLeapMonth ? `農曆${year}年沒有閏${month}月` : '農曆月份超出支援範圍'
+        };
+    }
+    if (!Number.isInteger(day) || day < 1 || day > monthDays) {
+        return { valid: false, field: 'lunarDay', message: `該農曆月份只有${monthDays}日` };
+    }
+
+    const lunar = new Lunar();
+    lunar.lunarYear = year;
+    lunar.lunarMonth = month;
+    lunar.lunarDay = day;
+    lunar.isleap = isLeapMonth;
+    const solar = new LunarSolarConverter().LunarToSolar(lunar);
+
+    return {
+        valid: true,
+        solar: { year: solar.solarYear, month: solar.solarMonth, day: solar.solarDay },
+        lunar: { year, month, day, isLeapMonth }
+    };
+}
+
+/**
+ * Fill the birthplace datalist from the offline gazetteer
+ * Known cities enable true solar time correction in the adapter.
+ */
+function populateBirthplaceSuggestions() {
+    const datalist = document.getElementById('ziwei-birthplace-list');
+    const cities = window.ziweiGazetteer?.CITIES;
+    if (!datalist || !Array.isArray(cities) || datalist.options.length > 0) {
+        return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    cities.forEach((city) => {
+        const option = document.createElement('option');
+        option.value = city.name;
+        if (city.aliases.length > 0) {
+            option.label = city.aliases.join(' / ');
+        }
+        fragment.appendChild(option);
+    });
+    datalist.appendChild(fragment);
 }
 
 /**
@@ -630,7 +816,7 @@ function addFormA11yAttributes() {
     }
     
     // Add aria-required to required fields
-    const requiredFieldNames = ['gender', 'year', 'month', 'day', 'hour', 'minute'];
+    const requiredFieldNames = ['gender', 'year', 'month', 'day', 'hour', 'minute', 'lunarYear', 'lunarMonth', 'lunarDay'];
     
     for (let i = 0; i < state.inputs.length; i++) {
         const el = state.inputs[i];
@@ -870,6 +1056,24 @@ async function handleSubmit(e, options = {}) {
             return;
         }
         
+        // Lunar input is converted to the solar date; the chart is always computed from solar
+        let lunarInput = null;
+        if (getCalendarType() === 'lunar') {
+            const conversion = convertLunarInputToSolar(rawValues);
+            if (!conversion.valid) {
+                applyFieldA11y(state.inputMap.get(conversion.field), { valid: false, message: conversion.message });
+                showError(conversion.message);
+                state.isSubmitting = false;
+                toggleBusy(false);
+                return;
+            }
+            rawValues.year = String(conversion.solar.year);
+            rawValues.month = String(conversion.solar.month);
+            rawValues.day = String(conversion.solar.day);
+            lunarInput = conversion.lunar;
+            log('Lunar input converted to solar:', conversion);
+        }
+        
         const rawPayload = {
             name: rawValues.name || '',
             gender: rawValues.gender || '',
@@ -879,9 +1083,11 @@ async function handleSubmit(e, options = {}) {
             hour: rawValues.hour ?? '',
             minute: rawValues.minute ?? '',
             birthplace: rawValues.birthplace || '',
-            calendarType: rawValues.calendarType || rawValues.calendar_type || 'solar',
-            leapMonth: rawValues.leapMonth ?? rawValues.leap_month ?? '',
-            timezone: rawValues.timezone || 'UTC+8'
+            calendarType: 'solar',
+            leapMonth: lunarInput ? lunarInput.isLeapMonth : '',
+            lunarInput: lunarInput,
+            timezone: rawValues.timezone || 'UTC+8',
+            timezoneRegion: rawValues.timezoneRegion || 'auto'
         };
         log('Raw form payload collected:', rawPayload);
         log('ziweiCalData:', window.ziweiCalData);
@@ -911,7 +1117,9 @@ async function handleSubmit(e, options = {}) {
                     day: Number(rawPayload.day),
                     hour: Number(rawPayload.hour),
                     minute: Number(rawPayload.minute),
-                    birthplace: rawPayload.birthplace
+                    birthplace: rawPayload.birthplace,
+                    // The chart is rendered by the browser adapter; skip the server-side chart
+                    computeChart: false
                 })
             });
             apiResponse = await resp.json();
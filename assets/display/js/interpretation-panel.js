@@ -9,9 +9,15 @@
  * - Stars with mutations shown as separate rows
  * - Major/annual cycle stars (流曜) included
  * - Full major/annual cycle mutation support
+ * - Flying mutations (飛化 / 宮干四化) of the selected palace when the mode is on
+ * - 格局 involving the selected palace (assets/js/chart-patterns.js), including
+ *   the user's saved rules when pattern-rules.js is loaded
+ * - 夾宮 findings (左右夾, 昌曲夾, 羊陀夾, 祿權夾, …) and the 對宮's 主星
  * 
  * Dependencies:
  * - assets/js/data-adapter.js (ziweiAdapter)
+ * - assets/js/chart-patterns.js (ziweiChartPatterns)
+ * - assets/display/js/pattern-rules.js (ziweiPatternRules, optional)
  * - assets/data/interpretations.js (ziweiInterpretations)
  * - palace-interaction events (ziwei-palace-selected, ziwei-palace-cleared)
  * 
@@ -30,6 +36,8 @@
 
     let panelElement = null;
     let currentBranchIndex = null;
+    // Grid of the chart whose palace is shown (several charts can share a page)
+    let activeGrid = null;
     let isInitialized = false;
 
     // ============================================================================
@@ -105,8 +113,16 @@
     // Utility Functions
     // ============================================================================
 
+    /**
+     * Adapter instance of the active chart (the adapter itself for the form's chart)
+     * @returns {Object|undefined}
+     */
+    function getChartAdapter() {
+        return window.ziweiAdapter?.forElement?.(activeGrid) || window.ziweiAdapter;
+    }
+
     function getAdapterStorage(key) {
-        const adapter = window.ziweiAdapter;
+        const adapter = getChartAdapter();
         if (!adapter || !adapter.storage || typeof adapter.storage.get !== 'function') {
             return null;
         }
@@ -117,6 +133,16 @@
         }
     }
 
+    /**
+     * Query inside the active chart (its wrapper holds the cycle panel)
+     * @param {string} selector
+     * @returns {Element|null}
+     */
+    function queryActiveChart(selector) {
+        const root = activeGrid?.closest('.ziwei-chart-wrapper') || document;
+        return root.querySelector(selector);
+    }
+
     function getInterpretations() {
         return window.ziweiInterpretations || null;
     }
@@ -125,11 +151,8 @@
      * Get current major cycle ming palace index
      */
     function getCurrentMajorCycleMingIndex() {
-        if (window.ziweiChartHelpers?.getCurrentMajorCycleMingIndex) {
-            return window.ziweiChartHelpers.getCurrentMajorCycleMingIndex();
-        }
-        // Fallback: check DOM for active major cycle button
-        const activeBtn = document.querySelector('.ziwei-major-cycle-button.ziwei-cycle-button-active');
+        // Check DOM for active major cycle button
+        const activeBtn = queryActiveChart('.ziwei-major-cycle-button.ziwei-cycle-button-active');
         if (activeBtn) {
             const palaceIndex = parseInt(activeBtn.dataset.palaceIndex, 10);
             if (!isNaN(palaceIndex)) return palaceIndex;
@@ -142,11 +165,8 @@
      * The annual button highlights the palace with matching branch index
      */
     function getCurrentAnnualCycleMingIndex() {
-        if (window.ziweiChartHelpers?.getCurrentAnnualCycleMingIndex) {
-            return window.ziweiChartHelpers.getCurrentAnnualCycleMingIndex();
-        }
-        // Fallback: check DOM for active annual cycle button
-        const activeBtn = document.querySelector('.ziwei-annual-cycle-row .ziwei-cycle-button-active');
+        // Check DOM for active annual cycle button
+        const activeBtn = queryActiveChart('.ziwei-annual-cycle-row .ziwei-cycle-button-active');
         if (activeBtn) {
             // Get the year from the button's dataset
             const year = parseInt(activeBtn.dataset.year, 10);
@@ -179,7 +199,7 @@
      * Get major cycle stem character from active button
      */
     function getMajorCycleStemChar() {
-        const activeBtn = document.querySelector('.ziwei-major-cycle-button.ziwei-cycle-button-active');
+        const activeBtn = queryActiveChart('.ziwei-major-cycle-button.ziwei-cycle-button-active');
         if (!activeBtn) return null;
         
         const palaceIndex = parseInt(activeBtn.dataset.palaceIndex, 10);
@@ -199,7 +219,7 @@
      * Get annual cycle stem character from active button
      */
     function getAnnualCycleStemChar() {
-        const activeBtn = document.querySelector('.ziwei-annual-cycle-row .ziwei-cycle-button-active');
+        const activeBtn = queryActiveChart('.ziwei-annual-cycle-row .ziwei-cycle-button-active');
         if (!activeBtn) return null;
         
         // Get year from button dataset
@@ -232,11 +252,12 @@
 
     /**
      * Extract palace data for a specific branch index
+     * Also used by the PDF report (assets/js/chart-report.js) via the public API.
      * @param {number} branchIndex - The branch index (0-11)
+     * @param {Object} [adapterOutput] - Chart to read (default: the stored adapterOutput)
      * @returns {Object} Palace data object
      */
-    function extractPalaceData(branchIndex) {
-        const adapterOutput = getAdapterStorage('adapterOutput');
+    function extractPalaceData(branchIndex, adapterOutput = getAdapterStorage('adapterOutput')) {
         if (!adapterOutput) {
             return null;
         }
@@ -330,7 +351,7 @@
         const mutationsModule = window.ziweiAdapter?.getModule?.('mutations');
         if (!mutationsModule || !mutationsModule.calculateMajorCycleMutations) return {};
         
-        const result = mutationsModule.calculateMajorCycleMutations(stemChar);
+        const result = mutationsModule.calculateMajorCycleMutations(stemChar, getChartAdapter()?.settings);
         return result?.byStar || {};
     }
 
@@ -345,7 +366,7 @@
         const mutationsModule = window.ziweiAdapter?.getModule?.('mutations');
         if (!mutationsModule || !mutationsModule.calculateAnnualCycleMutations) return {};
         
-        const result = mutationsModule.calculateAnnualCycleMutations(stemChar);
+        const result = mutationsModule.calculateAnnualCycleMutations(stemChar, getChartAdapter()?.settings);
         return result?.byStar || {};
     }
 
@@ -437,6 +458,99 @@
         }
     }
 
+    /**
+     * Build flying mutation (飛化) items for the selected palace
+     * Each item reads e.g. 「甲干化祿」 → 「廉貞入夫妻宮」, or 「廉貞自化」 for self-mutations.
+     * @param {number} branchIndex - Palace branch index
+     * @returns {Array} Array of item objects (empty when the mode is off)
+     */
+    function buildFlyingMutationItems(branchIndex) {
+        const chartSettings = getChartAdapter()?.settings;
+        if (chartSettings?.get?.('flyingMutations') !== 'palaceStem') return [];
+
+        const mutationsModule = window.ziweiAdapter?.getModule?.('mutations');
+        if (!mutationsModule || typeof mutationsModule.calculateFlyingMutations !== 'function') return [];
+
+        const adapterOutput = getAdapterStorage('adapterOutput');
+        if (!adapterOutput) return [];
+
+        const sections = adapterOutput.sections || {};
+        const palaces = sections.palaces || adapterOutput.derived?.palaces || {};
+        const stemChar = palaces[branchIndex]?.stem || '';
+        const starPositions = Object.assign({}, sections.primaryStars || {}, sections.secondaryStars || {});
+
+        const flights = mutationsModule.calculateFlyingMutations(branchIndex, palaces, starPositions, chartSettings);
+        return flights.map(flight => {
+            let target = '不在盤中';
+            if (flight.isSelf) {
+                target = `${flight.star}自化`;
+            } else if (flight.targetIndex !== null) {
+                const targetName = getPalaceNames(flight.targetIndex).natal || '';
+                target = `${flight.star}入${targetName.endsWith('宮') ? targetName : targetName + '宮'}`;
+            }
+            return createItem(`${stemChar}干化${flight.type}`, target, null);
+        });
+    }
+
+    /**
+     * Build 格局 items for the selected palace: every detected pattern that
+     * involves it, e.g. 「君臣慶會」 → 「紫微坐命，…（命宮、財帛宮、事業宮）」
+     * @param {number} branchIndex - Palace branch index
+     * @returns {Array} Array of item objects
+     */
+    function buildPatternItems(branchIndex) {
+        const patternsModule = window.ziweiChartPatterns;
+        const adapterOutput = getAdapterStorage('adapterOutput');
+        if (!patternsModule || !adapterOutput) return [];
+
+        // Saved rules and the selected 大限/流年 come with pattern-rules.js
+        const matches = window.ziweiPatternRules
+            ? window.ziweiPatternRules.detectChartPatterns(adapterOutput, activeGrid?.closest('.ziwei-cal') || undefined)
+            : patternsModule.detectPatterns(adapterOutput);
+        return matches
+            .filter(match => match.palaces.includes(branchIndex))
+            .map(match => {
+                const palaceList = match.palaces.map(index => {
+                    const name = getPalaceNames(index).natal || '';
+                    return name.endsWith('宮') ? name : name + '宮';
+                }).join('、');
+                return createItem(`${match.name}（${match.type}）`, `${match.description}（${palaceList}）`, null);
+            });
+    }
+
+    /**
+     * Build 夾宮 and 對宮 items for the selected palace, e.g.
+     * 「羊陀夾（凶）」 → 「父母宮：擎羊；兄弟宮：陀羅」
+     * @param {number} branchIndex - Palace branch index
+     * @returns {{flanks: Array, opposition: Array}} Item objects of each section
+     */
+    function buildFlankItems(branchIndex) {
+        const patternsModule = window.ziweiChartPatterns;
+        const adapterOutput = getAdapterStorage('adapterOutput');
+        if (!patternsModule || typeof patternsModule.analyzeFlanks !== 'function' || !adapterOutput) {
+            return { flanks: [], opposition: [] };
+        }
+
+        const analysis = patternsModule.analyzeFlanks(adapterOutput)[branchIndex];
+        if (!analysis) return { flanks: [], opposition: [] };
+
+        const withGong = index => {
+            const name = getPalaceNames(index).natal || '';
+            return name.endsWith('宮') ? name : name + '宮';
+        };
+        const flanks = analysis.flanks.map(flank => {
+            const sides = flank.palaces.map((index, side) => `${withGong(index)}：${flank.stars[side].join('、')}`);
+            return createItem(`${flank.name}（${flank.type}）`, sides.join('；'), null);
+        });
+
+        const oppositionStars = analysis.oppositionStars.length > 0 ? analysis.oppositionStars.join('、') : '無主星';
+        const opposition = [createItem(withGong(analysis.opposition), oppositionStars, null)];
+        if (analysis.borrowed && analysis.oppositionStars.length > 0) {
+            opposition.push(createItem('借星安宮', `本宮無主星，借對宮${oppositionStars}論`, null));
+        }
+        return { flanks, opposition };
+    }
+
     /**
      * Generate palace names (natal, body, major cycle, annual cycle)
      * @param {number} branchIndex - Palace branch index
@@ -454,8 +568,8 @@
         const derived = adapterOutput.derived || {};
         const isShenPalace = derived.shenPalace && derived.shenPalace.index === branchIndex;
 
-        // Get current palace name settings
-        const adapter = window.ziweiAdapter;
+        // Get the chart's palace name settings
+        const adapter = getChartAdapter();
         const careerSetting = adapter?.settings?.get?.('palaceNameCareer') || 'career';
         const friendsSetting = adapter?.settings?.get?.('palaceNameFriends') || 'friends';
 
@@ -897,6 +1011,31 @@
             renderItemsInPairs(stageItems, tbody);
         }
 
+        // Sections: 夾宮 findings and the 對宮
+        const flankItems = buildFlankItems(branchIndex);
+        if (flankItems.flanks.length > 0) {
+            tbody.appendChild(createSectionHeader('夾宮'));
+            renderItemsInPairs(flankItems.flanks, tbody);
+        }
+        if (flankItems.opposition.length > 0) {
+            tbody.appendChild(createSectionHeader('對宮'));
+            renderItemsInPairs(flankItems.opposition, tbody);
+        }
+
+        // Section: Patterns involving this palace
+        const patternItems = buildPatternItems(branchIndex);
+        if (patternItems.length > 0) {
+            tbody.appendChild(createSectionHeader('格局'));
+            renderItemsInPairs(patternItems, tbody);
+        }
+
+        // Section: Flying mutations (only in 飛化 mode)
+        const flyingItems = buildFlyingMutationItems(branchIndex);
+        if (flyingItems.length > 0) {
+            tbody.appendChild(createSectionHeader('宮干飛化'));
+            renderItemsInPairs(flyingItems, tbody);
+        }
+
         table.appendChild(tbody);
         panelElement.appendChild(table);
 
@@ -912,15 +1051,18 @@
         if (!panelElement) return;
 
         // Check if we're in AI mode - if so, don't show the panel
-        const mainContainer = document.querySelector('.ziwei-cal[data-ziwei-mode="ai"]');
-        if (mainContainer) {
+        const container = activeGrid?.closest('.ziwei-cal') || null;
+        const aiMode = container
+            ? container.getAttribute('data-ziwei-mode') === 'ai'
+            : !!document.querySelector('.ziwei-cal[data-ziwei-mode="ai"]');
+        if (aiMode) {
             // We're in AI mode, hide the interpretation panel
             panelElement.style.display = 'none';
             return;
         }
         
         // Find cycle panel to insert after
-        const cyclePanel = document.querySelector('.ziwei-cycle-panel');
+        const cyclePanel = queryActiveChart('.ziwei-cycle-panel');
         if (cyclePanel && cyclePanel.parentNode) {
             // Insert after cycle panel
             if (!panelElement.parentNode || panelElement.parentNode !== cyclePanel.parentNode) {
@@ -928,8 +1070,8 @@
             }
         } else {
             // Fallback: try to find the main container (not chart-wrapper, to avoid scroll issues)
-            const mainChartContainer = document.querySelector('.ziwei-cal[data-ziwei-mode="chart"]');
-            if (mainChartContainer && !panelElement.parentNode) {
+            const mainChartContainer = container || document.querySelector('.ziwei-cal[data-ziwei-mode="chart"]');
+            if (mainChartContainer && panelElement.parentNode !== mainChartContainer) {
                 mainChartContainer.appendChild(panelElement);
             }
         }
@@ -949,7 +1091,8 @@
     // ============================================================================
 
     function handlePalaceSelected(event) {
-        const { branchIndex } = event.detail || {};
+        const { branchIndex, grid } = event.detail || {};
+        activeGrid = grid || null;
         if (typeof branchIndex !== 'number' || branchIndex < 0 || branchIndex > 11) {
             hidePanel();
             return;
@@ -958,7 +1101,12 @@
         renderPanel(branchIndex);
     }
 
-    function handlePalaceCleared() {
+    function handlePalaceCleared(event) {
+        // Clearing another chart's selection leaves this chart's panel open
+        const grid = event?.detail?.grid;
+        if (grid && activeGrid && grid !== activeGrid) {
+            return;
+        }
         hidePanel();
     }
 
@@ -975,6 +1123,13 @@
         }
     }
 
+    function handleFlyingModeChanged() {
+        // Re-render panel to add or remove the flying mutation section
+        if (currentBranchIndex !== null) {
+            renderPanel(currentBranchIndex);
+        }
+    }
+
     function handleMutationChanged() {
         // Re-render panel with updated mutations if currently showing a palace
         if (currentBranchIndex !== null) {
@@ -995,6 +1150,7 @@
         document.addEventListener('ziwei-chart-drawn', handleChartDrawn);
         document.addEventListener('ziwei-palace-name-changed', handlePalaceNameChanged);
         document.addEventListener('ziwei-mutation-changed', handleMutationChanged);
+        document.addEventListener('ziwei-flying-mutation-changed', handleFlyingModeChanged);
 
         isInitialized = true;
     }
@@ -1005,6 +1161,7 @@
         document.removeEventListener('ziwei-chart-drawn', handleChartDrawn);
         document.removeEventListener('ziwei-palace-name-changed', handlePalaceNameChanged);
         document.removeEventListener('ziwei-mutation-changed', handleMutationChanged);
+        document.removeEventListener('ziwei-flying-mutation-changed', handleFlyingModeChanged);
 
         if (panelElement && panelElement.parentNode) {
             panelElement.parentNode.removeChild(panelElement);
@@ -1024,6 +1181,7 @@
         show: showPanel,
         hide: hidePanel,
         render: renderPanel,
+        extractPalaceData,
         getCurrentBranchIndex: () => currentBranchIndex
     };
 
@@ -0,0 +1,69 @@
+/**
+ * Local Storage Module
+ *
+ * JSON read/write helpers over localStorage for the modules that keep data
+ * in the browser (settings presets, custom 格局 rules). localStorage may be
+ * unavailable (private mode, blocked cookies); every access fails soft and
+ * logs a warning, so callers keep working in memory.
+ *
+ * Dependencies: none
+ *
+ * Exports: window.ziweiLocalStorage
+ */
+
+'use strict';
+
+(function () {
+
+    const LOG_PREFIX = '[ziweiLocalStorage]';
+
+    /**
+     * Read a JSON value
+     * @param {string} key Storage key
+     * @returns {*} Parsed value, or null when missing or unreadable
+     */
+    function read(key) {
+        try {
+            const raw = window.localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            console.warn(`${LOG_PREFIX} Failed to read ${key}:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Write a value as JSON
+     * @param {string} key Storage key
+     * @param {*} value Value to store
+     * @returns {boolean} Whether the value was stored
+     */
+    function write(key, value) {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (e) {
+            console.warn(`${LOG_PREFIX} Failed to write ${key}:`, e);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a key
+     * @param {string} key Storage key
+     */
+    function remove(key) {
+        try {
+            window.localStorage.removeItem(key);
+        } catch (e) {
+            console.warn(`${LOG_PREFIX} Failed to remove ${key}:`, e);
+        }
+    }
+
+    // Expose API
+    window.ziweiLocalStorage = {
+        read,
+        write,
+        remove
+    };
+})();
@@ -2,7 +2,13 @@
  * Palace Interaction Module
  * 
  * Handles click events on palace cells to highlight three-way-four-square (三方四正)
- * and draw connection lines using Canvas API.
+ * and draw connection lines using Canvas API. The two neighbouring palaces that
+ * 夾 the selection are marked in their own style (夾宮 findings are listed by
+ * the interpretation panel).
+ * 
+ * In flying mutation mode (飛化, setting `flyingMutations`), the selected palace
+ * also draws 祿權科忌 arrows to the palaces receiving its stem's mutations, and
+ * self-mutated stars (自化) are marked on the chart.
  * 
  * Performance optimizations:
  * - Pre-computed tri-square lookup table
@@ -15,6 +21,8 @@
  * 
  * Dependencies:
  * - assets/data/constants.js (ziweiConstants)
+ * - assets/calculate/astrology/mutations.js (mutations module, flying mutation mode)
+ * - assets/display/js/chart.js (ziweiChartHelpers, self-mutation marks)
  * 
  * Corresponding CSS: assets/display/css/palace-interaction.css
  * 
@@ -62,6 +70,16 @@ function initializePalaceInteraction(grid) {
         10: 'left-center',
         11: 'top-left'
     };
+
+    // Flying mutation (飛化) arrow colors, matching the 祿權科忌 order
+    const FLYING_COLORS = {
+        '祿': '#27ae60',
+        '權': '#8e44ad',
+        '科': '#2980b9',
+        '忌': '#c0392b'
+    };
+    const FLYING_ARROW_SIZE = 8;
+    const FLYING_MODE_VALUE = 'palaceStem';
     
     // ============================================================================
     // 2. Module State
@@ -69,9 +87,13 @@ function initializePalaceInteraction(grid) {
     
     let lastSelected = null;
     let lastRelated = [];
+    let lastFlanking = [];
     let lastClickSource = null; // Track whether last click was from grid or cycles module
     const clearCallbacks = [];
     let isInitialized = false;
+    // This grid's chart instance (several charts can share a page)
+    const chartAdapter = window.ziweiAdapter?.forElement?.(grid) || window.ziweiAdapter;
+    let flyingMode = chartAdapter?.settings?.get?.('flyingMutations') === FLYING_MODE_VALUE;
     
     // Persistent canvas (created once, reused forever)
     const canvas = document.createElement('canvas');
@@ -235,6 +257,7 @@ function initializePalaceInteraction(grid) {
                 cell.classList.remove('ziwei-cell-highlighted');
             }
         }
+        clearFlanking();
         
         // Clear canvas
         ctx.clearRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
@@ -253,8 +276,38 @@ function initializePalaceInteraction(grid) {
         
         // Dispatch palace cleared event for interpretation panel
         if (document.dispatchEvent) {
-            document.dispatchEvent(new CustomEvent('ziwei-palace-cleared'));
+            document.dispatchEvent(new CustomEvent('ziwei-palace-cleared', {
+                detail: { grid }
+            }));
+        }
+    }
+    
+    function clearFlanking() {
+        for (let i = 0; i < lastFlanking.length; i++) {
+            const cell = cellsByBranchIndex[lastFlanking[i]];
+            if (cell) {
+                cell.classList.remove('ziwei-cell-flanking');
+            }
         }
+        lastFlanking = [];
+    }
+    
+    /**
+     * Mark the two palaces that 夾 the selected one
+     * @param {number} branchIndex - Selected palace branch index
+     * @returns {number[]} Flanking branch indices (previous, next)
+     */
+    function markFlanking(branchIndex) {
+        clearFlanking();
+        const flanking = [(branchIndex + 11) % 12, (branchIndex + 1) % 12];
+        for (let i = 0; i < flanking.length; i++) {
+            const cell = cellsByBranchIndex[flanking[i]];
+            if (cell) {
+                cell.classList.add('ziwei-cell-flanking');
+            }
+        }
+        lastFlanking = flanking;
+        return flanking;
     }
     
     /**
@@ -321,6 +374,8 @@ function initializePalaceInteraction(grid) {
             }
         }
         
+        const flanking = markFlanking(branchIndex);
+        
         // Update state
         lastSelected = branchIndex;
         lastRelated = related;
@@ -328,11 +383,14 @@ function initializePalaceInteraction(grid) {
         
         // Draw connection lines immediately (synchronous) for instant visual feedback
         drawConnectionLines(branchIndex, related);
+        if (flyingMode) {
+            drawFlyingArrows(branchIndex);
+        }
         
         // Dispatch palace selected event for interpretation panel
         if (document.dispatchEvent) {
             document.dispatchEvent(new CustomEvent('ziwei-palace-selected', {
-                detail: { branchIndex, source, related }
+                detail: { branchIndex, source, related, flanking, flyingMode, grid }
             }));
         }
     }
@@ -379,6 +437,172 @@ function initializePalaceInteraction(grid) {
         ctx.restore();
     }
     
+    // ============================================================================
+    // 6b. Flying Mutations (飛化)
+    // ============================================================================
+    
+    /**
+     * Read palace stems and star positions of the current chart from adapter storage
+     * @returns {{palaces: Object, starPositions: Object}|null}
+     */
+    function getFlyingMutationInputs() {
+        const adapterOutput = chartAdapter?.storage?.get?.('adapterOutput');
+        if (!adapterOutput) return null;
+        
+        const sections = adapterOutput.sections || {};
+        const palaces = sections.palaces || adapterOutput.derived?.palaces || null;
+        if (!palaces) return null;
+        
+        return {
+            palaces: palaces,
+            starPositions: Object.assign({}, sections.primaryStars || {}, sections.secondaryStars || {})
+        };
+    }
+    
+    function getMutationsModule() {
+        const mutationsModule = window.ziweiAdapter?.getModule?.('mutations');
+        return mutationsModule && typeof mutationsModule.calculateFlyingMutations === 'function'
+            ? mutationsModule
+            : null;
+    }
+    
+    /**
+     * Get the center point of a cell relative to the grid (using cached rects)
+     */
+    function getCellCenter(branchIndex) {
+        const cached = cellRects[branchIndex];
+        if (!cached) return null;
+        
+        const { rect, gridOffsetLeft, gridOffsetTop } = cached;
+        return {
+            x: (rect.left + rect.right) / 2 - gridOffsetLeft,
+            y: (rect.top + rect.bottom) / 2 - gridOffsetTop
+        };
+    }
+    
+    /**
+     * Draw 祿權科忌 arrows from the selected palace to the palaces receiving its
+     * stem's mutations. Self-mutations (自化) are not drawn; they are marked on the stars.
+     * Must be called after drawConnectionLines (relies on its rect cache).
+     */
+    function drawFlyingArrows(sourceIndex) {
+        const mutationsModule = getMutationsModule();
+        const inputs = getFlyingMutationInputs();
+        if (!mutationsModule || !inputs) return;
+        
+        const flights = mutationsModule.calculateFlyingMutations(sourceIndex, inputs.palaces, inputs.starPositions, chartAdapter?.settings);
+        const start = getCellCenter(sourceIndex);
+        if (!start) return;
+        
+        ctx.save();
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.85;
+        ctx.setLineDash([]);
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        flights.forEach((flight, order) => {
+            if (flight.isSelf || flight.targetIndex === null) return;
+            
+            const end = getCellCenter(flight.targetIndex);
+            if (!end) return;
+            
+            const dx = end.x - start.x;
+            const dy = end.y - start.y;
+            const length = Math.hypot(dx, dy);
+            if (length === 0) return;
+            
+            // Offset parallel arrows so several mutations landing in one palace stay visible
+            const ux = dx / length;
+            const uy = dy / length;
+            const shift = (order - 1.5) * 5;
+            const sx = start.x - uy * shift;
+            const sy = start.y + ux * shift;
+            const ex = end.x - uy * shift - ux * 14;
+            const ey = end.y + ux * shift - uy * 14;
+            const color = FLYING_COLORS[flight.type] || '#34495e';
+            
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            
+            ctx.beginPath();
+            ctx.moveTo(sx, sy);
+            ctx.lineTo(ex, ey);
+            ctx.stroke();
+            
+            // Arrow head
+            ctx.beginPath();
+            ctx.moveTo(ex, ey);
+            ctx.lineTo(ex - ux * FLYING_ARROW_SIZE - uy * FLYING_ARROW_SIZE / 2, ey - uy * FLYING_ARROW_SIZE + ux * FLYING_ARROW_SIZE / 2);
+            ctx.lineTo(ex - ux * FLYING_ARROW_SIZE + uy * FLYING_ARROW_SIZE / 2, ey - uy * FLYING_ARROW_SIZE - ux * FLYING_ARROW_SIZE / 2);
+            ctx.closePath();
+            ctx.fill();
+            
+            // Mutation type label near the arrow head
+            ctx.fillText(flight.type, ex - ux * 20 - uy * 8, ey - uy * 20 + ux * 8);
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Apply or clear self-mutation (自化) marks according to the current mode
+     */
+    function refreshSelfMutationMarks() {
+        const helpers = window.ziweiChartHelpers?.forChart?.(grid);
+        if (!helpers || typeof helpers.applySelfMutationMarks !== 'function') return;
+        
+        const mutationsModule = getMutationsModule();
+        const inputs = getFlyingMutationInputs();
+        if (!flyingMode || !mutationsModule || !inputs) {
+            helpers.clearSelfMutationMarks();
+            return;
+        }
+        
+        helpers.applySelfMutationMarks(mutationsModule.calculateSelfMutations(inputs.palaces, inputs.starPositions, chartAdapter?.settings));
+    }
+    
+    /**
+     * Redraw lines for the current selection (after mode or mutation changes)
+     */
+    function redrawSelection() {
+        if (lastSelected === null) return;
+        
+        drawConnectionLines(lastSelected, lastRelated);
+        if (flyingMode) {
+            drawFlyingArrows(lastSelected);
+        }
+    }
+    
+    function handleFlyingModeChange(e) {
+        if (!grid.isConnected) {
+            detachDocumentListeners();
+            return;
+        }
+        
+        flyingMode = (e?.detail?.value) === FLYING_MODE_VALUE;
+        refreshSelfMutationMarks();
+        redrawSelection();
+    }
+    
+    function handleMutationChange() {
+        if (!grid.isConnected) {
+            detachDocumentListeners();
+            return;
+        }
+        
+        if (flyingMode) {
+            refreshSelfMutationMarks();
+            redrawSelection();
+        }
+    }
+    
+    function detachDocumentListeners() {
+        document.removeEventListener('ziwei-flying-mutation-changed', handleFlyingModeChange);
+        document.removeEventListener('ziwei-mutation-changed', handleMutationChange);
+    }
+    
     // ============================================================================
     // 7. Event Handling (Optimized with Event Delegation)
     // ============================================================================
@@ -419,6 +643,16 @@ function initializePalaceInteraction(grid) {
     // Attach single delegated click handler (not per-cell)
     grid.addEventListener('click', handleGridClick);
     
+    // Flying mutation mode follows the settings panel, which only drives the
+    // form's chart; previous charts detach themselves
+    if (chartAdapter === window.ziweiAdapter) {
+        document.addEventListener('ziwei-flying-mutation-changed', handleFlyingModeChange);
+        document.addEventListener('ziwei-mutation-changed', handleMutationChange);
+    }
+    if (flyingMode) {
+        refreshSelfMutationMarks();
+    }
+    
     isInitialized = true;
     
     if (DEBUG) {
@@ -433,6 +667,7 @@ function initializePalaceInteraction(grid) {
         clear: clearHighlight,
         highlight: highlightRelatedPalaces,
         getSelectedPalace: () => lastSelected,
+        isFlyingMode: () => flyingMode,
         onClear: (callback) => {
             if (typeof callback === 'function') {
                 clearCallbacks.push(callback);
@@ -444,6 +679,7 @@ function initializePalaceInteraction(grid) {
         },
         destroy: () => {
             grid.removeEventListener('click', handleGridClick);
+            detachDocumentListeners();
             clearCallbacks.length = 0;
             if (canvas.parentNode) {
                 canvas.parentNode.removeChild(canvas);
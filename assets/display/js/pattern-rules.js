@@ -0,0 +1,570 @@
+/**
+ * Pattern Rules Module
+ *
+ * User-defined 格局 rules (e.g. a teacher's 「化忌入命三方且見擎羊」) written in
+ * the JSON rule language of assets/js/chart-patterns.js. Rules are authored and
+ * tested against the current chart in the settings panel's 「自訂格局」
+ * section, stored in localStorage, and exported/imported as rule packs.
+ *
+ * Saved rules are detected together with the built-in patterns: the
+ * interpretation panel and the JSON export call detectChartPatterns(), which
+ * also passes the selected 大限/流年 so rules can use the cycle layers.
+ *
+ * Dependencies:
+ * - assets/display/js/local-storage.js (ziweiLocalStorage)
+ * - assets/js/chart-patterns.js (ziweiChartPatterns)
+ * - assets/js/data-adapter.js (ziweiAdapter: adapterOutput, mutations module, settings)
+ *
+ * Corresponding CSS: assets/display/css/config.css
+ *
+ * Exports: window.ziweiPatternRules
+ */
+
+'use strict';
+
+(function () {
+
+    // ============================================================================
+    // Module Constants
+    // ============================================================================
+
+    const STORAGE_KEY = 'ziweiCal.patternRules';
+
+    // Version of the stored object and of exported rule packs
+    const FORMAT_VERSION = 1;
+    const EXPORT_FORMAT = 'ziwei-pattern-rules';
+
+    const RULE_NAME_MAX_LENGTH = 30;
+    const FORM_CONTAINER_SELECTOR = '.ziwei-cal:not([data-ziwei-instance])';
+    const NEW_RULE_VALUE = '';
+    const LOG_PREFIX = '[ziweiPatternRules]';
+
+    const LAYER_LABELS = { major: '大限', annual: '流年' };
+
+    // Starting point for a new rule in the editor
+    const RULE_TEMPLATE = {
+        name: '化忌入命三方見擎羊',
+        type: '凶',
+        description: '生年化忌及擎羊皆在命宮三方四正',
+        anchor: 'ming',
+        conditions: [
+            { mutated: ['忌'], scope: 'triSquare' },
+            { stars: ['擎羊'], scope: 'triSquare' }
+        ]
+    };
+
+    // localStorage access, fails soft so the built-in patterns keep working (assets/display/js/local-storage.js)
+    const storage = window.ziweiLocalStorage;
+
+    function getPatternsModule() {
+        return window.ziweiChartPatterns || null;
+    }
+
+    // ============================================================================
+    // Rules
+    // ============================================================================
+
+    /**
+     * Clean up and validate a rule; the id defaults to the name
+     * @param {*} raw Untrusted rule (editor text, storage, imported file)
+     * @returns {Object} Rule with id, name, type, description, anchor and conditions
+     * @throws {Error} When the rule is invalid or reuses a built-in id
+     */
+    function normalizeRule(raw) {
+        const patternsModule = getPatternsModule();
+        if (!patternsModule) {
+            throw new Error('格局模組未載入');
+        }
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error('規則必須是 JSON 物件');
+        }
+        const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+        if (!name || name.length > RULE_NAME_MAX_LENGTH) {
+            throw new Error(`規則名稱必須是 1 至 ${RULE_NAME_MAX_LENGTH} 字`);
+        }
+        const rule = {
+            id: typeof raw.id === 'string' && raw.id.trim() ? raw.id.trim() : name,
+            name: name,
+            type: raw.type === undefined ? '' : raw.type,
+            description: raw.description === undefined ? '' : raw.description,
+            anchor: raw.anchor,
+            conditions: raw.conditions
+        };
+        if (patternsModule.PATTERNS.some(pattern => pattern.id === rule.id)) {
+            throw new Error(`「${rule.id}」是內建格局的 id，請使用其他 id`);
+        }
+        patternsModule.validatePattern(rule);
+        // Drop anything the rule language does not know about
+        return JSON.parse(JSON.stringify(rule));
+    }
+
+    /**
+     * Saved rules, skipping any that no longer validate
+     * @returns {Array<Object>}
+     */
+    function listRules() {
+        const stored = storage.read(STORAGE_KEY);
+        if (!stored || !Array.isArray(stored.rules) || !getPatternsModule()) {
+            return [];
+        }
+        const rules = [];
+        stored.rules.forEach(raw => {
+            try {
+                const rule = normalizeRule(raw);
+                if (!rules.some(item => item.id === rule.id)) {
+                    rules.push(rule);
+                }
+            } catch (e) {
+                console.warn(`${LOG_PREFIX} Skipping stored rule:`, e.message);
+            }
+        });
+        return rules;
+    }
+
+    function writeRules(rules) {
+        return storage.write(STORAGE_KEY, { version: FORMAT_VERSION, rules: rules });
+    }
+
+    /**
+     * Save a rule (replaces a saved rule with the same id)
+     * @param {Object} raw Rule
+     * @returns {Object} The saved rule
+     * @throws {Error} When the rule is invalid or storage is unavailable
+     */
+    function saveRule(raw) {
+        const rule = normalizeRule(raw);
+        const rules = listRules();
+        const existing = rules.findIndex(item => item.id === rule.id);
+        if (existing >= 0) {
+            rules[existing] = rule;
+        } else {
+            rules.push(rule);
+        }
+        if (!writeRules(rules)) {
+            throw new Error('無法寫入瀏覽器儲存空間');
+        }
+        return rule;
+    }
+
+    /**
+     * @param {string} id Rule id
+     * @returns {boolean} True when deleted
+     */
+    function deleteRule(id) {
+        const rules = listRules();
+        const remaining = rules.filter(rule => rule.id !== id);
+        return remaining.length < rules.length && writeRules(remaining);
+    }
+
+    /**
+     * Built-in patterns followed by the saved rules
+     * @returns {Array<Object>}
+     */
+    function getPatterns() {
+        const patternsModule = getPatternsModule();
+        return patternsModule ? patternsModule.PATTERNS.concat(listRules()) : [];
+    }
+
+    // ============================================================================
+    // Detection on the Displayed Chart
+    // ============================================================================
+
+    /**
+     * Selected 大限/流年 of a chart, as detectPatterns() options.layers
+     * @param {Object} chart Adapter output
+     * @param {Element} [root] Chart container (defaults to the form's)
+     * @returns {{major?: Object, annual?: Object}}
+     */
+    function getActiveLayers(chart, root) {
+        const scope = root || document.querySelector(FORM_CONTAINER_SELECTOR) || document;
+        const mutationsModule = window.ziweiAdapter?.getModule?.('mutations');
+        const palaces = chart?.sections?.palaces || {};
+        const layers = {};
+
+        const activeMajorBtn = scope.querySelector('.ziwei-major-cycle-button.ziwei-cycle-button-active');
+        if (activeMajorBtn) {
+            const branchIndex = parseInt(activeMajorBtn.dataset.palaceIndex, 10);
+            const stem = palaces[branchIndex]?.stem;
+            if (stem) {
+                layers.major = {
+                    branchIndex,
+                    mutations: mutationsModule?.calculateMajorCycleMutations?.(stem)?.byStar || {}
+                };
+            }
+        }
+
+        // 干支 text on the active annual button (same source as share.js)
+        const activeAnnualBtn = scope.querySelector('.ziwei-annual-cycle-button.ziwei-cycle-button-active');
+        const annualText = activeAnnualBtn?.querySelector('.ziwei-annual-stem-branch')?.textContent || '';
+        const annualBranchIndex = (window.ziweiConstants?.BRANCH_NAMES || []).indexOf(annualText.charAt(1));
+        if (annualText.length >= 2 && annualBranchIndex >= 0) {
+            layers.annual = {
+                branchIndex: annualBranchIndex,
+                mutations: mutationsModule?.calculateAnnualCycleMutations?.(annualText.charAt(0))?.byStar || {}
+            };
+        }
+
+        return layers;
+    }
+
+    /**
+     * Built-in patterns and saved rules found in a displayed chart
+     * @param {Object} chart Adapter output
+     * @param {Element} [root] Chart container whose 大限/流年 selection applies
+     * @returns {Array<Object>} detectPatterns() matches
+     */
+    function detectChartPatterns(chart, root) {
+        const patternsModule = getPatternsModule();
+        if (!patternsModule || !chart) {
+            return [];
+        }
+        return patternsModule.detectPatterns(chart, {
+            patterns: getPatterns(),
+            layers: getActiveLayers(chart, root)
+        });
+    }
+
+    /**
+     * Palace label for test results, e.g. 「財帛宮（午）」
+     * @param {Object} chart Adapter output
+     * @param {number} index Branch index
+     * @returns {string}
+     */
+    function describePalace(chart, index) {
+        const patternsModule = getPatternsModule();
+        const palaces = chart.sections.palaces || {};
+        const mingIndex = Number(Object.keys(palaces).find(key => palaces[key].isMing));
+        const settings = window.ziweiAdapter?.settings;
+        let role = patternsModule.PALACE_ROLES[(index - mingIndex + 12) % 12];
+        if (role === '事業' && settings?.get?.('palaceNameCareer') === 'official') {
+            role = '官祿';
+        } else if (role === '交友') {
+            role = { servants: '奴僕', servants_alt: '僕役' }[settings?.get?.('palaceNameFriends')] || role;
+        }
+        const branch = palaces[index]?.branchZhi || '';
+        return `${role.endsWith('宮') ? role : role + '宮'}${branch ? `（${branch}）` : ''}`;
+    }
+
+    /**
+     * Run one rule against the form's chart
+     * @param {*} raw Rule
+     * @returns {{rule: Object, matches: Array<Object>, missingLayers: Array<string>, lines: Array<string>}}
+     * @throws {Error} When the rule is invalid or no chart is displayed
+     */
+    function testRule(raw) {
+        const rule = normalizeRule(raw);
+        const chart = window.ziweiAdapter?.storage?.get?.('adapterOutput');
+        if (!chart) {
+            throw new Error('請先排盤');
+        }
+        const patternsModule = getPatternsModule();
+        const layers = getActiveLayers(chart);
+        const missingLayers = patternsModule.listLayers(rule).filter(layer => !layers[layer]);
+        const matches = patternsModule.detectPatterns(chart, { patterns: [rule], layers: layers });
+        const lines = matches.map(match => {
+            const involved = match.palaces.map(index => describePalace(chart, index)).join('、');
+            return `${describePalace(chart, match.palaceIndex)}：${involved}`;
+        });
+        return { rule, matches, missingLayers, lines };
+    }
+
+    // ============================================================================
+    // Export / Import
+    // ============================================================================
+
+    /**
+     * Build the rule pack file
+     * @returns {Object} { format, version, rules }
+     */
+    function buildRuleExport() {
+        return {
+            format: EXPORT_FORMAT,
+            version: FORMAT_VERSION,
+            rules: listRules()
+        };
+    }
+
+    function exportRules() {
+        const json = JSON.stringify(buildRuleExport(), null, 2);
+        const blob = new Blob([json], { type: 'application/json;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'ziwei-pattern-rules.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Merge the rules of a rule pack into storage (same id replaces)
+     * @param {*} data Parsed file content
+     * @returns {{imported: Array<string>, errors: Array<string>}}
+     */
+    function importRuleData(data) {
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.rules)) {
+            return { imported: [], errors: ['檔案不是紫微斗數格局規則'] };
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > FORMAT_VERSION) {
+            return { imported: [], errors: [`不支援的檔案版本：${data.version}`] };
+        }
+
+        const rules = listRules();
+        const imported = [];
+        const errors = [];
+        data.rules.forEach((raw, index) => {
+            let rule;
+            try {
+                rule = normalizeRule(raw);
+            } catch (e) {
+                errors.push(`略過第 ${index + 1} 條規則：${e.message}`);
+                return;
+            }
+            const existing = rules.findIndex(item => item.id === rule.id);
+            if (existing >= 0) {
+                rules[existing] = rule;
+            } else {
+                rules.push(rule);
+            }
+            imported.push(rule.name);
+        });
+
+        if (imported.length > 0 && !writeRules(rules)) {
+            return { imported: [], errors: ['無法寫入瀏覽器儲存空間'] };
+        }
+        return { imported, errors };
+    }
+
+    function pickRuleFile() {
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'application/json,.json';
+            input.addEventListener('change', () => resolve(input.files && input.files[0] ? input.files[0] : null));
+            input.click();
+        });
+    }
+
+    async function importRules() {
+        const file = await pickRuleFile();
+        if (!file) {
+            return null;
+        }
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            return { imported: [], errors: ['檔案不是有效的 JSON'] };
+        }
+        return importRuleData(data);
+    }
+
+    // ============================================================================
+    // Settings Panel Section
+    // ============================================================================
+
+    function createButton(label, action, className) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `ziwei-settings-btn ${className || 'ziwei-settings-btn-secondary'}`;
+        button.dataset.ruleAction = action;
+        button.textContent = label;
+        return button;
+    }
+
+    function fillRuleSelect(select, selectedId) {
+        select.innerHTML = '';
+        const blank = document.createElement('option');
+        blank.value = NEW_RULE_VALUE;
+        blank.textContent = '（新規則）';
+        select.appendChild(blank);
+        listRules().forEach(rule => {
+            const option = document.createElement('option');
+            option.value = rule.id;
+            option.textContent = rule.name;
+            select.appendChild(option);
+        });
+        select.value = listRules().some(rule => rule.id === selectedId) ? selectedId : NEW_RULE_VALUE;
+    }
+
+    function showRule(section, id) {
+        const editor = section.querySelector('.ziwei-pattern-rules-editor');
+        const rule = listRules().find(item => item.id === id) || RULE_TEMPLATE;
+        editor.value = JSON.stringify(rule, null, 2);
+    }
+
+    function setStatus(section, message, lines) {
+        const status = section.querySelector('.ziwei-pattern-rules-status');
+        if (status) {
+            status.textContent = message || '';
+        }
+        const results = section.querySelector('.ziwei-pattern-rules-results');
+        if (results) {
+            results.innerHTML = '';
+            (lines || []).forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                results.appendChild(item);
+            });
+        }
+    }
+
+    /**
+     * Parse the editor text
+     * @param {HTMLElement} section Rule section element
+     * @returns {Object} Parsed rule
+     * @throws {Error} When the text is not valid JSON
+     */
+    function readEditor(section) {
+        const text = section.querySelector('.ziwei-pattern-rules-editor').value;
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new Error('規則不是有效的 JSON');
+        }
+    }
+
+    /**
+     * Handle a rule toolbar button
+     * @param {HTMLElement} section Rule section element
+     * @param {string} action Button action
+     */
+    async function handleRuleAction(section, action) {
+        const select = section.querySelector('.ziwei-pattern-rules-select');
+
+        if (action === 'test') {
+            const result = testRule(readEditor(section));
+            const notes = result.missingLayers.map(layer => `規則用到${LAYER_LABELS[layer]}，請先在命盤選取${LAYER_LABELS[layer]}`);
+            const summary = result.matches.length > 0
+                ? `「${result.rule.name}」在目前命盤成立 ${result.matches.length} 處`
+                : `「${result.rule.name}」在目前命盤不成立`;
+            setStatus(section, [summary].concat(notes).join('；'), result.lines);
+        } else if (action === 'save') {
+            const rule = saveRule(readEditor(section));
+            fillRuleSelect(select, rule.id);
+            showRule(section, rule.id);
+            setStatus(section, `已儲存「${rule.name}」`);
+        } else if (action === 'delete') {
+            const rule = listRules().find(item => item.id === select.value);
+            if (!rule) {
+                setStatus(section, '請先選擇已儲存的規則');
+                return;
+            }
+            if (!window.confirm(`確定刪除規則「${rule.name}」？`)) return;
+            deleteRule(rule.id);
+            fillRuleSelect(select, NEW_RULE_VALUE);
+            showRule(section, NEW_RULE_VALUE);
+            setStatus(section, `已刪除「${rule.name}」`);
+        } else if (action === 'export') {
+            if (listRules().length === 0) {
+                setStatus(section, '沒有可匯出的規則');
+                return;
+            }
+            exportRules();
+        } else if (action === 'import') {
+            const result = await importRules();
+            if (!result) return;
+            const first = listRules().find(rule => rule.name === result.imported[0]);
+            fillRuleSelect(select, first ? first.id : NEW_RULE_VALUE);
+            showRule(section, select.value);
+            const messages = [];
+            if (result.imported.length > 0) {
+                messages.push(`已匯入 ${result.imported.length} 條規則`);
+            }
+            setStatus(section, messages.concat(result.errors).join('；'));
+        }
+    }
+
+    /**
+     * Build the 「自訂格局」 section appended to the settings panel by config.js
+     * @returns {HTMLElement}
+     */
+    function createRuleSection() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'ziwei-settings-category-wrapper ziwei-pattern-rules';
+
+        const header = document.createElement('div');
+        header.className = 'ziwei-settings-category';
+        header.textContent = '自訂格局';
+        wrapper.appendChild(header);
+
+        const content = document.createElement('div');
+        content.className = 'ziwei-settings-category-content one-col';
+
+        const group = document.createElement('div');
+        group.className = 'ziwei-settings-group';
+        const label = document.createElement('label');
+        label.className = 'ziwei-settings-label';
+        label.setAttribute('for', 'settings-patternRule');
+        label.textContent = '規則';
+        const select = document.createElement('select');
+        select.id = 'settings-patternRule';
+        select.className = 'ziwei-settings-select ziwei-pattern-rules-select';
+        fillRuleSelect(select);
+        group.appendChild(label);
+        group.appendChild(select);
+        content.appendChild(group);
+
+        const editor = document.createElement('textarea');
+        editor.className = 'ziwei-pattern-rules-editor';
+        editor.rows = 12;
+        editor.spellcheck = false;
+        editor.setAttribute('aria-label', '格局規則（JSON）');
+        content.appendChild(editor);
+
+        const actions = document.createElement('div');
+        actions.className = 'ziwei-settings-actions ziwei-settings-presets-actions';
+        actions.appendChild(createButton('以目前命盤測試', 'test', 'ziwei-settings-btn-primary'));
+        actions.appendChild(createButton('儲存', 'save'));
+        actions.appendChild(createButton('刪除', 'delete'));
+        actions.appendChild(createButton('匯出', 'export'));
+        actions.appendChild(createButton('匯入', 'import'));
+        content.appendChild(actions);
+
+        const status = document.createElement('div');
+        status.className = 'ziwei-pattern-rules-status';
+        status.setAttribute('aria-live', 'polite');
+        content.appendChild(status);
+
+        const results = document.createElement('ul');
+        results.className = 'ziwei-pattern-rules-results';
+        content.appendChild(results);
+
+        wrapper.appendChild(content);
+        showRule(wrapper, NEW_RULE_VALUE);
+
+        select.addEventListener('change', () => {
+            showRule(wrapper, select.value);
+            setStatus(wrapper, '');
+        });
+
+        actions.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rule-action]');
+            if (button) {
+                handleRuleAction(wrapper, button.dataset.ruleAction).catch(err => {
+                    setStatus(wrapper, err.message || '操作失敗');
+                });
+            }
+        });
+
+        return wrapper;
+    }
+
+    // Expose API
+    window.ziweiPatternRules = {
+        normalizeRule,
+        listRules,
+        saveRule,
+        deleteRule,
+        getPatterns,
+        getActiveLayers,
+        detectChartPatterns,
+        testRule,
+        buildRuleExport,
+        exportRules,
+        importRuleData,
+        importRules,
+        createRuleSection
+    };
+})();
@@ -0,0 +1,573 @@
+/**
+ * Settings Presets Module
+ *
+ * Opt-in persistence of the settings panel (SETTINGS_CONFIG values) in
+ * localStorage, and named presets (e.g. 「中州派標準」, 「客戶A」) that can be
+ * saved, switched, exported and imported from the settings panel.
+ *
+ * Privacy: nothing is written to the browser until the user ticks
+ * 「在此瀏覽器記住設定」 or saves a preset. Unticking removes the remembered
+ * settings; 個人資料 (privacy mask) is never stored.
+ *
+ * Dependencies:
+ * - assets/display/js/local-storage.js (ziweiLocalStorage)
+ * - assets/display/js/config.js (ziweiConfig.getSettingsConfig, applySettings)
+ * - assets/js/data-adapter.js (ziweiAdapter.settings)
+ *
+ * Corresponding CSS: assets/display/css/config.css
+ *
+ * Exports: window.ziweiSettingsPresets
+ */
+
+'use strict';
+
+(function () {
+
+    // ============================================================================
+    // Module Constants
+    // ============================================================================
+
+    const STORAGE_KEYS = {
+        SETTINGS: 'ziweiCal.settings',
+        PRESETS: 'ziweiCal.presets'
+    };
+
+    // Version of the stored objects and of exported preset files
+    const FORMAT_VERSION = 1;
+    const EXPORT_FORMAT = 'ziwei-settings-presets';
+
+    // Built-in preset: every setting at its SETTINGS_CONFIG default
+    const BUILTIN_PRESET_NAME = '中州派標準';
+
+    // Per-chart privacy mask, deliberately never persisted
+    const EXCLUDED_SETTINGS = ['personalInfo'];
+
+    const PRESET_NAME_MAX_LENGTH = 30;
+    const LOG_PREFIX = '[ziweiSettingsPresets]';
+
+    // localStorage access, fails soft (assets/display/js/local-storage.js)
+    const storage = window.ziweiLocalStorage;
+
+    // ============================================================================
+    // Setting Values
+    // ============================================================================
+
+    function getConfig() {
+        return window.ziweiConfig || null;
+    }
+
+    /**
+     * Settings that can be remembered or stored in a preset
+     * @returns {Array<Object>} SETTINGS_CONFIG entries
+     */
+    function getPersistableSettings() {
+        const config = getConfig();
+        if (!config || typeof config.getSettingsConfig !== 'function') {
+            return [];
+        }
+        return config.getSettingsConfig().filter(setting => !EXCLUDED_SETTINGS.includes(setting.name));
+    }
+
+    /**
+     * Default value of every persistable setting
+     * @returns {Object} Setting name → value
+     */
+    function getDefaultValues() {
+        const values = {};
+        getPersistableSettings().forEach(setting => {
+            values[setting.name] = setting.defaultValue;
+        });
+        return values;
+    }
+
+    /**
+     * Current value of every persistable setting
+     * @returns {Object} Setting name → value
+     */
+    function getCurrentValues() {
+        const settings = window.ziweiAdapter?.settings;
+        const values = {};
+        getPersistableSettings().forEach(setting => {
+            values[setting.name] = settings?.get?.(setting.name) || setting.defaultValue;
+        });
+        return values;
+    }
+
+    /**
+     * Keep only known settings with allowed values
+     * @param {*} values Untrusted setting map (storage, imported file)
+     * @returns {Object} Setting name → value
+     */
+    function sanitizeValues(values) {
+        const config = getConfig();
+        const result = {};
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            return result;
+        }
+        getPersistableSettings().forEach(setting => {
+            const value = values[setting.name];
+            if (typeof value !== 'string') return;
+            const allowed = config?.getAllowedSettingValues?.(setting.name) || [];
+            if (allowed.includes(value)) {
+                result[setting.name] = value;
+            }
+        });
+        return result;
+    }
+
+    // ============================================================================
+    // Remembered Settings (opt-in)
+    // ============================================================================
+
+    function isRememberEnabled() {
+        return storage.read(STORAGE_KEYS.SETTINGS)?.remember === true;
+    }
+
+    /**
+     * Store the current settings when remembering is enabled
+     * @param {string} [activePreset] Preset the values came from
+     */
+    function saveCurrentSettings(activePreset) {
+        if (!isRememberEnabled()) {
+            return;
+        }
+        const stored = storage.read(STORAGE_KEYS.SETTINGS) || {};
+        storage.write(STORAGE_KEYS.SETTINGS, {
+            version: FORMAT_VERSION,
+            remember: true,
+            activePreset: activePreset !== undefined ? activePreset : (stored.activePreset || ''),
+            values: getCurrentValues()
+        });
+    }
+
+    /**
+     * Turn remembering on (stores the current settings) or off (deletes them)
+     * @param {boolean} enabled
+     */
+    function setRememberEnabled(enabled) {
+        if (enabled) {
+            storage.write(STORAGE_KEYS.SETTINGS, {
+                version: FORMAT_VERSION,
+                remember: true,
+                activePreset: '',
+                values: getCurrentValues()
+            });
+        } else {
+            storage.remove(STORAGE_KEYS.SETTINGS);
+        }
+    }
+
+    /**
+     * Load remembered settings into the adapter before the first chart is drawn
+     */
+    function restoreRememberedSettings() {
+        const stored = storage.read(STORAGE_KEYS.SETTINGS);
+        if (!stored || stored.remember !== true) {
+            return;
+        }
+        const config = getConfig();
+        if (!config || typeof config.applySettings !== 'function') {
+            return;
+        }
+        const values = sanitizeValues(stored.values);
+        config.applySettings(values);
+    }
+
+    // ============================================================================
+    // Named Presets
+    // ============================================================================
+
+    /**
+     * User presets from storage
+     * @returns {Object} Preset name → setting values
+     */
+    function readUserPresets() {
+        const stored = storage.read(STORAGE_KEYS.PRESETS);
+        const presets = {};
+        if (!stored || typeof stored.presets !== 'object' || stored.presets === null) {
+            return presets;
+        }
+        Object.keys(stored.presets).forEach(name => {
+            if (isValidPresetName(name) && name !== BUILTIN_PRESET_NAME) {
+                presets[name] = sanitizeValues(stored.presets[name]);
+            }
+        });
+        return presets;
+    }
+
+    function writeUserPresets(presets) {
+        return storage.write(STORAGE_KEYS.PRESETS, { version: FORMAT_VERSION, presets: presets });
+    }
+
+    function isValidPresetName(name) {
+        return typeof name === 'string' && name.trim().length > 0 && name.trim().length <= PRESET_NAME_MAX_LENGTH;
+    }
+
+    /**
+     * All preset names, built-in first
+     * @returns {Array<string>}
+     */
+    function listPresets() {
+        return [BUILTIN_PRESET_NAME].concat(Object.keys(readUserPresets()));
+    }
+
+    /**
+     * Setting values of a preset; missing settings fall back to their defaults
+     * @param {string} name Preset name
+     * @returns {Object|null} Setting name → value, or null when not found
+     */
+    function getPreset(name) {
+        if (name === BUILTIN_PRESET_NAME) {
+            return getDefaultValues();
+        }
+        const presets = readUserPresets();
+        return presets[name] ? Object.assign(getDefaultValues(), presets[name]) : null;
+    }
+
+    /**
+     * Save the current settings as a preset (overwrites a preset of the same name)
+     * @param {string} name Preset name
+     * @returns {boolean} True when saved
+     */
+    function savePreset(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!isValidPresetName(trimmed) || trimmed === BUILTIN_PRESET_NAME) {
+            return false;
+        }
+        const presets = readUserPresets();
+        presets[trimmed] = getCurrentValues();
+        return writeUserPresets(presets);
+    }
+
+    /**
+     * Delete a user preset
+     * @param {string} name Preset name
+     * @returns {boolean} True when deleted
+     */
+    function deletePreset(name) {
+        const presets = readUserPresets();
+        if (!presets[name]) {
+            return false;
+        }
+        delete presets[name];
+        return writeUserPresets(presets);
+    }
+
+    /**
+     * Switch to a preset: applies its values and remembers the choice
+     * @param {string} name Preset name
+     * @returns {Array<string>|null} Changed setting names, or null when not found
+     */
+    function applyPreset(name) {
+        const values = getPreset(name);
+        const config = getConfig();
+        if (!values || !config || typeof config.applySettings !== 'function') {
+            return null;
+        }
+        const changed = config.applySettings(values);
+        saveCurrentSettings(name);
+        return changed;
+    }
+
+    // ============================================================================
+    // Export / Import
+    // ============================================================================
+
+    /**
+     * Build the preset export file
+     * @returns {Object} { format, version, presets }
+     */
+    function buildPresetExport() {
+        return {
+            format: EXPORT_FORMAT,
+            version: FORMAT_VERSION,
+            presets: readUserPresets()
+        };
+    }
+
+    function exportPresets() {
+        const json = JSON.stringify(buildPresetExport(), null, 2);
+        const blob = new Blob([json], { type: 'application/json;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'ziwei-settings-presets.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Merge presets from an exported file into storage
+     * @param {*} data Parsed file content
+     * @returns {{imported: Array<string>, errors: Array<string>}}
+     */
+    function importPresetData(data) {
+        if (!data || data.format !== EXPORT_FORMAT || typeof data.presets !== 'object' || data.presets === null) {
+            return { imported: [], errors: ['檔案不是紫微斗數設定組合'] };
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > FORMAT_VERSION) {
+            return { imported: [], errors: [`不支援的檔案版本：${data.version}`] };
+        }
+
+        const presets = readUserPresets();
+        const imported = [];
+        const errors = [];
+        Object.keys(data.presets).forEach(name => {
+            const trimmed = name.trim();
+            if (trimmed === BUILTIN_PRESET_NAME) {
+                errors.push(`略過與內建設定組合同名的「${name}」`);
+                return;
+            }
+            if (!isValidPresetName(trimmed)) {
+                errors.push(`略過名稱無效的設定組合：${name}`);
+                return;
+            }
+            const values = sanitizeValues(data.presets[name]);
+            if (Object.keys(values).length === 0) {
+                errors.push(`略過沒有有效設定的設定組合：${name}`);
+                return;
+            }
+            presets[trimmed] = values;
+            imported.push(trimmed);
+        });
+
+        if (imported.length > 0 && !writeUserPresets(presets)) {
+            return { imported: [], errors: ['無法寫入瀏覽器儲存空間'] };
+        }
+        return { imported, errors };
+    }
+
+    function pickPresetFile() {
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'application/json,.json';
+            input.addEventListener('change', () => resolve(input.files && input.files[0] ? input.files[0] : null));
+            input.click();
+        });
+    }
+
+    async function importPresets() {
+        const file = await pickPresetFile();
+        if (!file) {
+            return null;
+        }
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            return { imported: [], errors: ['檔案不是有效的 JSON'] };
+        }
+        return importPresetData(data);
+    }
+
+    // ============================================================================
+    // Settings Panel Section
+    // ============================================================================
+
+    function createButton(label, action, className) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `ziwei-settings-btn ${className || 'ziwei-settings-btn-secondary'}`;
+        button.dataset.presetAction = action;
+        button.textContent = label;
+        return button;
+    }
+
+    function fillPresetSelect(select, selected) {
+        select.innerHTML = '';
+        listPresets().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        const active = selected || storage.read(STORAGE_KEYS.SETTINGS)?.activePreset;
+        if (active && listPresets().includes(active)) {
+            select.value = active;
+        }
+    }
+
+    function setStatus(section, message) {
+        const status = section.querySelector('.ziwei-settings-presets-status');
+        if (status) {
+            status.textContent = message || '';
+        }
+    }
+
+    /**
+     * Handle a preset toolbar button
+     * @param {HTMLElement} section Preset section element
+     * @param {string} action Button action
+     */
+    async function handlePresetAction(section, action) {
+        const select = section.querySelector('.ziwei-settings-presets-select');
+        const name = select ? select.value : '';
+
+        if (action === 'apply') {
+            const changed = applyPreset(name);
+            setStatus(section, changed === null ? '找不到設定組合' : `已套用「${name}」`);
+        } else if (action === 'save') {
+            const input = window.prompt(`設定組合名稱（最多 ${PRESET_NAME_MAX_LENGTH} 字）`, name === BUILTIN_PRESET_NAME ? '' : name);
+            if (input === null) return;
+            const trimmed = input.trim();
+            if (trimmed === BUILTIN_PRESET_NAME) {
+                setStatus(section, `「${BUILTIN_PRESET_NAME}」為內建設定組合，請使用其他名稱`);
+                return;
+            }
+            if (!isValidPresetName(trimmed)) {
+                setStatus(section, '名稱無效');
+                return;
+            }
+            if (!savePreset(trimmed)) {
+                setStatus(section, '無法寫入瀏覽器儲存空間');
+                return;
+            }
+            saveCurrentSettings(trimmed);
+            fillPresetSelect(select, trimmed);
+            setStatus(section, `已儲存「${trimmed}」`);
+        } else if (action === 'delete') {
+            if (name === BUILTIN_PRESET_NAME) {
+                setStatus(section, '內建設定組合無法刪除');
+                return;
+            }
+            if (!window.confirm(`確定刪除設定組合「${name}」？`)) return;
+            deletePreset(name);
+            fillPresetSelect(select, BUILTIN_PRESET_NAME);
+            setStatus(section, `已刪除「${name}」`);
+        } else if (action === 'export') {
+            if (Object.keys(readUserPresets()).length === 0) {
+                setStatus(section, '沒有可匯出的自訂設定組合');
+                return;
+            }
+            exportPresets();
+        } else if (action === 'import') {
+            const result = await importPresets();
+            if (!result) return;
+            fillPresetSelect(select, result.imported[0]);
+            const messages = [];
+            if (result.imported.length > 0) {
+                messages.push(`已匯入 ${result.imported.length} 個設定組合`);
+            }
+            setStatus(section, messages.concat(result.errors).join('；'));
+        }
+    }
+
+    /**
+     * Build the 「設定組合」 section appended to the settings panel by config.js
+     * @returns {HTMLElement}
+     */
+    function createPresetSection() {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'ziwei-settings-category-wrapper ziwei-settings-presets';
+
+        const header = document.createElement('div');
+        header.className = 'ziwei-settings-category';
+        header.textContent = '設定組合';
+        wrapper.appendChild(header);
+
+        const content = document.createElement('div');
+        content.className = 'ziwei-settings-category-content one-col';
+
+        // Opt-in remember checkbox
+        const remember = document.createElement('div');
+        remember.className = 'ziwei-settings-checkbox';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = 'settings-rememberSettings';
+        checkbox.checked = isRememberEnabled();
+        const checkboxLabel = document.createElement('label');
+        checkboxLabel.setAttribute('for', checkbox.id);
+        checkboxLabel.textContent = '在此瀏覽器記住設定';
+        remember.appendChild(checkbox);
+        remember.appendChild(checkboxLabel);
+        content.appendChild(remember);
+
+        checkbox.addEventListener('change', () => {
+            setRememberEnabled(checkbox.checked);
+            setStatus(wrapper, checkbox.checked ? '設定將保存在此瀏覽器' : '已清除此瀏覽器保存的設定');
+        });
+
+        // Preset selector
+        const group = document.createElement('div');
+        group.className = 'ziwei-settings-group';
+        const label = document.createElement('label');
+        label.className = 'ziwei-settings-label';
+        label.setAttribute('for', 'settings-preset');
+        label.textContent = '設定組合';
+        const select = document.createElement('select');
+        select.id = 'settings-preset';
+        select.className = 'ziwei-settings-select ziwei-settings-presets-select';
+        fillPresetSelect(select);
+        group.appendChild(label);
+        group.appendChild(select);
+        content.appendChild(group);
+
+        const actions = document.createElement('div');
+        actions.className = 'ziwei-settings-actions ziwei-settings-presets-actions';
+        actions.appendChild(createButton('套用', 'apply', 'ziwei-settings-btn-primary'));
+        actions.appendChild(createButton('儲存目前設定', 'save'));
+        actions.appendChild(createButton('刪除', 'delete'));
+        actions.appendChild(createButton('匯出', 'export'));
+        actions.appendChild(createButton('匯入', 'import'));
+        content.appendChild(actions);
+
+        actions.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-preset-action]');
+            if (button) {
+                handlePresetAction(wrapper, button.dataset.presetAction).catch(err => {
+                    console.error(`${LOG_PREFIX} Preset action failed:`, err);
+                    setStatus(wrapper, '操作失敗');
+                });
+            }
+        });
+
+        const status = document.createElement('div');
+        status.className = 'ziwei-settings-presets-status';
+        status.setAttribute('aria-live', 'polite');
+        content.appendChild(status);
+
+        wrapper.appendChild(content);
+        return wrapper;
+    }
+
+    // ============================================================================
+    // Initialization
+    // ============================================================================
+
+    // Remember every change made in the settings panel (after its handler ran);
+    // the preset and 自訂格局 rule pickers are not settings
+    document.addEventListener('change', (e) => {
+        const target = e.target;
+        if (target && target.classList && target.classList.contains('ziwei-settings-select') &&
+            !target.classList.contains('ziwei-settings-presets-select') &&
+            !target.classList.contains('ziwei-pattern-rules-select')) {
+            setTimeout(() => saveCurrentSettings(''), 0);
+        }
+    });
+
+    try {
+        restoreRememberedSettings();
+    } catch (e) {
+        console.error(`${LOG_PREFIX} Failed to restore remembered settings:`, e);
+    }
+
+    // Expose API
+    window.ziweiSettingsPresets = {
+        BUILTIN_PRESET_NAME,
+        isRememberEnabled,
+        setRememberEnabled,
+        listPresets,
+        getPreset,
+        savePreset,
+        deletePreset,
+        applyPreset,
+        buildPresetExport,
+        exportPresets,
+        importPresetData,
+        importPresets,
+        createPresetSection
+    };
+})();
@@ -6,14 +6,21 @@
  * 
  * Features:
  * - PNG export via dom-to-image
- * - PDF export via jsPDF
- * - JSON export and clipboard copy
+ * - SVG export drawn from the adapter output (assets/js/chart-svg.js)
+ * - PDF export via jsPDF (vector chart in the bundled CJK font, screenshot if the font fails to load)
+ * - PDF report: chart, per-palace tables, 大限 timeline and 流年 table (assets/js/chart-report.js)
+ * - JSON export and clipboard copy, validated against
+ *   assets/schema/chart-export.schema.json before leaving the page
+ * - JSON import (validates, restores settings, recomputes and reports mismatches)
  * - Share link generation for easy sharing
  * - Privacy-aware export (respects hidden personal info)
  * 
  * Dependencies:
- * - dom-to-image (external library)
- * - jsPDF (external library)
+ * - dom-to-image, pako, UPNG, jsPDF, Noto Sans TC (assets/vendor/, or CDN per Settings → 紫微斗數)
+ * - assets/js/chart-export.js (machine variant + schema validator, loaded on demand)
+ * - assets/js/chart-svg.js (SVG/vector chart renderer, loaded on demand)
+ * - assets/js/chart-report.js (PDF report, loaded on demand)
+ * - assets/display/js/interpretation-panel.js (extractPalaceData for the report)
  * 
  * Corresponding CSS: assets/display/css/share.css
  * 
@@ -36,6 +43,17 @@
   ];
   const EXPORT_SCALE = 2;
 
+  // Export format version (schemaVersion); must match chart-export.js and the schema file
+  const EXPORT_SCHEMA_VERSION = 4;
+  const SOURCE_FORM_FIELDS = ['name', 'gender', 'birthplace', 'timezone', 'timezoneRegion', 'leapMonth', 'lunarInput'];
+  const SOURCE_SETTING_DEFAULTS = {
+    leapMonthHandling: 'mid',
+    ziHourHandling: 'midnightChange',
+    trueSolarTime: 'off',
+    woundedServantHandling: 'zhongzhou',
+    school: 'zhongzhou'
+  };
+
   function isAiModeActive() {
     try {
       return !!(window.ziweiAiMode && typeof window.ziweiAiMode.isActive === 'function' && window.ziweiAiMode.isActive());
@@ -47,12 +65,54 @@
   let browserSupport = {};
   let isMenuOpen = false;
   let loader;
+  // .ziwei-cal of the share button last used; exports read that chart
+  let activeRoot = null;
+
+  // ============================================================================
+  // Active Chart (several charts can share a page)
+  // ============================================================================
+
+  /**
+   * @returns {ParentNode} Container of the chart the share menu belongs to, or the document
+   */
+  function getChartRoot() {
+    return activeRoot && activeRoot.isConnected ? activeRoot : document;
+  }
+
+  /**
+   * @param {string} selector
+   * @returns {Element|null} First match inside the active chart's container
+   */
+  function queryChart(selector) {
+    return getChartRoot().querySelector(selector);
+  }
+
+  /**
+   * @returns {Object|undefined} Adapter instance of the active chart (ziweiAdapter.forElement)
+   */
+  function getChartAdapter() {
+    const adapter = window.ziweiAdapter;
+    const root = getChartRoot();
+    return root !== document && adapter?.forElement ? adapter.forElement(root) : adapter;
+  }
 
   // ============================================================================
   // External Library Loader Helpers
   // ============================================================================
 
-  function loadScript(src) {
+  /**
+   * Export libraries bundled under assets/vendor/. URLs and integrity hashes
+   * come from ziweiCalData.vendor (Ziwei_Vendor_Assets, local or CDN per the
+   * admin option); `path` is the fallback when that data is missing.
+   */
+  const VENDOR_LIBRARIES = {
+    domtoimage: { path: 'assets/vendor/dom-to-image/dom-to-image.min.js', isLoaded: () => !!window.domtoimage },
+    pako: { path: 'assets/vendor/pako/pako.min.js', isLoaded: () => !!window.pako },
+    upng: { path: 'assets/vendor/upng-js/UPNG.js', isLoaded: () => !!window.UPNG },
+    jspdf: { path: 'assets/vendor/jspdf/jspdf.umd.min.js', isLoaded: () => !!window.jspdf?.jsPDF || !!window.jsPDF }
+  };
+
+  function loadScript(src, integrity) {
     return new Promise((resolve, reject) => {
       if (!src) return reject(new Error('Missing src'));
 
@@ -63,6 +123,10 @@
       }
 
       const script = document.createElement('script');
+      if (integrity) {
+        script.integrity = integrity;
+        script.crossOrigin = 'anonymous';
+      }
       script.src = src;
       script.async = true;
       script.defer = true;
@@ -72,6 +136,64 @@
     });
   }
 
+  /**
+   * Load a plugin script that defines a window global, once
+   * @param {string} path Path relative to the plugin root
+   * @param {string} globalName Global the script defines
+   * @returns {Promise<Object>} window[globalName]
+   */
+  function loadPluginModule(path, globalName) {
+    if (window[globalName]) {
+      return Promise.resolve(window[globalName]);
+    }
+    const base = window.ziweiCalData?.pluginUrl || '';
+    const version = window.ziweiCalData?.pluginVersion || Date.now();
+    return loadScript(`${base}${path}?ver=${version}`)
+      .then(() => waitForLibrary(() => !!window[globalName], 5000))
+      .then(() => window[globalName]);
+  }
+
+  /**
+   * Load the export schema module (assets/js/chart-export.js) from the plugin
+   * @returns {Promise<Object>} window.ziweiChartExport
+   */
+  function loadChartExportModule() {
+    return loadPluginModule('assets/js/chart-export.js', 'ziweiChartExport');
+  }
+
+  /**
+   * Load the chart renderer (assets/js/chart-svg.js) from the plugin
+   * @returns {Promise<Object>} window.ziweiChartSvg
+   */
+  function loadChartSvgModule() {
+    return loadPluginModule('assets/js/chart-svg.js', 'ziweiChartSvg');
+  }
+
+  /**
+   * Load the PDF report module (assets/js/chart-report.js); it needs chart-svg.js first
+   * @returns {Promise<Object>} window.ziweiChartReport
+   */
+  function loadChartReportModule() {
+    return loadChartSvgModule()
+      .then(() => loadPluginModule('assets/js/chart-report.js', 'ziweiChartReport'));
+  }
+
+  /**
+   * Load an export library unless it is already on the page
+   * @param {string} key - Key of VENDOR_LIBRARIES
+   * @returns {Promise<void>}
+   */
+  function loadVendorLibrary(key) {
+    const library = VENDOR_LIBRARIES[key];
+    if (library.isLoaded()) {
+      return Promise.resolve();
+    }
+    const entry = window.ziweiCalData?.vendor?.[key];
+    const src = entry?.src || `${window.ziweiCalData?.pluginUrl || ''}${library.path}`;
+    return loadScript(src, entry?.integrity)
+      .then(() => waitForLibrary(library.isLoaded, 15000));
+  }
+
   function waitForLibrary(checkFn, maxWait = 15000) {
     return new Promise((resolve, reject) => {
       const startTime = Date.now();
@@ -112,12 +234,12 @@
 
   function getFileName(format, name, date) {
     if (typeof format !== "string") {
-      throw new Error("getFileName: format 參數必須是字符串 (png|pdf|json)");
+      throw new Error("getFileName: format 參數必須是字符串 (png|svg|pdf|json)");
     }
 
     format = format.toLowerCase();
-    if (format !== "png" && format !== "pdf" && format !== "json") {
-      throw new Error("getFileName: format 必須為 png、pdf 或 json");
+    if (format !== "png" && format !== "svg" && format !== "pdf" && format !== "json") {
+      throw new Error("getFileName: format 必須為 png、svg、pdf 或 json");
     }
 
     // date/birth info passed from meta, format: YYYYMMDD_HHMM
@@ -201,7 +323,7 @@
   async function downloadPNG() {
     let target = null;
     for (const selector of CAPTURE_TARGET_SELECTORS) {
-      const el = document.querySelector(selector);
+      const el = queryChart(selector);
       if (el) {
         target = el;
         break;
@@ -216,8 +338,7 @@
     // Ensure dom-to-image is available (load dynamically if missing)
     if (!window.domtoimage) {
       try {
-        await loadScript('https://cdn.jsdelivr.net/npm/dom-to-image@2.6.0/dist/dom-to-image.min.js');
-        await waitForLibrary(() => !!window.domtoimage, 15000);
+        await loadVendorLibrary('domtoimage');
       } catch (e) {
         console.error('[ziwei-share] Failed to load dom-to-image', e);
         alert("截圖組件 (dom-to-image) 尚未加載，請刷新頁面重試");
@@ -228,8 +349,7 @@
     // Ensure pako and UPNG are available (load dynamically if missing)
     if (!window.pako) {
       try {
-        await loadScript('https://cdn.jsdelivr.net/npm/pako@2.1.0/dist/pako.min.js');
-        await waitForLibrary(() => !!window.pako, 15000);
+        await loadVendorLibrary('pako');
       } catch (e) {
         console.warn('[ziwei-share] Failed to load pako for PNG compression', e);
         // Continue without compression
@@ -239,8 +359,7 @@
     if (!window.UPNG) {
       try {
         console.log('[ziwei-share] Loading UPNG, pako available:', !!window.pako);
-        await loadScript('https://cdn.jsdelivr.net/npm/upng-js@2.1.0/UPNG.min.js');
-        await waitForLibrary(() => !!window.UPNG, 15000);
+        await loadVendorLibrary('upng');
         console.log('[ziwei-share] UPNG loaded, pako available:', !!window.pako);
       } catch (e) {
         console.warn('[ziwei-share] Failed to load UPNG for PNG', e);
@@ -254,7 +373,7 @@
     // 只用 chart meta，沒資料就用預設檔名
     let name = '';
     let birthStr = '';
-    const chart = window.ziweiAdapter?.getCurrentChart();
+    const chart = getChartAdapter()?.getCurrentChart();
     if (chart && chart.meta) {
       name = chart.meta.name || '';
       let date = chart.meta.birthdate || '';
@@ -332,14 +451,439 @@
     }
   }
 
+  // ============================================================================
+  // SVG Download Implementation
+  // ============================================================================
+
+  // jsPDF font used for PDF text. jsPDF's built-in fonts have no CJK glyphs,
+  // so Noto Sans TC is embedded: the bundled subset
+  // (ziweiCalData.vendor.cjkfontsubset) has every character of the plugin's
+  // own text, and the full font (vendor.cjkfont, CDN) is fetched only when
+  // the chart's personal text needs more. jsPDF writes only the glyphs in use
+  // into the file.
+  const PDF_CJK_FONT = 'NotoSansTC';
+  const PDF_CJK_FONT_FILE = 'NotoSansTC-Regular.ttf';
+  const PDF_CJK_FONT_SUBSET_PATH = 'assets/vendor/@expo-google-fonts/noto-sans-tc/NotoSansTC_400Regular.subset.ttf';
+
+  // Loaded fonts by vendor key: {binary, codePoints}. Each file is fetched and
+  // converted once per page load and reused by every later export
+  const pdfFontCache = {};
+
+  /**
+   * Fetch a font file, verified against its integrity hash
+   * @param {string} key 'cjkfontsubset' or 'cjkfont'
+   * @returns {Promise<{binary: string, codePoints: Set<number>|null}>} binary is the file as a binary string
+   */
+  function fetchPdfFont(key) {
+    if (!pdfFontCache[key]) {
+      const entry = window.ziweiCalData?.vendor?.[key];
+      const src = entry?.src || (key === 'cjkfontsubset' ? `${window.ziweiCalData?.pluginUrl || ''}${PDF_CJK_FONT_SUBSET_PATH}` : '');
+      if (!src) {
+        return Promise.reject(new Error('No source for font ' + key));
+      }
+      const init = { cache: 'force-cache' };
+      if (entry?.integrity) {
+        init.integrity = entry.integrity;
+      }
+      pdfFontCache[key] = fetch(src, init)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error('Failed to load ' + src);
+          }
+          return response.arrayBuffer();
+        })
+        .then((buffer) => {
+          const bytes = new Uint8Array(buffer);
+          let binary = '';
+          for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+          }
+          return { binary, codePoints: null };
+        })
+        .catch((err) => {
+          delete pdfFontCache[key];
+          throw err;
+        });
+    }
+    return pdfFontCache[key];
+  }
+
+  /**
+   * Code points mapped by the Windows Unicode cmap of a TrueType font
+   * (formats 4 and 12, the ones hb-subset writes)
+   * @param {string} binary Font file as a binary string
+   * @returns {Set<number>}
+   */
+  function readFontCodePoints(binary) {
+    const u16 = (offset) => (binary.charCodeAt(offset) << 8) | binary.charCodeAt(offset + 1);
+    const u32 = (offset) => u16(offset) * 0x10000 + u16(offset + 2);
+    const codePoints = new Set();
+
+    let cmap = -1;
+    for (let i = 0, tables = u16(4); i < tables; i++) {
+      if (binary.substr(12 + 16 * i, 4) === 'cmap') {
+        cmap = u32(20 + 16 * i);
+      }
+    }
+    if (cmap < 0) {
+      return codePoints;
+    }
+
+    for (let i = 0, records = u16(cmap + 2); i < records; i++) {
+      const encoding = u16(cmap + 6 + 8 * i);
+      if (u16(cmap + 4 + 8 * i) !== 3 || (encoding !== 1 && encoding !== 10)) {
+        continue;
+      }
+      const table = cmap + u32(cmap + 8 + 8 * i);
+      const format = u16(table);
+      if (format === 4) {
+        const segments = u16(table + 6) / 2;
+        for (let s = 0; s < segments; s++) {
+          const end = u16(table + 14 + 2 * s);
+          const start = u16(table + 16 + 2 * segments + 2 * s);
+          const delta = u16(table + 16 + 4 * segments + 2 * s);
+          const rangeOffsetAt = table + 16 + 6 * segments + 2 * s;
+          const rangeOffset = u16(rangeOffsetAt);
+          for (let code = start; code <= end && code !== 0xFFFF; code++) {
+            const glyph = rangeOffset === 0 ? code : u16(rangeOffsetAt + rangeOffset + 2 * (code - start));
+            if ((rangeOffset === 0 || glyph !== 0) && ((glyph + delta) & 0xFFFF) !== 0) {
+              codePoints.add(code);
+            }
+          }
+        }
+      } else if (format === 12) {
+        for (let g = 0, groups = u32(table + 12); g < groups; g++) {
+          const start = u32(table + 16 + 12 * g);
+          const end = u32(table + 20 + 12 * g);
+          const startGlyph = u32(table + 24 + 12 * g);
+          for (let code = start; code <= end; code++) {
+            if (startGlyph + code - start !== 0) {
+              codePoints.add(code);
+            }
+          }
+        }
+      }
+    }
+    return codePoints;
+  }
+
+  /**
+   * Font data for a chart: the bundled subset, or the full font when the
+   * chart's personal text (name, birthplace, ...) has characters outside it.
+   * The full font is never bundled, so that case needs the CDN even when the
+   * local library source is selected
+   * @param {Object} chart Adapter output
+   * @returns {Promise<string>} Binary string
+   * @throws {Error} With a message for the user when the full font cannot be loaded
+   */
+  async function loadPdfFontData(chart) {
+    const subset = await fetchPdfFont('cjkfontsubset');
+    if (!subset.codePoints) {
+      subset.codePoints = readFontCodePoints(subset.binary);
+    }
+    const personalText = Object.values(chart?.meta || {}).filter((value) => typeof value === 'string').join('');
+    const covered = Array.from(personalText).every((ch) => ch.codePointAt(0) <= 0x7F || subset.codePoints.has(ch.codePointAt(0)));
+    if (covered) {
+      return subset.binary;
+    }
+    try {
+      return (await fetchPdfFont('cjkfont')).binary;
+    } catch (e) {
+      console.warn('[ziwei-share] Full PDF font unavailable:', e);
+      throw new Error('姓名或出生地含內建字型以外的字，需由 CDN 下載完整字型，但目前無法連接');
+    }
+  }
+
+  /**
+   * Register PDF_CJK_FONT on a jsPDF document
+   * @param {Object} pdf jsPDF document
+   * @param {Object} chart Adapter output the document is drawn from
+   * @returns {Promise<void>}
+   */
+  async function registerPdfFont(pdf, chart) {
+    if (pdf.getFontList()[PDF_CJK_FONT]) {
+      return;
+    }
+    pdf.addFileToVFS(PDF_CJK_FONT_FILE, await loadPdfFontData(chart));
+    pdf.addFont(PDF_CJK_FONT_FILE, PDF_CJK_FONT, 'normal');
+  }
+
+  /**
+   * Chart used by the data-driven exports (same source as buildExportJSON)
+   * @returns {Object|null} Adapter output
+   */
+  function getExportChart() {
+    const adapter = getChartAdapter();
+    return adapter?.storage?.get('adapterOutput') || adapter?.getCurrentChart?.() || null;
+  }
+
+  /**
+   * File name parts from the chart meta
+   * @param {Object|null} chart Adapter output
+   * @returns {{name: string, birthStr: string}} birthStr is YYYYMMDD_HHMM
+   */
+  function getChartFileInfo(chart) {
+    const meta = chart?.meta || {};
+    const dateNum = (meta.birthdate || '').replace(/[^0-9]/g, '');
+    const timeNum = (meta.birthtime || '').replace(/[^0-9]/g, '');
+    return {
+      name: meta.name || '',
+      birthStr: dateNum && timeNum ? `${dateNum}_${timeNum}` : dateNum
+    };
+  }
+
+  /**
+   * Active 大限/流年 from the cycle panel, in the shape chart-svg.js expects
+   * @param {Object} chart Adapter output
+   * @returns {{major?: Object, annual?: Object}}
+   */
+  function getActiveCycleOptions(chart) {
+    const mutationsModule = window.ziweiAdapter?.getModule?.('mutations');
+    const settings = getChartAdapter()?.settings;
+    const palaces = chart?.sections?.palaces || {};
+    const cycles = {};
+
+    const activeMajorBtn = queryChart('.ziwei-major-cycle-button.ziwei-cycle-button-active');
+    if (activeMajorBtn) {
+      const branchIndex = parseInt(activeMajorBtn.dataset.palaceIndex, 10);
+      const palace = palaces[branchIndex];
+      if (palace && palace.stem) {
+        const cycleInfo = chart.sections.lifeCycles?.major?.find(c => c.palaceIndex === branchIndex);
+        cycles.major = {
+          branchIndex,
+          mutations: mutationsModule?.calculateMajorCycleMutations?.(palace.stem, settings)?.byStar || {},
+          label: `當今大限：${palace.stem}${palace.branchZhi || ''}限 ${cycleInfo ? cycleInfo.ageRange + '歲' : ''}`.trim()
+        };
+      }
+    }
+
+    // Same source as buildExportJSON: the 干支 text on the active annual button
+    const activeAnnualBtn = queryChart('.ziwei-annual-cycle-button.ziwei-cycle-button-active');
+    const annualText = activeAnnualBtn?.querySelector('.ziwei-annual-stem-branch')?.textContent || '';
+    const annualBranchIndex = (window.ziweiConstants?.BRANCH_NAMES || []).indexOf(annualText.charAt(1));
+    if (activeAnnualBtn && annualText.length >= 2 && annualBranchIndex >= 0) {
+      cycles.annual = {
+        branchIndex: annualBranchIndex,
+        mutations: mutationsModule?.calculateAnnualCycleMutations?.(annualText.charAt(0), settings)?.byStar || {},
+        label: `當今流年：${annualText.substring(0, 2)}年 ${activeAnnualBtn.dataset.year || ''}年 ${activeAnnualBtn.dataset.age || ''}歲`
+      };
+    }
+
+    return cycles;
+  }
+
+  /**
+   * Render options for chart-svg.js from the current display settings
+   * @param {Object} chart Adapter output
+   * @returns {Object}
+   */
+  function getChartRenderOptions(chart) {
+    const settings = getChartAdapter()?.settings;
+    const get = (name, fallback) => settings?.get?.(name) || fallback;
+    return {
+      settings: {
+        palaceNameCareer: get('palaceNameCareer', 'career'),
+        palaceNameFriends: get('palaceNameFriends', 'friends'),
+        starBrightness: get('starBrightness', 'hidden'),
+        xunKong: get('xunKong', 'marked'),
+        personalInfo: get('personalInfo', 'show')
+      },
+      cycles: getActiveCycleOptions(chart)
+    };
+  }
+
+  async function downloadSVG() {
+    const chart = getExportChart();
+    if (!chart) {
+      alert("找不到命盤資料，無法生成 SVG");
+      return;
+    }
+
+    showLoadingState("正在生成 SVG...");
+    try {
+      const chartSvg = await loadChartSvgModule();
+      const svg = chartSvg.renderSVG(chart, getChartRenderOptions(chart));
+      const { name, birthStr } = getChartFileInfo(chart);
+      downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), getFileName("svg", name, birthStr));
+    } catch (err) {
+      console.error("SVG Export Error:", err);
+      alert("SVG 生成失敗: " + (err.message || "未知錯誤"));
+    } finally {
+      hideLoadingState();
+    }
+  }
+
+  /**
+   * Vector PDF: draw the chart with jsPDF primitives via chart-svg.js
+   * @returns {Promise<boolean>} false when there is no chart or the CJK font cannot be loaded (caller falls back)
+   */
+  async function downloadVectorPDF() {
+    const chart = getExportChart();
+    if (!chart) {
+      return false;
+    }
+
+    showLoadingState("正在生成 PDF...");
+    try {
+      await loadVendorLibrary('jspdf');
+      const jsPDFLib = window.jspdf?.jsPDF || window.jsPDF;
+      const pdf = new jsPDFLib('p', 'mm', 'a5');
+      try {
+        await registerPdfFont(pdf, chart);
+      } catch (e) {
+        console.warn('[ziwei-share] PDF font unavailable, using screenshot:', e);
+        showShareLinkFeedback('已使用截圖產生 PDF：' + (e.message || '字型無法載入'));
+        return false;
+      }
+
+      const chartSvg = await loadChartSvgModule();
+      // Same margins as the screenshot PDF: left 20mm for binding, 10mm elsewhere
+      const leftMargin = 20;
+      const rightMargin = 10;
+      chartSvg.drawToPdf(pdf, chart, Object.assign(getChartRenderOptions(chart), {
+        fontName: PDF_CJK_FONT,
+        x: leftMargin,
+        y: 10,
+        width: pdf.internal.pageSize.getWidth() - leftMargin - rightMargin
+      }));
+      const { name, birthStr } = getChartFileInfo(chart);
+      pdf.save(getFileName("pdf", name, birthStr));
+    } finally {
+      hideLoadingState();
+    }
+    return true;
+  }
+
+  // ============================================================================
+  // PDF Report
+  // ============================================================================
+
+  /**
+   * Ask for the 流年 range of the report
+   * @param {Object} chartReport window.ziweiChartReport (validates the range)
+   * @returns {Promise<{from: number, to: number}|null>} null when cancelled
+   */
+  function askReportYears(chartReport) {
+    return new Promise((resolve) => {
+      const currentYear = new Date().getFullYear();
+      const backdrop = document.createElement('div');
+      backdrop.className = 'ziwei-report-dialog-backdrop';
+      backdrop.innerHTML = [
+        '<form class="ziwei-report-dialog" role="dialog" aria-modal="true" aria-labelledby="ziwei-report-dialog-title">',
+        '<h3 id="ziwei-report-dialog-title">PDF 報告</h3>',
+        '<p>第 1 頁為命盤，其後為十二宮資料、大限表及所選年份的流年表。</p>',
+        '<div class="ziwei-report-dialog-years">',
+        `<label>流年由 <input type="number" name="from" step="1" value="${currentYear}" required></label>`,
+        `<label>至 <input type="number" name="to" step="1" value="${currentYear + 9}" required></label>`,
+        '</div>',
+        '<p class="ziwei-report-dialog-error" role="alert"></p>',
+        '<div class="ziwei-report-dialog-actions">',
+        '<button type="button" class="ziwei-report-dialog-cancel">取消</button>',
+        '<button type="submit" class="ziwei-report-dialog-submit">產生 PDF</button>',
+        '</div>',
+        '</form>'
+      ].join('');
+
+      const form = backdrop.querySelector('form');
+      const errorText = backdrop.querySelector('.ziwei-report-dialog-error');
+      const close = (result) => {
+        document.removeEventListener('keydown', onKeydown);
+        backdrop.remove();
+        resolve(result);
+      };
+      const onKeydown = (e) => {
+        if (e.key === 'Escape') close(null);
+      };
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+          close(chartReport.normalizeYearRange({ from: form.elements.from.value, to: form.elements.to.value }));
+        } catch (err) {
+          errorText.textContent = err.message;
+        }
+      });
+      backdrop.querySelector('.ziwei-report-dialog-cancel').addEventListener('click', () => close(null));
+      backdrop.addEventListener('click', (e) => {
+        if (e.target === backdrop) close(null);
+      });
+      document.addEventListener('keydown', onKeydown);
+
+      document.body.appendChild(backdrop);
+      form.elements.from.focus();
+    });
+  }
+
+  /**
+   * Multi-page PDF report (A4): chart, palace tables, 大限 timeline, 流年 table
+   */
+  async function downloadPDFReport() {
+    const chart = getExportChart();
+    const extractPalaceData = window.ziweiInterpretationPanel?.extractPalaceData;
+    if (!chart || typeof extractPalaceData !== 'function') {
+      alert("找不到命盤資料，無法生成 PDF 報告");
+      return;
+    }
+
+    let chartReport;
+    try {
+      chartReport = await loadChartReportModule();
+    } catch (e) {
+      console.error('[ziwei-share] Failed to load chart-report.js', e);
+      alert("PDF 組件尚未加載，請刷新頁面重試");
+      return;
+    }
+
+    const years = await askReportYears(chartReport);
+    if (!years) {
+      return;
+    }
+
+    showLoadingState("正在生成 PDF 報告...");
+    try {
+      await loadVendorLibrary('jspdf');
+      const jsPDFLib = window.jspdf?.jsPDF || window.jsPDF;
+      const pdf = new jsPDFLib('p', 'mm', 'a4');
+      await registerPdfFont(pdf, chart);
+
+      const mutationsModule = window.ziweiAdapter?.getModule?.('mutations');
+      const settings = getChartAdapter()?.settings;
+      chartReport.drawReport(pdf, chart, Object.assign(getChartRenderOptions(chart), {
+        fontName: PDF_CJK_FONT,
+        years,
+        extractPalaceData,
+        mutations: {
+          major: (stem) => mutationsModule?.calculateMajorCycleMutations?.(stem, settings)?.byStar || {},
+          annual: (stem) => mutationsModule?.calculateAnnualCycleMutations?.(stem, settings)?.byStar || {}
+        }
+      }));
+
+      const { name, birthStr } = getChartFileInfo(chart);
+      pdf.save(getFileName("pdf", name ? `${name}_報告` : '命盤報告', birthStr));
+    } catch (err) {
+      console.error("PDF Report Error:", err);
+      alert("PDF 報告生成失敗: " + (err.message || "未知錯誤"));
+    } finally {
+      hideLoadingState();
+    }
+  }
+
   // ============================================================================
   // PDF & Share Implementation
   // ============================================================================
 
   async function downloadPDF() {
+      try {
+        if (await downloadVectorPDF()) {
+          return;
+        }
+      } catch (e) {
+        console.warn('[ziwei-share] Vector PDF failed, using screenshot:', e);
+      }
+
       let target = null;
       for (const selector of CAPTURE_TARGET_SELECTORS) {
-          const el = document.querySelector(selector);
+          const el = queryChart(selector);
           if (el) {
               target = el;
               break;
@@ -354,17 +898,14 @@
       // Check if libraries are loaded, load/wait if necessary
       try {
         if (!window.domtoimage) {
-          await loadScript('https://cdn.jsdelivr.net/npm/dom-to-image@2.6.0/dist/dom-to-image.min.js');
-          await waitForLibrary(() => !!window.domtoimage, 15000);
+          await loadVendorLibrary('domtoimage');
         }
         if (!window.jspdf?.jsPDF && !window.jsPDF) {
-          await loadScript('https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js');
-          await waitForLibrary(() => !!window.jspdf?.jsPDF || !!window.jsPDF, 15000);
+          await loadVendorLibrary('jspdf');
         }
         if (!window.pako) {
           try {
-            await loadScript('https://cdn.jsdelivr.net/npm/pako@2.1.0/dist/pako.min.js');
-            await waitForLibrary(() => !!window.pako, 15000);
+            await loadVendorLibrary('pako');
           } catch (e) {
             console.warn('[ziwei-share] Failed to load pako for PDF compression', e);
             // Continue without compression
@@ -373,8 +914,7 @@
 
         if (!window.UPNG) {
           console.log('[ziwei-share] Loading UPNG for PDF, pako available:', !!window.pako);
-          await loadScript('https://cdn.jsdelivr.net/npm/upng-js@2.1.0/UPNG.min.js');
-          await waitForLibrary(() => !!window.UPNG, 15000);
+          await loadVendorLibrary('upng');
           console.log('[ziwei-share] UPNG loaded for PDF, pako available:', !!window.pako);
         }
       } catch (e) {
@@ -394,7 +934,7 @@
       // Use same chart meta as PNG
       let name = '';
       let birthStr = '';
-      const chart = window.ziweiAdapter?.getCurrentChart();
+      const chart = getChartAdapter()?.getCurrentChart();
       if (chart && chart.meta) {
           name = chart.meta.name || '';
           let date = chart.meta.birthdate || '';
@@ -510,7 +1050,7 @@
  * @returns {string} Stem-branch combination (e.g., "甲子")
  */
 function getPalaceStemBranch(palaceIndex) {
-  const chart = window.ziweiAdapter?.getCurrentChart();
+  const chart = getChartAdapter()?.getCurrentChart();
   if (!chart || !chart.palaces || !chart.palaces[palaceIndex]) {
     return '';
   }
@@ -580,13 +1120,13 @@ function getMutationsForStem(stem) {
  * @returns {Object|null} Major cycle data or null
  */
 function getActiveMajorCycle() {
-  const activeButton = document.querySelector('.ziwei-major-cycle-button.ziwei-cycle-button-active');
+  const activeButton = queryChart('.ziwei-major-cycle-button.ziwei-cycle-button-active');
   if (!activeButton) return null;
   
   const cycleIndex = parseInt(activeButton.dataset.cycleIndex, 10);
   const palaceIndex = parseInt(activeButton.dataset.palaceIndex, 10);
   
-  const chart = window.ziweiAdapter?.getCurrentChart();
+  const chart = getChartAdapter()?.getCurrentChart();
   if (!chart || !chart.lifeCycleData || !chart.lifeCycleData.majorCycles) {
     return null;
   }
@@ -613,13 +1153,13 @@ function getActiveMajorCycle() {
  * @returns {Object|null} Annual cycle data or null
  */
 function getActiveAnnualCycle() {
-  const activeButton = document.querySelector('.ziwei-annual-cycle-button.ziwei-cycle-button-active');
+  const activeButton = queryChart('.ziwei-annual-cycle-button.ziwei-cycle-button-active');
   if (!activeButton) return null;
   
   const age = parseInt(activeButton.dataset.age, 10);
   const cycleIndex = parseInt(activeButton.dataset.cycleIndex, 10);
   
-  const chart = window.ziweiAdapter?.getCurrentChart();
+  const chart = getChartAdapter()?.getCurrentChart();
   if (!chart || !chart.lifeCycleData || !chart.lifeCycleData.majorCycles) {
     return null;
   }
@@ -646,10 +1186,14 @@ function getActiveAnnualCycle() {
 /**
  * Build JSON data structure for export
  * Uses data-adapter.js as single source of truth to match chart.js display
- * @returns {Object} Complete JSON data
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSource=false] Add the English-keyed `chart` variant
+ *        (needs window.ziweiChartExport) and the `source` block (birth data, settings,
+ *        placements) needed to import the file again
+ * @returns {Object} Complete JSON data, see assets/schema/chart-export.schema.json
  */
-function buildExportJSON() {
-  const adapter = window.ziweiAdapter;
+function buildExportJSON(options = {}) {
+  const adapter = getChartAdapter();
   if (!adapter) {
     throw new Error('無法取得命盤資料：adapter 不存在');
   }
@@ -758,6 +1302,7 @@ function buildExportJSON() {
   
   // === Build 基本資料 ===
   const jsonData = {
+    "schemaVersion": EXPORT_SCHEMA_VERSION,
     "基本資料": {
       "姓名": meta.name || '無名氏',
       "性別": meta.genderClassification || (meta.gender === 'M' ? '男' : '女'),
@@ -771,7 +1316,7 @@ function buildExportJSON() {
   };
   
   // === Detect active major cycle from DOM (same as chart.js rendering) ===
-  const activeMajorBtn = document.querySelector('.ziwei-major-cycle-button.ziwei-cycle-button-active');
+  const activeMajorBtn = queryChart('.ziwei-major-cycle-button.ziwei-cycle-button-active');
   let activeMajorPalaceIndex = null;
   let majorCycleStem = null;
   let majorCycleStemBranch = '';
@@ -794,7 +1339,7 @@ function buildExportJSON() {
       
       // Get major cycle mutations (same as chart.js applyMajorCycleMutations)
       if (majorCycleStem && mutationsModule?.calculateMajorCycleMutations) {
-        const majorMut = mutationsModule.calculateMajorCycleMutations(majorCycleStem);
+        const majorMut = mutationsModule.calculateMajorCycleMutations(majorCycleStem, settings);
         majorCycleMutations = majorMut?.byStar || {};
       }
       
@@ -812,7 +1357,7 @@ function buildExportJSON() {
   }
   
   // === Detect active annual cycle from DOM ===
-  const activeAnnualBtn = document.querySelector('.ziwei-annual-cycle-button.ziwei-cycle-button-active');
+  const activeAnnualBtn = queryChart('.ziwei-annual-cycle-button.ziwei-cycle-button-active');
   let activeAnnualBranchIndex = null;
   let annualCycleStem = null;
   let annualCycleStemBranch = '';
@@ -843,7 +1388,7 @@ function buildExportJSON() {
     if (activeAnnualBranchIndex !== null && activeAnnualBranchIndex >= 0) {
       // Get annual cycle mutations (same as chart.js applyAnnualCycleMutations)
       if (annualCycleStem && mutationsModule?.calculateAnnualCycleMutations) {
-        const annualMut = mutationsModule.calculateAnnualCycleMutations(annualCycleStem);
+        const annualMut = mutationsModule.calculateAnnualCycleMutations(annualCycleStem, settings);
         annualCycleMutations = annualMut?.byStar || {};
       }
       
@@ -866,6 +1411,74 @@ function buildExportJSON() {
     jsonData["基本資料"]["當今流年"] = [`${annualCycleStemBranch}年`, `${annualYear}年`, `${annualAge}歲`];
   }
   
+  // === Detect active monthly cycle from DOM ===
+  const activeMonthlyBtn = queryChart('.ziwei-monthly-cycle-button.ziwei-cycle-button-active');
+  let activeMonthlyPalaceIndex = null;
+  let monthlyCycleMutations = {};
+  let monthlyCycleStars = {};
+  
+  if (activeMonthlyBtn) {
+    activeMonthlyPalaceIndex = parseInt(activeMonthlyBtn.dataset.palaceIndex, 10);
+    const monthlyStem = activeMonthlyBtn.dataset.stem || '';
+    const monthlyBranchIndex = parseInt(activeMonthlyBtn.dataset.branchIndex, 10);
+    const monthName = activeMonthlyBtn.querySelector('.ziwei-monthly-name')?.textContent || '';
+    
+    // Get monthly cycle mutations (same as chart.js applyMonthlyCycleMutations)
+    if (monthlyStem && mutationsModule?.calculateMonthlyCycleMutations) {
+      const monthlyMut = mutationsModule.calculateMonthlyCycleMutations(monthlyStem, settings);
+      monthlyCycleMutations = monthlyMut?.byStar || {};
+    }
+    
+    // Get monthly cycle stars (same as chart.js showMonthlyCycleStars): 大XX → 月XX
+    if (majorCycleModule?.calculateAllMajorCycleStars && monthlyStem && Number.isInteger(monthlyBranchIndex)) {
+      const stemIndex = majorCycleModule.stemCharToIndex?.(monthlyStem);
+      if (stemIndex !== undefined && stemIndex >= 0) {
+        const rawStars = majorCycleModule.calculateAllMajorCycleStars(stemIndex, monthlyBranchIndex, timeIndex) || {};
+        Object.entries(rawStars).forEach(([starName, palaceIdx]) => {
+          const label = starName.startsWith('大') ? starName.replace(/^大/, '月') : `月${starName}`;
+          monthlyCycleStars[label] = palaceIdx;
+        });
+      }
+    }
+    
+    // Add 當今流月 to 基本資料: ["戊寅月", "正月"]
+    jsonData["基本資料"]["當今流月"] = [`${monthlyStem}${BRANCH_NAMES[monthlyBranchIndex] || ''}月`, monthName];
+  }
+  
+  // === Detect active daily/hourly cycles from DOM ===
+  const activeDailyBtn = queryChart('.ziwei-daily-cycle-button.ziwei-cycle-button-active');
+  const activeHourlyBtn = queryChart('.ziwei-hourly-cycle-button.ziwei-cycle-button-active');
+  let activeDailyPalaceIndex = null;
+  let activeHourlyPalaceIndex = null;
+  let dailyCycleMutations = {};
+  let hourlyCycleMutations = {};
+  
+  if (activeDailyBtn) {
+    activeDailyPalaceIndex = parseInt(activeDailyBtn.dataset.palaceIndex, 10);
+    const dailyStem = activeDailyBtn.dataset.stem || '';
+    if (dailyStem && mutationsModule?.calculateDailyCycleMutations) {
+      dailyCycleMutations = mutationsModule.calculateDailyCycleMutations(dailyStem, settings)?.byStar || {};
+    }
+    
+    // Add 當今流日 to 基本資料: ["甲辰日", "初一"]
+    const dayName = activeDailyBtn.querySelector('.ziwei-daily-name')?.textContent || '';
+    const dayStemBranch = activeDailyBtn.querySelector('.ziwei-daily-stem-branch')?.textContent || '';
+    jsonData["基本資料"]["當今流日"] = [`${dayStemBranch}日`, dayName];
+  }
+  
+  if (activeHourlyBtn) {
+    activeHourlyPalaceIndex = parseInt(activeHourlyBtn.dataset.palaceIndex, 10);
+    const hourlyStem = activeHourlyBtn.dataset.stem || '';
+    if (hourlyStem && mutationsModule?.calculateHourlyCycleMutations) {
+      hourlyCycleMutations = mutationsModule.calculateHourlyCycleMutations(hourlyStem, settings)?.byStar || {};
+    }
+    
+    // Add 當今流時 to 基本資料: ["甲子時", "子時"]
+    const hourName = activeHourlyBtn.querySelector('.ziwei-hourly-name')?.textContent || '';
+    const hourStemBranch = activeHourlyBtn.querySelector('.ziwei-hourly-stem-branch')?.textContent || '';
+    jsonData["基本資料"]["當今流時"] = [`${hourStemBranch}時`, hourName];
+  }
+  
   // === 四化 mapping ===
   const mutationTypeMap = { '祿': '化祿', '權': '化權', '科': '化科', '忌': '化忌' };
   
@@ -874,7 +1487,7 @@ function buildExportJSON() {
   let starMutationsBirth = {};
   const yearStemIndex = indices?.yearStemIndex ?? lunar?.yearStemIndex;
   if (mutationsModule && typeof mutationsModule.calculateBirthYearMutations === 'function' && yearStemIndex !== undefined) {
-    const birthMutResult = mutationsModule.calculateBirthYearMutations(yearStemIndex);
+    const birthMutResult = mutationsModule.calculateBirthYearMutations(yearStemIndex, settings);
     starMutationsBirth = birthMutResult?.byStar || {};
     console.log('[ziwei-share] Dynamically calculated birth year mutations:', starMutationsBirth);
   } else {
@@ -934,6 +1547,22 @@ function buildExportJSON() {
       }
     }
     
+    // Add 流月 palace name (relative to the 流月命宮 derived from 斗君)
+    if (Number.isInteger(activeMonthlyPalaceIndex) && activeMonthlyPalaceIndex >= 0) {
+      const monthlyMingSeqIndex = (i - activeMonthlyPalaceIndex + 12) % 12;
+      if (monthlyMingSeqIndex < palaceSequenceRaw.length) {
+        palaceNames.push(`流月${addGongSuffix(palaceSequenceRaw[monthlyMingSeqIndex])}`);
+      }
+    }
+    
+    // Add 流日/流時 palace names
+    if (Number.isInteger(activeDailyPalaceIndex) && activeDailyPalaceIndex >= 0) {
+      palaceNames.push(`流日${addGongSuffix(palaceSequenceRaw[(i - activeDailyPalaceIndex + 12) % 12])}`);
+    }
+    if (Number.isInteger(activeHourlyPalaceIndex) && activeHourlyPalaceIndex >= 0) {
+      palaceNames.push(`流時${addGongSuffix(palaceSequenceRaw[(i - activeHourlyPalaceIndex + 12) % 12])}`);
+    }
+    
     // === 主星 with mutations (生年/大限/流年) + brightness ===
     const zhuStars = [];
     Object.entries(primaryStars).forEach(([starName, idx]) => {
@@ -954,6 +1583,20 @@ function buildExportJSON() {
         if (annualMut && mutationTypeMap[annualMut]) {
           starEntry.push('流年' + mutationTypeMap[annualMut]);
         }
+        // 流月四化
+        const monthlyMut = monthlyCycleMutations[starName];
+        if (monthlyMut && mutationTypeMap[monthlyMut]) {
+          starEntry.push('流月' + mutationTypeMap[monthlyMut]);
+        }
+        // 流日/流時四化
+        const dailyMut = dailyCycleMutations[starName];
+        if (dailyMut && mutationTypeMap[dailyMut]) {
+          starEntry.push('流日' + mutationTypeMap[dailyMut]);
+        }
+        const hourlyMut = hourlyCycleMutations[starName];
+        if (hourlyMut && mutationTypeMap[hourlyMut]) {
+          starEntry.push('流時' + mutationTypeMap[hourlyMut]);
+        }
         // Brightness (廟/旺/利/平/墓/閒/陷) if enabled
         if (showBrightness) {
           const brightnessLevel = window.BrightnessDatabase?.getBrightness(starName, i) || '';
@@ -985,6 +1628,20 @@ function buildExportJSON() {
         if (annualMut && mutationTypeMap[annualMut]) {
           starEntry.push('流年' + mutationTypeMap[annualMut]);
         }
+        // 流月四化
+        const monthlyMut = monthlyCycleMutations[starName];
+        if (monthlyMut && mutationTypeMap[monthlyMut]) {
+          starEntry.push('流月' + mutationTypeMap[monthlyMut]);
+        }
+        // 流日/流時四化
+        const dailyMut = dailyCycleMutations[starName];
+        if (dailyMut && mutationTypeMap[dailyMut]) {
+          starEntry.push('流日' + mutationTypeMap[dailyMut]);
+        }
+        const hourlyMut = hourlyCycleMutations[starName];
+        if (hourlyMut && mutationTypeMap[hourlyMut]) {
+          starEntry.push('流時' + mutationTypeMap[hourlyMut]);
+        }
         // Brightness (廟/旺/利/平/墓/閒/陷) if enabled
         if (showBrightness) {
           const brightnessLevel = window.BrightnessDatabase?.getBrightness(starName, i) || '';
@@ -1008,7 +1665,7 @@ function buildExportJSON() {
       if (isAtPalace) zaYao.push(starName);
     });
     
-    // === 流曜 (major cycle stars + annual cycle stars) - with full names ===
+    // === 流曜 (major/annual/monthly cycle stars) - with full names ===
     const liuYao = [];
     // Major cycle stars (大限星): 大祿 → 大限祿存
     Object.entries(majorCycleStars).forEach(([starName, palaceIdx]) => {
@@ -1026,6 +1683,14 @@ function buildExportJSON() {
         liuYao.push(`流年${fullStarName}`);
       }
     });
+    // Monthly cycle stars (流月星): 月昌 → 流月文昌
+    Object.entries(monthlyCycleStars).forEach(([starName, palaceIdx]) => {
+      if (palaceIdx === i) {
+        const shortName = starName.slice(1); // Remove '月'
+        const fullStarName = STAR_SHORT_TO_FULL[shortName] || shortName;
+        liuYao.push(`流月${fullStarName}`);
+      }
+    });
     
     // === 神煞 - get directly from adapter's attributes (same as chart.js) ===
     // The attributes object from adapter already has palace-indexed array of star names
@@ -1083,20 +1748,144 @@ function buildExportJSON() {
     jsonData.宮位資料[branchName] = palaceData;
   }
   
+  // === 格局 (assets/js/chart-patterns.js, plus saved rules from pattern-rules.js) ===
+  if (window.ziweiChartPatterns) {
+    const chartRoot = getChartRoot();
+    const patternMatches = window.ziweiPatternRules
+      ? window.ziweiPatternRules.detectChartPatterns(chart, chartRoot === document ? undefined : chartRoot)
+      : window.ziweiChartPatterns.detectPatterns(chart);
+    jsonData["格局"] = patternMatches.map(match => ({
+      "名稱": match.name,
+      "吉凶": match.type,
+      "宮位": match.palaces.map(i => addGongSuffix(palaceSequenceRaw[(i - mingIndex + NUMERIC.PALACES_COUNT) % NUMERIC.PALACES_COUNT])),
+      "說明": match.description
+    }));
+  }
+
+  if (options.includeSource) {
+    jsonData.chart = window.ziweiChartExport.buildMachineExport(chart);
+    jsonData.source = buildExportSource(chart);
+  }
+
   return jsonData;
 }
 
+/**
+ * Build the machine-readable `source` block of an exported chart
+ * Birth data and settings are what the chart was computed from; placements are
+ * kept so an import can detect rule changes between versions.
+ * @param {Object} chart Adapter output
+ * @returns {{formInput: Object, settings: Object, placements: Object}}
+ */
+function buildExportSource(chart) {
+  const settings = getChartAdapter()?.settings;
+  const { meta = {}, normalized = {} } = chart;
+  const raw = normalized.raw || {};
+  const solar = meta.birthdateSolarNumeric || {};
+
+  const formInput = {
+    year: solar.year,
+    month: solar.month,
+    day: solar.day,
+    hour: solar.hour,
+    minute: solar.minute
+  };
+  SOURCE_FORM_FIELDS.forEach(field => {
+    if (raw[field] !== undefined && raw[field] !== null && raw[field] !== '') {
+      formInput[field] = raw[field];
+    }
+  });
+  formInput.gender = meta.gender || formInput.gender;
+
+  const pick = (name, fromChart) =>
+    fromChart || settings?.get(name) || SOURCE_SETTING_DEFAULTS[name];
+  const stemInterpretations = {};
+  (window.ziweiConstants?.CONTROVERSIAL_STEMS || []).forEach(stem => {
+    stemInterpretations[stem] = settings?.get(`stemInterpretation_${stem}`) || 'interpretation_1';
+  });
+
+  return {
+    formInput: formInput,
+    settings: {
+      leapMonthHandling: pick('leapMonthHandling', meta.leapMonthHandling),
+      ziHourHandling: pick('ziHourHandling', meta.ziHourHandling),
+      trueSolarTime: pick('trueSolarTime', typeof raw.trueSolarTime === 'string' ? raw.trueSolarTime : null),
+      woundedServantHandling: pick('woundedServantHandling'),
+      school: pick('school'),
+      stemInterpretations: stemInterpretations
+    },
+    placements: extractPlacements(chart)
+  };
+}
+
+/**
+ * Reduce a chart to the placements compared on import
+ * @param {Object} chart Adapter output
+ * @returns {Object} Palace/star positions as branch indices (0 = 子)
+ */
+function extractPlacements(chart) {
+  const { derived = {}, sections = {} } = chart || {};
+  return {
+    mingPalace: derived.mingPalace?.index ?? null,
+    shenPalace: derived.shenPalace?.index ?? null,
+    nayin: derived.nayin?.name || '',
+    primaryStars: Object.assign({}, sections.primaryStars),
+    secondaryStars: Object.assign({}, sections.secondaryStars),
+    minorStars: Object.assign({}, sections.minorStars),
+    mutations: Object.assign({}, sections.mutations?.byType)
+  };
+}
+
+/**
+ * Check an export against the JSON schema before it leaves the page
+ * A schema that cannot be loaded (offline, blocked asset) only logs a warning,
+ * so exporting still works; structural errors block the export.
+ * @param {Object} jsonData Output of buildExportJSON()
+ * @returns {Promise<Array<string>>} Validation errors (empty when valid)
+ */
+async function validateExportJSON(jsonData) {
+  let schema;
+  try {
+    const chartExport = await loadChartExportModule();
+    schema = await chartExport.loadSchema();
+  } catch (err) {
+    console.warn('[ziwei-share] Export schema unavailable, skipping validation:', err);
+    return [];
+  }
+  return window.ziweiChartExport.validate(jsonData, schema);
+}
+
+/**
+ * Format schema errors for the user (first few only)
+ * @param {Array<string>} errors Validation errors
+ * @returns {string}
+ */
+function formatExportErrors(errors) {
+  const shown = errors.slice(0, 5);
+  if (errors.length > shown.length) {
+    shown.push(`…另有 ${errors.length - shown.length} 項`);
+  }
+  return shown.join('\n');
+}
+
 async function downloadJSON() {
   showLoadingState("正在生成 JSON...");
 
   try {
-    const jsonData = buildExportJSON();
+    await loadChartExportModule();
+    const jsonData = buildExportJSON({ includeSource: true });
+    const errors = await validateExportJSON(jsonData);
+    if (errors.length) {
+      console.error('[ziwei-share] Export failed schema validation:', errors);
+      alert('JSON 格式驗證失敗，已取消下載：\n' + formatExportErrors(errors));
+      return;
+    }
     const jsonString = JSON.stringify(jsonData, null, 2);
     const blob = new Blob([jsonString], { type: 'application/json;charset=utf-8' });
 
     let name = '';
     let birthStr = '';
-    const chart = window.ziweiAdapter?.getCurrentChart();
+    const chart = getChartAdapter()?.getCurrentChart();
     if (chart && chart.meta) {
       name = chart.meta.name || '';
       let date = chart.meta.birthdate || '';
@@ -1127,8 +1916,8 @@ async function downloadJSON() {
 function buildAiPromptPrefix() {
   console.log('[ziwei-share] buildAiPromptPrefix called at:', new Date().toISOString());
   
-  const activeMajorBtn = document.querySelector('.ziwei-major-cycle-button.ziwei-cycle-button-active');
-  const activeAnnualBtn = document.querySelector('.ziwei-annual-cycle-button.ziwei-cycle-button-active');
+  const activeMajorBtn = queryChart('.ziwei-major-cycle-button.ziwei-cycle-button-active');
+  const activeAnnualBtn = queryChart('.ziwei-annual-cycle-button.ziwei-cycle-button-active');
 
   console.log('[ziwei-share] Active major cycle button found:', !!activeMajorBtn);
   console.log('[ziwei-share] Active annual cycle button found:', !!activeAnnualBtn);
@@ -1140,7 +1929,7 @@ function buildAiPromptPrefix() {
   }
 
   if (activeMajorBtn) {
-    const chart = window.ziweiAdapter?.getCurrentChart();
+    const chart = getChartAdapter()?.getCurrentChart();
     const palaceIndex = parseInt(activeMajorBtn.dataset.palaceIndex, 10);
     const majorCycleInfo = chart?.sections?.lifeCycles?.major?.find(c => c.palaceIndex === palaceIndex);
     const startAge = majorCycleInfo?.startAge || '';
@@ -1153,11 +1942,16 @@ function buildAiPromptPrefix() {
   return '你是紫微斗數大師，請按以下命盤推算其性格，一生整體命運。';
 }
 
-function buildAIPromptText() {
+/**
+ * AI prompt prefix followed by the Chinese chart JSON
+ * @param {Object} [jsonData] Prebuilt buildExportJSON() output
+ * @returns {string}
+ */
+function buildAIPromptText(jsonData) {
   console.log('[ziwei-share] buildAIPromptText called at:', new Date().toISOString());
   
   try {
-    const jsonData = buildExportJSON();
+    jsonData = jsonData || buildExportJSON();
     const jsonString = JSON.stringify(jsonData);
     const aiPrompt = buildAiPromptPrefix();
     
@@ -1172,9 +1966,32 @@ function buildAIPromptText() {
   }
 }
 
+/**
+ * AI prompt for ai_mode.js: reads the chart whose container is in AI mode,
+ * whichever share menu was used last
+ * @param {Object} [jsonData] Export JSON; built when omitted
+ * @returns {string}
+ */
+function getAIPromptText(jsonData) {
+  const previousRoot = activeRoot;
+  activeRoot = document.querySelector('.ziwei-cal[data-ziwei-mode="ai"]') || activeRoot;
+  try {
+    return buildAIPromptText(jsonData);
+  } finally {
+    activeRoot = previousRoot;
+  }
+}
+
 async function copyJSON() {
   try {
-    const textToCopy = buildAIPromptText();
+    const jsonData = buildExportJSON();
+    const errors = await validateExportJSON(jsonData);
+    if (errors.length) {
+      console.error('[ziwei-share] Export failed schema validation:', errors);
+      showShareLinkFeedback('複製失敗：JSON 格式驗證未通過');
+      return;
+    }
+    const textToCopy = buildAIPromptText(jsonData);
 
     await navigator.clipboard.writeText(textToCopy);
 
@@ -1186,6 +2003,264 @@ async function copyJSON() {
   }
 }
 
+// ============================================================================
+// JSON Import
+// ============================================================================
+
+/**
+ * Allowed values of an option-based setting, taken from the settings panel config
+ * @param {string} name Setting name
+ * @returns {Array<string>|null} Option values, or null when the settings config is not loaded
+ */
+function getAllowedSettingValues(name) {
+  const stemMatch = name.match(/^stemInterpretation_(.+)$/);
+  if (stemMatch && typeof window.getAvailableInterpretations === 'function') {
+    return window.getAvailableInterpretations(stemMatch[1]);
+  }
+  const config = window.ziweiConfig?.getSetting?.(name);
+  if (config && Array.isArray(config.options) && config.options.length) {
+    return config.options.map(opt => opt.value);
+  }
+  return null;
+}
+
+/**
+ * Validate an exported chart file before importing it
+ * @param {*} data Parsed JSON
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function validateImportJSON(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['檔案內容不是命盤 JSON'];
+  }
+  if (data.schemaVersion === undefined) {
+    return ['檔案缺少 schemaVersion，請以「下載 JSON」重新匯出'];
+  }
+  if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1 || data.schemaVersion > EXPORT_SCHEMA_VERSION) {
+    return [`不支援的檔案版本：${data.schemaVersion}（目前支援 1-${EXPORT_SCHEMA_VERSION}）`];
+  }
+
+  const source = data.source;
+  if (!source || typeof source !== 'object' || !source.formInput || !source.settings) {
+    return ['檔案缺少出生資料或設定（source.formInput / source.settings），請以「下載 JSON」重新匯出（「複製 JSON」的內容無法匯入）'];
+  }
+
+  const errors = [];
+  const form = source.formInput;
+  const numeric = window.ziweiConstants?.NUMERIC || {};
+  const isIntIn = (value, min, max) => Number.isInteger(Number(value)) && value !== '' && value !== null &&
+    Number(value) >= min && Number(value) <= max;
+
+  if (form.gender !== 'M' && form.gender !== 'F') errors.push('性別無效');
+  if (!isIntIn(form.year, numeric.LUNAR_YEAR_MIN ?? 800, numeric.LUNAR_YEAR_MAX ?? 2200)) errors.push('出生年份無效');
+  if (!isIntIn(form.month, 1, 12)) errors.push('出生月份無效');
+  if (!isIntIn(form.hour, 0, 23)) errors.push('出生時無效');
+  if (!isIntIn(form.minute, 0, 59)) errors.push('出生分無效');
+  if (isIntIn(form.month, 1, 12) && isIntIn(form.year, 100, 9999)) {
+    const daysInMonth = new Date(Date.UTC(Number(form.year), Number(form.month), 0)).getUTCDate();
+    if (!isIntIn(form.day, 1, daysInMonth)) errors.push('出生日期無效');
+  } else if (!isIntIn(form.day, 1, 31)) {
+    errors.push('出生日期無效');
+  }
+
+  const settings = source.settings;
+  Object.keys(SOURCE_SETTING_DEFAULTS).forEach(name => {
+    if (settings[name] === undefined) return;
+    const allowed = getAllowedSettingValues(name);
+    if (allowed && !allowed.includes(settings[name])) {
+      errors.push(`設定 ${name} 的值無效：${settings[name]}`);
+    }
+  });
+  const stems = window.ziweiConstants?.CONTROVERSIAL_STEMS || [];
+  Object.entries(settings.stemInterpretations || {}).forEach(([stem, value]) => {
+    if (!stems.includes(stem)) {
+      errors.push(`四化設定的天干無效：${stem}`);
+    } else if (getAllowedSettingValues(`stemInterpretation_${stem}`)?.includes(value) === false) {
+      errors.push(`${stem}年四化設定無效：${value}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Write imported settings into the form chart's adapter settings and the
+ * mutation tables, and sync the settings panel selects if the panel is open
+ * @param {Object} adapter Adapter of the chart being imported into
+ * @param {Object} settings source.settings from the file
+ */
+function restoreImportedSettings(adapter, settings) {
+  const adapterSettings = adapter?.settings;
+  if (!adapterSettings) return;
+
+  const values = {};
+  Object.keys(SOURCE_SETTING_DEFAULTS).forEach(name => {
+    values[name] = settings[name] || SOURCE_SETTING_DEFAULTS[name];
+  });
+  const stemInterpretations = settings.stemInterpretations || {};
+  (window.ziweiConstants?.CONTROVERSIAL_STEMS || []).forEach(stem => {
+    values[`stemInterpretation_${stem}`] = stemInterpretations[stem] || 'interpretation_1';
+  });
+
+  Object.entries(values).forEach(([name, value]) => {
+    adapterSettings.set(name, value);
+    const select = document.getElementById(`settings-${name}`);
+    if (select) select.value = value;
+  });
+
+  if (typeof window.updateStemSelections === 'function') {
+    const selections = {};
+    Object.keys(stemInterpretations).forEach(stem => {
+      selections[stem] = values[`stemInterpretation_${stem}`];
+    });
+    window.updateStemSelections(selections);
+  }
+}
+
+/**
+ * Compare placements stored in the file with a recomputed chart
+ * @param {Object} stored source.placements from the file
+ * @param {Object} chart Recomputed adapter output
+ * @returns {Array<string>} Human-readable mismatches
+ */
+function comparePlacements(stored, chart) {
+  if (!stored) return [];
+
+  const BRANCH_NAMES = window.ziweiConstants?.BRANCH_NAMES || [];
+  const current = extractPlacements(chart);
+  const branch = index => (Number.isInteger(index) ? (BRANCH_NAMES[index] || index) : '無');
+  const mismatches = [];
+
+  [['mingPalace', '命宮'], ['shenPalace', '身宮']].forEach(([key, label]) => {
+    if (stored[key] !== undefined && stored[key] !== current[key]) {
+      mismatches.push(`${label}：檔案 ${branch(stored[key])}，重新計算 ${branch(current[key])}`);
+    }
+  });
+  if (stored.nayin !== undefined && stored.nayin !== current.nayin) {
+    mismatches.push(`五行局：檔案 ${stored.nayin || '無'}，重新計算 ${current.nayin || '無'}`);
+  }
+
+  ['primaryStars', 'secondaryStars', 'minorStars'].forEach(group => {
+    const before = stored[group] || {};
+    const after = current[group] || {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(star => {
+      if (before[star] !== after[star]) {
+        mismatches.push(`${star}：檔案 ${branch(before[star])}，重新計算 ${branch(after[star])}`);
+      }
+    });
+  });
+
+  const beforeMutations = stored.mutations || {};
+  Object.keys(beforeMutations).forEach(type => {
+    if (beforeMutations[type] !== current.mutations[type]) {
+      mismatches.push(`化${type}：檔案 ${beforeMutations[type]}，重新計算 ${current.mutations[type] || '無'}`);
+    }
+  });
+
+  return mismatches;
+}
+
+/**
+ * Let the user pick a JSON file
+ * @returns {Promise<File|null>}
+ */
+function pickJSONFile() {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.style.display = 'none';
+    input.addEventListener('change', () => {
+      resolve(input.files && input.files[0] ? input.files[0] : null);
+      input.remove();
+    });
+    document.body.appendChild(input);
+    input.click();
+  });
+}
+
+/**
+ * Import a chart from a downloaded JSON file: validate, restore form input and
+ * settings, recompute via ziweiCalculator and report placement mismatches.
+ * The import always replaces the form's chart, whichever chart's share menu
+ * started it, so it writes to the page adapter (the one ziweiCalculator
+ * computes with) and never to an embed's instance.
+ */
+async function importJSON() {
+  const file = await pickJSONFile();
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (err) {
+    alert('匯入失敗：檔案不是有效的 JSON');
+    return;
+  }
+
+  const errors = validateImportJSON(data);
+  if (errors.length) {
+    alert('匯入失敗：\n' + errors.join('\n'));
+    return;
+  }
+
+  const calculator = window.ziweiCalculator;
+  if (!calculator?.compute || !calculator.showChart || !calculator.updateDisplay) {
+    alert('匯入失敗：計算模組尚未載入');
+    return;
+  }
+
+  showLoadingState("正在匯入命盤...");
+
+  try {
+    const { formInput, settings, placements } = data.source;
+    const formAdapter = window.ziweiAdapter;
+    restoreImportedSettings(formAdapter, settings);
+
+    const formData = Object.assign({}, formInput, {
+      calendarType: 'solar',
+      leapMonthHandling: settings.leapMonthHandling || SOURCE_SETTING_DEFAULTS.leapMonthHandling,
+      ziHourHandling: settings.ziHourHandling || SOURCE_SETTING_DEFAULTS.ziHourHandling,
+      trueSolarTime: settings.trueSolarTime || SOURCE_SETTING_DEFAULTS.trueSolarTime,
+      stemInterpretations: settings.stemInterpretations
+    });
+    ['year', 'month', 'day', 'hour', 'minute'].forEach(field => {
+      formData[field] = String(formInput[field]);
+    });
+    formAdapter?.storage?.set('formInput', formData);
+
+    const result = await calculator.compute(formData);
+    if (result?.adapterOutput?.errors) {
+      throw new Error(Object.values(result.adapterOutput.errors).join('；'));
+    }
+    formAdapter?.setCurrentChart?.(result.adapterOutput);
+
+    const aiMode = isAiModeActive();
+    const chartElement = await calculator.showChart(result);
+    const finalElement = (aiMode && window.ziweiAiMode?.activate)
+      ? window.ziweiAiMode.activate(chartElement)
+      : chartElement;
+    await calculator.updateDisplay(finalElement, { mode: aiMode ? 'ai' : 'chart', context: result });
+
+    const mismatches = comparePlacements(placements, result.adapterOutput);
+    if (mismatches.length) {
+      console.warn('[ziwei-share] Imported chart differs from recomputed placements:', mismatches);
+      const shown = mismatches.slice(0, 20);
+      if (mismatches.length > shown.length) {
+        shown.push(`……另有 ${mismatches.length - shown.length} 項`);
+      }
+      alert(`命盤已匯入並重新計算，但有 ${mismatches.length} 項安星與檔案不同（檔案可能由舊版本匯出）：\n` + shown.join('\n'));
+    } else {
+      showShareLinkFeedback('已匯入命盤！');
+    }
+  } catch (err) {
+    console.error("JSON Import Error:", err);
+    alert("匯入失敗: " + (err.message || "未知錯誤"));
+  } finally {
+    hideLoadingState();
+  }
+}
+
   // ============================================================================
   // Share Link Generation
   // ============================================================================
@@ -1197,7 +2272,7 @@ async function copyJSON() {
   async function generateShareLink() {
     try {
       // Get current chart data from adapter
-      const adapter = window.ziweiAdapter;
+      const adapter = getChartAdapter();
       if (!adapter) {
         throw new Error('圖表資料尚未載入');
       }
@@ -1234,16 +2309,15 @@ async function copyJSON() {
         params.set('bd_p', meta.birthplace);
       }
 
-      // Settings (optional)
-      const ziHourHandling = adapter.settings?.get?.('ziHourHandling');
-      if (ziHourHandling && ziHourHandling !== 'midnightChange') {
-        params.set('ziHourHandling', ziHourHandling);
-      }
-
-      const leapMonthHandling = adapter.settings?.get?.('leapMonthHandling');
-      if (leapMonthHandling && leapMonthHandling !== 'mid') {
-        params.set('leapMonthHandling', leapMonthHandling);
-      }
+      // Settings (optional); left out when they match the site default the
+      // recipient starts with
+      ['ziHourHandling', 'leapMonthHandling'].forEach(name => {
+        const value = adapter.settings?.get?.(name);
+        const defaultValue = window.ziweiConfig?.getSetting?.(name)?.defaultValue || SOURCE_SETTING_DEFAULTS[name];
+        if (value && value !== defaultValue) {
+          params.set(name, value);
+        }
+      });
 
       // Build full URL
       const baseUrl = window.location.origin + window.location.pathname;
@@ -1309,15 +2383,19 @@ async function copyJSON() {
     // Use data-title and aria-label to avoid triggering the browser-native tooltip
     const menuHTML = [
       '<button class="ziwei-share-option" data-action="download-png" data-title="用於分享或列印" aria-label="下載 PNG">🖼️ 下載 PNG</button>',
+      '<button class="ziwei-share-option" data-action="download-svg" data-title="向量圖，可無損縮放" aria-label="下載 SVG">📐 下載 SVG</button>',
       '<button class="ziwei-share-option" data-action="download-pdf" data-title="適合左邊釘裝列印" aria-label="下載 PDF">📕 下載 PDF</button>',
+      '<button class="ziwei-share-option" data-action="download-pdf-report" data-title="命盤、十二宮、大限與流年表" aria-label="下載 PDF 報告">📑 PDF 報告</button>',
       '<button class="ziwei-share-option" data-action="download-json" data-title="AI 讀取 JSON 檔案更好" aria-label="下載 JSON">📄 下載 JSON</button>',
       '<button class="ziwei-share-option" data-action="copy-json" data-title="AI 讀取 JSON 檔案更好" aria-label="複製 JSON">📋 複製 JSON</button>',
+      '<button class="ziwei-share-option" data-action="import-json" data-title="開啟已下載的 JSON 命盤" aria-label="匯入 JSON">📥 匯入 JSON</button>',
       '<button class="ziwei-share-option" data-action="generate-share-link" data-title="點擊連結可直接開啟此命盤" aria-label="命盤連結">🔗 命盤連結</button>',
     ].join("");
 
     menu.innerHTML = menuHTML;
-        applyAiModeShareDisables(menu);
+    removeDisabledFeatureOptions(menu);
     btn.appendChild(menu);
+    applyAiModeShareDisables(menu);
 
     // 根據瀏覽器支持禁用選項
     if (!browserSupport.canExportPNG) {
@@ -1326,11 +2404,31 @@ async function copyJSON() {
     }
   }
 
+  /**
+   * Drop the options of features switched off on Settings → 紫微斗數
+   */
+  function removeDisabledFeatureOptions(menuRoot) {
+    const config = window.ziweiConfig;
+    if (!config || typeof config.isFeatureEnabled !== 'function') return;
+    const featureActions = {
+      pdfExport: ['download-pdf', 'download-pdf-report'],
+      shareLink: ['generate-share-link']
+    };
+    Object.entries(featureActions).forEach(([feature, actions]) => {
+      if (config.isFeatureEnabled(feature)) return;
+      actions.forEach(action => {
+        menuRoot.querySelector(`[data-action="${action}"]`)?.remove();
+      });
+    });
+  }
+
   function applyAiModeShareDisables(menuRoot) {
     if (!menuRoot) return;
     // Use DOM check directly instead of isAiModeActive to avoid timing issues
-    const container = document.querySelector('.ziwei-cal[data-ziwei-mode="ai"]');
-    const isAi = !!container;
+    const container = menuRoot.closest('.ziwei-cal');
+    const isAi = container
+      ? container.getAttribute('data-ziwei-mode') === 'ai'
+      : !!document.querySelector('.ziwei-cal[data-ziwei-mode="ai"]');
     ['download-png', 'download-pdf'].forEach(action => {
       const opt = menuRoot.querySelector(`[data-action="${action}"]`);
       if (opt) {
@@ -1351,19 +2449,19 @@ async function copyJSON() {
  * Find or create share button
  */
   function ensureShareButton() {
-    let btn = document.querySelector('.ziwei-share-btn');
+    const buttons = document.querySelectorAll('.ziwei-share-btn');
     
-    // 情況 1: control.js 已經創建了按鈕
-    if (btn) {
-      injectMenu(btn);
-      return btn;
+    // 情況 1: control.js 已經創建了按鈕（每個命盤的控制列各一個）
+    if (buttons.length > 0) {
+      buttons.forEach(injectMenu);
+      return buttons[0];
     }
 
     // 情況 2: control.js 還沒運行或按鈕被移除 -> 嘗試手動創建 (Fallback)
     const controlBar = document.querySelector('.ziwei-control-bar');
     if (!controlBar) return null; // 連控制列都沒有，放棄
 
-    btn = document.createElement('button');
+    const btn = document.createElement('button');
     btn.className = 'ziwei-share-btn';
     btn.setAttribute('aria-label', '分享與下載');
     btn.innerHTML = `<span class="icon">📤</span><span class="text">分享</span>`;
@@ -1381,15 +2479,19 @@ async function copyJSON() {
 
 /**
  * Toggle menu display
+ * @param {HTMLElement} [shareBtn] Button clicked; defaults to the first share button
  */
-function toggleMenu() {
+function toggleMenu(shareBtn) {
   // 先確保按鈕存在並已注入菜單
-  const btn = ensureShareButton();
+  const btn = shareBtn || ensureShareButton();
   
   if (!btn) {
     console.error('[ziwei-share] Share button not found');
     return;
   }
+  if (!btn.querySelector('.ziwei-share-menu')) {
+    injectMenu(btn);
+  }
   
   // 直接從按鈕內部查找菜單
   const menu = btn.querySelector('.ziwei-share-menu');
@@ -1399,12 +2501,14 @@ function toggleMenu() {
     return;
   }
 
-  isMenuOpen = !isMenuOpen;
+  // 其他命盤的菜單先關閉，之後的匯出以此按鈕所屬的命盤為準
+  const opening = !menu.classList.contains('open');
+  document.querySelectorAll('.ziwei-share-menu').forEach(m => m.classList.remove('open'));
+  activeRoot = btn.closest('.ziwei-cal');
+  isMenuOpen = opening;
   
   if (isMenuOpen) {
     menu.classList.add('open');
-  } else {
-    menu.classList.remove('open');
   }
 }
 
@@ -1443,7 +2547,7 @@ function toggleMenu() {
         // 如果點擊的是按鈕本身（不是菜單內部），則切換菜單
         if (!target.closest('.ziwei-share-menu')) {
           e.stopPropagation();
-          toggleMenu();
+          toggleMenu(shareBtn);
           return;
         }
       }
@@ -1453,11 +2557,15 @@ function toggleMenu() {
       if (option && !option.classList.contains('disabled')) {
         const action = option.getAttribute('data-action');
         const platform = option.getAttribute('data-platform');
+        activeRoot = option.closest('.ziwei-cal') || activeRoot;
 
         if (action === 'download-png') downloadPNG();
+        else if (action === 'download-svg') downloadSVG();
         else if (action === 'download-pdf') downloadPDF();
+        else if (action === 'download-pdf-report') downloadPDFReport();
         else if (action === 'download-json') downloadJSON();
         else if (action === 'copy-json') copyJSON();
+        else if (action === 'import-json') importJSON();
         else if (action === 'generate-share-link') generateShareLink();
 
         // 關閉菜單
@@ -1536,11 +2644,14 @@ function toggleMenu() {
   // 暴露 API
   window.ziweiShare = {
     downloadPNG: downloadPNG,
+    downloadSVG: downloadSVG,
     downloadPDF: downloadPDF,
+    downloadPDFReport: downloadPDFReport,
     downloadJSON: downloadJSON,
     copyJSON: copyJSON,
+    importJSON: importJSON,
     generateShareLink: generateShareLink,
-    getAIPromptText: buildAIPromptText,
+    getAIPromptText: getAIPromptText,
     init: init,
     _toggleMenu: toggleMenu, // 供 control.js 調用
     _injectMenu: injectMenu // 供 control.js 調用
@@ -0,0 +1,391 @@
+/**
+ * Synastry Module (合盤)
+ *
+ * Comparison view for couples and business partners, opened with the control
+ * bar's 合盤 button. Partner A is the chart of the calculator form; partner B
+ * is entered in the view's own small form. Both charts are calculated on their
+ * own adapter instances (ziweiCalculator.renderEmbedded) and drawn side by
+ * side below the form, and each grid shows the other person's 生年四化 and
+ * key stars on its palaces (assets/js/chart-synastry.js). A summary lists the
+ * palaces that receive the other person's 化祿 and 化忌.
+ *
+ * The view redraws itself when a setting or the hour of chart A changes.
+ *
+ * Dependencies:
+ * - assets/calculate/common/calculator.js (ziweiCalculator.renderEmbedded)
+ * - assets/js/chart-synastry.js (ziweiChartSynastry)
+ * - assets/js/data-adapter.js (ziweiAdapter)
+ *
+ * Corresponding CSS: assets/display/css/synastry.css
+ *
+ * Exports: window.ziweiSynastry
+ */
+
+'use strict';
+
+(function () {
+
+    // ============================================================================
+    // Module Constants
+    // ============================================================================
+
+    const FORM_CONTAINER_SELECTOR = '.ziwei-cal:not([data-ziwei-instance])';
+    const LOG_PREFIX = '[ziweiSynastry]';
+
+    const LABEL_A = '甲方';
+    const LABEL_B = '乙方';
+
+    // ============================================================================
+    // Module State
+    // ============================================================================
+
+    let viewElement = null;
+    let partnerFormData = null;
+    // Incremented per render so a slower, older render does not overwrite a newer one
+    let renderToken = 0;
+
+    // ============================================================================
+    // Chart Data
+    // ============================================================================
+
+    /**
+     * Form data of the calculator form's chart (stored without personal
+     * fields, so name and gender come from the chart's meta)
+     * @returns {Object|null}
+     */
+    function getFormChartData() {
+        const adapter = window.ziweiAdapter;
+        const formInput = adapter?.storage?.get('formInput');
+        if (!formInput) {
+            return null;
+        }
+        const chart = adapter.storage.get('adapterOutput') || adapter.getCurrentChart();
+        const meta = chart?.meta || {};
+        return Object.assign({}, formInput, {
+            name: meta.name || '',
+            gender: meta.gender || formInput.gender
+        });
+    }
+
+    /**
+     * @param {HTMLFormElement} form Partner form of the view
+     * @returns {Object} Form data in the shape form.js submits
+     * @throws {Error} When the date or time is missing
+     */
+    function readPartnerForm(form) {
+        const date = form.elements.birthDate.value;
+        const time = form.elements.birthTime.value;
+        if (!date || !time) {
+            throw new Error('請輸入乙方的出生日期及時間');
+        }
+        const [year, month, day] = date.split('-').map(Number);
+        const [hour, minute] = time.split(':').map(Number);
+        return {
+            name: form.elements.name.value.trim(),
+            gender: form.elements.gender.value,
+            year: String(year),
+            month: String(month),
+            day: String(day),
+            hour: String(hour),
+            minute: String(minute),
+            birthplace: '',
+            calendarType: 'solar',
+            leapMonth: '',
+            lunarInput: null,
+            timezone: 'UTC+8',
+            timezoneRegion: 'auto'
+        };
+    }
+
+    /**
+     * Palace naming settings for the overlay summary
+     * @returns {Object}
+     */
+    function getNameSettings() {
+        const settings = window.ziweiAdapter?.settings;
+        return {
+            palaceNameCareer: settings?.get('palaceNameCareer') || 'career',
+            palaceNameFriends: settings?.get('palaceNameFriends') || 'friends'
+        };
+    }
+
+    // ============================================================================
+    // Rendering
+    // ============================================================================
+
+    /**
+     * @param {string} tagName
+     * @param {string} className
+     * @param {string} [text]
+     * @returns {HTMLElement}
+     */
+    function createElement(tagName, className, text) {
+        const element = document.createElement(tagName);
+        element.className = className;
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    }
+
+    /**
+     * Partner B form: name, gender and 西曆 birth date and time
+     * @returns {HTMLFormElement}
+     */
+    function createPartnerForm() {
+        const form = createElement('form', 'ziwei-synastry-form');
+        form.innerHTML = `
+            <label>${LABEL_B}姓名 <input type="text" name="name" maxlength="20"></label>
+            <label>性別
+                <select name="gender">
+                    <option value="M">男</option>
+                    <option value="F">女</option>
+                </select>
+            </label>
+            <label>出生日期（西曆） <input type="date" name="birthDate" min="0800-01-01" max="2200-12-31" required></label>
+            <label>出生時間 <input type="time" name="birthTime" required></label>
+            <button type="submit" class="ziwei-control-button">比較命盤</button>
+        `;
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                partnerFormData = readPartnerForm(form);
+            } catch (err) {
+                showMessage(err.message);
+                return;
+            }
+            renderComparison();
+        });
+        return form;
+    }
+
+    /**
+     * @param {string} message Shown above the charts; '' hides it
+     */
+    function showMessage(message) {
+        const element = viewElement?.querySelector('.ziwei-synastry-message');
+        if (element) {
+            element.textContent = message;
+            element.hidden = !message;
+        }
+    }
+
+    /**
+     * Add the partner's overlay tags to the palace cells of one chart
+     * @param {HTMLElement} chartElement Chart drawn by renderEmbedded
+     * @param {Object} overlay Result of ziweiChartSynastry.buildOverlay()
+     * @param {string} partnerLabel Whose stars they are
+     */
+    function applyOverlay(chartElement, overlay, partnerLabel) {
+        Object.entries(overlay.byPalace).forEach(([branchIndex, items]) => {
+            const cell = chartElement.querySelector(`.ziwei-cell[data-branch-index="${branchIndex}"]`);
+            if (!cell) {
+                return;
+            }
+            const tags = createElement('div', 'ziwei-synastry-overlay');
+            items.mutations.forEach((item) => {
+                const tag = createElement('span', 'ziwei-synastry-tag ziwei-synastry-mutation', `${item.star}${item.type}`);
+                tag.setAttribute('data-type', item.type);
+                tag.title = `${partnerLabel}化${item.type}（${item.star}）`;
+                tags.appendChild(tag);
+            });
+            items.keyStars.forEach((item) => {
+                const tag = createElement('span', 'ziwei-synastry-tag ziwei-synastry-star', item.star);
+                tag.title = `${partnerLabel}${item.star}`;
+                tags.appendChild(tag);
+            });
+            cell.appendChild(tags);
+        });
+    }
+
+    /**
+     * 化祿/化忌 summary in both directions
+     * @param {Object} synastry Result of ziweiChartSynastry.buildSynastry()
+     * @returns {HTMLElement}
+     */
+    function createSummary(synastry) {
+        const describe = window.ziweiChartSynastry.describeSummary;
+        const summary = createElement('div', 'ziwei-synastry-summary');
+        summary.appendChild(createElement('h4', 'ziwei-synastry-summary-title', '合盤摘要'));
+        const list = createElement('ul', 'ziwei-synastry-summary-list');
+        [
+            [synastry.onA, LABEL_B, LABEL_A],
+            [synastry.onB, LABEL_A, LABEL_B]
+        ].forEach(([overlay, partnerLabel, ownerLabel]) => {
+            ['祿', '忌'].forEach((type) => {
+                const item = createElement('li', 'ziwei-synastry-summary-item',
+                    describe(overlay.summary[type], type, partnerLabel, ownerLabel));
+                item.setAttribute('data-type', type);
+                list.appendChild(item);
+            });
+        });
+        summary.appendChild(list);
+        return summary;
+    }
+
+    /**
+     * @param {string} label 甲方 / 乙方
+     * @param {Object} formData
+     * @returns {{column: HTMLElement, container: HTMLElement}}
+     */
+    function createChartColumn(label, formData) {
+        const column = createElement('div', 'ziwei-synastry-column');
+        column.appendChild(createElement('h4', 'ziwei-synastry-column-title',
+            formData.name ? `${label}：${formData.name}` : label));
+        const container = createElement('div', 'ziwei-cal ziwei-synastry-chart');
+        container.setAttribute('data-ziwei-mode', 'chart');
+        column.appendChild(container);
+        return { column, container };
+    }
+
+    /**
+     * Remove the adapter instances of the drawn charts
+     */
+    function releaseInstances() {
+        const adapter = window.ziweiAdapter;
+        if (!viewElement || !adapter) {
+            return;
+        }
+        viewElement.querySelectorAll('.ziwei-synastry-chart[data-ziwei-instance]').forEach((container) => {
+            adapter.removeInstance(container.getAttribute('data-ziwei-instance'));
+        });
+    }
+
+    /**
+     * Calculate and draw both charts with their overlays and the summary
+     */
+    async function renderComparison() {
+        if (!viewElement || !partnerFormData) {
+            return;
+        }
+        const formData = getFormChartData();
+        if (!formData) {
+            showMessage('請先排出甲方命盤');
+            return;
+        }
+        if (!window.ziweiCalculator?.renderEmbedded || !window.ziweiChartSynastry) {
+            showMessage('合盤模組未載入');
+            return;
+        }
+
+        const token = ++renderToken;
+        const result = viewElement.querySelector('.ziwei-synastry-result');
+        const columnA = createChartColumn(LABEL_A, formData);
+        const columnB = createChartColumn(LABEL_B, partnerFormData);
+        const charts = createElement('div', 'ziwei-synastry-charts');
+        charts.appendChild(columnA.column);
+        charts.appendChild(columnB.column);
+
+        try {
+            // Each chart gets its own instance with a copy of the form's settings
+            const chartA = await window.ziweiCalculator.renderEmbedded(columnA.container, formData, { fixed: true });
+            const chartB = await window.ziweiCalculator.renderEmbedded(columnB.container, partnerFormData, { fixed: true });
+            if (token !== renderToken || !viewElement) {
+                [chartA, chartB].forEach(chart => window.ziweiAdapter.removeInstance(chart.adapter.id));
+                return;
+            }
+
+            const synastry = window.ziweiChartSynastry.buildSynastry(
+                chartA.adapterOutput,
+                chartB.adapterOutput,
+                getNameSettings()
+            );
+            applyOverlay(chartA.chartElement, synastry.onA, LABEL_B);
+            applyOverlay(chartB.chartElement, synastry.onB, LABEL_A);
+
+            releaseInstances();
+            result.replaceChildren(createSummary(synastry), charts);
+            showMessage('');
+        } catch (err) {
+            console.error(`${LOG_PREFIX} Failed to render comparison:`, err);
+            showMessage(`合盤失敗：${err.message || err}`);
+        }
+    }
+
+    // ============================================================================
+    // View
+    // ============================================================================
+
+    /**
+     * @param {boolean} active Whether the control bar's 合盤 button shows as pressed
+     */
+    function setButtonActive(active) {
+        document.querySelectorAll('.ziwei-synastry-btn').forEach(button => button.classList.toggle('active', active));
+    }
+
+    /**
+     * Open the comparison view below the calculator form
+     * @param {HTMLElement} [formContainer] The form's .ziwei-cal element
+     */
+    function open(formContainer) {
+        const container = formContainer || document.querySelector(FORM_CONTAINER_SELECTOR);
+        if (!container || viewElement) {
+            return;
+        }
+
+        viewElement = createElement('section', 'ziwei-synastry');
+        const header = createElement('div', 'ziwei-synastry-header');
+        header.appendChild(createElement('h3', 'ziwei-synastry-title', '合盤比較'));
+        const closeBtn = createElement('button', 'ziwei-control-button ziwei-synastry-close', '✕');
+        closeBtn.type = 'button';
+        closeBtn.setAttribute('aria-label', '關閉合盤');
+        closeBtn.addEventListener('click', close);
+        header.appendChild(closeBtn);
+
+        const message = createElement('div', 'ziwei-synastry-message');
+        message.hidden = true;
+
+        viewElement.appendChild(header);
+        viewElement.appendChild(createPartnerForm());
+        viewElement.appendChild(message);
+        viewElement.appendChild(createElement('div', 'ziwei-synastry-result'));
+        container.insertAdjacentElement('afterend', viewElement);
+
+        setButtonActive(true);
+
+        // Same partner again when the view is reopened
+        if (partnerFormData) {
+            renderComparison();
+        }
+    }
+
+    /**
+     * Close the comparison view; the partner's data is kept for reopening
+     */
+    function close() {
+        if (!viewElement) {
+            return;
+        }
+        renderToken++;
+        releaseInstances();
+        viewElement.remove();
+        viewElement = null;
+        setButtonActive(false);
+    }
+
+    /**
+     * @param {HTMLElement} [formContainer] The form's .ziwei-cal element
+     */
+    function toggle(formContainer) {
+        if (viewElement) {
+            close();
+        } else {
+            open(formContainer);
+        }
+    }
+
+    // Settings and hour changes recalculate both charts
+    document.addEventListener('ziwei-setting-changed', () => {
+        if (viewElement && partnerFormData) {
+            renderComparison();
+        }
+    });
+
+    // Expose API
+    window.ziweiSynastry = {
+        open,
+        close,
+        toggle,
+        isOpen: () => !!viewElement
+    };
+})();
@@ -51,18 +51,24 @@
 
     /**
      * Get adapter instance
+     * @param {HTMLElement} [element] Element inside a chart; resolves that chart's instance
      * @returns {Object|null}
      */
-    function getAdapter() {
-        return window.ziweiAdapter || null;
+    function getAdapter(element) {
+        const adapter = window.ziweiAdapter || null;
+        if (element && adapter && typeof adapter.forElement === 'function') {
+            return adapter.forElement(element);
+        }
+        return adapter;
     }
 
     /**
      * Get adapter storage
+     * @param {HTMLElement} [element] Element inside a chart; uses that chart's storage
      * @returns {Object|null}
      */
-    function getAdapterStorage() {
-        const adapter = getAdapter();
+    function getAdapterStorage(element) {
+        const adapter = getAdapter(element);
         return adapter?.storage || null;
     }
 
@@ -78,10 +84,11 @@
     /**
      * Get value from adapter storage
      * @param {string} key Storage key
+     * @param {HTMLElement} [element] Element inside a chart; uses that chart's storage
      * @returns {*} Stored value or null
      */
-    function getStorageValue(key) {
-        const storage = getAdapterStorage();
+    function getStorageValue(key, element) {
+        const storage = getAdapterStorage(element);
         if (!storage || typeof storage.get !== 'function') {
             return null;
         }
@@ -92,10 +99,11 @@
      * Set value in adapter storage
      * @param {string} key Storage key
      * @param {*} value Value to store
+     * @param {HTMLElement} [element] Element inside a chart; uses that chart's storage
      * @returns {boolean} Success status
      */
-    function setStorageValue(key, value) {
-        const storage = getAdapterStorage();
+    function setStorageValue(key, value, element) {
+        const storage = getAdapterStorage(element);
         if (!storage || typeof storage.set !== 'function') {
             return false;
         }
@@ -0,0 +1,407 @@
+/**
+ * Chart Export Schema Module
+ *
+ * Versioned contract for the JSON produced by share.js buildExportJSON().
+ * The structure is described in assets/schema/chart-export.schema.json; this
+ * module builds the English-keyed machine variant (`chart`) from the adapter
+ * output and validates a finished export against the schema before it is
+ * downloaded or copied. No DOM access, so it also runs under Node.js.
+ *
+ * Usage (Node.js):
+ *   const { calculateChart } = require('./assets/js/headless.js');
+ *   const chartExport = require('./assets/js/chart-export.js');
+ *   const machine = chartExport.buildMachineExport(calculateChart(input));
+ *   const errors = chartExport.validate({ schemaVersion: 4, ... }, chartExport.loadSchemaSync());
+ *
+ * Dependencies: none (browser loadSchema() reads window.ziweiCalData.pluginUrl)
+ *
+ * Exports: module.exports (CommonJS) / window.ziweiChartExport (browser)
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root, true);
+    } else {
+        root.ziweiChartExport = factory(root, false);
+    }
+}(typeof self !== 'undefined' ? self : this, function(window, isNode) {
+    'use strict';
+
+    /**
+     * Export format version. Bump together with the `schemaVersion` const in
+     * the schema file and EXPORT_SCHEMA_VERSION in share.js whenever a key is
+     * added, removed or renamed.
+     */
+    const SCHEMA_VERSION = 4;
+    const SCHEMA_PATH = 'assets/schema/chart-export.schema.json';
+
+    const BRANCH_NAMES = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+
+    /**
+     * Palace roles counted from 命宮, with the standard school names.
+     * Fixed here so the machine variant ignores the palace-name settings.
+     */
+    const PALACE_ROLES = [
+        { role: 'life', name: '命宮' },
+        { role: 'parents', name: '父母宮' },
+        { role: 'fortune', name: '福德宮' },
+        { role: 'property', name: '田宅宮' },
+        { role: 'career', name: '事業宮' },
+        { role: 'friends', name: '交友宮' },
+        { role: 'travel', name: '遷移宮' },
+        { role: 'health', name: '疾厄宮' },
+        { role: 'wealth', name: '財帛宮' },
+        { role: 'children', name: '子女宮' },
+        { role: 'spouse', name: '夫妻宮' },
+        { role: 'siblings', name: '兄弟宮' }
+    ];
+
+    const MUTATION_KEYS = { 祿: 'lu', 權: 'quan', 科: 'ke', 忌: 'ji' };
+
+    // calculateAllAttributes() lists each palace's stars as [太歲, 將前, 博士]
+    const ATTRIBUTE_KEYS = ['taiSui', 'jiangQian', 'boShi'];
+
+    let schemaPromise = null;
+
+    // ============================================================================
+    // Machine Variant
+    // ============================================================================
+
+    /**
+     * Star entries of one palace, sorted in calculation order
+     * @param {Object} positions Star name to branch index map
+     * @param {number} index Palace branch index
+     * @param {Object} brightness Star name to { brightness } map
+     * @param {Object} byStar Star name to birth-year mutation type
+     * @returns {Array<{name: string, brightness: ?string, mutation: ?string}>}
+     */
+    function starsAt(positions, index, brightness, byStar) {
+        return Object.keys(positions || {})
+            .filter(function(name) { return positions[name] === index; })
+            .map(function(name) {
+                return {
+                    name: name,
+                    brightness: (brightness && brightness[name] && brightness[name].brightness) || null,
+                    mutation: MUTATION_KEYS[byStar[name]] || null
+                };
+            });
+    }
+
+    /**
+     * Build the English-keyed machine variant of a chart
+     *
+     * Unlike the Chinese 基本資料/宮位資料 blocks it does not depend on display
+     * settings or the active cycle buttons, so its shape only changes with
+     * schemaVersion.
+     *
+     * @param {Object} chart Output of window.ziweiAdapter.calculate()
+     * @returns {Object} Object matching $defs/machineChart in the schema
+     */
+    function buildMachineExport(chart) {
+        if (!chart || !chart.sections) {
+            throw new Error('buildMachineExport: chart has no sections');
+        }
+
+        const meta = chart.meta || {};
+        const lunar = chart.lunar || {};
+        const derived = chart.derived || {};
+        const indices = chart.indices || {};
+        const sections = chart.sections;
+        const palaces = sections.palaces || {};
+        const lifeCycles = sections.lifeCycles || {};
+        const brightness = sections.brightness || {};
+        const mutations = sections.mutations || {};
+        const byStar = mutations.byStar || {};
+        const byType = mutations.byType || {};
+        const attributes = sections.attributes || {};
+        const minorStars = sections.minorStars || {};
+        const solar = meta.birthdateSolarNumeric || {};
+
+        const mingIndex = derived.mingPalace ? derived.mingPalace.index : 0;
+        const shenIndex = derived.shenPalace ? derived.shenPalace.index : null;
+
+        const palaceList = BRANCH_NAMES.map(function(branch, index) {
+            const palace = palaces[index] || {};
+            const roleInfo = PALACE_ROLES[(index - mingIndex + 12) % 12];
+            const majorCycle = (lifeCycles.major || []).find(function(cycle) {
+                return cycle.palaceIndex === index;
+            });
+            const palaceAttributes = attributes[index] || [];
+            const attributeMap = {};
+            ATTRIBUTE_KEYS.forEach(function(key, position) {
+                attributeMap[key] = palaceAttributes[position] || '';
+            });
+
+            return {
+                index: index,
+                branch: branch,
+                stem: palace.stem || '',
+                role: roleInfo.role,
+                name: roleInfo.name,
+                isMing: index === mingIndex,
+                isShen: index === shenIndex,
+                majorCycle: majorCycle ? { startAge: majorCycle.startAge, endAge: majorCycle.endAge } : null,
+                twelveLongLife: (lifeCycles.twelve && lifeCycles.twelve[index]) || '',
+                stars: {
+                    primary: starsAt(sections.primaryStars, index, brightness.primary, byStar),
+                    secondary: starsAt(sections.secondaryStars, index, brightness.secondary, byStar),
+                    minor: Object.keys(minorStars).filter(function(name) {
+                        const placement = minorStars[name];
+                        return Array.isArray(placement) ? placement.includes(index) : placement === index;
+                    })
+                },
+                attributes: attributeMap
+            };
+        });
+
+        const birthYearMutations = {};
+        Object.keys(MUTATION_KEYS).forEach(function(type) {
+            birthYearMutations[MUTATION_KEYS[type]] = byType[type] || '';
+        });
+
+        return {
+            person: {
+                name: meta.name || '',
+                gender: meta.gender,
+                genderClassification: meta.genderClassification || indices.genderClassification || ''
+            },
+            birth: {
+                calendarType: meta.calendarType || 'solar',
+                solar: {
+                    year: solar.year,
+                    month: solar.month,
+                    day: solar.day,
+                    hour: solar.hour,
+                    minute: solar.minute
+                },
+                lunar: {
+                    year: lunar.lunarYear,
+                    month: lunar.lunarMonth,
+                    day: lunar.lunarDay,
+                    isLeapMonth: !!lunar.isLeapMonth,
+                    timeIndex: lunar.timeIndex
+                },
+                timezoneAdjustment: meta.timezoneAdjustment || null,
+                trueSolarTime: meta.trueSolarTime || null
+            },
+            fiveElementBureau: {
+                name: derived.nayin ? derived.nayin.name : '',
+                number: derived.nayin ? derived.nayin.loci : null
+            },
+            lifeMaster: indices.masterPalace ? indices.masterPalace.starName : '',
+            bodyMaster: indices.bodyPalace ? indices.bodyPalace.starName : '',
+            mingPalaceIndex: mingIndex,
+            shenPalaceIndex: shenIndex,
+            birthYearMutations: birthYearMutations,
+            palaces: palaceList
+        };
+    }
+
+    // ============================================================================
+    // Schema Validation
+    // ============================================================================
+
+    /**
+     * JSON type name of a value, distinguishing integer/array/null
+     */
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const actual = typeOf(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    /**
+     * Resolve a local "#/$defs/name" reference
+     */
+    function resolveRef(ref, rootSchema) {
+        const match = /^#\/\$defs\/(.+)$/.exec(ref);
+        const target = match && rootSchema.$defs ? rootSchema.$defs[match[1]] : null;
+        if (!target) {
+            throw new Error(`Unresolvable schema reference: ${ref}`);
+        }
+        return target;
+    }
+
+    function validateNode(value, schema, rootSchema, path, errors) {
+        if (schema.$ref) {
+            validateNode(value, resolveRef(schema.$ref, rootSchema), rootSchema, path, errors);
+        }
+
+        if (schema.anyOf) {
+            const matched = schema.anyOf.some(function(option) {
+                const optionErrors = [];
+                validateNode(value, option, rootSchema, path, optionErrors);
+                return optionErrors.length === 0;
+            });
+            if (!matched) {
+                errors.push(`${path}: 不符合任何允許的格式`);
+                return;
+            }
+        }
+
+        if ('const' in schema && value !== schema.const) {
+            errors.push(`${path}: 應為 ${JSON.stringify(schema.const)}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: 值 ${JSON.stringify(value)} 不在允許範圍內`);
+            return;
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(function(type) { return matchesType(value, type); })) {
+                errors.push(`${path}: 類型應為 ${types.join('/')}，實際為 ${typeOf(value)}`);
+                return;
+            }
+        }
+
+        const valueType = typeOf(value);
+
+        if (valueType === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path}: 不可為空字串`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                errors.push(`${path}: 格式不符 (${value})`);
+            }
+        }
+
+        if (valueType === 'integer' || valueType === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path}: 應 ≥ ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path}: 應 ≤ ${schema.maximum}`);
+            }
+        }
+
+        if (valueType === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path}: 至少需要 ${schema.minItems} 項`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path}: 最多 ${schema.maxItems} 項`);
+            }
+            if (schema.items) {
+                value.forEach(function(item, index) {
+                    validateNode(item, schema.items, rootSchema, `${path}[${index}]`, errors);
+                });
+            }
+        }
+
+        if (valueType === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(function(key) {
+                if (!(key in value)) {
+                    errors.push(`${path}: 缺少欄位「${key}」`);
+                }
+            });
+            Object.keys(value).forEach(function(key) {
+                const childPath = `${path}.${key}`;
+                if (properties[key]) {
+                    validateNode(value[key], properties[key], rootSchema, childPath, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${childPath}: 未定義的欄位`);
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    validateNode(value[key], schema.additionalProperties, rootSchema, childPath, errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * Validate data against a JSON Schema
+     *
+     * Supports the subset used by chart-export.schema.json: $ref (local $defs),
+     * anyOf, const, enum, type, required, properties, additionalProperties,
+     * items, minItems/maxItems, minimum/maximum, minLength, pattern.
+     *
+     * @param {*} data Value to check
+     * @param {Object} schema Parsed schema
+     * @returns {Array<string>} Error messages with JSON paths (empty when valid)
+     */
+    function validate(data, schema) {
+        const errors = [];
+        validateNode(data, schema, schema, '$', errors);
+        return errors;
+    }
+
+    // ============================================================================
+    // Schema Loading
+    // ============================================================================
+
+    /**
+     * Read the schema file synchronously (Node.js only)
+     * @returns {Object} Parsed schema
+     */
+    function loadSchemaSync() {
+        if (!isNode) {
+            throw new Error('loadSchemaSync is only available under Node.js');
+        }
+        const fs = require('fs');
+        const path = require('path');
+        const file = path.resolve(__dirname, '..', '..', SCHEMA_PATH);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * Load the schema once; fetched from the plugin URL in the browser
+     * @returns {Promise<Object>} Parsed schema
+     */
+    function loadSchema() {
+        if (schemaPromise) {
+            return schemaPromise;
+        }
+
+        if (isNode) {
+            schemaPromise = Promise.resolve().then(loadSchemaSync);
+        } else {
+            const calData = window.ziweiCalData || {};
+            const version = calData.pluginVersion || Date.now();
+            const url = `${calData.pluginUrl || ''}${SCHEMA_PATH}?ver=${version}`;
+            schemaPromise = fetch(url).then(function(response) {
+                if (!response.ok) {
+                    throw new Error(`Schema request failed: HTTP ${response.status}`);
+                }
+                return response.json();
+            });
+        }
+
+        // Allow a retry after a failed load
+        schemaPromise.catch(function() {
+            schemaPromise = null;
+        });
+        return schemaPromise;
+    }
+
+    /**
+     * Validate an export against the schema file
+     * @param {Object} data Export object (schemaVersion, 基本資料, 宮位資料, ...)
+     * @returns {Promise<Array<string>>} Error messages (empty when valid)
+     */
+    function validateExport(data) {
+        return loadSchema().then(function(schema) {
+            return validate(data, schema);
+        });
+    }
+
+    return {
+        SCHEMA_VERSION: SCHEMA_VERSION,
+        SCHEMA_PATH: SCHEMA_PATH,
+        buildMachineExport: buildMachineExport,
+        validate: validate,
+        validateExport: validateExport,
+        loadSchema: loadSchema,
+        loadSchemaSync: loadSchemaSync
+    };
+}));
@@ -0,0 +1,624 @@
+/**
+ * Chart Patterns (格局)
+ *
+ * Recognises classic structures such as 紫府同宮, 君臣慶會 or 羊陀夾忌 in an
+ * adapter output. Each pattern is a plain JSON rule, so the same evaluator
+ * runs the built-in patterns and user rule packs (display/js/pattern-rules.js):
+ *
+ *   {
+ *     "id": "jiRuMingYang", "name": "化忌沖命見羊", "type": "凶", "description": "…",
+ *     "anchor": "ming",
+ *     "conditions": [{ "mutated": ["忌"], "scope": "triSquare" }, { "stars": ["擎羊"], "scope": "triSquare" }]
+ *   }
+ *
+ * anchor is the palace the conditions are checked at: 'ming' (命宮), 'any'
+ * (every palace), 'majorMing' (大限命宮) or 'annualMing' (流年命宮). All
+ * conditions must hold. They look at stars within a scope of the palace
+ * (本宮, 對宮, 三方四正 from TRI_SQUARE_MAP, or the two 夾 neighbours), their
+ * brightness and 四化, the palace's branch and its role:
+ *
+ *   { stars: ['紫微', '天府'] }                                 both in the palace
+ *   { stars: ['左輔', '右弼'], scope: 'triSquare' }             both in 三方四正
+ *   { stars: ['太陽'], scope: 'triSquare', brightness: ['廟', '旺'] }
+ *   { stars: ['巨門'], mutations: ['祿', '權'] }                巨門 化祿 or 化權 in the palace
+ *   { mutated: ['忌'] }                                        a 化忌 star in the palace
+ *   { mutated: ['忌'], layer: 'annual', scope: 'opposition' }   流年化忌 in the 對宮
+ *   { flank: ['擎羊', '陀羅'] }                                 one on each side of the palace
+ *   { branch: ['子', '午'] }
+ *   { palace: ['財帛', '事業'] }                                the palace is 財帛 or 事業
+ *   { palace: ['命宮'], layer: 'major' }                        the palace is 大限命宮
+ *   { anyOf: [condition, ...] }  { allOf: [condition, ...] }  { not: condition }
+ *
+ * layer picks the 四化 and 命宮 of 'natal' (default), 'major' (大限) or
+ * 'annual' (流年); the cycle layers come from options.layers and fail when
+ * no 大限/流年 is given. detectPatterns() reports every match with the
+ * palaces involved.
+ *
+ * analyzeFlanks() describes each palace's two neighbours (夾宮: 左右夾, 昌曲夾,
+ * 魁鉞夾, 羊陀夾, 火鈴夾, 空劫夾 and 生年四化 on both sides) and its 對宮.
+ * Plain data only, so it also runs under Node.js.
+ *
+ * Usage (Node.js):
+ *   const { calculateChart, constants } = require('./assets/js/headless.js');
+ *   const chartPatterns = require('./assets/js/chart-patterns.js');
+ *   const matches = chartPatterns.detectPatterns(calculateChart(input), { triSquareMap: constants.TRI_SQUARE_MAP });
+ *   // With a 大限: mutations from the mutations module's calculateMajorCycleMutations(stem).byStar
+ *   chartPatterns.detectPatterns(chart, { triSquareMap, patterns, layers: { major: { branchIndex: 4, mutations } } });
+ *
+ * Dependencies: assets/data/constants.js (TRI_SQUARE_MAP; pass it as an option under Node.js)
+ *
+ * Exports: module.exports (CommonJS) / window.ziweiChartPatterns (browser)
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(null);
+    } else {
+        root.ziweiChartPatterns = factory(root.ziweiConstants);
+    }
+}(typeof self !== 'undefined' ? self : this, function(constants) {
+    'use strict';
+
+    const BRANCH_NAMES = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+    const PALACES_COUNT = 12;
+
+    const SCOPES = ['self', 'opposition', 'triSquare', 'flank'];
+    const ANCHORS = ['ming', 'any', 'majorMing', 'annualMing'];
+    const LAYERS = ['natal', 'major', 'annual'];
+    const TYPES = ['吉', '凶', ''];
+    const MUTATION_TYPES = ['祿', '權', '科', '忌'];
+
+    // Palace roles counted from 命宮 (same order as PALACE_NAMES_STANDARD in palaces-name.js)
+    const PALACE_ROLES = ['命宮', '父母', '福德', '田宅', '事業', '交友', '遷移', '疾厄', '財帛', '子女', '夫妻', '兄弟'];
+    const PALACE_ROLE_ALIASES = { 命: '命宮', 官祿: '事業', 奴僕: '交友', 僕役: '交友' };
+
+    // Condition kinds; a condition has exactly one of them
+    const LEAF_KINDS = ['stars', 'mutated', 'flank', 'branch', 'palace'];
+
+    /** Built-in patterns; type is 吉 or 凶 */
+    const PATTERNS = Object.freeze([
+        {
+            id: 'ziFuTongGong',
+            name: '紫府同宮',
+            type: '吉',
+            description: '紫微、天府同坐命宮（寅或申），帝星與財庫同宮，主穩重有領導力',
+            anchor: 'ming',
+            conditions: [{ stars: ['紫微', '天府'] }]
+        },
+        {
+            id: 'junChenQingHui',
+            name: '君臣慶會',
+            type: '吉',
+            description: '紫微坐命，左輔、右弼會於三方四正，君得臣輔',
+            anchor: 'ming',
+            conditions: [
+                { stars: ['紫微'] },
+                { stars: ['左輔', '右弼'], scope: 'triSquare' }
+            ]
+        },
+        {
+            id: 'shiZhongYinYu',
+            name: '石中隱玉',
+            type: '吉',
+            description: '巨門在子或午坐命，化祿或化權，先難後易、大器晚成',
+            anchor: 'ming',
+            conditions: [
+                { branch: ['子', '午'] },
+                { stars: ['巨門'], mutations: ['祿', '權'] }
+            ]
+        },
+        {
+            id: 'riYueBingMing',
+            name: '日月並明',
+            type: '吉',
+            description: '太陽、太陰皆廟旺，會於命宮三方四正',
+            anchor: 'ming',
+            conditions: [{ stars: ['太陽', '太陰'], scope: 'triSquare', brightness: ['廟', '旺'] }]
+        },
+        {
+            id: 'huoTan',
+            name: '火貪格',
+            type: '吉',
+            description: '貪狼與火星同宮，主突發、橫發',
+            anchor: 'any',
+            conditions: [{ stars: ['貪狼', '火星'] }]
+        },
+        {
+            id: 'lingTan',
+            name: '鈴貪格',
+            type: '吉',
+            description: '貪狼與鈴星同宮，主突發、橫發',
+            anchor: 'any',
+            conditions: [{ stars: ['貪狼', '鈴星'] }]
+        },
+        {
+            id: 'lingChangTuoWu',
+            name: '鈴昌陀武',
+            type: '凶',
+            description: '武曲所在宮的三方四正會齊鈴星、文昌、陀羅，行運至此宜防困滯、決策失誤',
+            anchor: 'any',
+            conditions: [
+                { stars: ['武曲'] },
+                { stars: ['鈴星', '文昌', '陀羅'], scope: 'triSquare' }
+            ]
+        },
+        {
+            id: 'yangTuoJiaJi',
+            name: '羊陀夾忌',
+            type: '凶',
+            description: '生年化忌所在宮被擎羊、陀羅相夾，受制難伸',
+            anchor: 'any',
+            conditions: [
+                { mutated: ['忌'] },
+                { flank: ['擎羊', '陀羅'] }
+            ]
+        },
+        {
+            id: 'luMaJiaoChi',
+            name: '祿馬交馳',
+            type: '吉',
+            description: '天馬與祿存或生年化祿同宮，主動中得財',
+            anchor: 'any',
+            conditions: [
+                { stars: ['天馬'] },
+                { anyOf: [{ stars: ['祿存'] }, { mutated: ['祿'] }] }
+            ]
+        }
+    ]);
+
+    /** Star pairs that 夾 a palace when one sits on each side; type is 吉 or 凶 */
+    const FLANK_PAIRS = Object.freeze([
+        { id: 'zuoYouJia', name: '左右夾', type: '吉', stars: ['左輔', '右弼'] },
+        { id: 'changQuJia', name: '昌曲夾', type: '吉', stars: ['文昌', '文曲'] },
+        { id: 'kuiYueJia', name: '魁鉞夾', type: '吉', stars: ['天魁', '天鉞'] },
+        { id: 'yangTuoJia', name: '羊陀夾', type: '凶', stars: ['擎羊', '陀羅'] },
+        { id: 'huoLingJia', name: '火鈴夾', type: '凶', stars: ['火星', '鈴星'] },
+        { id: 'kongJieJia', name: '空劫夾', type: '凶', stars: ['地空', '地劫'] }
+    ]);
+
+    // ============================================================================
+    // Chart Context
+    // ============================================================================
+
+    /**
+     * Star positions, brightness and the 命宮/四化 of each layer of one chart
+     * @param {Object} chart Adapter output
+     * @param {Array<Object>} triSquareMap TRI_SQUARE_MAP from constants.js
+     * @param {Object} [layers] { major?, annual? } each { branchIndex, mutations (star → 祿/權/科/忌) }
+     * @returns {Object}
+     */
+    function buildContext(chart, triSquareMap, layers) {
+        const sections = chart.sections || {};
+        const starPalaces = {};
+        [sections.primaryStars, sections.secondaryStars, sections.minorStars].forEach(function(group) {
+            Object.keys(group || {}).forEach(function(star) {
+                const placement = group[star];
+                const indices = (Array.isArray(placement) ? Array.from(placement) : [placement])
+                    .filter(function(index) { return Number.isInteger(index) && index >= 0 && index < PALACES_COUNT; });
+                if (indices.length > 0) {
+                    starPalaces[star] = indices;
+                }
+            });
+        });
+
+        const palaces = sections.palaces || {};
+        let mingIndex = Object.keys(palaces).map(Number).find(function(index) { return palaces[index] && palaces[index].isMing; });
+        if (mingIndex === undefined) {
+            mingIndex = chart.derived && chart.derived.mingPalace ? chart.derived.mingPalace.index : null;
+        }
+
+        const cycleLayer = function(layer) {
+            return layer && Number.isInteger(layer.branchIndex)
+                ? { mingIndex: layer.branchIndex, mutationByStar: layer.mutations || {} }
+                : null;
+        };
+
+        const brightness = sections.brightness || {};
+        return {
+            triSquareMap: triSquareMap,
+            starPalaces: starPalaces,
+            getBrightness: function(star) {
+                const entry = (brightness.primary && brightness.primary[star]) || (brightness.secondary && brightness.secondary[star]);
+                return entry ? entry.brightness : null;
+            },
+            mingIndex: mingIndex,
+            layers: {
+                natal: {
+                    mingIndex: mingIndex,
+                    mutationByStar: (sections.mutations && sections.mutations.byStar) || {}
+                },
+                major: cycleLayer(layers && layers.major),
+                annual: cycleLayer(layers && layers.annual)
+            }
+        };
+    }
+
+    /**
+     * @param {string} role Palace role or alias (e.g. 官祿)
+     * @returns {number} Offset from 命宮 in PALACE_ROLES, or -1
+     */
+    function getRoleOffset(role) {
+        return PALACE_ROLES.indexOf(PALACE_ROLE_ALIASES[role] || role);
+    }
+
+    /**
+     * @param {Object} context Result of buildContext()
+     * @param {number} index Palace branch index
+     * @param {string} scope 'self', 'opposition', 'triSquare' or 'flank'
+     * @returns {number[]} Branch indices of the scope
+     */
+    function getScopePalaces(context, index, scope) {
+        const entry = context.triSquareMap[index];
+        switch (scope) {
+            case 'self':
+                return [index];
+            case 'opposition':
+                return [entry.opposition];
+            case 'triSquare':
+                return [entry.self, entry.opposition, entry.trine1, entry.trine2];
+            case 'flank':
+                return [(index + PALACES_COUNT - 1) % PALACES_COUNT, (index + 1) % PALACES_COUNT];
+            default:
+                throw new Error(`未知的範圍：${scope}`);
+        }
+    }
+
+    // ============================================================================
+    // Conditions
+    // ============================================================================
+
+    /**
+     * Evaluate one condition at a palace
+     * @param {Object} condition See the module header
+     * @param {number} index Anchor palace branch index
+     * @param {Object} context Result of buildContext()
+     * @returns {number[]|null} Palaces involved, or null when the condition fails
+     */
+    function evaluateCondition(condition, index, context) {
+        if (condition.not) {
+            return evaluateCondition(condition.not, index, context) ? null : [];
+        }
+
+        if (Array.isArray(condition.allOf)) {
+            const involved = [];
+            for (let i = 0; i < condition.allOf.length; i++) {
+                const result = evaluateCondition(condition.allOf[i], index, context);
+                if (!result) {
+                    return null;
+                }
+                involved.push.apply(involved, result);
+            }
+            return involved;
+        }
+
+        if (Array.isArray(condition.anyOf)) {
+            for (let i = 0; i < condition.anyOf.length; i++) {
+                const involved = evaluateCondition(condition.anyOf[i], index, context);
+                if (involved) {
+                    return involved;
+                }
+            }
+            return null;
+        }
+
+        if (Array.isArray(condition.branch)) {
+            return condition.branch.includes(BRANCH_NAMES[index]) ? [] : null;
+        }
+
+        if (Array.isArray(condition.flank)) {
+            const [left, right] = getScopePalaces(context, index, 'flank');
+            const [first, second] = condition.flank;
+            const isIn = function(star, palace) { return (context.starPalaces[star] || []).includes(palace); };
+            return (isIn(first, left) && isIn(second, right)) || (isIn(first, right) && isIn(second, left))
+                ? [left, right]
+                : null;
+        }
+
+        // Cycle layers fail when the 大限/流年 was not given
+        const layer = context.layers[condition.layer || 'natal'];
+        if (!layer) {
+            return null;
+        }
+
+        if (Array.isArray(condition.palace)) {
+            if (layer.mingIndex === null || layer.mingIndex === undefined) {
+                return null;
+            }
+            const offset = (index - layer.mingIndex + PALACES_COUNT) % PALACES_COUNT;
+            return condition.palace.some(function(role) { return getRoleOffset(role) === offset; }) ? [] : null;
+        }
+
+        const scope = getScopePalaces(context, index, condition.scope || 'self');
+
+        if (Array.isArray(condition.mutated)) {
+            const involved = Object.keys(layer.mutationByStar)
+                .filter(function(star) { return condition.mutated.includes(layer.mutationByStar[star]); })
+                .flatMap(function(star) { return context.starPalaces[star] || []; })
+                .filter(function(palace) { return scope.includes(palace); });
+            return involved.length > 0 ? involved : null;
+        }
+
+        if (Array.isArray(condition.stars)) {
+            const involved = [];
+            for (let i = 0; i < condition.stars.length; i++) {
+                const star = condition.stars[i];
+                const palace = (context.starPalaces[star] || []).find(function(p) { return scope.includes(p); });
+                if (palace === undefined) {
+                    return null;
+                }
+                if (condition.brightness && !condition.brightness.includes(context.getBrightness(star))) {
+                    return null;
+                }
+                if (condition.mutations && !condition.mutations.includes(layer.mutationByStar[star])) {
+                    return null;
+                }
+                involved.push(palace);
+            }
+            return involved;
+        }
+
+        throw new Error(`無法識別的條件：${JSON.stringify(condition)}`);
+    }
+
+    /**
+     * Check a pattern definition before use
+     * @param {Object} pattern Pattern with id, name, anchor and conditions
+     * @throws {Error} When a field or condition is invalid
+     */
+    function validatePattern(pattern) {
+        if (!pattern || typeof pattern.id !== 'string' || !pattern.id || typeof pattern.name !== 'string' || !pattern.name) {
+            throw new Error('格局必須有 id 及 name');
+        }
+        const fail = function(message) {
+            throw new Error(`格局「${pattern.name}」${message}`);
+        };
+        if (!ANCHORS.includes(pattern.anchor)) {
+            fail(`的 anchor 只可為 ${ANCHORS.join('、')}`);
+        }
+        if (pattern.type !== undefined && !TYPES.includes(pattern.type)) {
+            fail('的 type 只可為 吉、凶 或空白');
+        }
+        if (pattern.description !== undefined && typeof pattern.description !== 'string') {
+            fail('的 description 必須是文字');
+        }
+        if (!Array.isArray(pattern.conditions) || pattern.conditions.length === 0) {
+            fail('沒有條件');
+        }
+
+        const isTextList = function(value, allowed) {
+            return Array.isArray(value) && value.length > 0 && value.every(function(item) {
+                return typeof item === 'string' && item !== '' && (!allowed || allowed.includes(item));
+            });
+        };
+        const checkCondition = function(condition) {
+            if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+                fail(`有無法識別的條件：${JSON.stringify(condition)}`);
+            }
+            if (condition.not !== undefined) {
+                checkCondition(condition.not);
+                return;
+            }
+            if (condition.anyOf !== undefined || condition.allOf !== undefined) {
+                const list = condition.anyOf !== undefined ? condition.anyOf : condition.allOf;
+                if (!Array.isArray(list) || list.length === 0) {
+                    fail('的 anyOf/allOf 必須是非空陣列');
+                }
+                list.forEach(checkCondition);
+                return;
+            }
+            const kinds = LEAF_KINDS.filter(function(key) { return Array.isArray(condition[key]); });
+            if (kinds.length !== 1) {
+                fail(`有無法識別的條件：${JSON.stringify(condition)}`);
+            }
+            const kind = kinds[0];
+            if (condition.scope !== undefined && !SCOPES.includes(condition.scope)) {
+                fail(`的範圍「${condition.scope}」不存在`);
+            }
+            if (condition.layer !== undefined && !LAYERS.includes(condition.layer)) {
+                fail(`的盤「${condition.layer}」不存在，只可為 ${LAYERS.join('、')}`);
+            }
+            if (kind === 'branch' && !isTextList(condition.branch, BRANCH_NAMES)) {
+                fail(`的地支有誤：${JSON.stringify(condition.branch)}`);
+            }
+            if (kind === 'palace' && !condition.palace.every(function(role) { return getRoleOffset(role) >= 0; })) {
+                fail(`的宮位有誤：${JSON.stringify(condition.palace)}`);
+            }
+            if (kind === 'flank' && !(isTextList(condition.flank) && condition.flank.length === 2)) {
+                fail('的 flank 必須列出兩顆星');
+            }
+            if (kind === 'stars' && !isTextList(condition.stars)) {
+                fail('的 stars 必須列出星曜');
+            }
+            if ((kind === 'mutated' && !isTextList(condition.mutated, MUTATION_TYPES)) ||
+                (condition.mutations !== undefined && !isTextList(condition.mutations, MUTATION_TYPES))) {
+                fail('的四化只可為 祿、權、科、忌');
+            }
+            if (condition.brightness !== undefined && !isTextList(condition.brightness)) {
+                fail('的 brightness 必須列出亮度');
+            }
+        };
+        pattern.conditions.forEach(checkCondition);
+    }
+
+    /**
+     * Cycle layers a pattern needs (its anchor and every condition's layer)
+     * @param {Object} pattern Validated pattern
+     * @returns {string[]} Subset of ['major', 'annual']
+     */
+    function listLayers(pattern) {
+        const used = new Set();
+        if (pattern.anchor === 'majorMing') used.add('major');
+        if (pattern.anchor === 'annualMing') used.add('annual');
+        const visit = function(condition) {
+            if (condition.not) {
+                visit(condition.not);
+            }
+            (condition.anyOf || condition.allOf || []).forEach(visit);
+            if (condition.layer && condition.layer !== 'natal') {
+                used.add(condition.layer);
+            }
+        };
+        pattern.conditions.forEach(visit);
+        return ['major', 'annual'].filter(function(layer) { return used.has(layer); });
+    }
+
+    // ============================================================================
+    // Detection
+    // ============================================================================
+
+    /**
+     * @param {Object} settings detectPatterns()/analyzeFlanks() options
+     * @returns {Array<Object>} TRI_SQUARE_MAP
+     * @throws {Error} When neither the option nor window.ziweiConstants has it
+     */
+    function resolveTriSquareMap(settings) {
+        const triSquareMap = settings.triSquareMap || (constants && constants.TRI_SQUARE_MAP);
+        if (!triSquareMap) {
+            throw new Error('格局判斷需要 TRI_SQUARE_MAP');
+        }
+        return triSquareMap;
+    }
+
+    /**
+     * Find the patterns present in a chart
+     * @param {Object} chart Adapter output
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.triSquareMap] TRI_SQUARE_MAP (defaults to window.ziweiConstants)
+     * @param {Array<Object>} [options.patterns] Pattern definitions (defaults to PATTERNS)
+     * @param {Object} [options.layers] Selected 大限/流年: { major?, annual? } each
+     *        { branchIndex, mutations } (the shape chart-svg.js takes as cycles)
+     * @returns {Array<{id: string, name: string, type: string, description: string, palaceIndex: number, palaces: number[]}>}
+     *          palaceIndex is the anchor palace; palaces lists every palace involved, in branch order
+     */
+    function detectPatterns(chart, options) {
+        const settings = options || {};
+        const triSquareMap = resolveTriSquareMap(settings);
+        if (!chart || !chart.sections) {
+            return [];
+        }
+
+        const context = buildContext(chart, triSquareMap, settings.layers);
+        const matches = [];
+        (settings.patterns || PATTERNS).forEach(function(pattern) {
+            validatePattern(pattern);
+            let anchors;
+            if (pattern.anchor === 'any') {
+                anchors = Array.from({ length: PALACES_COUNT }, function(_, index) { return index; });
+            } else {
+                const layer = context.layers[{ ming: 'natal', majorMing: 'major', annualMing: 'annual' }[pattern.anchor]];
+                anchors = layer && Number.isInteger(layer.mingIndex) ? [layer.mingIndex] : [];
+            }
+
+            anchors.forEach(function(index) {
+                const involved = [index];
+                for (let i = 0; i < pattern.conditions.length; i++) {
+                    const result = evaluateCondition(pattern.conditions[i], index, context);
+                    if (!result) {
+                        return;
+                    }
+                    involved.push.apply(involved, result);
+                }
+                matches.push({
+                    id: pattern.id,
+                    name: pattern.name,
+                    type: pattern.type || '',
+                    description: pattern.description || '',
+                    palaceIndex: index,
+                    palaces: Array.from(new Set(involved)).sort(function(a, b) { return a - b; })
+                });
+            });
+        });
+        return matches;
+    }
+
+    // ============================================================================
+    // 夾宮 and 對宮
+    // ============================================================================
+
+    /**
+     * 夾宮 and 對宮 of every palace
+     * @param {Object} chart Adapter output
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.triSquareMap] TRI_SQUARE_MAP (defaults to window.ziweiConstants)
+     * @returns {Array<Object>} Indexed by branch: { palaceIndex, flankers: [left, right],
+     *          flanks: [{ id, name, type, palaces: [left, right], stars: [leftStars, rightStars] }],
+     *          opposition, oppositionStars, borrowed }. stars lists the flanking stars on each
+     *          side; for the 四化 flank (id 'mutationJia', name e.g. 祿權夾) they read 「太陽化祿」.
+     *          borrowed is true when the palace has no 主星 and borrows the 對宮's.
+     */
+    function analyzeFlanks(chart, options) {
+        const triSquareMap = resolveTriSquareMap(options || {});
+        if (!chart || !chart.sections) {
+            return [];
+        }
+        const context = buildContext(chart, triSquareMap);
+        const mutationByStar = context.layers.natal.mutationByStar;
+        const primaryStars = chart.sections.primaryStars || {};
+        const starsIn = function(index, group) {
+            return Object.keys(group).filter(function(star) { return group[star] === index; });
+        };
+        const isIn = function(star, index) { return (context.starPalaces[star] || []).includes(index); };
+
+        return Array.from({ length: PALACES_COUNT }, function(_, index) {
+            const flankers = getScopePalaces(context, index, 'flank');
+            const [left, right] = flankers;
+            const flanks = [];
+
+            FLANK_PAIRS.forEach(function(pair) {
+                const [first, second] = pair.stars;
+                let sides = null;
+                if (isIn(first, left) && isIn(second, right)) {
+                    sides = [[first], [second]];
+                } else if (isIn(first, right) && isIn(second, left)) {
+                    sides = [[second], [first]];
+                }
+                if (sides) {
+                    flanks.push({ id: pair.id, name: pair.name, type: pair.type, palaces: flankers, stars: sides });
+                }
+            });
+
+            // 生年四化 on both sides, e.g. 化祿 on one and 化權 on the other → 祿權夾
+            const mutatedIn = function(palace) {
+                return Object.keys(mutationByStar)
+                    .filter(function(star) { return isIn(star, palace); })
+                    .sort(function(a, b) { return MUTATION_TYPES.indexOf(mutationByStar[a]) - MUTATION_TYPES.indexOf(mutationByStar[b]); });
+            };
+            const leftMutated = mutatedIn(left);
+            const rightMutated = mutatedIn(right);
+            if (leftMutated.length > 0 && rightMutated.length > 0) {
+                const types = leftMutated.concat(rightMutated).map(function(star) { return mutationByStar[star]; });
+                flanks.push({
+                    id: 'mutationJia',
+                    name: MUTATION_TYPES.filter(function(type) { return types.includes(type); }).join('') + '夾',
+                    type: types.includes('忌') ? '凶' : '吉',
+                    palaces: flankers,
+                    stars: [leftMutated, rightMutated].map(function(stars) {
+                        return stars.map(function(star) { return `${star}化${mutationByStar[star]}`; });
+                    })
+                });
+            }
+
+            const opposition = triSquareMap[index].opposition;
+            return {
+                palaceIndex: index,
+                flankers: flankers,
+                flanks: flanks,
+                opposition: opposition,
+                oppositionStars: starsIn(opposition, primaryStars),
+                borrowed: starsIn(index, primaryStars).length === 0
+            };
+        });
+    }
+
+    return {
+        PATTERNS: PATTERNS,
+        FLANK_PAIRS: FLANK_PAIRS,
+        PALACE_ROLES: PALACE_ROLES,
+        detectPatterns: detectPatterns,
+        validatePattern: validatePattern,
+        listLayers: listLayers,
+        analyzeFlanks: analyzeFlanks
+    };
+}));
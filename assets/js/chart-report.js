@@ -0,0 +1,481 @@
+/**
+ * Chart PDF Report
+ *
+ * Multi-page printable report: page 1 is the chart (drawn by chart-svg.js),
+ * followed by one table per palace (stars with brightness and 生年四化, 神煞,
+ * 十二長生, 大限), a 大限 timeline and a 流年 table for a chosen range of
+ * years. buildReportData() collects the rows as plain data; drawReport()
+ * writes them with jsPDF text commands in an embedded CJK font, so the text
+ * stays selectable and searchable. Palace rows come from the interpretation
+ * panel's extractPalaceData(), so the report lists the same stars as the panel.
+ *
+ * Usage (Node.js):
+ *   const { calculateChart, adapter } = require('./assets/js/headless.js');
+ *   const chartReport = require('./assets/js/chart-report.js');
+ *   const data = chartReport.buildReportData(calculateChart(input), {
+ *       extractPalaceData: extractPalaceData,
+ *       years: { from: 2026, to: 2035 },
+ *       mutations: { annual: (stem) => adapter.getModule('mutations').calculateAnnualCycleMutations(stem).byStar }
+ *   });
+ *
+ * Dependencies: assets/js/chart-svg.js (load it first in a browser);
+ * drawReport() expects a jsPDF 2.x document in millimetres
+ *
+ * Exports: module.exports (CommonJS) / window.ziweiChartReport (browser)
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./chart-svg.js'));
+    } else {
+        root.ziweiChartReport = factory(root.ziweiChartSvg);
+    }
+}(typeof self !== 'undefined' ? self : this, function(chartSvg) {
+    'use strict';
+
+    const STEM_NAMES = ['甲', '乙', '丙', '丁', '戊', '己', '庚', '辛', '壬', '癸'];
+    const BRANCH_NAMES = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+    const MUTATION_TYPES = ['祿', '權', '科', '忌'];
+
+    /** Longest 流年 range one report accepts */
+    const MAX_YEARS = 60;
+
+    // Page geometry in mm: left 20mm for binding, as the chart PDF
+    const DEFAULT_MARGINS = { top: 12, right: 10, bottom: 14, left: 20 };
+    const PT_TO_MM = 25.4 / 72;
+    const CELL_PADDING = 1.5;
+    const LINE_HEIGHT = 1.35;
+
+    const COLORS = {
+        heading: '#2c3e50',
+        palaceName: '#a93226',
+        text: '#34495e',
+        muted: '#7f8c8d',
+        border: '#cccccc',
+        headerBackground: '#f6f8fb'
+    };
+
+    // ============================================================================
+    // Report Data
+    // ============================================================================
+
+    /**
+     * Check a 流年 range
+     * @param {{from: number, to: number}} years First and last year (inclusive)
+     * @returns {{from: number, to: number}}
+     * @throws {Error} When the range is not two integers in order, or longer than MAX_YEARS
+     */
+    function normalizeYearRange(years) {
+        const from = Number(years && years.from);
+        const to = Number(years && years.to);
+        if (!Number.isInteger(from) || !Number.isInteger(to)) {
+            throw new Error('流年範圍必須為整數年份');
+        }
+        if (from > to) {
+            throw new Error('流年起始年份不可晚於結束年份');
+        }
+        if (to - from + 1 > MAX_YEARS) {
+            throw new Error(`流年範圍最多 ${MAX_YEARS} 年`);
+        }
+        return { from: from, to: to };
+    }
+
+    /**
+     * 「廉貞化祿、破軍化權…」 in 祿權科忌 order
+     * @param {Object} byStar Star name to 祿|權|科|忌
+     * @returns {string}
+     */
+    function formatMutations(byStar) {
+        const entries = Object.keys(byStar || {}).filter(function(star) {
+            return MUTATION_TYPES.includes(byStar[star]);
+        });
+        entries.sort(function(a, b) {
+            return MUTATION_TYPES.indexOf(byStar[a]) - MUTATION_TYPES.indexOf(byStar[b]);
+        });
+        return entries.map(function(star) { return `${star}化${byStar[star]}`; }).join('、');
+    }
+
+    /**
+     * 「紫微（廟）化權」
+     */
+    function formatStar(star) {
+        return star.name +
+            (star.brightness ? `（${star.brightness}）` : '') +
+            (star.mutation ? `化${star.mutation}` : '');
+    }
+
+    function yearStemBranch(year) {
+        return {
+            stem: STEM_NAMES[((year - 4) % 10 + 10) % 10],
+            branchIndex: ((year - 4) % 12 + 12) % 12
+        };
+    }
+
+    function getMingIndex(palaces) {
+        const index = Object.keys(palaces).find(function(key) { return palaces[key] && palaces[key].isMing; });
+        return index === undefined ? 0 : Number(index);
+    }
+
+    /**
+     * Collect the report rows
+     *
+     * @param {Object} chart Output of window.ziweiAdapter.calculate()
+     * @param {Object} options
+     * @param {Function} options.extractPalaceData (branchIndex, chart) => palace data, i.e.
+     *        window.ziweiInterpretationPanel.extractPalaceData
+     * @param {{from: number, to: number}} options.years 流年 range (see normalizeYearRange)
+     * @param {Object} [options.settings] Display settings as for chart-svg.js buildLayout()
+     * @param {Object} [options.mutations] Cycle 四化 lookups, stem => byStar:
+     *        `major` (calculateMajorCycleMutations) and `annual` (calculateAnnualCycleMutations)
+     * @returns {{palaces: Array<Object>, majorCycles: Array<Object>, annualCycles: Array<Object>,
+     *            years: Object, showDates: boolean}} Palaces start at 命宮 in 命兄夫子… order
+     * @throws {Error} When extractPalaceData is missing, the year range is invalid or
+     *                 the chart has no lunar year
+     */
+    function buildReportData(chart, options = {}) {
+        if (!chart || !chart.sections) {
+            throw new Error('buildReportData: chart has no sections');
+        }
+        if (typeof options.extractPalaceData !== 'function') {
+            throw new Error('buildReportData: options.extractPalaceData is required');
+        }
+
+        const years = normalizeYearRange(options.years);
+        const lunarYear = chart.lunar && chart.lunar.lunarYear;
+        if (!Number.isInteger(lunarYear)) {
+            throw new Error('buildReportData: chart has no lunar year');
+        }
+
+        const settings = options.settings || {};
+        const mutations = options.mutations || {};
+        const sections = chart.sections;
+        const palaces = sections.palaces || {};
+        const brightness = sections.brightness || {};
+        const majorCycles = (Array.isArray(sections.lifeCycles && sections.lifeCycles.major) ? sections.lifeCycles.major : [])
+            .filter(Boolean)
+            .slice()
+            .sort(function(a, b) { return a.startAge - b.startAge; });
+        const personalInfo = settings.personalInfo || 'show';
+        const showDates = personalInfo !== 'hideDates' && personalInfo !== 'hide';
+
+        const palaceName = function(index) {
+            return palaces[index] ? chartSvg.getDisplayPalaceName(palaces[index], settings) : '';
+        };
+        const stemBranch = function(index) {
+            return palaces[index] ? (palaces[index].stem || '') + (palaces[index].branchZhi || BRANCH_NAMES[index]) : '';
+        };
+        const cycleMutations = function(kind, stem) {
+            return typeof mutations[kind] === 'function' && stem ? formatMutations(mutations[kind](stem)) : '';
+        };
+        const ageRange = function(cycle) {
+            return cycle.ageRange || `${cycle.startAge}-${cycle.endAge}`;
+        };
+
+        const mingIndex = getMingIndex(palaces);
+        const palaceRows = [];
+        for (let step = 0; step < 12; step++) {
+            const index = (mingIndex - step + 12) % 12;
+            const data = options.extractPalaceData(index, chart);
+            if (!data) {
+                continue;
+            }
+            const toStar = function(table) {
+                return function(name) {
+                    return {
+                        name: name,
+                        brightness: table[name] ? table[name].brightness || '' : '',
+                        mutation: (data.natalMutations || {})[name] || ''
+                    };
+                };
+            };
+            const majorCycle = majorCycles.find(function(cycle) { return cycle.palaceIndex === index; });
+
+            palaceRows.push({
+                branchIndex: index,
+                name: palaceName(index),
+                isShen: !!data.palace.isShen,
+                stemBranch: stemBranch(index),
+                primaryStars: (data.primaryStars || []).map(toStar(brightness.primary || {})),
+                secondaryStars: (data.secondaryStars || []).map(toStar(brightness.secondary || {})),
+                minorStars: (data.minorStars || []).filter(function(name) {
+                    return settings.xunKong !== 'primaryOnly' || (name !== '副旬' && name !== '副截');
+                }),
+                attributes: Array.isArray(sections.attributes && sections.attributes[index]) ? sections.attributes[index].filter(Boolean) : [],
+                lifeStage: data.lifeStage || '',
+                majorCycle: majorCycle ? ageRange(majorCycle) : ''
+            });
+        }
+
+        const majorRows = majorCycles.map(function(cycle, i) {
+            const stem = palaces[cycle.palaceIndex] ? palaces[cycle.palaceIndex].stem : '';
+            return {
+                order: i + 1,
+                ageRange: ageRange(cycle),
+                years: showDates ? `${lunarYear + cycle.startAge - 1}-${lunarYear + cycle.endAge - 1}` : '',
+                palaceName: palaceName(cycle.palaceIndex),
+                stemBranch: stemBranch(cycle.palaceIndex),
+                mutations: cycleMutations('major', stem)
+            };
+        });
+
+        const annualRows = [];
+        for (let year = years.from; year <= years.to; year++) {
+            const age = year - lunarYear + 1;
+            const cycle = yearStemBranch(year);
+            const majorCycle = majorCycles.find(function(entry) { return age >= entry.startAge && age <= entry.endAge; });
+            annualRows.push({
+                year: year,
+                stemBranch: cycle.stem + BRANCH_NAMES[cycle.branchIndex],
+                age: showDates && age > 0 ? age : null,
+                majorCycle: showDates && majorCycle ? `${palaceName(majorCycle.palaceIndex)}限 ${ageRange(majorCycle)}` : '',
+                mingPalace: palaceName(cycle.branchIndex),
+                mutations: cycleMutations('annual', cycle.stem)
+            });
+        }
+
+        return {
+            palaces: palaceRows,
+            majorCycles: majorRows,
+            annualCycles: annualRows,
+            years: years,
+            showDates: showDates
+        };
+    }
+
+    // ============================================================================
+    // jsPDF Drawing
+    // ============================================================================
+
+    /**
+     * Page cursor shared by the drawing helpers
+     */
+    function createCursor(doc, fontName, margins) {
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        return {
+            doc: doc,
+            fontName: fontName,
+            left: margins.left,
+            top: margins.top,
+            width: pageWidth - margins.left - margins.right,
+            bottom: pageHeight - margins.bottom,
+            y: margins.top
+        };
+    }
+
+    function newPage(cursor) {
+        cursor.doc.addPage();
+        cursor.y = cursor.top;
+    }
+
+    /**
+     * Start a new page unless `height` still fits on this one
+     * @returns {boolean} true when a page was added
+     */
+    function ensureSpace(cursor, height) {
+        if (cursor.y + height <= cursor.bottom || cursor.y === cursor.top) {
+            return false;
+        }
+        newPage(cursor);
+        return true;
+    }
+
+    function setTextStyle(cursor, size, color) {
+        cursor.doc.setFont(cursor.fontName, 'normal');
+        cursor.doc.setFontSize(size);
+        cursor.doc.setTextColor(color);
+    }
+
+    function lineHeight(size) {
+        return size * PT_TO_MM * LINE_HEIGHT;
+    }
+
+    function drawHeading(cursor, text, size, color) {
+        ensureSpace(cursor, lineHeight(size) * 3);
+        setTextStyle(cursor, size, color);
+        cursor.doc.text(text, cursor.left, cursor.y, { baseline: 'top' });
+        cursor.y += lineHeight(size) + 1;
+    }
+
+    /**
+     * Table with wrapped cells; the header row is repeated after a page break
+     * @param {Object} cursor Page cursor
+     * @param {Array<{title: string, width: number}>} columns Widths are fractions of the content width
+     * @param {Array<Array<string>>} rows Cell texts
+     * @param {Object} [options] { header: false to omit the header row, size: font size in pt }
+     */
+    function drawTable(cursor, columns, rows, options = {}) {
+        const doc = cursor.doc;
+        const size = options.size || 9;
+        const widths = columns.map(function(column) { return column.width * cursor.width; });
+
+        const layoutRow = function(cells) {
+            setTextStyle(cursor, size, COLORS.text);
+            const lines = cells.map(function(cell, i) {
+                const text = cell === null || cell === undefined ? '' : String(cell);
+                return text ? doc.splitTextToSize(text, widths[i] - CELL_PADDING * 2) : [];
+            });
+            const count = Math.max(1, ...lines.map(function(cellLines) { return cellLines.length; }));
+            return { lines: lines, height: count * lineHeight(size) + CELL_PADDING * 2 };
+        };
+
+        const drawRow = function(row, isHeader) {
+            let x = cursor.left;
+            row.lines.forEach(function(cellLines, i) {
+                doc.setDrawColor(COLORS.border);
+                doc.setLineWidth(0.2);
+                if (isHeader) {
+                    doc.setFillColor(COLORS.headerBackground);
+                }
+                doc.rect(x, cursor.y, widths[i], row.height, isHeader ? 'FD' : 'S');
+                setTextStyle(cursor, size, isHeader ? COLORS.heading : COLORS.text);
+                cellLines.forEach(function(line, n) {
+                    doc.text(line, x + CELL_PADDING, cursor.y + CELL_PADDING + n * lineHeight(size), { baseline: 'top' });
+                });
+                x += widths[i];
+            });
+            cursor.y += row.height;
+        };
+
+        const header = options.header === false ? null : layoutRow(columns.map(function(column) { return column.title; }));
+        if (header) {
+            ensureSpace(cursor, header.height * 2);
+            drawRow(header, true);
+        }
+        rows.forEach(function(cells) {
+            const row = layoutRow(cells);
+            if (ensureSpace(cursor, row.height) && header) {
+                drawRow(header, true);
+            }
+            drawRow(row, false);
+        });
+    }
+
+    function drawPalaceTables(cursor, data) {
+        drawHeading(cursor, '十二宮', 16, COLORS.heading);
+        data.palaces.forEach(function(palace) {
+            const stars = function(list) { return list.map(formatStar).join('、') || '—'; };
+            const rows = [
+                ['主星', stars(palace.primaryStars)],
+                ['輔星', stars(palace.secondaryStars)],
+                ['雜曜', palace.minorStars.join('、') || '—'],
+                ['神煞', palace.attributes.join('、') || '—'],
+                ['十二長生', palace.lifeStage || '—'],
+                ['大限', palace.majorCycle ? `${palace.majorCycle}歲` : '—']
+            ];
+            // Keep a palace title with at least its first rows
+            ensureSpace(cursor, lineHeight(11) + 24);
+            cursor.y += 2;
+            setTextStyle(cursor, 11, COLORS.palaceName);
+            // Chart labels already mark 身宮 (身福, 身遷, ...)
+            cursor.doc.text(`${palace.name}　${palace.stemBranch}`, cursor.left, cursor.y, { baseline: 'top' });
+            cursor.y += lineHeight(11);
+            drawTable(cursor, [{ title: '項目', width: 0.18 }, { title: '內容', width: 0.82 }], rows, { header: false });
+        });
+    }
+
+    function drawMajorTimeline(cursor, data) {
+        const columns = [
+            { title: '大限', width: 0.1 },
+            { title: '年齡', width: 0.1 },
+            { title: '宮位', width: 0.1 },
+            { title: '干支', width: 0.1 },
+            { title: '四化', width: 0.6 }
+        ];
+        if (data.showDates) {
+            columns.splice(2, 0, { title: '年份', width: 0.14 });
+            columns[5].width = 0.46;
+        }
+        drawHeading(cursor, '大限', 16, COLORS.heading);
+        drawTable(cursor, columns, data.majorCycles.map(function(cycle) {
+            const row = [`第${cycle.order}限`, `${cycle.ageRange}歲`, cycle.palaceName, cycle.stemBranch, cycle.mutations];
+            if (data.showDates) {
+                row.splice(2, 0, cycle.years);
+            }
+            return row;
+        }));
+    }
+
+    function drawAnnualTable(cursor, data) {
+        const columns = [
+            { title: '年份', width: 0.1 },
+            { title: '干支', width: 0.08 },
+            { title: '流年命宮', width: 0.12 },
+            { title: '四化', width: 0.7 }
+        ];
+        if (data.showDates) {
+            columns.splice(2, 0, { title: '虛歲', width: 0.07 }, { title: '大限', width: 0.17 });
+            columns[5].width = 0.46;
+        }
+        drawHeading(cursor, `流年（${data.years.from}–${data.years.to}）`, 16, COLORS.heading);
+        drawTable(cursor, columns, data.annualCycles.map(function(annual) {
+            const row = [String(annual.year), annual.stemBranch, annual.mingPalace, annual.mutations];
+            if (data.showDates) {
+                row.splice(2, 0, annual.age === null ? '—' : String(annual.age), annual.majorCycle || '—');
+            }
+            return row;
+        }));
+    }
+
+    function drawPageNumbers(cursor) {
+        const doc = cursor.doc;
+        const total = doc.getNumberOfPages();
+        for (let page = 1; page <= total; page++) {
+            doc.setPage(page);
+            setTextStyle(cursor, 8, COLORS.muted);
+            doc.text(`第 ${page} / ${total} 頁`, cursor.left + cursor.width / 2, cursor.bottom + 6, { align: 'center', baseline: 'top' });
+        }
+    }
+
+    /**
+     * Write the full report into a jsPDF document
+     *
+     * The first page must be empty; later pages are added as needed. jsPDF's
+     * built-in fonts have no CJK glyphs, so options.fontName must name a font
+     * already registered on the document (addFileToVFS + addFont).
+     *
+     * @param {Object} doc jsPDF document (unit 'mm')
+     * @param {Object} chart Output of window.ziweiAdapter.calculate()
+     * @param {Object} options See buildReportData(), plus:
+     * @param {string} options.fontName Registered CJK font
+     * @param {Object} [options.cycles] Active cycles for the page 1 chart (see chart-svg.js buildLayout())
+     * @param {Object} [options.margins] { top, right, bottom, left } in mm
+     * @returns {{pages: number}}
+     */
+    function drawReport(doc, chart, options = {}) {
+        if (!options.fontName) {
+            throw new Error('drawReport: options.fontName is required for CJK text');
+        }
+
+        const data = buildReportData(chart, options);
+        const cursor = createCursor(doc, options.fontName, Object.assign({}, DEFAULT_MARGINS, options.margins || {}));
+
+        chartSvg.drawToPdf(doc, chart, {
+            settings: options.settings,
+            cycles: options.cycles,
+            fontName: options.fontName,
+            x: cursor.left,
+            y: cursor.top,
+            width: cursor.width
+        });
+
+        newPage(cursor);
+        drawPalaceTables(cursor, data);
+        newPage(cursor);
+        drawMajorTimeline(cursor, data);
+        cursor.y += 6;
+        drawAnnualTable(cursor, data);
+        drawPageNumbers(cursor);
+
+        return { pages: doc.getNumberOfPages() };
+    }
+
+    return {
+        MAX_YEARS: MAX_YEARS,
+        normalizeYearRange: normalizeYearRange,
+        buildReportData: buildReportData,
+        drawReport: drawReport
+    };
+}));
@@ -0,0 +1,602 @@
+/**
+ * Chart SVG Renderer
+ *
+ * Draws the 4×4 palace grid straight from the adapter output instead of
+ * screenshotting the live DOM, so exports do not depend on CSS vertical
+ * writing, web fonts or the palace-interaction overlay. The chart is first
+ * laid out as a flat list of primitives (rect, text) in a 640×640
+ * coordinate space that mirrors chart.css; renderSVG() serialises them as an
+ * SVG document and drawToPdf() replays them as jsPDF vector commands.
+ * Vertical labels are emitted one character per text item, which both
+ * targets handle without writing-mode support. No DOM access, so it also
+ * runs under Node.js.
+ *
+ * Usage (Node.js):
+ *   const { calculateChart } = require('./assets/js/headless.js');
+ *   const chartSvg = require('./assets/js/chart-svg.js');
+ *   const svg = chartSvg.renderSVG(calculateChart(input), { settings: { starBrightness: 'shuoshu' } });
+ *
+ * Dependencies: none (drawToPdf() expects a jsPDF 2.x document)
+ *
+ * Exports: module.exports (CommonJS) / window.ziweiChartSvg (browser)
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ziweiChartSvg = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const BRANCH_NAMES = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+
+    // Same grid as GRID_BRANCH_MAP in assets/data/constants.js (-1 = center)
+    const GRID_BRANCH_MAP = [
+        [5, 6, 7, 8],
+        [4, -1, -1, 9],
+        [3, -1, -1, 10],
+        [2, 1, 0, 11]
+    ];
+
+    const CELL = 160;
+    const SIZE = CELL * 4;
+    const FONT_FAMILY = '"PingFang TC", "Microsoft JhengHei", "Noto Sans TC", sans-serif';
+
+    // Colours from chart.css (hsl(269, 62%, 40%) as hex for jsPDF)
+    const COLORS = {
+        border: '#333333',
+        cellBorder: '#cccccc',
+        centerBackground: '#f6f8fb',
+        primaryStar: '#6427a5',
+        secondaryStar: '#6b7a87',
+        minorStar: '#7f8c8d',
+        mutatedStarBackground: '#fffacd',
+        brightness: '#6b7a87',
+        palaceName: '#a93226',
+        palaceBranch: '#34495e',
+        majorTag: '#1f6fbf',
+        annualTag: '#27ae60',
+        attribute: '#34495e',
+        lifeCycle: '#34495e',
+        title: '#2c3e50',
+        muted: '#7f8c8d',
+        text: '#34495e'
+    };
+
+    /** Mutation slots top to bottom, as in .ziwei-mutations-wrapper */
+    const MUTATION_SLOTS = [
+        { key: 'birth', fill: '#e74c3c', stroke: '#a93226' },
+        { key: 'major', fill: '#2980b9', stroke: '#1f618d' },
+        { key: 'annual', fill: '#27ae60', stroke: '#1e8449' }
+    ];
+
+    const MAJOR_LABELS = ['大命', '大父', '大福', '大田', '大事', '大友', '大遷', '大疾', '大財', '大子', '大夫', '大兄'];
+    const ANNUAL_LABELS = ['年命', '年父', '年福', '年田', '年事', '年友', '年遷', '年疾', '年財', '年子', '年夫', '年兄'];
+
+    const CAREER_NAMES = { career: '事業', official: '官祿' };
+    const FRIENDS_NAMES = { friends: '交友', servants: '奴僕', servants_alt: '僕役' };
+    const SHEN_COMBINE = { 事業: '身事', 官祿: '身官' };
+
+    // Placeholders shown by config.js when personal info is hidden
+    const HIDDEN_TEXTS = {
+        name: '有心人',
+        gender: '沒有',
+        solar: '西曆：用戶不顯示出生日期',
+        lunar: '農曆：用戶不顯示出生日期'
+    };
+
+    const DEFAULT_TITLE = ['晉賢紫微斗數', 'little-yin.com'];
+
+    // ============================================================================
+    // Layout Primitives
+    // ============================================================================
+
+    /**
+     * Rough text width: CJK and full-width characters are 1em, the rest 0.55em
+     * @param {string} text Text to measure
+     * @param {number} size Font size
+     * @returns {number}
+     */
+    function measureText(text, size) {
+        let width = 0;
+        for (const char of String(text)) {
+            width += /[⺀-￿]/.test(char) ? size : size * 0.55;
+        }
+        return width;
+    }
+
+    /**
+     * Push a horizontal text item; y is the vertical centre of the line
+     */
+    function addText(items, text, x, y, size, color, options) {
+        if (text === undefined || text === null || text === '') {
+            return;
+        }
+        items.push(Object.assign({
+            type: 'text',
+            text: String(text),
+            x: x,
+            y: y,
+            size: size,
+            color: color,
+            weight: 'normal',
+            anchor: 'start'
+        }, options || {}));
+    }
+
+    /**
+     * Push a vertical label, one centred character per line
+     * @returns {number} Height used
+     */
+    function addVerticalText(items, text, centerX, top, size, color, options) {
+        const chars = Array.from(String(text || ''));
+        chars.forEach(function(char, i) {
+            addText(items, char, centerX, top + size * i + size / 2, size, color, Object.assign({ anchor: 'middle' }, options || {}));
+        });
+        return chars.length * size;
+    }
+
+    // ============================================================================
+    // Chart Data Helpers
+    // ============================================================================
+
+    function starsInPalace(positions, index) {
+        return Object.keys(positions || {}).filter(function(name) {
+            const placement = positions[name];
+            const palaceIndex = typeof placement === 'number' ? placement : placement && placement.palaceIndex;
+            return palaceIndex === index;
+        });
+    }
+
+    function minorStarsInPalace(minorStars, index, xunKong) {
+        return Object.keys(minorStars || {}).filter(function(name) {
+            if (xunKong === 'primaryOnly' && (name === '副旬' || name === '副截')) {
+                return false;
+            }
+            const placement = minorStars[name];
+            return Array.isArray(placement) ? placement.includes(index) : placement === index;
+        });
+    }
+
+    /**
+     * Palace name with the 事業/交友 naming settings applied (as chart.js)
+     * @param {Object} palace Entry of sections.palaces
+     * @param {Object} settings Display settings (palaceNameCareer, palaceNameFriends)
+     * @returns {string}
+     */
+    function getDisplayPalaceName(palace, settings) {
+        if (palace.name === '事業') {
+            const careerName = CAREER_NAMES[settings.palaceNameCareer] || CAREER_NAMES.career;
+            return palace.isShen ? (SHEN_COMBINE[careerName] || careerName) : careerName;
+        }
+        if (palace.name === '交友') {
+            return FRIENDS_NAMES[settings.palaceNameFriends] || FRIENDS_NAMES.friends;
+        }
+        return palace.name || '';
+    }
+
+    /**
+     * 大限/流年 sequence labels with the same naming settings as cycles.js
+     */
+    function getCycleLabels(base, settings) {
+        const labels = base.slice();
+        const prefix = base[0].charAt(0);
+        if (settings.palaceNameCareer === 'official') {
+            labels[4] = `${prefix}官`;
+        }
+        if (settings.palaceNameFriends === 'servants' || settings.palaceNameFriends === 'servants_alt') {
+            labels[5] = `${prefix}僕`;
+        }
+        return labels;
+    }
+
+    function isBranchIndex(value) {
+        return Number.isInteger(value) && value >= 0 && value < 12;
+    }
+
+    // ============================================================================
+    // Palace Cell
+    // ============================================================================
+
+    /**
+     * Primary and secondary stars, centred at the top of the cell. Each group is
+     * the vertical star name with the three mutation slots beside it and the
+     * brightness below, shrunk when a palace holds more stars than fit.
+     */
+    function layoutStars(items, x0, y0, stars, context) {
+        if (stars.length === 0) {
+            return;
+        }
+
+        const groupWidth = 36;
+        const scale = Math.min(1, (CELL - 8) / (stars.length * groupWidth));
+        const width = stars.length * groupWidth * scale;
+        let left = x0 + (CELL - width) / 2;
+        const top = y0 + 3;
+        const starSize = 20 * scale;
+        const slotSize = 14 * scale;
+
+        stars.forEach(function(star) {
+            const mutations = MUTATION_SLOTS.map(function(slot) {
+                return context.mutations[slot.key][star.name] || '';
+            });
+
+            if (mutations.some(Boolean)) {
+                items.push({
+                    type: 'rect',
+                    x: left,
+                    y: top,
+                    width: groupWidth * scale - 1,
+                    height: 46 * scale,
+                    rx: 4 * scale,
+                    fill: COLORS.mutatedStarBackground
+                });
+            }
+
+            addVerticalText(items, star.name, left + 1 + starSize / 2, top + 2 * scale, starSize, star.color, { weight: 'bold' });
+
+            mutations.forEach(function(mutation, row) {
+                if (!mutation) {
+                    return;
+                }
+                const slot = MUTATION_SLOTS[row];
+                const slotX = left + 1 + starSize;
+                const slotY = top + 1 * scale + row * (slotSize + 1 * scale);
+                items.push({
+                    type: 'rect',
+                    x: slotX,
+                    y: slotY,
+                    width: slotSize,
+                    height: slotSize,
+                    rx: 2 * scale,
+                    fill: slot.fill,
+                    stroke: slot.stroke,
+                    strokeWidth: 1
+                });
+                addText(items, mutation, slotX + slotSize / 2, slotY + slotSize / 2, 11 * scale, '#ffffff', { anchor: 'middle', weight: 'bold' });
+            });
+
+            if (context.showBrightness && star.brightness) {
+                addText(items, star.brightness, left + 1 + starSize / 2, top + 46 * scale + 7 * scale, 12 * scale, COLORS.brightness, { anchor: 'middle' });
+            }
+
+            left += groupWidth * scale;
+        });
+    }
+
+    /**
+     * One palace cell
+     * @param {Array} items Primitive list
+     * @param {number} row Grid row (0-3)
+     * @param {number} col Grid column (0-3)
+     * @param {number} index Branch index of the palace
+     * @param {Object} context Prepared chart data (see buildLayout)
+     */
+    function layoutPalace(items, row, col, index, context) {
+        const x0 = col * CELL;
+        const y0 = row * CELL;
+        const right = x0 + CELL;
+        const bottom = y0 + CELL;
+        const palace = context.palaces[index];
+
+        items.push({ type: 'rect', x: x0, y: y0, width: CELL, height: CELL, fill: '#ffffff', stroke: COLORS.cellBorder, strokeWidth: 1 });
+
+        if (!palace) {
+            addVerticalText(items, BRANCH_NAMES[index], right - 12, bottom - 19, 15, COLORS.palaceBranch);
+            return;
+        }
+
+        const stars = starsInPalace(context.primaryStars, index).map(function(name) {
+            return { name: name, color: COLORS.primaryStar, brightness: context.brightness.primary[name] && context.brightness.primary[name].brightness };
+        }).concat(starsInPalace(context.secondaryStars, index).map(function(name) {
+            return { name: name, color: COLORS.secondaryStar, brightness: context.brightness.secondary[name] && context.brightness.secondary[name].brightness };
+        }));
+        layoutStars(items, x0, y0, stars, context);
+
+        // 雜曜: vertical columns from the left, 62px down (.ziwei-minor-stars-container)
+        const minorNames = minorStarsInPalace(context.minorStars, index, context.settings.xunKong);
+        if (minorNames.length > 0) {
+            const columnWidth = Math.min(16, (CELL - 4) / minorNames.length);
+            const minorSize = Math.min(14, columnWidth - 1);
+            minorNames.forEach(function(name, i) {
+                addVerticalText(items, name, x0 + 2 + columnWidth * i + columnWidth / 2, y0 + 62, minorSize, COLORS.minorStar);
+            });
+        }
+
+        // 太歲/將前/博士: three vertical columns at the bottom-left, first on the right
+        const attributes = Array.isArray(context.attributes[index]) ? context.attributes[index] : [];
+        attributes.forEach(function(name, i) {
+            const chars = Array.from(String(name || ''));
+            addVerticalText(items, name, x0 + 2 + 12 * (attributes.length - i) - 6, bottom - 2 - chars.length * 12, 12, COLORS.attribute);
+        });
+
+        // Palace labels at the bottom-right: [cycle tags..., name, stem-branch]
+        const labels = [];
+        if (context.majorLabels[index]) {
+            labels.push({ text: context.majorLabels[index], color: COLORS.majorTag });
+        }
+        if (context.annualLabels[index]) {
+            labels.push({ text: context.annualLabels[index], color: COLORS.annualTag });
+        }
+        labels.push({ text: getDisplayPalaceName(palace, context.settings), color: COLORS.palaceName });
+        labels.push({ text: (palace.stem || '') + (palace.branchZhi || BRANCH_NAMES[index]), color: COLORS.palaceBranch });
+
+        let labelX = right - 4 - 16 * labels.length;
+        labels.forEach(function(label) {
+            const height = Array.from(label.text).length * 15;
+            addVerticalText(items, label.text, labelX + 8, bottom - 4 - height, 15, label.color, { weight: '500' });
+            labelX += 16;
+        });
+
+        // 大限 age range and 十二長生, bottom centre between the attributes and labels
+        const centerX = x0 + 36 + (CELL - 96) / 2;
+        const majorCycle = context.majorCycles.find(function(cycle) { return cycle && cycle.palaceIndex === index; });
+        if (majorCycle) {
+            addText(items, majorCycle.ageRange || `${majorCycle.startAge}-${majorCycle.endAge}`, centerX, bottom - 24, 12, COLORS.lifeCycle, { anchor: 'middle', weight: '500' });
+        }
+        if (context.twelve[index]) {
+            addText(items, context.twelve[index], centerX, bottom - 9, 14, COLORS.lifeCycle, { anchor: 'middle', weight: '500' });
+        }
+    }
+
+    // ============================================================================
+    // Center Cell
+    // ============================================================================
+
+    function layoutCenter(items, chart, context) {
+        const meta = chart.meta || {};
+        const derived = chart.derived || {};
+        const indices = chart.indices || {};
+        const x0 = CELL;
+        const y0 = CELL;
+        const width = CELL * 2;
+        const personalInfo = context.settings.personalInfo || 'show';
+        const hideDates = personalInfo === 'hideDates' || personalInfo === 'hide';
+
+        items.push({ type: 'rect', x: x0, y: y0, width: width, height: width, fill: COLORS.centerBackground, stroke: COLORS.cellBorder, strokeWidth: 1 });
+
+        const title = context.title;
+        addText(items, title[0], x0 + width / 2, y0 + 24, 18, COLORS.title, { anchor: 'middle', weight: 'bold' });
+        addText(items, title[1], x0 + width / 2, y0 + 48, 16, COLORS.muted, { anchor: 'middle' });
+
+        const left = x0 + 16;
+        let y = y0 + 92;
+
+        const name = personalInfo === 'hide' ? HIDDEN_TEXTS.name : (meta.name || '');
+        const gender = personalInfo === 'hide' ? HIDDEN_TEXTS.gender : (meta.genderClassification || indices.genderClassification || '');
+        const nameWidth = Math.min(measureText(name, 28), 150);
+        addText(items, name, left, y, 28, COLORS.title, { weight: 'bold' });
+        let rowX = left + nameWidth + 12;
+        [gender, derived.nayin ? derived.nayin.name : ''].forEach(function(text) {
+            if (text) {
+                addText(items, text, rowX, y + 4, 16, COLORS.muted, { weight: '600' });
+                rowX += measureText(text, 16) + 12;
+            }
+        });
+        y += 40;
+
+        const lines = [
+            { text: hideDates ? HIDDEN_TEXTS.solar : meta.birthdateSolarText, size: 18, color: COLORS.text },
+            { text: hideDates ? HIDDEN_TEXTS.lunar : meta.birthdateLunarText, size: 18, color: COLORS.text }
+        ];
+        if (!hideDates) {
+            lines.push({ text: meta.timezoneAdjustmentText, size: 14, color: COLORS.muted });
+            lines.push({ text: meta.trueSolarTimeText, size: 14, color: COLORS.muted });
+        }
+        if (indices.masterPalace || indices.bodyPalace) {
+            lines.push({
+                text: `命主：${indices.masterPalace ? indices.masterPalace.starName : ''}　　身主：${indices.bodyPalace ? indices.bodyPalace.starName : ''}`,
+                size: 18,
+                color: COLORS.text
+            });
+        }
+        context.cycleLines.forEach(function(text) {
+            lines.push({ text: text, size: 14, color: COLORS.majorTag });
+        });
+
+        lines.forEach(function(line) {
+            if (!line.text) {
+                return;
+            }
+            addText(items, line.text, left, y, line.size, line.color);
+            y += line.size * 1.7;
+        });
+    }
+
+    // ============================================================================
+    // Public API
+    // ============================================================================
+
+    /**
+     * Lay out a chart as drawing primitives
+     *
+     * @param {Object} chart Output of window.ziweiAdapter.calculate()
+     * @param {Object} [options]
+     * @param {Object} [options.settings] Display settings: palaceNameCareer, palaceNameFriends,
+     *        starBrightness ('hidden' hides brightness), xunKong, personalInfo (show|hideDates|hide)
+     * @param {Object} [options.cycles] Active cycles, each { branchIndex, mutations: {star: 祿|權|科|忌}, label }
+     *        under `major` (大限) and `annual` (流年); fills the 2nd/3rd mutation slots and cycle labels
+     * @param {Array<string>} [options.title] Two title lines for the center cell
+     * @returns {{width: number, height: number, items: Array<Object>}}
+     *          items are { type: 'rect', x, y, width, height, rx?, fill?, stroke?, strokeWidth? }
+     *          or { type: 'text', text, x, y (line centre), size, color, weight, anchor }
+     */
+    function buildLayout(chart, options = {}) {
+        if (!chart || !chart.sections) {
+            throw new Error('buildLayout: chart has no sections');
+        }
+
+        const sections = chart.sections;
+        const lifeCycles = sections.lifeCycles || {};
+        const settings = options.settings || {};
+        const cycles = options.cycles || {};
+        const major = cycles.major && isBranchIndex(cycles.major.branchIndex) ? cycles.major : null;
+        const annual = cycles.annual && isBranchIndex(cycles.annual.branchIndex) ? cycles.annual : null;
+
+        const majorLabels = {};
+        const annualLabels = {};
+        if (major) {
+            getCycleLabels(MAJOR_LABELS, settings).forEach(function(label, i) {
+                majorLabels[(major.branchIndex + i) % 12] = label;
+            });
+        }
+        if (annual) {
+            getCycleLabels(ANNUAL_LABELS, settings).forEach(function(label, i) {
+                annualLabels[(annual.branchIndex + i) % 12] = label;
+            });
+        }
+
+        const context = {
+            settings: settings,
+            title: Array.isArray(options.title) ? options.title : DEFAULT_TITLE,
+            palaces: sections.palaces || (chart.derived && chart.derived.palaces) || {},
+            primaryStars: sections.primaryStars || {},
+            secondaryStars: sections.secondaryStars || {},
+            minorStars: sections.minorStars || {},
+            attributes: sections.attributes || {},
+            brightness: {
+                primary: (sections.brightness && sections.brightness.primary) || {},
+                secondary: (sections.brightness && sections.brightness.secondary) || {}
+            },
+            showBrightness: !!settings.starBrightness && settings.starBrightness !== 'hidden',
+            mutations: {
+                birth: (sections.mutations && sections.mutations.byStar) || {},
+                major: (major && major.mutations) || {},
+                annual: (annual && annual.mutations) || {}
+            },
+            majorCycles: Array.isArray(lifeCycles.major) ? lifeCycles.major : [],
+            twelve: lifeCycles.twelve || {},
+            majorLabels: majorLabels,
+            annualLabels: annualLabels,
+            cycleLines: [major && major.label, annual && annual.label].filter(Boolean)
+        };
+
+        const items = [];
+        GRID_BRANCH_MAP.forEach(function(rowMap, row) {
+            rowMap.forEach(function(index, col) {
+                if (index >= 0) {
+                    layoutPalace(items, row, col, index, context);
+                }
+            });
+        });
+        layoutCenter(items, chart, context);
+        items.push({ type: 'rect', x: 1.5, y: 1.5, width: SIZE - 3, height: SIZE - 3, stroke: COLORS.border, strokeWidth: 3 });
+
+        return { width: SIZE, height: SIZE, items: items };
+    }
+
+    function escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Render a chart as a standalone SVG document
+     * @param {Object} chart Output of window.ziweiAdapter.calculate()
+     * @param {Object} [options] See buildLayout(); options.fontFamily overrides the CSS font stack
+     * @returns {string} SVG markup
+     */
+    function renderSVG(chart, options = {}) {
+        const layout = buildLayout(chart, options);
+        const fontFamily = options.fontFamily || FONT_FAMILY;
+
+        const body = layout.items.map(function(item) {
+            if (item.type === 'rect') {
+                return `<rect x="${round(item.x)}" y="${round(item.y)}" width="${round(item.width)}" height="${round(item.height)}"` +
+                    (item.rx ? ` rx="${round(item.rx)}"` : '') +
+                    ` fill="${item.fill || 'none'}"` +
+                    (item.stroke ? ` stroke="${item.stroke}" stroke-width="${item.strokeWidth || 1}"` : '') +
+                    '/>';
+            }
+            return `<text x="${round(item.x)}" y="${round(item.y)}" font-size="${round(item.size)}" fill="${item.color}"` +
+                (item.weight !== 'normal' ? ` font-weight="${item.weight}"` : '') +
+                (item.anchor !== 'start' ? ` text-anchor="${item.anchor}"` : '') +
+                `>${escapeXML(item.text)}</text>`;
+        }).join('\n');
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">\n` +
+            `<rect width="${layout.width}" height="${layout.height}" fill="#ffffff"/>\n` +
+            `<g font-family="${escapeXML(fontFamily)}" dominant-baseline="central">\n${body}\n</g>\n` +
+            '</svg>\n';
+    }
+
+    /**
+     * Draw a chart onto a jsPDF page as vector graphics
+     *
+     * jsPDF's built-in fonts have no CJK glyphs, so options.fontName must name a
+     * font already registered on the document (addFileToVFS + addFont).
+     *
+     * @param {Object} doc jsPDF document
+     * @param {Object} chart Output of window.ziweiAdapter.calculate()
+     * @param {Object} options See buildLayout(), plus:
+     * @param {string} options.fontName Registered CJK font
+     * @param {number} [options.x=0] Left edge in document units
+     * @param {number} [options.y=0] Top edge in document units
+     * @param {number} [options.width] Chart width in document units (default: page width minus x)
+     * @returns {{width: number, height: number}} Drawn size in document units
+     */
+    function drawToPdf(doc, chart, options = {}) {
+        if (!options.fontName) {
+            throw new Error('drawToPdf: options.fontName is required for CJK text');
+        }
+
+        const layout = buildLayout(chart, options);
+        const originX = options.x || 0;
+        const originY = options.y || 0;
+        const width = options.width || (doc.internal.pageSize.getWidth() - originX);
+        const scale = width / layout.width;
+        // Font sizes are in points, layout sizes in layout units
+        const fontScale = scale * doc.internal.scaleFactor;
+
+        layout.items.forEach(function(item) {
+            if (item.type === 'rect') {
+                const style = item.fill && item.stroke ? 'FD' : (item.fill ? 'F' : 'S');
+                if (item.fill) {
+                    doc.setFillColor(item.fill);
+                }
+                if (item.stroke) {
+                    doc.setDrawColor(item.stroke);
+                    doc.setLineWidth((item.strokeWidth || 1) * scale);
+                }
+                const x = originX + item.x * scale;
+                const y = originY + item.y * scale;
+                if (item.rx) {
+                    doc.roundedRect(x, y, item.width * scale, item.height * scale, item.rx * scale, item.rx * scale, style);
+                } else {
+                    doc.rect(x, y, item.width * scale, item.height * scale, style);
+                }
+            } else {
+                doc.setFont(options.fontName, 'normal');
+                doc.setFontSize(item.size * fontScale);
+                doc.setTextColor(item.color);
+                doc.text(item.text, originX + item.x * scale, originY + item.y * scale, {
+                    align: item.anchor === 'middle' ? 'center' : (item.anchor === 'end' ? 'right' : 'left'),
+                    baseline: 'middle'
+                });
+            }
+        });
+
+        return { width: width, height: layout.height * scale };
+    }
+
+    return {
+        WIDTH: SIZE,
+        HEIGHT: SIZE,
+        buildLayout: buildLayout,
+        renderSVG: renderSVG,
+        drawToPdf: drawToPdf,
+        getDisplayPalaceName: getDisplayPalaceName
+    };
+}));
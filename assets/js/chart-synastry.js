@@ -0,0 +1,173 @@
+/**
+ * Chart Synastry (合盤)
+ *
+ * Overlays one person's chart onto another's palaces. The partner's 生年四化
+ * land on the palaces where those stars sit in the owner's chart (the stars
+ * are the same, only their placement differs), and the partner's year-based
+ * key stars (祿存, 擎羊, 陀羅, 天魁, 天鉞, 天馬, 紅鸞, 天喜) land on the
+ * owner's palace with the same branch. buildSynastry() works both ways and
+ * summarises which palaces receive the partner's 化祿 and 化忌. Plain data
+ * only, so it also runs under Node.js.
+ *
+ * Usage (Node.js):
+ *   const { calculateChart } = require('./assets/js/headless.js');
+ *   const chartSynastry = require('./assets/js/chart-synastry.js');
+ *   const synastry = chartSynastry.buildSynastry(calculateChart(inputA), calculateChart(inputB));
+ *   synastry.onA.summary['忌']; // → { star, branchIndex, palaceName } of B's 化忌 in A's chart
+ *
+ * Dependencies: assets/js/chart-svg.js (load it first in a browser)
+ *
+ * Exports: module.exports (CommonJS) / window.ziweiChartSynastry (browser)
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./chart-svg.js'));
+    } else {
+        root.ziweiChartSynastry = factory(root.ziweiChartSvg);
+    }
+}(typeof self !== 'undefined' ? self : this, function(chartSvg) {
+    'use strict';
+
+    const BRANCH_NAMES = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+    const MUTATION_TYPES = ['祿', '權', '科', '忌'];
+    const SUMMARY_TYPES = ['祿', '忌'];
+
+    // Stars placed by birth-year stem or branch, so they mean the same in either chart
+    const KEY_STARS = ['祿存', '擎羊', '陀羅', '天魁', '天鉞', '天馬', '紅鸞', '天喜'];
+
+    /**
+     * @param {Object} sections Adapter output sections
+     * @param {string} star Star name
+     * @returns {number|null} Branch index of the star's palace
+     */
+    function findStarBranch(sections, star) {
+        const groups = [sections.primaryStars, sections.secondaryStars, sections.minorStars];
+        for (let i = 0; i < groups.length; i++) {
+            const placement = groups[i] ? groups[i][star] : undefined;
+            const index = Array.isArray(placement) ? placement[0] : placement;
+            if (typeof index === 'number' && index >= 0 && index < BRANCH_NAMES.length) {
+                return index;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} sections Owner's adapter output sections
+     * @param {number} branchIndex Palace branch index
+     * @param {Object} settings Display settings (palace naming)
+     * @returns {string}
+     */
+    function getPalaceName(sections, branchIndex, settings) {
+        const palace = (sections.palaces || {})[branchIndex];
+        return palace ? chartSvg.getDisplayPalaceName(palace, settings) : '';
+    }
+
+    /**
+     * Place the partner's 生年四化 and key stars on the owner's palaces
+     * @param {Object} owner Adapter output whose palaces receive the overlay
+     * @param {Object} partner Adapter output supplying the mutations and stars
+     * @param {Object} [settings] Display settings (palaceNameCareer, palaceNameFriends)
+     * @returns {{mutations: Array<Object>, keyStars: Array<Object>, byPalace: Object, summary: Object}}
+     */
+    function buildOverlay(owner, partner, settings) {
+        const ownerSections = owner.sections || {};
+        const partnerSections = partner.sections || {};
+        const byType = (partnerSections.mutations && partnerSections.mutations.byType) || {};
+        const names = settings || {};
+
+        const byPalace = {};
+        function addToPalace(branchIndex, item) {
+            if (!byPalace[branchIndex]) {
+                byPalace[branchIndex] = { mutations: [], keyStars: [] };
+            }
+            byPalace[branchIndex][item.type ? 'mutations' : 'keyStars'].push(item);
+        }
+
+        const mutations = [];
+        MUTATION_TYPES.forEach(function(type) {
+            const star = byType[type];
+            if (!star) {
+                return;
+            }
+            const branchIndex = findStarBranch(ownerSections, star);
+            const item = {
+                type: type,
+                star: star,
+                branchIndex: branchIndex,
+                palaceName: branchIndex === null ? '' : getPalaceName(ownerSections, branchIndex, names)
+            };
+            mutations.push(item);
+            if (branchIndex !== null) {
+                addToPalace(branchIndex, item);
+            }
+        });
+
+        const keyStars = [];
+        KEY_STARS.forEach(function(star) {
+            const branchIndex = findStarBranch(partnerSections, star);
+            if (branchIndex === null) {
+                return;
+            }
+            const item = {
+                star: star,
+                branchIndex: branchIndex,
+                palaceName: getPalaceName(ownerSections, branchIndex, names)
+            };
+            keyStars.push(item);
+            addToPalace(branchIndex, item);
+        });
+
+        const summary = {};
+        SUMMARY_TYPES.forEach(function(type) {
+            summary[type] = mutations.find(function(item) { return item.type === type; }) || null;
+        });
+
+        return { mutations: mutations, keyStars: keyStars, byPalace: byPalace, summary: summary };
+    }
+
+    /**
+     * Overlays in both directions
+     * @param {Object} chartA Adapter output of person A
+     * @param {Object} chartB Adapter output of person B
+     * @param {Object} [settings] Display settings (palace naming)
+     * @returns {{onA: Object, onB: Object}} onA: B's stars on A's palaces; onB: A's stars on B's palaces
+     */
+    function buildSynastry(chartA, chartB, settings) {
+        if (!chartA || !chartB) {
+            throw new Error('合盤需要兩個命盤');
+        }
+        return {
+            onA: buildOverlay(chartA, chartB, settings),
+            onB: buildOverlay(chartB, chartA, settings)
+        };
+    }
+
+    /**
+     * One summary line, e.g. '乙方化祿（太陽）入甲方夫妻（亥）'
+     * @param {Object|null} item Summary entry of buildOverlay()
+     * @param {string} type '祿' or '忌'
+     * @param {string} partnerLabel Whose mutation it is
+     * @param {string} ownerLabel Whose palace receives it
+     * @returns {string}
+     */
+    function describeSummary(item, type, partnerLabel, ownerLabel) {
+        if (!item) {
+            return `${partnerLabel}沒有化${type}`;
+        }
+        if (item.branchIndex === null) {
+            return `${partnerLabel}化${type}（${item.star}）不在${ownerLabel}盤中`;
+        }
+        return `${partnerLabel}化${type}（${item.star}）入${ownerLabel}${item.palaceName}（${BRANCH_NAMES[item.branchIndex]}）`;
+    }
+
+    return {
+        KEY_STARS: KEY_STARS,
+        buildOverlay: buildOverlay,
+        buildSynastry: buildSynastry,
+        describeSummary: describeSummary
+    };
+}));
@@ -8,6 +8,8 @@
  * Dependencies:
  * - assets/data/constants.js (ziweiConstants)
  * - assets/calculate/common/lunar-converter.js (solarToLunar)
+ * - assets/data/gazetteer.js (ziweiGazetteer, optional; true solar time)
+ * - assets/data/timezone-rules.js (ziweiTimezoneRules, optional; daylight saving)
  * 
  * Exports: window.ziweiAdapter
  */
@@ -31,34 +33,11 @@
 
     // Initialize storage system
     adapter._storage = adapter._storage || {};
-    adapter.storage = adapter.storage || {
-        get: function(key) {
-            return adapter._storage[key];
-        },
-        set: function(key, value) {
-            adapter._storage[key] = value;
-        },
-        remove: function(key) {
-            delete adapter._storage[key];
-        },
-        clear: function() {
-            adapter._storage = {};
-        }
-    };
+    adapter.storage = adapter.storage || createStorage(adapter);
 
     // Initialize settings system
     adapter._settings = adapter._settings || {};
-    adapter.settings = adapter.settings || {
-        get: function(key) {
-            return adapter._settings[key];
-        },
-        set: function(key, value) {
-            adapter._settings[key] = value;
-        },
-        getAll: function() {
-            return Object.assign({}, adapter._settings);
-        }
-    };
+    adapter.settings = adapter.settings || createSettings(adapter);
 
     // Register module function
     adapter.registerModule = function(name, api) {
@@ -96,6 +75,86 @@
         return deepClone(adapter._currentChart) || null;
     };
 
+    // ============================================================================
+    // Chart Instances
+    // ============================================================================
+    // The adapter itself serves the calculator form's chart. Every further chart
+    // on the page (chart-only shortcodes, comparison views) gets an instance:
+    // an object inheriting the adapter (modules, calculate) with its own
+    // settings, storage and current chart. calculate() and normalizeInput()
+    // read the settings of the object they are called on. Chart containers
+    // carry the instance id in data-ziwei-instance so display modules can find
+    // theirs via forElement().
+
+    const INSTANCE_ATTRIBUTE = 'data-ziwei-instance';
+
+    adapter.id = adapter.id || 'default';
+    adapter._instances = adapter._instances || {};
+    let instanceCounter = 0;
+
+    /**
+     * Create a chart instance with its own settings, storage and current chart
+     * @param {string} [id] Instance id; generated when omitted
+     * @param {Object} [settings] Setting name → value; by default a copy of the adapter's current settings
+     * @returns {Object} Instance (inherits the adapter)
+     */
+    adapter.createInstance = function(id, settings) {
+        const instance = Object.create(adapter);
+        instance.id = id || `chart-${++instanceCounter}`;
+        instance._settings = Object.assign({}, settings || adapter._settings);
+        instance.settings = createSettings(instance);
+        instance._storage = {};
+        instance.storage = createStorage(instance);
+        instance._currentChart = null;
+        instance.setCurrentChart = function(chart) {
+            instance._currentChart = deepClone(chart);
+        };
+        instance.getCurrentChart = function() {
+            return deepClone(instance._currentChart) || null;
+        };
+        adapter._instances[instance.id] = instance;
+        return instance;
+    };
+
+    /**
+     * @param {string} id Instance id ('default' for the adapter itself)
+     * @returns {Object|null}
+     */
+    adapter.getInstance = function(id) {
+        if (!id || id === adapter.id) return adapter;
+        return adapter._instances[id] || null;
+    };
+
+    /**
+     * Forget an instance (e.g. when its chart is removed from the page)
+     * @param {string} id Instance id
+     */
+    adapter.removeInstance = function(id) {
+        delete adapter._instances[id];
+    };
+
+    /**
+     * Mark a chart container as belonging to an instance
+     * @param {HTMLElement} element Chart container
+     * @param {Object} instance Instance from createInstance() (or the adapter)
+     */
+    adapter.bindElement = function(element, instance) {
+        if (!element || !instance) return;
+        element.setAttribute(INSTANCE_ATTRIBUTE, instance.id);
+    };
+
+    /**
+     * Instance a chart element belongs to
+     * @param {HTMLElement} [element] Any element inside a chart container
+     * @returns {Object} Bound instance, or the adapter itself
+     */
+    adapter.forElement = function(element) {
+        const bound = element && typeof element.closest === 'function'
+            ? element.closest(`[${INSTANCE_ATTRIBUTE}]`)
+            : null;
+        return (bound && adapter.getInstance(bound.getAttribute(INSTANCE_ATTRIBUTE))) || adapter;
+    };
+
     // ============================================================================
     // Constants & Configuration
     // ============================================================================
@@ -147,6 +206,47 @@
         return Object.prototype.toString.call(value) === '[object Object]';
     }
 
+    /**
+     * Settings object over owner._settings (the adapter or an instance)
+     * @param {Object} owner
+     * @returns {{get: Function, set: Function, getAll: Function}}
+     */
+    function createSettings(owner) {
+        return {
+            get: function(key) {
+                return owner._settings[key];
+            },
+            set: function(key, value) {
+                owner._settings[key] = value;
+            },
+            getAll: function() {
+                return Object.assign({}, owner._settings);
+            }
+        };
+    }
+
+    /**
+     * Storage object over owner._storage (the adapter or an instance)
+     * @param {Object} owner
+     * @returns {{get: Function, set: Function, remove: Function, clear: Function}}
+     */
+    function createStorage(owner) {
+        return {
+            get: function(key) {
+                return owner._storage[key];
+            },
+            set: function(key, value) {
+                owner._storage[key] = value;
+            },
+            remove: function(key) {
+                delete owner._storage[key];
+            },
+            clear: function() {
+                owner._storage = {};
+            }
+        };
+    }
+
     function deepClone(value) {
         if (value === null || value === undefined) {
             return value;
@@ -333,22 +433,48 @@
         return indices;
     }
 
+    // Settings normalizeInput() takes from the settings store when the input does not carry them
+    const INPUT_SETTINGS = ['trueSolarTime', 'ziHourHandling', 'leapMonthHandling'];
+
+    /**
+     * Copy of the input with the INPUT_SETTINGS it lacks filled in from a settings store
+     * @param {Object} rawData Form-style input
+     * @param {Object} [settings] Settings store (the adapter's or an instance's)
+     * @returns {Object}
+     */
+    function withInputSettings(rawData, settings) {
+        if (!isPlainObject(rawData) || !settings || typeof settings.get !== 'function') {
+            return rawData;
+        }
+        const input = Object.assign({}, rawData);
+        INPUT_SETTINGS.forEach(function(name) {
+            if (typeof input[name] !== 'string' || !input[name]) {
+                const value = settings.get(name);
+                if (value) input[name] = value;
+            }
+        });
+        return input;
+    }
+
     /**
      * Normalizes and validates raw input data for Ziwei astrology calculations.
+     * @param {Object} originalData Form-style input
+     * @param {Object} [settings] Settings store for values the input does not carry
      */
-    function normalizeInput(rawData) {
+    function normalizeInput(originalData, settings = adapter.settings) {
+        const rawData = withInputSettings(originalData, settings);
         try {
             // STEP 1: Input sanitization and validation
             const sanitizedData = sanitizeAndValidateInput(rawData);
             
-            // STEP 2: Calendar processing with Zi hour handling
-            const { solar, lunar } = processCalendarData(sanitizedData, rawData);
+            // STEP 2: Calendar processing with Zi hour handling and true solar time
+            const { solar, effectiveSolar, lunar, timezoneAdjustment, trueSolarTime } = processCalendarData(sanitizedData, rawData);
             
-            // STEP 3: Time data processing and index calculation
-            const processedLunar = processTimeData(lunar, solar, rawData);
+            // STEP 3: Time data processing and index calculation (uses corrected time)
+            const processedLunar = processTimeData(lunar, effectiveSolar, rawData);
             
             // STEP 4: Metadata assembly
-            const meta = buildMetadata(sanitizedData, rawData);
+            const meta = buildMetadata(sanitizedData, rawData, timezoneAdjustment, trueSolarTime, settings);
             const strings = buildDisplayStrings(solar);
             
             // STEP 5: Final assembly
@@ -359,7 +485,7 @@
                 lunar: processedLunar,
                 indices: indices,
                 strings: strings,
-                raw: deepClone(rawData),
+                raw: deepClone(originalData),
                 ziHourHandling: meta.ziHourHandling
             };
 
@@ -373,7 +499,7 @@
             if (isAdapterError(error)) {
                 throw error;
             }
-            throw AdapterError('INPUT_NORMALIZATION_FAILED', '輸入資料處理失敗', { rawData: deepClone(rawData) }, error);
+            throw AdapterError('INPUT_NORMALIZATION_FAILED', '輸入資料處理失敗', { rawData: deepClone(originalData) }, error);
         }
     }
 
@@ -421,21 +547,149 @@
 
     /**
      * Processes calendar data with improved Zi hour handling.
+     * Daylight-saving / historical time zone offsets are removed first, then the
+     * optional true solar time correction is applied. The corrected time drives
+     * the lunar conversion and time index while `solar` keeps the clock time as entered.
      */
     function processCalendarData(sanitizedData, rawData) {
         const solar = createSolarObject(sanitizedData);
         const calendarType = normalizeCalendarType(rawData.calendarType);
+        const timezoneAdjustment = resolveTimezoneAdjustment(solar, rawData);
+        const standardSolar = timezoneAdjustment.applied ? timezoneAdjustment.corrected : solar;
+        const trueSolarTime = resolveTrueSolarTime(standardSolar, rawData);
+        const effectiveSolar = trueSolarTime.applied ? trueSolarTime.corrected : standardSolar;
         
         let lunar;
         if (calendarType === 'solar') {
-            lunar = convertSolarToLunarOptimized(solar, rawData);
+            lunar = convertSolarToLunarOptimized(effectiveSolar, rawData);
         } else if (rawData.lunar && isPlainObject(rawData.lunar)) {
             lunar = deepClone(rawData.lunar);
         } else {
             throw AdapterError('INVALID_CALENDAR_TYPE', '無效的曆法類型');
         }
         
-        return { solar, lunar };
+        return { solar, effectiveSolar, lunar, timezoneAdjustment, trueSolarTime };
+    }
+
+    /**
+     * Shift a solar date-time by a number of minutes, carrying over date changes.
+     * Computed in UTC to avoid DST artefacts of the browser time zone.
+     */
+    function shiftSolarMinutes(solar, minutes) {
+        const shifted = new Date(Date.UTC(solar.year, solar.month - 1, solar.day, solar.hour, solar.minute || 0) + minutes * 60000);
+        return {
+            year: shifted.getUTCFullYear(),
+            month: shifted.getUTCMonth() + 1,
+            day: shifted.getUTCDate(),
+            hour: shifted.getUTCHours(),
+            minute: shifted.getUTCMinutes()
+        };
+    }
+
+    function findBirthplaceCity(birthplace) {
+        const gazetteer = window.ziweiGazetteer;
+        return gazetteer && typeof gazetteer.findCity === 'function'
+            ? gazetteer.findCity(birthplace)
+            : null;
+    }
+
+    // ============================================================================
+    // Daylight Saving / Historical Time Zone (夏令時間)
+    // ============================================================================
+
+    /**
+     * Resolve the daylight-saving correction for the birth clock time.
+     * The region comes from the form selector (`timezoneRegion`); 'auto' uses the
+     * birthplace country from the gazetteer. Returns { applied: false } when the
+     * clock was on standard time.
+     */
+    function resolveTimezoneAdjustment(solar, rawData) {
+        const rules = window.ziweiTimezoneRules;
+        if (!rules || typeof rules.findClockOffset !== 'function') {
+            return { applied: false };
+        }
+
+        const selection = typeof rawData.timezoneRegion === 'string' && rawData.timezoneRegion
+            ? rawData.timezoneRegion
+            : rules.REGION_AUTO;
+        const city = selection === rules.REGION_AUTO ? findBirthplaceCity(rawData.birthplace) : null;
+        const region = rules.resolveRegion(selection, city ? city.country : null);
+        if (!region) {
+            return { applied: false };
+        }
+
+        const offset = rules.findClockOffset(region, solar);
+        if (!offset) {
+            return { applied: false, region: region };
+        }
+
+        return {
+            applied: true,
+            region: region,
+            regionLabel: rules.getRegionLabel(region),
+            label: offset.label,
+            offsetMinutes: offset.offsetMinutes,
+            original: Object.assign({}, solar),
+            corrected: shiftSolarMinutes(solar, -offset.offsetMinutes)
+        };
+    }
+
+    // ============================================================================
+    // True Solar Time (真太陽時)
+    // ============================================================================
+
+    /**
+     * Get true solar time preference with fallback to defaults.
+     */
+    function getTrueSolarTimeSetting(rawData) {
+        if (typeof rawData.trueSolarTime === 'string' && rawData.trueSolarTime) {
+            return rawData.trueSolarTime;
+        }
+        return DEFAULTS.TRUE_SOLAR_TIME;
+    }
+
+    /**
+     * Equation of time in minutes (apparent minus mean solar time).
+     * Uses the standard approximation, accurate to about half a minute.
+     */
+    function calculateEquationOfTime(year, month, day) {
+        const dayOfYear = Math.round((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / 86400000);
+        const b = 2 * Math.PI * (dayOfYear - 81) / 364;
+        return 9.87 * Math.sin(2 * b) - 7.53 * Math.cos(b) - 1.5 * Math.sin(b);
+    }
+
+    /**
+     * Resolve the true solar time correction for a birthplace.
+     * Correction = 4 minutes per degree between the birthplace longitude and the
+     * time zone meridian, plus the equation of time. Returns { applied: false }
+     * when the setting is off or the birthplace is not in the gazetteer.
+     */
+    function resolveTrueSolarTime(solar, rawData) {
+        if (getTrueSolarTimeSetting(rawData) !== 'longitude') {
+            return { applied: false };
+        }
+
+        const city = findBirthplaceCity(rawData.birthplace);
+        if (!city) {
+            warn('True solar time skipped: birthplace not found in gazetteer', rawData.birthplace);
+            return { applied: false, reason: 'birthplaceNotFound' };
+        }
+
+        const longitudeMinutes = (city.longitude - city.utcOffset * 15) * 4;
+        const equationMinutes = calculateEquationOfTime(solar.year, solar.month, solar.day);
+        const offsetMinutes = Math.round(longitudeMinutes + equationMinutes);
+
+        return {
+            applied: true,
+            city: city.name,
+            longitude: city.longitude,
+            utcOffset: city.utcOffset,
+            longitudeMinutes: Math.round(longitudeMinutes * 10) / 10,
+            equationMinutes: Math.round(equationMinutes * 10) / 10,
+            offsetMinutes: offsetMinutes,
+            original: Object.assign({}, solar),
+            corrected: shiftSolarMinutes(solar, offsetMinutes)
+        };
     }
 
     /**
@@ -492,15 +746,22 @@
      * Get Zi hour handling preference with fallback to defaults.
      */
     function getZiHourHandling(rawData) {
-        if (typeof rawData.ziHourHandling === 'string') {
+        if (typeof rawData.ziHourHandling === 'string' && rawData.ziHourHandling) {
             return rawData.ziHourHandling;
         }
-        if (adapter.settings?.get) {
-            return adapter.settings.get('ziHourHandling') || DEFAULTS.ZI_HOUR_HANDLING;
-        }
         return DEFAULTS.ZI_HOUR_HANDLING;
     }
 
+    /**
+     * Get leap month handling preference; null means the default (月中換月).
+     */
+    function getLeapMonthHandling(rawData) {
+        if (typeof rawData.leapMonthHandling === 'string' && rawData.leapMonthHandling) {
+            return rawData.leapMonthHandling;
+        }
+        return null;
+    }
+
     /**
      * Calculate Zi hour adjustment with early returns.
      */
@@ -573,8 +834,8 @@
     /**
      * Builds metadata with improved stem interpretation handling.
      */
-    function buildMetadata(sanitizedData, rawData) {
-        updateStemInterpretationsSafely(rawData.stemInterpretations);
+    function buildMetadata(sanitizedData, rawData, timezoneAdjustment, trueSolarTime, settings) {
+        updateStemInterpretationsSafely(rawData.stemInterpretations, settings);
         
         return {
             name: sanitizeName(rawData.name),
@@ -582,21 +843,24 @@
             birthplace: sanitizeText(rawData.birthplace),
             calendarType: normalizeCalendarType(rawData.calendarType),
             leapMonth: toBoolean(rawData.leapMonth),
-            leapMonthHandling: rawData.leapMonthHandling || null,
-            ziHourHandling: getZiHourHandling(rawData)
+            leapMonthHandling: getLeapMonthHandling(rawData),
+            ziHourHandling: getZiHourHandling(rawData),
+            timezoneRegion: sanitizeText(rawData.timezoneRegion) || null,
+            timezoneAdjustment: timezoneAdjustment && timezoneAdjustment.applied ? timezoneAdjustment : null,
+            trueSolarTime: trueSolarTime && trueSolarTime.applied ? trueSolarTime : null
         };
     }
 
     /**
      * Safely updates stem interpretations with graceful error handling.
      */
-    function updateStemInterpretationsSafely(stemInterpretations) {
+    function updateStemInterpretationsSafely(stemInterpretations, settings) {
         if (!stemInterpretations || typeof stemInterpretations !== 'object') return;
-        if (!adapter.settings?.set) return;
+        if (!settings?.set) return;
         
         try {
             Object.entries(stemInterpretations).forEach(([stem, interpretation]) => {
-                adapter.settings.set(`stemInterpretation_${stem}`, interpretation);
+                settings.set(`stemInterpretation_${stem}`, interpretation);
             });
         } catch (error) {
             warn('Failed to update stem interpretations:', error);
@@ -776,6 +1040,34 @@
                 }
             }
             
+            // Corrected time texts (date shown only when the correction crosses midnight)
+            function formatCorrectedTime(corrected, original) {
+                const sameDay = corrected.year === original.year &&
+                    corrected.month === original.month &&
+                    corrected.day === original.day;
+                const correctedDate = sameDay ? '' : `${corrected.year}年${corrected.month}月${corrected.day}日 `;
+                return `${correctedDate}${buildBirthtime(corrected.hour, corrected.minute)}`;
+            }
+
+            // Daylight-saving notice: offset removed from the clock time
+            const timezoneAdjustment = safeGet(normalized, 'meta.timezoneAdjustment');
+            if (timezoneAdjustment && timezoneAdjustment.applied && timezoneAdjustment.corrected) {
+                const original = timezoneAdjustment.original || {};
+                const offsetText = timezoneAdjustment.offsetMinutes % 60 === 0
+                    ? `${timezoneAdjustment.offsetMinutes / 60}小時`
+                    : `${timezoneAdjustment.offsetMinutes}分鐘`;
+                initialMerge.timezoneAdjustmentText = `已扣除${timezoneAdjustment.regionLabel}${timezoneAdjustment.label}${offsetText}：` +
+                    `${buildBirthtime(original.hour, original.minute)} → ${formatCorrectedTime(timezoneAdjustment.corrected, original)}`;
+            }
+
+            // True solar time text: corrected time with the original clock time
+            const trueSolarTime = safeGet(normalized, 'meta.trueSolarTime');
+            if (trueSolarTime && trueSolarTime.applied && trueSolarTime.corrected) {
+                const original = trueSolarTime.original || {};
+                initialMerge.trueSolarTimeText = `真太陽時：${formatCorrectedTime(trueSolarTime.corrected, original)}` +
+                    `（原時間 ${buildBirthtime(original.hour, original.minute)}，${trueSolarTime.city}）`;
+            }
+            
             // Enhanced lunar date processing
             const lunarData = safeGet(normalized, 'lunar');
             if (lunarData) {
@@ -872,7 +1164,8 @@
         }
         const meta = {
             lunar: context.lunar,
-            gender: context.meta.gender
+            gender: context.meta.gender,
+            leapMonthHandling: context.meta.leapMonthHandling ?? 'mid'
         };
         const result = palacesModule.calculatePalacePositions(meta) || {};
         if (!result || Object.keys(result).length === 0) {
@@ -926,6 +1219,32 @@
         return result;
     }
 
+    /**
+     * School (派別) profile from the 'school' setting (assets/data/schools.js)
+     * @param {Object} settings Settings store of the chart being calculated
+     * @returns {Object} Placement variants; empty (中州派 rules) when the module is missing
+     */
+    function resolveSchoolProfile(settings) {
+        const schoolsModule = adapter.getModule('schools');
+        if (!schoolsModule || typeof schoolsModule.getSchoolProfile !== 'function') {
+            return {};
+        }
+        let school = schoolsModule.DEFAULT_SCHOOL;
+        if (settings && typeof settings.get === 'function') {
+            const val = settings.get('school');
+            if (val) school = val;
+        }
+        return schoolsModule.getSchoolProfile(school);
+    }
+
+    function isClockwise(context) {
+        const basicModule = adapter.getModule('basic');
+        if (basicModule && typeof basicModule.isClockwise === 'function') {
+            return basicModule.isClockwise(context.meta.gender, context.lunar.lunarYear);
+        }
+        return true;
+    }
+
     function computeSecondaryStars(context) {
         const secondaryModule = adapter.getModule('secondary');
         if (!secondaryModule || typeof secondaryModule.calculateAllSecondaryStars !== 'function') {
@@ -935,7 +1254,9 @@
             monthIndex: context.indices.monthIndex,
             timeIndex: context.indices.timeIndex,
             stemIndex: context.indices.yearStemIndex,
-            branchIndex: context.indices.yearBranchIndex
+            branchIndex: context.indices.yearBranchIndex,
+            clockwise: isClockwise(context),
+            profile: resolveSchoolProfile(context.settings)
         };
         const result = secondaryModule.calculateAllSecondaryStars(payload);
         if (!result || Object.keys(result).length === 0) {
@@ -949,7 +1270,7 @@
         if (!mutationsModule || typeof mutationsModule.calculateBirthYearMutations !== 'function') {
             return null;
         }
-        return mutationsModule.calculateBirthYearMutations(context.indices.yearStemIndex);
+        return mutationsModule.calculateBirthYearMutations(context.indices.yearStemIndex, context.settings);
     }
 
     function resolveSecondaryPosition(secondaryStars, key) {
@@ -983,8 +1304,8 @@
         }
         
         let woundedServantHandling = 'zhongzhou';
-        if (adapter.settings && typeof adapter.settings.get === 'function') {
-            const val = adapter.settings.get('woundedServantHandling');
+        if (context.settings && typeof context.settings.get === 'function') {
+            const val = context.settings.get('woundedServantHandling');
             if (val) woundedServantHandling = val;
         }
         
@@ -997,7 +1318,7 @@
             indices.yearStemIndex,                           // yearStemIndex
             derived.mingPalace ? derived.mingPalace.index : null, // mingPalaceIndex
             shenPalaceIndex,                                 // shenPalaceIndex
-            context.gender,                                  // gender
+            context.meta.gender,                             // gender
             lunar.lunarYear,                                 // lunarYear
             migrationPalaceIndex,                            // migrationPalaceIndex
             resolveSecondaryPosition(secondaryStars, '文曲'), // literaryCraftIndex (文曲)
@@ -1005,7 +1326,8 @@
             resolveSecondaryPosition(secondaryStars, '右弼'), // rightAssistIndex (右弼)
             resolveSecondaryPosition(secondaryStars, '文昌'), // literaryTalentIndex (文昌)
             lunar.lunarDay,                                  // lunarDay
-            woundedServantHandling                           // woundedServantHandling
+            woundedServantHandling,                          // woundedServantHandling
+            resolveSchoolProfile(context.settings)           // profile (派別)
         );
     }
 
@@ -1021,17 +1343,10 @@
             return null;
         }
         
-        // Calculate direction based on gender and year
-        const basicModule = adapter.getModule('basic');
-        let isClockwise = true; // default
-        if (basicModule && typeof basicModule.isClockwise === 'function') {
-            isClockwise = basicModule.isClockwise(context.meta.gender, context.lunar.lunarYear);
-        }
-        
         return attributesModule.calculateAllAttributes(
             context.indices.yearBranchIndex,
             luCunIndex,
-            isClockwise
+            isClockwise(context)
         );
     }
 
@@ -1058,16 +1373,22 @@
         // Use lunar.lunarYear for lunarYear - needed for clockwise calculation.
         // Some places used `year` mistakenly; prefer `lunarYear` and fall back to `year` for compatibility.
         const lunarYear = context.lunar?.lunarYear ?? context.lunar?.year ?? null;
+        const profile = resolveSchoolProfile(context.settings);
         const major = lifeCycleModule.calculateMajorCycles(
             derived.nayin.loci,
             context.meta.gender,
             lunarYear,
-            derived.mingPalace.index
+            derived.mingPalace.index,
+            profile
         );
         const twelve = typeof lifeCycleModule.calculateTwelveLongLifePositions === 'function'
-            ? lifeCycleModule.calculateTwelveLongLifePositions(derived.nayin.loci, context.meta.gender, lunarYear)
+            ? lifeCycleModule.calculateTwelveLongLifePositions(derived.nayin.loci, context.meta.gender, lunarYear, profile, derived.mingPalace.index)
             : {};
-        return { major: major, twelve: twelve };
+        const minorLimitModule = adapter.getModule('minorLimit');
+        const minor = minorLimitModule && typeof minorLimitModule.calculateMinorLimits === 'function'
+            ? minorLimitModule.calculateMinorLimits(context.indices.yearBranchIndex, context.meta.gender)
+            : [];
+        return { major: major, twelve: twelve, minor: minor };
     }
 
     // ============================================================================
@@ -1075,16 +1396,21 @@
     // ============================================================================
 
     adapter.calculate = function(inputData) {
+        // Called on an instance, the instance's settings apply and the result
+        // becomes that instance's current chart
+        const target = this && typeof this.setCurrentChart === 'function' ? this : adapter;
+        const settings = target.settings || adapter.settings;
         try {
             log('Starting calculation with input:', inputData);
 
-            const normalized = normalizeInput(inputData);
+            const normalized = normalizeInput(inputData, settings);
             const context = {
                 meta: normalized.meta,
                 lunar: normalized.lunar,
                 solar: normalized.solar,
                 indices: normalized.indices,
-                strings: normalized.strings
+                strings: normalized.strings,
+                settings: settings
             };
 
             // 1. Compute Palaces
@@ -1138,7 +1464,7 @@
                 normalized: normalized
             };
 
-            adapter.setCurrentChart(output);
+            target.setCurrentChart(output);
             log('Calculation completed successfully.', output);
             return output;
 
@@ -1151,7 +1477,11 @@
         }
     };
 
-    // Expose normalizeInput for external use (e.g. form validation)
-    adapter.normalizeInput = normalizeInput;
+    // Expose normalizeInput for external use (e.g. form validation); on an
+    // instance it reads the instance's settings
+    adapter.normalizeInput = function(rawData) {
+        const owner = this && this.settings ? this : adapter;
+        return normalizeInput(rawData, owner.settings);
+    };
 
 })(window);
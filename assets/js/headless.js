@@ -0,0 +1,204 @@
+/**
+ * Headless Calculation Entry
+ *
+ * Runs the calculation layer without a browser or DOM. Under Node.js the
+ * constants, data tables, astrology modules and data-adapter.js are loaded
+ * into an isolated `vm` context (acting as `window`) in the same order as
+ * Ziwei_Enqueuer; in a browser the already-enqueued window.ziweiAdapter is used.
+ *
+ * Usage (Node.js):
+ *   const { calculateChart } = require('./assets/js/headless.js');
+ *   const chart = calculateChart(
+ *       { gender: 'M', year: 1990, month: 5, day: 3, hour: 14, minute: 30 },
+ *       { ziHourHandling: 'ziChange', stemInterpretations: { 戊: 'interpretation_2' } }
+ *   );
+ *
+ * Dependencies (Node.js loads these itself):
+ * - assets/data/constants.js, gazetteer.js, timezone-rules.js, palaces-name.js,
+ *   nayin.js, mutation.js, brightness.js, schools.js
+ * - assets/js/adapter-utils.js
+ * - assets/calculate/common/lunar-converter.js
+ * - assets/calculate/astrology/*.js
+ * - assets/js/data-adapter.js
+ *
+ * Exports: module.exports (CommonJS) / window.ziweiHeadless (browser)
+ */
+
+(function(root, factory) {
+    'use strict';
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(createNodeWindow(), true);
+    } else {
+        root.ziweiHeadless = factory(root, false);
+    }
+
+    /**
+     * Script load order, relative to the plugin root (mirrors Ziwei_Enqueuer)
+     */
+    function getScriptFiles() {
+        return [
+            'assets/data/constants.js',
+            'assets/js/adapter-utils.js',
+            'assets/calculate/common/lunar-converter.js',
+            'assets/data/gazetteer.js',
+            'assets/data/timezone-rules.js',
+            'assets/data/palaces-name.js',
+            'assets/data/nayin.js',
+            'assets/data/mutation.js',
+            'assets/data/brightness.js',
+            'assets/data/schools.js',
+            'assets/calculate/astrology/basic.js',
+            'assets/calculate/astrology/gender-calculator.js',
+            'assets/calculate/astrology/palaces.js',
+            'assets/calculate/astrology/primary.js',
+            'assets/calculate/astrology/life-cycle.js',
+            'assets/calculate/astrology/minor-limit.js',
+            'assets/calculate/astrology/secondary.js',
+            'assets/calculate/astrology/mutations.js',
+            'assets/calculate/astrology/minor-stars.js',
+            'assets/calculate/astrology/attributes.js',
+            'assets/calculate/astrology/brightness.js',
+            'assets/calculate/astrology/major-cycle.js',
+            'assets/calculate/astrology/monthly-cycle.js',
+            'assets/calculate/astrology/daily-cycle.js',
+            'assets/js/data-adapter.js'
+        ];
+    }
+
+    /**
+     * Build a sandboxed `window` and load the calculation scripts into it.
+     * The modules declare top-level globals (e.g. solarToLunar, STEM_NAMES),
+     * so they run in their own context instead of polluting Node's global.
+     * @returns {Object} Sandbox global with ziweiAdapter attached
+     */
+    function createNodeWindow() {
+        const fs = require('fs');
+        const path = require('path');
+        const vm = require('vm');
+
+        const pluginRoot = path.resolve(__dirname, '..', '..');
+        const sandbox = {
+            console: console,
+            setTimeout: setTimeout,
+            clearTimeout: clearTimeout,
+            structuredClone: typeof structuredClone === 'function' ? structuredClone : undefined
+        };
+        sandbox.window = sandbox;
+        sandbox.globalThis = sandbox;
+        vm.createContext(sandbox);
+
+        getScriptFiles().forEach(function(file) {
+            const code = fs.readFileSync(path.join(pluginRoot, file), 'utf8');
+            vm.runInContext(code, sandbox, { filename: file });
+        });
+
+        // calculator.js drives the DOM and is not loaded; the adapter only needs
+        // its hour-to-時辰 helper when the lunar data lacks a timeIndex.
+        if (!sandbox.ziweiCalculator) {
+            sandbox.ziweiCalculator = {
+                getMilitaryHourIndex: function(timeStr) {
+                    return sandbox.getTimeIndex(String(timeStr || '0').split(':')[0]);
+                }
+            };
+        }
+
+        return sandbox;
+    }
+}(typeof self !== 'undefined' ? self : this, function(window, isNode) {
+    'use strict';
+
+    const adapter = window.ziweiAdapter;
+    const constants = window.ziweiConstants;
+
+    // Settings the adapter reads from the input rather than adapter.settings
+    const INPUT_SETTINGS = ['leapMonthHandling', 'ziHourHandling', 'trueSolarTime', 'timezoneRegion'];
+
+    /**
+     * Copy a value created in the sandbox into the caller's realm so that
+     * Array.isArray / instanceof and deep-equality checks behave normally
+     */
+    function toCallerRealm(value) {
+        if (!isNode || value === null || value === undefined) {
+            return value;
+        }
+        return structuredClone(value);
+    }
+
+    /**
+     * Re-create an adapter error in the caller's realm, keeping type/context
+     */
+    function toCallerError(err) {
+        if (!isNode || !err) {
+            return err;
+        }
+        const error = new Error(err.message);
+        error.name = err.name;
+        if (err.type !== undefined) error.type = err.type;
+        if (err.context !== undefined) error.context = toCallerRealm(err.context);
+        if (err.timestamp !== undefined) error.timestamp = err.timestamp;
+        if (err.cause !== undefined) error.cause = err.cause;
+        return error;
+    }
+
+    /**
+     * Flatten calculation settings into adapter setting names
+     * @param {Object} settings Adapter setting names to values; `stemInterpretations`
+     *                          maps controversial stems to interpretation keys
+     * @returns {Object} Setting name → value
+     */
+    function toSettingValues(settings) {
+        const values = {};
+        Object.entries(settings || {}).forEach(function([key, value]) {
+            if (value === undefined || value === null) return;
+            if (key === 'stemInterpretations') {
+                Object.entries(value).forEach(function([stem, interpretation]) {
+                    values[`stemInterpretation_${stem}`] = interpretation;
+                });
+                return;
+            }
+            values[key] = value;
+        });
+        return values;
+    }
+
+    /**
+     * Calculate a full chart
+     *
+     * @param {Object} input Form-style birth data (gender, year, month, day, hour, minute,
+     *                       optional name, birthplace, calendarType, leapMonth, ...)
+     * @param {Object} [settings={}] Calculation settings, e.g. leapMonthHandling,
+     *                               ziHourHandling, woundedServantHandling, trueSolarTime,
+     *                               stemInterpretations { 戊: 'interpretation_2', ... }
+     * @returns {Object} Same object as window.ziweiAdapter.calculate()
+     * @throws {Error} AdapterError (name 'AdapterError', with type/context) on invalid input
+     */
+    function calculateChart(input, settings) {
+        const resolvedSettings = settings || {};
+        const rawData = Object.assign({}, input);
+
+        INPUT_SETTINGS.forEach(function(key) {
+            if (rawData[key] === undefined && typeof resolvedSettings[key] === 'string') {
+                rawData[key] = resolvedSettings[key];
+            }
+        });
+
+        // Each call runs on its own adapter instance, so calls do not leak into
+        // each other or into the settings panel when used in a browser
+        const instance = adapter.createInstance(undefined, toSettingValues(resolvedSettings));
+
+        try {
+            return toCallerRealm(instance.calculate(rawData));
+        } catch (err) {
+            throw toCallerError(err);
+        } finally {
+            adapter.removeInstance(instance.id);
+        }
+    }
+
+    return {
+        calculateChart: calculateChart,
+        adapter: adapter,
+        constants: constants
+    };
+}));
@@ -0,0 +1,203 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * Admin Settings Page (Settings → 紫微斗數)
+ *
+ * Site-wide plugin options, registered through the WordPress Settings API:
+ * chart setting defaults and feature switches (Ziwei_Site_Settings) and the
+ * export library source (Ziwei_Vendor_Assets).
+ *
+ * @package Ziwei_Cal
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Registers the options page and its fields.
+ */
+final class Ziwei_Admin_Settings {
+
+    public const PAGE_SLUG = 'ziwei-cal-settings';
+    private const OPTION_GROUP = 'ziwei_cal_settings';
+    private const SECTION_EXPORT = 'ziwei_cal_section_export';
+    private const SECTION_FEATURES = 'ziwei_cal_section_features';
+    private const SECTION_DEFAULTS_PREFIX = 'ziwei_cal_section_defaults_';
+
+    /**
+     * Hook into the admin.
+     *
+     * @return void
+     */
+    public static function init(): void {
+        add_action('admin_menu', [self::class, 'add_page']);
+        add_action('admin_init', [self::class, 'register_settings']);
+    }
+
+    /**
+     * @return void
+     */
+    public static function add_page(): void {
+        add_options_page('紫微斗數設定', '紫微斗數', 'manage_options', self::PAGE_SLUG, [self::class, 'render_page']);
+    }
+
+    /**
+     * @return void
+     */
+    public static function register_settings(): void {
+        register_setting(self::OPTION_GROUP, Ziwei_Site_Settings::DEFAULTS_OPTION, [
+            'type' => 'array',
+            'default' => [],
+            'sanitize_callback' => [Ziwei_Site_Settings::class, 'sanitize_defaults'],
+        ]);
+        register_setting(self::OPTION_GROUP, Ziwei_Site_Settings::FEATURES_OPTION, [
+            'type' => 'array',
+            'sanitize_callback' => [Ziwei_Site_Settings::class, 'sanitize_features'],
+        ]);
+
+        // One section per settings panel category
+        $sections = [];
+        foreach (Ziwei_Site_Settings::get_settings() as $name => $setting) {
+            $section = self::SECTION_DEFAULTS_PREFIX . md5($setting['category']);
+            if (!isset($sections[$section])) {
+                $callback = empty($sections) ? [self::class, 'render_defaults_intro'] : '__return_false';
+                add_settings_section($section, '預設設定：' . $setting['category'], $callback, self::PAGE_SLUG);
+                $sections[$section] = true;
+            }
+            add_settings_field(
+                'ziwei_cal_default_' . $name,
+                $setting['label'],
+                [self::class, 'render_default_field'],
+                self::PAGE_SLUG,
+                $section,
+                ['name' => $name, 'label_for' => 'ziwei_cal_default_' . $name]
+            );
+        }
+
+        add_settings_section(self::SECTION_FEATURES, '功能', '__return_false', self::PAGE_SLUG);
+        add_settings_field(
+            Ziwei_Site_Settings::FEATURES_OPTION,
+            '啟用功能',
+            [self::class, 'render_features_field'],
+            self::PAGE_SLUG,
+            self::SECTION_FEATURES
+        );
+
+        register_setting(self::OPTION_GROUP, Ziwei_Vendor_Assets::OPTION, [
+            'type' => 'string',
+            'default' => Ziwei_Vendor_Assets::SOURCES[0],
+            'sanitize_callback' => [Ziwei_Vendor_Assets::class, 'sanitize_source'],
+        ]);
+
+        add_settings_section(self::SECTION_EXPORT, '匯出', '__return_false', self::PAGE_SLUG);
+        add_settings_field(
+            Ziwei_Vendor_Assets::OPTION,
+            '匯出函式庫來源',
+            [self::class, 'render_vendor_source_field'],
+            self::PAGE_SLUG,
+            self::SECTION_EXPORT
+        );
+    }
+
+    /**
+     * @return void
+     */
+    public static function render_page(): void {
+        if (!current_user_can('manage_options')) {
+            return;
+        }
+        ?>
+        <div class="wrap">
+            <h1><?php echo esc_html(get_admin_page_title()); ?></h1>
+            <form action="options.php" method="post">
+                <?php
+                settings_fields(self::OPTION_GROUP);
+                do_settings_sections(self::PAGE_SLUG);
+                submit_button();
+                ?>
+            </form>
+        </div>
+        <?php
+    }
+
+    /**
+     * @return void
+     */
+    public static function render_defaults_intro(): void {
+        echo '<p>訪客開啟命盤時的設定值；訪客仍可在命盤的設定面板自行更改。</p>';
+    }
+
+    /**
+     * Select box for one Ziwei_Site_Settings::DEFAULTS_OPTION entry.
+     *
+     * @param array{name: string, label_for: string} $args Field arguments
+     * @return void
+     */
+    public static function render_default_field(array $args): void {
+        $settings = Ziwei_Site_Settings::get_settings();
+        $name = $args['name'];
+        $current = Ziwei_Site_Settings::get_defaults()[$name];
+        $builtin = array_key_first($settings[$name]['options']);
+
+        printf(
+            '<select id="%1$s" name="%2$s[%3$s]">',
+            esc_attr($args['label_for']),
+            esc_attr(Ziwei_Site_Settings::DEFAULTS_OPTION),
+            esc_attr($name)
+        );
+        foreach ($settings[$name]['options'] as $value => $label) {
+            printf(
+                '<option value="%1$s"%2$s>%3$s</option>',
+                esc_attr($value),
+                selected($current, $value, false),
+                esc_html($value === $builtin ? $label . '（外掛預設）' : $label)
+            );
+        }
+        echo '</select>';
+    }
+
+    /**
+     * Checkboxes for Ziwei_Site_Settings::FEATURES_OPTION.
+     *
+     * @return void
+     */
+    public static function render_features_field(): void {
+        $features = Ziwei_Site_Settings::get_features();
+        foreach (Ziwei_Site_Settings::FEATURES as $key => $label) {
+            printf(
+                '<label><input type="checkbox" name="%1$s[%2$s]" value="1"%3$s> %4$s</label><br>',
+                esc_attr(Ziwei_Site_Settings::FEATURES_OPTION),
+                esc_attr($key),
+                checked($features[$key], true, false),
+                esc_html($label)
+            );
+        }
+        echo '<p class="description">停用的功能不會在命盤頁面顯示；停用 PDF 匯出時亦不會載入 jsPDF。</p>';
+    }
+
+    /**
+     * Radio buttons for Ziwei_Vendor_Assets::OPTION.
+     *
+     * @return void
+     */
+    public static function render_vendor_source_field(): void {
+        $current = Ziwei_Vendor_Assets::get_source();
+        $labels = [
+            'local' => '本機（外掛內附檔案，適用於無對外網路的內部網站）',
+            'cdn' => 'CDN（cdn.jsdelivr.net）',
+        ];
+        foreach ($labels as $value => $label) {
+            printf(
+                '<label><input type="radio" name="%1$s" value="%2$s"%3$s> %4$s</label><br>',
+                esc_attr(Ziwei_Vendor_Assets::OPTION),
+                esc_attr($value),
+                checked($current, $value, false),
+                esc_html($label)
+            );
+        }
+        echo '<p class="description">PNG／PDF 匯出所用的 dom-to-image、pako、UPNG、jsPDF 與 PDF 內嵌的思源黑體（Noto Sans TC）。字型只內附子集（命盤及報告用字），姓名或出生地用到子集以外的字時，一律由 CDN 載入完整字型。兩種來源皆以 SRI 雜湊驗證檔案內容。</p>';
+    }
+}
@@ -0,0 +1,828 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * Ziwei Chart Calculator (server-side)
+ *
+ * PHP port of the calculation layer (assets/calculate/astrology/*.js and
+ * assets/js/data-adapter.js) used by the REST endpoint. calculate() returns
+ * the same structure as ziweiAdapter.calculate() so bots and batch tools can
+ * consume charts without a browser:
+ * { meta, lunar, indices, derived, sections }
+ *
+ * Not ported: daylight-saving subtraction and true solar time correction.
+ * The submitted time is treated as the final local clock time, which matches
+ * the browser with 夏令時間 set to 不扣除 and 真太陽時 set to 不校正.
+ *
+ * When changing a rule here, change the matching JS module as well.
+ *
+ * @package Ziwei_Cal
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Full chart calculation mirroring ziweiAdapter.calculate().
+ */
+final class Ziwei_Chart_Calculator {
+
+    private const STEM_NAMES = ['甲', '乙', '丙', '丁', '戊', '己', '庚', '辛', '壬', '癸'];
+    private const BRANCH_NAMES = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+
+    private const DEFAULT_NAME = '無名氏';
+
+    /** Allowed setting values, first entry is the default (see config.js). */
+    public const LEAP_MONTH_HANDLING = ['mid', 'current', 'next'];
+    public const ZI_HOUR_HANDLING = ['midnightChange', 'ziChange'];
+    public const WOUNDED_SERVANT_HANDLING = ['zhongzhou', 'noDistinction'];
+
+    /** 派別 placement variants, first entry is the default (assets/data/schools.js) */
+    public const SCHOOL_PROFILES = [
+        'zhongzhou' => ['fireBells' => 'hourClockwise', 'tianMa' => 'year', 'kuiYue' => 'jiaWuGeng', 'xunKong' => 'paired', 'longLife' => 'nayin', 'majorCycleAge' => 'nominal'],
+        'sanhe' => ['fireBells' => 'hourClockwise', 'tianMa' => 'year', 'kuiYue' => 'gengXin', 'xunKong' => 'single', 'longLife' => 'nayin', 'majorCycleAge' => 'nominal'],
+        'feixing' => ['fireBells' => 'yinYang', 'tianMa' => 'year', 'kuiYue' => 'jiaWuGeng', 'xunKong' => 'single', 'longLife' => 'nayin', 'majorCycleAge' => 'actual'],
+        'qintian' => ['fireBells' => 'yinYang', 'tianMa' => 'month', 'kuiYue' => 'gengXin', 'xunKong' => 'single', 'longLife' => 'ming', 'majorCycleAge' => 'actual'],
+    ];
+
+    /** 天魁/天鉞 by stem (甲-癸) per kuiYue variant (secondary.js CELESTIAL_TABLES) */
+    private const CELESTIAL_TABLES = [
+        'jiaWuGeng' => [[1, 0, 11, 11, 1, 0, 1, 6, 3, 3], [7, 8, 9, 9, 7, 8, 7, 2, 5, 5]],
+        'gengXin' => [[1, 0, 11, 11, 1, 0, 6, 6, 3, 3], [7, 8, 9, 9, 7, 8, 2, 2, 5, 5]],
+    ];
+
+    /** Palace names clockwise from 命宮 (assets/data/palaces-name.js) */
+    private const PALACE_NAMES = ['命宮', '父母', '福德', '田宅', '事業', '交友', '遷移', '疾厄', '財帛', '子女', '夫妻', '兄弟'];
+
+    /** Combined names when 身宮 shares a palace */
+    private const SHEN_PALACE_COMBINE = [
+        '命宮' => '身命',
+        '福德' => '身福',
+        '事業' => '身事',
+        '官祿' => '身官',
+        '夫妻' => '身夫',
+        '財帛' => '身財',
+        '遷移' => '身遷',
+    ];
+
+    /** 五行局 by branch group (rows) and stem group (columns) (assets/data/nayin.js) */
+    private const NAYIN_MATRIX = [
+        [4, 2, 6, 5, 3],
+        [2, 6, 5, 3, 4],
+        [6, 5, 3, 4, 2],
+        [4, 2, 6, 5, 3],
+        [2, 6, 5, 3, 4],
+        [6, 5, 3, 4, 2],
+    ];
+
+    private const NAYIN_NAMES = [2 => '水二局', 3 => '木三局', 4 => '金四局', 5 => '土五局', 6 => '火六局'];
+
+    private const MASTER_STARS = ['貪狼', '巨門', '祿存', '文曲', '廉貞', '武曲', '破軍', '武曲', '廉貞', '文曲', '祿存', '巨門'];
+    private const BODY_STARS = ['火星', '天相', '天梁', '天同', '文昌', '天機', '火星', '天相', '天梁', '天同', '文昌', '天機'];
+
+    /** 中州派四化 (assets/data/mutation.js) */
+    private const MUTATIONS = [
+        '甲' => ['祿' => '廉貞', '權' => '破軍', '科' => '武曲', '忌' => '太陽'],
+        '乙' => ['祿' => '天機', '權' => '天梁', '科' => '紫微', '忌' => '太陰'],
+        '丙' => ['祿' => '天同', '權' => '天機', '科' => '文昌', '忌' => '廉貞'],
+        '丁' => ['祿' => '太陰', '權' => '天同', '科' => '天機', '忌' => '巨門'],
+        '戊' => ['祿' => '貪狼', '權' => '太陰', '科' => '太陽', '忌' => '天機'],
+        '己' => ['祿' => '武曲', '權' => '貪狼', '科' => '天梁', '忌' => '文曲'],
+        '庚' => ['祿' => '太陽', '權' => '武曲', '科' => '天府', '忌' => '天同'],
+        '辛' => ['祿' => '巨門', '權' => '太陽', '科' => '文曲', '忌' => '文昌'],
+        '壬' => ['祿' => '天梁', '權' => '紫微', '科' => '天府', '忌' => '武曲'],
+        '癸' => ['祿' => '破軍', '權' => '巨門', '科' => '太陰', '忌' => '貪狼'],
+    ];
+
+    /** Alternative 四化 for controversial stems, keyed by stemInterpretation value */
+    private const CONTROVERSIAL_MUTATIONS = [
+        '甲' => [
+            'interpretation_1' => ['祿' => '廉貞', '權' => '破軍', '科' => '武曲', '忌' => '太陽'],
+            'interpretation_2' => ['祿' => '廉貞', '權' => '破軍', '科' => '文曲', '忌' => '太陽'],
+        ],
+        '戊' => [
+            'interpretation_1' => ['祿' => '貪狼', '權' => '太陰', '科' => '太陽', '忌' => '天機'],
+            'interpretation_2' => ['祿' => '貪狼', '權' => '太陰', '科' => '右弼', '忌' => '天機'],
+        ],
+        '庚' => [
+            'interpretation_1' => ['祿' => '太陽', '權' => '武曲', '科' => '天府', '忌' => '天同'],
+            'interpretation_2' => ['祿' => '太陽', '權' => '武曲', '科' => '太陰', '忌' => '天同'],
+            'interpretation_3' => ['祿' => '太陽', '權' => '武曲', '科' => '天同', '忌' => '太陰'],
+            'interpretation_4' => ['祿' => '太陽', '權' => '武曲', '科' => '天同', '忌' => '天相'],
+        ],
+        '辛' => [
+            'interpretation_1' => ['祿' => '巨門', '權' => '太陽', '科' => '文曲', '忌' => '文昌'],
+            'interpretation_2' => ['祿' => '巨門', '權' => '太陽', '科' => '武曲', '忌' => '文昌'],
+        ],
+        '壬' => [
+            'interpretation_1' => ['祿' => '天梁', '權' => '紫微', '科' => '天府', '忌' => '武曲'],
+            'interpretation_2' => ['祿' => '天梁', '權' => '紫微', '科' => '左輔', '忌' => '武曲'],
+        ],
+        '癸' => [
+            'interpretation_1' => ['祿' => '破軍', '權' => '巨門', '科' => '太陰', '忌' => '貪狼'],
+            'interpretation_2' => ['祿' => '破軍', '權' => '巨門', '科' => '太陽', '忌' => '貪狼'],
+        ],
+    ];
+
+    /** 斗數全書 brightness by branch 子-亥 (assets/data/brightness.js) */
+    private const BRIGHTNESS_SHUOSHU = [
+        '紫微' => ['平', '廟', '廟', '旺', '陷', '旺', '廟', '廟', '旺', '平', '閒', '旺'],
+        '天機' => ['廟', '陷', '地', '旺', '利', '平', '廟', '陷', '地', '旺', '利', '平'],
+        '太陽' => ['陷', '失', '旺', '廟', '旺', '旺', '旺', '地', '地', '平', '失', '陷'],
+        '武曲' => ['旺', '廟', '地', '利', '廟', '平', '旺', '廟', '地', '利', '廟', '平'],
+        '天同' => ['旺', '失', '利', '平', '平', '廟', '陷', '失', '旺', '平', '平', '廟'],
+        '廉貞' => ['平', '利', '廟', '平', '利', '陷', '平', '利', '廟', '平', '利', '陷'],
+        '天府' => ['廟', '廟', '廟', '地', '廟', '地', '旺', '廟', '地', '旺', '廟', '地'],
+        '太陰' => ['廟', '廟', '旺', '陷', '陷', '陷', '失', '失', '利', '旺', '旺', '廟'],
+        '貪狼' => ['旺', '廟', '平', '利', '廟', '陷', '旺', '廟', '平', '利', '廟', '陷'],
+        '巨門' => ['旺', '失', '廟', '廟', '陷', '旺', '旺', '失', '廟', '廟', '陷', '旺'],
+        '天相' => ['廟', '廟', '廟', '陷', '地', '地', '廟', '廟', '廟', '陷', '地', '地'],
+        '天梁' => ['廟', '旺', '廟', '廟', '廟', '陷', '廟', '旺', '陷', '地', '廟', '陷'],
+        '七殺' => ['旺', '廟', '廟', '旺', '廟', '平', '旺', '廟', '廟', '旺', '廟', '平'],
+        '破軍' => ['廟', '旺', '地', '陷', '旺', '平', '廟', '旺', '地', '陷', '旺', '平'],
+        '天魁' => ['旺', '旺', '-', '廟', '-', '-', '廟', '-', '-', '-', '-', '旺'],
+        '天鉞' => ['-', '-', '旺', '-', '-', '旺', '-', '旺', '廟', '廟', '-', '-'],
+        '左輔' => ['旺', '廟', '廟', '陷', '廟', '平', '旺', '廟', '平', '陷', '廟', '閒'],
+        '右弼' => ['廟', '廟', '旺', '陷', '廟', '平', '旺', '廟', '閒', '陷', '廟', '平'],
+        '文昌' => ['地', '廟', '陷', '利', '地', '廟', '陷', '利', '地', '廟', '陷', '利'],
+        '文曲' => ['地', '廟', '平', '旺', '地', '廟', '陷', '旺', '地', '廟', '陷', '旺'],
+        '火星' => ['陷', '地', '廟', '利', '陷', '地', '廟', '利', '陷', '地', '廟', '利'],
+        '鈴星' => ['陷', '地', '廟', '利', '陷', '地', '廟', '利', '陷', '地', '廟', '利'],
+        '祿存' => ['廟', '-', '廟', '廟', '-', '廟', '廟', '-', '廟', '廟', '-', '廟'],
+        '擎羊' => ['陷', '廟', '-', '陷', '廟', '-', '平', '廟', '-', '陷', '廟', '-'],
+        '陀羅' => ['-', '廟', '陷', '-', '廟', '陷', '-', '廟', '陷', '-', '廟', '陷'],
+        '地空' => ['平', '陷', '陷', '平', '陷', '廟', '廟', '平', '廟', '廟', '陷', '陷'],
+        '地劫' => ['陷', '陷', '平', '平', '陷', '閒', '廟', '平', '廟', '平', '平', '旺'],
+    ];
+
+    private const TAI_SUI_STARS = ['太歲', '晦氣', '喪門', '貫索', '官符', '小耗', '歲破', '龍德', '白虎', '天德', '吊客', '病符'];
+    private const JIANG_QIAN_STARS = ['將星', '攀鞍', '歲驛', '息神', '華蓋', '劫煞', '災煞', '天煞', '指背', '咸池', '月煞', '亡神'];
+    private const BO_SHI_STARS = ['博士', '力士', '青龍', '小耗', '將軍', '奏書', '飛廉', '喜神', '病符', '大耗', '伏兵', '官符'];
+
+    private const TWELVE_LIFE_STAGES = ['長生', '沐浴', '冠帶', '臨官', '帝旺', '衰', '病', '死', '墓', '絕', '胎', '養'];
+
+    /** 長生 start palace by 五行局 (assets/calculate/astrology/life-cycle.js) */
+    private const NAYIN_LOCI_TO_PALACE = [2 => 8, 3 => 11, 4 => 5, 5 => 8, 6 => 2];
+
+    /** 小限 start palace by year branch (assets/calculate/astrology/minor-limit.js) */
+    private const MINOR_LIMIT_START_PALACE = [10, 7, 4, 1, 10, 7, 4, 1, 10, 7, 4, 1];
+    private const MINOR_LIMIT_MAX_AGE = 120;
+
+    /**
+     * 四化 tables of the controversial stems, for the stemInterpretation settings.
+     *
+     * @return array<string, array<string, array<string, string>>> Stem → interpretation_N → 化 type → star
+     */
+    public static function get_stem_interpretations(): array {
+        return self::CONTROVERSIAL_MUTATIONS;
+    }
+
+    /**
+     * Calculate a full chart.
+     *
+     * @param array $input Birth data: gender ('M'|'F'), year, month, day, hour, minute,
+     *                     optional name, birthplace, leapMonthHandling, ziHourHandling,
+     *                     woundedServantHandling, school, stemInterpretations (e.g. ['甲' => 'interpretation_2']).
+     * @return array Chart in the ziweiAdapter.calculate() shape.
+     * @throws InvalidArgumentException When the birth data is invalid or out of range.
+     */
+    public static function calculate(array $input): array {
+        $settings = self::normalize_settings($input);
+        $solar = self::normalize_solar($input);
+        $gender = $input['gender'] ?? '';
+        if ($gender !== 'M' && $gender !== 'F') {
+            throw new InvalidArgumentException('請選擇性別');
+        }
+
+        // Calendar conversion (子時 handling only moves the date, never the hour)
+        $conversion = $solar;
+        if ($settings['ziHourHandling'] === 'ziChange' && $solar['hour'] === 23) {
+            $next = Ziwei_Lunar_Converter::solar_from_int(
+                Ziwei_Lunar_Converter::solar_to_int($solar['year'], $solar['month'], $solar['day']) + 1
+            );
+            $conversion = array_merge($solar, $next);
+        }
+        $lunar = Ziwei_Lunar_Converter::solar_to_lunar(
+            $conversion['year'],
+            $conversion['month'],
+            $conversion['day'],
+            $solar['hour'],
+            $solar['minute']
+        );
+        if ($lunar === null) {
+            throw new InvalidArgumentException('國曆轉農曆失敗');
+        }
+        if ($lunar['lunarYear'] < 800 || $lunar['lunarYear'] > 2200) {
+            throw new InvalidArgumentException('農曆年份超出支援範圍。');
+        }
+
+        $meta = [
+            'name' => self::sanitize_name($input['name'] ?? null),
+            'gender' => $gender,
+            'birthplace' => is_string($input['birthplace'] ?? null) ? trim($input['birthplace']) : '',
+            'calendarType' => 'solar',
+            'leapMonth' => false,
+            'leapMonthHandling' => $settings['leapMonthHandlingInput'],
+            'ziHourHandling' => $settings['ziHourHandling'],
+            'timezoneRegion' => null,
+            'timezoneAdjustment' => null,
+            'trueSolarTime' => null,
+        ];
+
+        $indices = self::derive_indices($lunar, $gender, $settings['leapMonthHandling']);
+
+        // 1. Palaces
+        $palaces = self::calculate_palaces($lunar, $settings['leapMonthHandling']);
+        $ming_palace = null;
+        $shen_palace = null;
+        foreach ($palaces as $palace) {
+            if ($palace['isMing']) {
+                $ming_palace = $palace;
+            }
+            if ($palace['isShen']) {
+                $shen_palace = $palace;
+            }
+        }
+        $loci = self::NAYIN_MATRIX[intdiv($ming_palace['index'], 2)][intdiv($ming_palace['stemIndex'], 2)];
+        $nayin = ['loci' => $loci, 'name' => self::NAYIN_NAMES[$loci]];
+
+        // 2. Stars
+        $profile = self::SCHOOL_PROFILES[$settings['school']];
+        $clockwise = self::is_clockwise($gender, $lunar['lunarYear']);
+        $primary_stars = self::place_primary_stars($lunar['lunarDay'], $loci);
+        $secondary_stars = self::calculate_secondary_stars($indices, $profile, $clockwise);
+        $mutations = self::calculate_mutations($indices['yearStemIndex'], $settings['stemInterpretations']);
+        $minor_stars = self::calculate_minor_stars(
+            $indices,
+            $ming_palace['index'],
+            $shen_palace ? $shen_palace['index'] : null,
+            $clockwise,
+            $secondary_stars,
+            $lunar['lunarDay'],
+            $settings['woundedServantHandling'],
+            $profile
+        );
+        $attributes = self::calculate_attributes($indices['yearBranchIndex'], $secondary_stars['祿存'], $clockwise);
+
+        // 3. Brightness & life cycles
+        $brightness = [
+            'primary' => self::calculate_brightness($primary_stars, $palaces),
+            'secondary' => self::calculate_brightness($secondary_stars, $palaces),
+        ];
+        $life_cycles = [
+            'major' => self::calculate_major_cycles($loci, $clockwise, $ming_palace['index'], $profile),
+            'twelve' => self::calculate_twelve_long_life($loci, $clockwise, $profile, $ming_palace['index']),
+            'minor' => self::calculate_minor_limits($indices['yearBranchIndex'], $gender),
+        ];
+
+        // 4. Assemble (index-keyed maps are cast so JSON keeps object keys like the JS output)
+        $palace_map = (object) $palaces;
+        return [
+            'meta' => self::merge_meta($meta, $solar, $lunar, $indices),
+            'lunar' => $lunar,
+            'indices' => $indices,
+            'derived' => [
+                'palaces' => $palace_map,
+                'palaceList' => array_values($palaces),
+                'mingPalace' => $ming_palace,
+                'shenPalace' => $shen_palace,
+                'nayin' => $nayin,
+            ],
+            'sections' => [
+                'palaces' => $palace_map,
+                'primaryStars' => $primary_stars,
+                'secondaryStars' => $secondary_stars,
+                'minorStars' => $minor_stars,
+                'mutations' => $mutations,
+                'attributes' => (object) $attributes,
+                'brightness' => $brightness,
+                'lifeCycles' => $life_cycles,
+            ],
+        ];
+    }
+
+    /**
+     * Validate calculation settings and fill defaults.
+     *
+     * @param array $input Raw input.
+     * @return array
+     * @throws InvalidArgumentException On unknown setting values.
+     */
+    private static function normalize_settings(array $input): array {
+        $pick = static function (string $key, array $allowed) use ($input): string {
+            $value = $input[$key] ?? null;
+            if ($value === null || $value === '') {
+                return $allowed[0];
+            }
+            if (!in_array($value, $allowed, true)) {
+                throw new InvalidArgumentException("Invalid {$key}: " . (is_scalar($value) ? (string) $value : gettype($value)));
+            }
+            return $value;
+        };
+
+        $stem_interpretations = [];
+        $raw = $input['stemInterpretations'] ?? [];
+        if (!is_array($raw)) {
+            throw new InvalidArgumentException('Invalid stemInterpretations: expected an object');
+        }
+        foreach ($raw as $stem => $interpretation) {
+            if (!isset(self::CONTROVERSIAL_MUTATIONS[$stem][$interpretation])) {
+                throw new InvalidArgumentException("Invalid stemInterpretations.{$stem}");
+            }
+            $stem_interpretations[$stem] = $interpretation;
+        }
+
+        $leap_month_handling = $pick('leapMonthHandling', self::LEAP_MONTH_HANDLING);
+        return [
+            'leapMonthHandling' => $leap_month_handling,
+            // meta echoes the raw value (null when unset), as buildMetadata() does
+            'leapMonthHandlingInput' => empty($input['leapMonthHandling']) ? null : $leap_month_handling,
+            'ziHourHandling' => $pick('ziHourHandling', self::ZI_HOUR_HANDLING),
+            'woundedServantHandling' => $pick('woundedServantHandling', self::WOUNDED_SERVANT_HANDLING),
+            'school' => $pick('school', array_keys(self::SCHOOL_PROFILES)),
+            'stemInterpretations' => $stem_interpretations,
+        ];
+    }
+
+    /**
+     * Validate the solar birth date and time.
+     *
+     * @param array $input Raw input.
+     * @return array{year: int, month: int, day: int, hour: int, minute: int}
+     * @throws InvalidArgumentException On missing or invalid values.
+     */
+    private static function normalize_solar(array $input): array {
+        $solar = [];
+        foreach (['year', 'month', 'day', 'hour', 'minute'] as $field) {
+            if (!isset($input[$field]) || !is_numeric($input[$field])) {
+                throw new InvalidArgumentException("Missing required field: {$field}");
+            }
+            $solar[$field] = (int) $input[$field];
+        }
+        if ($solar['year'] < 800 || $solar['year'] > 2200) {
+            throw new InvalidArgumentException('年份需介於 800-2200');
+        }
+        if (!checkdate($solar['month'], $solar['day'], $solar['year'])) {
+            throw new InvalidArgumentException('日期無效');
+        }
+        if ($solar['hour'] < 0 || $solar['hour'] > 23 || $solar['minute'] < 0 || $solar['minute'] > 59) {
+            throw new InvalidArgumentException('時間無效');
+        }
+        return $solar;
+    }
+
+    /**
+     * @param mixed $value Submitted name.
+     * @return string
+     */
+    private static function sanitize_name($value): string {
+        if (!is_string($value) || trim($value) === '') {
+            return self::DEFAULT_NAME;
+        }
+        return trim($value);
+    }
+
+    /**
+     * Year stem/branch, month/time indices, 命主/身主 and 陰陽男女 (deriveIndices()).
+     *
+     * @param array $lunar Lunar data.
+     * @param string $gender 'M' or 'F'.
+     * @param string $leap_month_mode 'mid', 'current' or 'next'.
+     * @return array
+     */
+    private static function derive_indices(array $lunar, string $gender, string $leap_month_mode): array {
+        $year_branch_index = self::get_earthly_branch_index($lunar['lunarYear']);
+        $is_yang_year = (($lunar['lunarYear'] - 1864) % 10 + 10) % 10 % 2 === 0;
+
+        return [
+            'yearStemIndex' => self::get_heavenly_stem_index($lunar['lunarYear']),
+            'yearBranchIndex' => $year_branch_index,
+            'monthIndex' => self::get_month_index($lunar, $leap_month_mode),
+            'timeIndex' => $lunar['timeIndex'],
+            'bodyPalace' => ['branchIndex' => $year_branch_index, 'starName' => self::BODY_STARS[$year_branch_index], 'type' => 'body'],
+            'masterPalace' => ['branchIndex' => $year_branch_index, 'starName' => self::MASTER_STARS[$year_branch_index], 'type' => 'master'],
+            'genderClassification' => ($is_yang_year ? '陽' : '陰') . ($gender === 'M' ? '男' : '女'),
+        ];
+    }
+
+    /**
+     * @param int $lunar_year Lunar year.
+     * @return int Stem index (0=甲).
+     */
+    private static function get_heavenly_stem_index(int $lunar_year): int {
+        return (($lunar_year - 4) % 10 + 10) % 10;
+    }
+
+    /**
+     * @param int $lunar_year Lunar year.
+     * @return int Branch index (0=子).
+     */
+    private static function get_earthly_branch_index(int $lunar_year): int {
+        return (($lunar_year - 4) % 12 + 12) % 12;
+    }
+
+    /**
+     * Month index with leap month handling (getMonthIndex() in basic.js).
+     *
+     * @param array $lunar Lunar data.
+     * @param string $mode 'mid' (月中換月), 'current' (視為本月) or 'next' (視為下月).
+     * @return int 0-11
+     */
+    private static function get_month_index(array $lunar, string $mode): int {
+        $month_index = $lunar['lunarMonth'] - 1;
+        if (!$lunar['isLeapMonth'] || $mode === 'current') {
+            return $month_index;
+        }
+        if ($mode === 'next' || $lunar['lunarDay'] >= 15) {
+            return $lunar['lunarMonth'] % 12;
+        }
+        return $month_index;
+    }
+
+    /**
+     * 陽男陰女 arrange clockwise.
+     *
+     * @param string $gender 'M' or 'F'.
+     * @param int $lunar_year Lunar year.
+     * @return bool
+     */
+    private static function is_clockwise(string $gender, int $lunar_year): bool {
+        $is_yang = self::get_earthly_branch_index($lunar_year) % 2 === 0;
+        return ($gender === 'M' && $is_yang) || ($gender === 'F' && !$is_yang);
+    }
+
+    /**
+     * Twelve palaces keyed by branch index (calculatePalacePositions()).
+     *
+     * @param array $lunar Lunar data.
+     * @param string $leap_month_mode 閏月 handling, the same mode the star placements use.
+     * @return array
+     */
+    private static function calculate_palaces(array $lunar, string $leap_month_mode): array {
+        $month_index = self::get_month_index($lunar, $leap_month_mode);
+        $time_index = $lunar['timeIndex'];
+        $ming = (14 + $month_index - $time_index) % 12;
+        $shen = (14 + $month_index + $time_index) % 12;
+
+        $year_stem_index = self::get_heavenly_stem_index($lunar['lunarYear']);
+        $yin_start_index = [2, 4, 6, 8, 0][$year_stem_index % 5];
+
+        $palaces = [];
+        for ($i = 0; $i < 12; $i++) {
+            $palace_index = ($ming + $i) % 12;
+            $name = self::PALACE_NAMES[$i];
+            $is_shen = $palace_index === $shen;
+            if ($is_shen && isset(self::SHEN_PALACE_COMBINE[$name])) {
+                $name = self::SHEN_PALACE_COMBINE[$name];
+            }
+            $stem_index = ($yin_start_index + ($palace_index - 2 + 12) % 12) % 10;
+
+            $palaces[$palace_index] = [
+                'index' => $palace_index,
+                'name' => $name,
+                'isMing' => $palace_index === $ming,
+                'isShen' => $is_shen,
+                'stem' => self::STEM_NAMES[$stem_index],
+                'stemIndex' => $stem_index,
+                'branchZhi' => self::BRANCH_NAMES[$palace_index],
+                'branchIndex' => $palace_index,
+            ];
+        }
+        ksort($palaces);
+        return $palaces;
+    }
+
+    /**
+     * 紫微 and 天府 star systems (placePrimaryStars()).
+     *
+     * @param int $lunar_day Lunar day (1-30).
+     * @param int $loci 五行局 number (2-6).
+     * @return array Star name => palace index.
+     */
+    private static function place_primary_stars(int $lunar_day, int $loci): array {
+        $step = intdiv($lunar_day + $loci - 1, $loci);
+        $remainder = $step * $loci - $lunar_day;
+        $total_step = $remainder % 2 === 0 ? $step + $remainder - 1 : $step - $remainder - 1;
+        $ziwei = ((2 + $total_step) % 12 + 12) % 12;
+        $tianfu = ((4 - $ziwei) % 12 + 12) % 12;
+
+        $stars = ['紫微' => $ziwei];
+        foreach (['廉貞' => 4, '天同' => 7, '武曲' => 8, '太陽' => 9, '天機' => 11] as $star => $offset) {
+            $stars[$star] = ($ziwei + $offset) % 12;
+        }
+        $stars['天府'] = $tianfu;
+        foreach (['太陰' => 1, '貪狼' => 2, '巨門' => 3, '天相' => 4, '天梁' => 5, '七殺' => 6, '破軍' => 10] as $star => $offset) {
+            $stars[$star] = ($tianfu + $offset) % 12;
+        }
+        return $stars;
+    }
+
+    /**
+     * 輔星 positions (calculateAllSecondaryStars()).
+     *
+     * @param array $indices Derived indices.
+     * @param array $profile 派別 variants (fireBells, kuiYue).
+     * @param bool $clockwise 陽男陰女.
+     * @return array Star name => palace index.
+     */
+    private static function calculate_secondary_stars(array $indices, array $profile, bool $clockwise): array {
+        $month_index = $indices['monthIndex'];
+        $time_index = $indices['timeIndex'];
+        $stem_index = $indices['yearStemIndex'];
+        $branch_index = $indices['yearBranchIndex'];
+
+        $prosperity = [2, 3, 5, 6, 5, 6, 8, 9, 11, 0][$stem_index];
+
+        // 火鈴 start palaces by year branch group: 申子辰 / 寅午戌 / 巳酉丑 / 亥卯未
+        $fire_bells_start = [
+            0 => [2, 10], 4 => [2, 10], 8 => [2, 10],
+            2 => [1, 3], 6 => [1, 3], 10 => [1, 3],
+            1 => [3, 10], 5 => [3, 10], 9 => [3, 10],
+            3 => [9, 10], 7 => [9, 10], 11 => [9, 10],
+        ][$branch_index];
+        // yinYang variant: 陰男陽女 count the hour counter-clockwise
+        $fire_bells_step = ($profile['fireBells'] === 'yinYang' && !$clockwise) ? -$time_index : $time_index;
+        [$canopy, $seal] = self::CELESTIAL_TABLES[$profile['kuiYue']];
+
+        return [
+            '左輔' => (4 + $month_index) % 12,
+            '右弼' => (10 - $month_index + 12) % 12,
+            '文昌' => (10 - $time_index + 12) % 12,
+            '文曲' => (4 + $time_index) % 12,
+            '地空' => (11 - $time_index + 12) % 12,
+            '地劫' => (11 + $time_index) % 12,
+            '天魁' => $canopy[$stem_index],
+            '天鉞' => $seal[$stem_index],
+            '祿存' => $prosperity,
+            '擎羊' => ($prosperity + 1) % 12,
+            '陀羅' => ($prosperity - 1 + 12) % 12,
+            '火星' => ($fire_bells_start[0] + $fire_bells_step + 12) % 12,
+            '鈴星' => ($fire_bells_start[1] + $fire_bells_step + 12) % 12,
+        ];
+    }
+
+    /**
+     * Birth year 四化 with controversial stem selections (calculateBirthYearMutations()).
+     *
+     * @param int $stem_index Year stem index.
+     * @param array $selections Stem => interpretation key.
+     * @return array{byType: array, byStar: array}
+     */
+    private static function calculate_mutations(int $stem_index, array $selections): array {
+        $stem = self::STEM_NAMES[$stem_index];
+        $by_type = self::CONTROVERSIAL_MUTATIONS[$stem][$selections[$stem] ?? 'interpretation_1'] ?? self::MUTATIONS[$stem];
+
+        return [
+            'byType' => $by_type,
+            'byStar' => array_flip($by_type),
+        ];
+    }
+
+    /**
+     * 雜曜 positions (calculateMinorStars()).
+     *
+     * @param array $indices Derived indices.
+     * @param int $ming_index 命宮 index.
+     * @param int|null $shen_index 身宮 index.
+     * @param bool $clockwise 陽男陰女.
+     * @param array $secondary 輔星 positions.
+     * @param int $lunar_day Lunar day.
+     * @param string $wounded_servant_handling 'zhongzhou' or 'noDistinction'.
+     * @param array $profile 派別 variants (tianMa, xunKong).
+     * @return array Star name => palace index.
+     */
+    private static function calculate_minor_stars(
+        array $indices,
+        int $ming_index,
+        ?int $shen_index,
+        bool $clockwise,
+        array $secondary,
+        int $lunar_day,
+        string $wounded_servant_handling,
+        array $profile
+    ): array {
+        $month_index = $indices['monthIndex'];
+        $year_branch = $indices['yearBranchIndex'];
+        $year_stem = $indices['yearStemIndex'];
+        $year_yang = $year_branch % 2 === 0;
+
+        $stars = [
+            '天官' => [7, 4, 5, 2, 3, 9, 11, 9, 10, 6][$year_stem],
+            '天福' => [9, 8, 0, 11, 3, 2, 6, 5, 6, 5][$year_stem],
+            '天廚' => [5, 6, 0, 5, 6, 8, 2, 6, 9, 11][$year_stem],
+        ];
+
+        // 截空: the palace matching the year's 陰陽 is 正, the other 副
+        $jie_kong_base = (8 - ($year_stem % 5) * 2 + 12) % 12;
+        $jie_kong_second = ($jie_kong_base + 1) % 12;
+        if (($jie_kong_base % 2 === 0) === $year_yang) {
+            $stars['截空'] = $jie_kong_base;
+            $stars['副截'] = $jie_kong_second;
+        } else {
+            $stars['截空'] = $jie_kong_second;
+            $stars['副截'] = $jie_kong_base;
+        }
+
+        // 旬空: the two palaces after the 旬's 癸 (single variant: 正 palace only)
+        $xun_kong_base = ($year_branch + 9 - $year_stem) % 12;
+        $xun_kong_first = ($xun_kong_base + 1) % 12;
+        $xun_kong_second = ($xun_kong_base + 2) % 12;
+        $first_xun_match = ($xun_kong_first % 2 === 0) === $year_yang;
+        $stars['旬空'] = $first_xun_match ? $xun_kong_first : $xun_kong_second;
+        if ($profile['xunKong'] !== 'single') {
+            $stars['副旬'] = $first_xun_match ? $xun_kong_second : $xun_kong_first;
+        }
+
+        // 天馬 by year branch, or by month branch (正月 = 寅) for the month variant
+        $tian_ma_branch = $profile['tianMa'] === 'month' ? ($month_index + 2) % 12 : $year_branch;
+        $stars += [
+            '天馬' => [2, 11, 8, 5][$tian_ma_branch % 4],
+            '天空' => ($year_branch + 1) % 12,
+            '天哭' => (6 - $year_branch + 12) % 12,
+            '天虛' => (6 + $year_branch) % 12,
+            '紅鸞' => (3 - $year_branch + 12) % 12,
+            '天喜' => (9 - $year_branch + 12) % 12,
+            '孤辰' => [2, 2, 5, 5, 5, 8, 8, 8, 11, 11, 11, 2][$year_branch],
+            '寡宿' => [10, 10, 1, 1, 1, 4, 4, 4, 7, 7, 7, 10][$year_branch],
+            '劫殺' => [5, 2, 11, 8][$year_branch % 4],
+            '大耗' => [7, 6, 9, 8, 11, 10, 1, 0, 3, 2, 5, 4][$year_branch],
+            '蜚廉' => [8, 9, 10, 5, 6, 7, 2, 3, 4, 11, 0, 1][$year_branch],
+            '破碎' => [5, 1, 9][$year_branch % 3],
+            '華蓋' => [4, 1, 10, 7][$year_branch % 4],
+            '咸池' => [9, 6, 3, 0][$year_branch % 4],
+            '龍德' => (7 + $year_branch) % 12,
+            '月德' => (5 + $year_branch) % 12,
+            '天德' => (9 + $year_branch) % 12,
+            '年解' => (10 - $year_branch + 12) % 12,
+            '天才' => ($ming_index + $year_branch) % 12,
+            '天壽' => ((int) $shen_index + $year_branch) % 12,
+            '龍池' => (4 + $year_branch) % 12,
+            '鳳閣' => (10 - $year_branch + 12) % 12,
+            '天刑' => (9 + $month_index) % 12,
+            '天姚' => (1 + $month_index) % 12,
+            '解神' => (8 + intdiv($month_index, 2) * 2) % 12,
+            '天巫' => [5, 8, 2, 11][$month_index % 4],
+            '天月' => [10, 5, 4, 2, 7, 3, 11, 7, 2, 6, 10, 2][$month_index],
+            '陰煞' => (2 - ($month_index % 6) * 2 + 12) % 12,
+        ];
+
+        // 天傷/天使 around 遷移宮: 中州 swaps them for 陰男陽女
+        $migration = ($ming_index + 6) % 12;
+        $offset = ($wounded_servant_handling === 'noDistinction' || $clockwise) ? -1 : 1;
+        $stars['天傷'] = ($migration + $offset + 12) % 12;
+        $stars['天使'] = ($migration - $offset + 12) % 12;
+
+        $literary_craft = $secondary['文曲'];
+        $stars += [
+            '台輔' => ($literary_craft + 2) % 12,
+            '封誥' => ($literary_craft - 2 + 12) % 12,
+            '三台' => ($secondary['左輔'] + ($lunar_day - 1)) % 12,
+            '八座' => ($secondary['右弼'] - ($lunar_day - 1) + 36) % 12,
+            '恩光' => ($secondary['文昌'] + $lunar_day - 2 + 12) % 12,
+            '天貴' => ($literary_craft + $lunar_day - 2 + 12) % 12,
+        ];
+
+        return $stars;
+    }
+
+    /**
+     * 太歲/將前/博士 twelve-star groups per palace (calculateAllAttributes()).
+     *
+     * @param int $year_branch Year branch index.
+     * @param int $lu_cun 祿存 palace index.
+     * @param bool $clockwise 陽男陰女.
+     * @return array Palace index => star names.
+     */
+    private static function calculate_attributes(int $year_branch, int $lu_cun, bool $clockwise): array {
+        $jiang_qian_start = [0, 9, 6, 3][$year_branch % 4];
+        $attributes = array_fill(0, 12, []);
+
+        foreach (self::TAI_SUI_STARS as $i => $star) {
+            $attributes[($year_branch + $i) % 12][] = $star;
+        }
+        foreach (self::JIANG_QIAN_STARS as $i => $star) {
+            $attributes[($jiang_qian_start + $i) % 12][] = $star;
+        }
+        foreach (self::BO_SHI_STARS as $i => $star) {
+            $attributes[$clockwise ? ($lu_cun + $i) % 12 : ($lu_cun - $i + 12) % 12][] = $star;
+        }
+        return $attributes;
+    }
+
+    /**
+     * 斗數全書 brightness for placed stars (calculatePrimaryBrightness()).
+     *
+     * @param array $stars Star name => palace index.
+     * @param array $palaces Palaces keyed by index.
+     * @return array Star name => brightness entry.
+     */
+    private static function calculate_brightness(array $stars, array $palaces): array {
+        $result = [];
+        foreach ($stars as $star => $palace_index) {
+            $palace = $palaces[$palace_index] ?? null;
+            $brightness = self::BRIGHTNESS_SHUOSHU[$star][$palace_index] ?? '';
+            if ($palace === null || $brightness === '') {
+                continue;
+            }
+            $result[$star] = [
+                'brightness' => $brightness,
+                'palaceIndex' => $palace_index,
+                'branchIndex' => $palace['branchIndex'],
+                'stem' => $palace['stem'],
+                'branchZhi' => $palace['branchZhi'],
+            ];
+        }
+        return $result;
+    }
+
+    /**
+     * 大限 ten-year cycles (calculateMajorCycles()).
+     *
+     * @param int $loci 五行局 number, also the start age.
+     * @param bool $clockwise 陽男陰女.
+     * @param int $ming_index 命宮 index.
+     * @param array $profile 派別 variants (majorCycleAge).
+     * @return array
+     */
+    private static function calculate_major_cycles(int $loci, bool $clockwise, int $ming_index, array $profile): array {
+        // actual variant: the 局 number is 實歲, one 虛歲 later
+        $first_age = $profile['majorCycleAge'] === 'actual' ? $loci + 1 : $loci;
+        $cycles = [];
+        for ($i = 0; $i < 12; $i++) {
+            $start_age = $first_age + $i * 10;
+            $cycles[] = [
+                'startAge' => $start_age,
+                'endAge' => $start_age + 9,
+                'ageRange' => $start_age . '-' . ($start_age + 9),
+                'palaceIndex' => $clockwise ? ($ming_index + $i) % 12 : ($ming_index - $i + 120) % 12,
+                'cycleIndex' => $i,
+            ];
+        }
+        return $cycles;
+    }
+
+    /**
+     * 十二長生 by palace (calculateTwelveLongLifePositions()).
+     *
+     * @param int $loci 五行局 number.
+     * @param bool $clockwise 陽男陰女.
+     * @param array $profile 派別 variants (longLife).
+     * @param int $ming_index 命宮 index, the start for the ming variant.
+     * @return object Palace index => stage name.
+     */
+    private static function calculate_twelve_long_life(int $loci, bool $clockwise, array $profile, int $ming_index): object {
+        $start = $profile['longLife'] === 'ming' ? $ming_index : self::NAYIN_LOCI_TO_PALACE[$loci];
+        $stages = [];
+        foreach (self::TWELVE_LIFE_STAGES as $i => $stage) {
+            $stages[$clockwise ? ($start + $i) % 12 : ($start - $i + 120) % 12] = $stage;
+        }
+        ksort($stages);
+        return (object) $stages;
+    }
+
+    /**
+     * 小限 palace for ages 1-120 (calculateMinorLimits()).
+     *
+     * @param int $year_branch Year branch index.
+     * @param string $gender 'M' or 'F'.
+     * @return array
+     */
+    private static function calculate_minor_limits(int $year_branch, string $gender): array {
+        $start = self::MINOR_LIMIT_START_PALACE[$year_branch];
+        $limits = [];
+        for ($age = 1; $age <= self::MINOR_LIMIT_MAX_AGE; $age++) {
+            $steps = ($age - 1) % 12;
+            $limits[] = [
+                'age' => $age,
+                'palaceIndex' => $gender === 'M' ? ($start + $steps) % 12 : ($start - $steps + 12) % 12,
+            ];
+        }
+        return $limits;
+    }
+
+    /**
+     * Display fields added by mergeMeta().
+     *
+     * @param array $meta Base metadata.
+     * @param array $solar Solar birth date/time.
+     * @param array $lunar Lunar data.
+     * @param array $indices Derived indices.
+     * @return array
+     */
+    private static function merge_meta(array $meta, array $solar, array $lunar, array $indices): array {
+        $birthtime = sprintf('%02d:%02d', $solar['hour'], $solar['minute']);
+        $ganzhi_year = substr($lunar['year'], 0, (int) strpos($lunar['year'], '年') + strlen('年'));
+
+        return array_merge($meta, [
+            'lunar' => $lunar,
+            'birthdate' => sprintf('%04d-%02d-%02d', $solar['year'], $solar['month'], $solar['day']),
+            'birthtime' => $birthtime,
+            'genderClassification' => $indices['genderClassification'],
+            'birthdateSolarText' => "西曆：{$solar['year']}年{$solar['month']}月{$solar['day']}日 {$birthtime}",
+            'birthdateSolarNumeric' => $solar,
+            'birthdateLunarText' => '農曆：' . $ganzhi_year . $lunar['date'] . self::BRANCH_NAMES[$lunar['timeIndex']] . '時',
+        ]);
+    }
+}
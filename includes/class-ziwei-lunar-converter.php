@@ -0,0 +1,503 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * Lunar Calendar Converter (server-side)
+ *
+ * PHP port of assets/calculate/common/lunar-converter.js so the REST API can
+ * convert solar dates without relying on the browser. Tables and integer
+ * arithmetic mirror the JavaScript implementation exactly.
+ *
+ * Source: https://github.com/isee15/Lunar-Solar-Calendar-Converter
+ * License: MIT
+ * Supports: 800-2200
+ *
+ * @package Ziwei_Cal
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Solar <-> lunar date conversion.
+ */
+final class Ziwei_Lunar_Converter {
+
+    /**
+     * Lunar month lengths per year, first element is the base year.
+     * |----4位閏月|-------------13位1為30天，0為29天|
+     */
+    private const LUNAR_MONTH_DAYS = [
+        797,
+        0xb52b, 0xd2a, 0xd54, 0x35aa, 0x156c, 0x1496e, 0x95c, 0x14ae, 0xca56, 0x1a54,
+        0x1d4a, 0x6d55, 0xb58, 0x1956d, 0x2dc, 0x115c, 0x118ae, 0x152c, 0x1a94, 0xbb2a,
+        0x16aa, 0xad4, 0x355a, 0x14ba, 0x1525b, 0xa56, 0x151a, 0xfa95, 0x1654, 0x16aa,
+        0x6ad5, 0x9b4, 0x194b6, 0x14ae, 0xa56, 0xf517, 0xca6, 0xd54, 0xb56a, 0x156a,
+        0x96c, 0x34ae, 0x14ae, 0x12a2e, 0x1a2a, 0x1aa6, 0xed53, 0xad4, 0xb5a, 0x696d,
+        0x95c, 0x1745d, 0x145a, 0x1a2a, 0xfa95, 0x16a4, 0x16b4, 0x8ada, 0xab6, 0x93a,
+        0x549b, 0x1456, 0x1554b, 0xd4a, 0x15a4, 0xd6ac, 0x156c, 0xab6, 0x68b7, 0x8ae,
+        0x18c56, 0x1a96, 0xd4a, 0x10d55, 0xb54, 0x156c, 0x8a6d, 0x125c, 0x18ac, 0x5a95,
+        0x1a94, 0x15b2a, 0x16aa, 0xad4, 0xf55a, 0x14ba, 0xa5a, 0x752b, 0x152a, 0x17a55,
+        0x1554, 0x16aa, 0x12ab5, 0x974, 0x12b6, 0xaa57, 0x936, 0x1516, 0x3653, 0xd54,
+        0x155aa, 0xd6a, 0x56c, 0xd4ae, 0x146e, 0xa2e, 0x8d16, 0x1aa6, 0x18b52, 0x1ad4,
+        0xada, 0x1055d, 0x95c, 0x145c, 0xba2d, 0x192a, 0x1aa4, 0x5b52, 0x16b4, 0x14ada,
+        0xab6, 0x8ba, 0xd45b, 0x1456, 0x152a, 0x9695, 0xda4, 0x195ac, 0x156c, 0xab6,
+        0x108b7, 0x8ae, 0xa56, 0xad2a, 0x1d2a, 0xd54, 0x35aa, 0x156c, 0x16a6c, 0x1958,
+        0x1cac, 0xfa55, 0x1a54, 0x1b2a, 0x6b55, 0xad4, 0x194da, 0x12ba, 0x95a, 0xf49b,
+        0x149a, 0x164c, 0xb6aa, 0x16aa, 0xab4, 0x32ba, 0x12b6, 0x12957, 0x936, 0x1496,
+        0xf553, 0xd54, 0x15aa, 0x69b5, 0x56c, 0x192ae, 0x146e, 0xa2e, 0x10c96, 0x1a96,
+        0xb52, 0xad6a, 0xada, 0x55c, 0x526e, 0x145c, 0x1592d, 0x152a, 0x1a94, 0xfb52,
+        0x16b4, 0xada, 0x655b, 0x4ba, 0x1925b, 0x1256, 0x152a, 0x13695, 0x1594, 0x15aa,
+        0xaab6, 0x976, 0x4b6, 0x5257, 0xa56, 0x14d2b, 0xb2a, 0xd54, 0xf56a, 0x156c,
+        0x96c, 0x74ae, 0x14ae, 0x18a56, 0x1a54, 0x1aaa, 0x12b55, 0xad4, 0x12da, 0xa95d,
+        0x95a, 0x149a, 0x5a4d, 0x164c, 0x156aa, 0x15aa, 0x6b4, 0xd2ba, 0x12b6, 0x936,
+        0x949b, 0x1496, 0x1954b, 0xd54, 0xdaa, 0x125b5, 0x56a, 0x126e, 0xa92e, 0x192e,
+        0xc96, 0x4d4a, 0x1b52, 0x14d6a, 0xada, 0x4dc, 0xd26e, 0x125c, 0x192c, 0x9a95,
+        0x1a94, 0x19ad2, 0x15b4, 0xada, 0x124db, 0x4ba, 0x1256, 0xb52b, 0x152a, 0x1694,
+        0x36aa, 0x15ac, 0x16ab6, 0x976, 0x4b6, 0xea57, 0xa56, 0xd2a, 0x6d55, 0xd54,
+        0x1956a, 0x14ec, 0x96c, 0x114ae, 0x14ac, 0x1a4c, 0xbd26, 0x1aaa, 0xb54, 0x756a,
+        0x12da, 0x1695d, 0x93a, 0x149a, 0xfa4d, 0x154a, 0x16aa, 0x8ad5, 0x6b4, 0x12ba,
+        0x295b, 0x936, 0x13497, 0xc96, 0x154a, 0xd6a9, 0xd6a, 0x5b4, 0x52b6, 0x126e,
+        0x1892e, 0x192e, 0xc96, 0x10d4a, 0x1b4a, 0xb68, 0x956d, 0x55c, 0x125c, 0x592e,
+        0x192c, 0x13a95, 0x1a94, 0x1aca, 0xcb55, 0xaba, 0x4da, 0x525d, 0x1256, 0x1552b,
+        0x152a, 0x1694, 0x116aa, 0x15aa, 0xab6, 0x84b7, 0x4ae, 0xa56, 0x352b, 0xd2a,
+        0x12d55, 0xb54, 0x156a, 0xa96d, 0x96c, 0x14ae, 0x6a4e, 0x1a4c, 0x17d26, 0x1aaa,
+        0xb54, 0x1136a, 0x12da, 0x95c, 0x949d, 0x149a, 0x1a4a, 0x5b25, 0x16a8, 0x15ad5,
+        0x5b4, 0x12ba, 0xc95b, 0x936, 0x1496, 0x964b, 0xd4a, 0x176a5, 0xd68, 0x156c,
+        0x112b6, 0x126e, 0x92e, 0x8c97, 0xa96, 0x18d4a, 0x1b4a, 0xb58, 0x1556d, 0x4dc,
+        0x125c, 0xd92e, 0x192c, 0x1a94, 0x5b4a, 0x1aaa, 0x16ad5, 0xab6, 0x4ba, 0xf25d,
+        0x124e, 0x152a, 0xba95, 0x1694, 0x16aa, 0x2ad5, 0x9b6, 0x124b6, 0x14ae, 0xa56,
+        0xd52b, 0xd2a, 0xd54, 0x75aa, 0x156a, 0x1696d, 0x95c, 0x14ae, 0xea4e, 0x1a4c,
+        0x1d26, 0xad55, 0xb54, 0x136a, 0x496d, 0x95c, 0x1549d, 0x149a, 0x1a4c, 0xdaa5,
+        0x16a4, 0x1ad4, 0x4ada, 0x12ba, 0x1893b, 0x936, 0x1496, 0x1154b, 0xd4a, 0x16a8,
+        0x96b4, 0x156c, 0x12b6, 0x4937, 0x92e, 0x12c97, 0xa96, 0xd4a, 0xeda5, 0xb58,
+        0x156c, 0x726e, 0x125c, 0x1992e, 0x192c, 0x1a94, 0x11b4a, 0x16aa, 0xad4, 0xb55b,
+        0x4ba, 0x125c, 0x592b, 0x152a, 0x13a95, 0x1654, 0x16aa, 0xead5, 0x9b4, 0x14b6,
+        0x8a57, 0xa56, 0x19527, 0xd26, 0xd54, 0x115aa, 0x156a, 0x96c, 0x94ae, 0x14ae,
+        0xa4e, 0x4d26, 0x1ca6, 0x14d93, 0xad4, 0xb6a, 0xc96d, 0x95c, 0x149c, 0x9a4d,
+        0x1a4c, 0x17aa5, 0x16a4, 0x16d4, 0x12ada, 0xaae, 0x93a, 0xb49b, 0x1496, 0x154a,
+        0x36a5, 0x16a4, 0x156b2, 0x156c, 0x12b6, 0xc937, 0x92e, 0xc96, 0x754b, 0xd4a,
+        0x16d65, 0xb58, 0x156c, 0x1055d, 0x93c, 0x149a, 0xba4b, 0x164a, 0x16a4, 0x5b52,
+        0x16b4, 0x152ba, 0x12b6, 0x936, 0xd497, 0x1496, 0x154a, 0x96a5, 0xda8, 0x195ac,
+        0x156c, 0x126e, 0x1093b, 0x92e, 0xc96, 0xad4a, 0x1b4a, 0xb54, 0x356c, 0x14dc,
+        0x1725d, 0x125c, 0x192c, 0xfa95, 0x1a94, 0x1aaa, 0x6b55, 0xad4, 0x14da, 0x325d,
+        0x1256, 0x114ab, 0x152a, 0x1654, 0xb6aa, 0x15aa, 0x9b4, 0x34ba, 0x14ae, 0x12a57,
+        0xa4e, 0xd26, 0xed53, 0xd54, 0x156a, 0x6975, 0x96c, 0x194ce, 0x145c, 0x1a2c,
+        0x11d26, 0x1a94, 0x1b54, 0xab6a, 0xada, 0x95c, 0x545d, 0x145a, 0x15a2b, 0x154a,
+        0x16a4, 0xfad4, 0x15b4, 0xaba, 0x693b, 0x8b6, 0x1456, 0x3a2b, 0x154a, 0x136a5,
+        0xd64, 0x15ac, 0xaab6, 0x126e, 0x8ae, 0x7457, 0xa56, 0x14d4a, 0x1b2a, 0xb54,
+        0xf56c, 0x14dc, 0xa5c, 0x78ae, 0x14ac, 0x17a55, 0x1a54, 0x1aaa, 0x12b55, 0xad4,
+        0x14da, 0xaa5d, 0xa56, 0x151a, 0x5a55, 0x1654, 0x156aa, 0x15aa, 0x9b4, 0xd4ba,
+        0x14ae, 0xa36, 0x9517, 0xca6, 0x18d53, 0xb54, 0x156a, 0x12575, 0x56c, 0x146e,
+        0xaa2e, 0x1a2c, 0x1c96, 0x6d52, 0x1b54, 0x16b6a, 0xada, 0x55c, 0xf45d, 0x145a,
+        0x1a2a, 0x9a95, 0x16a4, 0x196d2, 0x15b4, 0xaba, 0x124bb, 0x8b6, 0x1456, 0xb52b,
+        0x152a, 0x16a4, 0x36aa, 0x156c, 0x18ab6, 0x96e, 0x8ae, 0xea57, 0xa56, 0xd2a,
+        0x8d95, 0xb54, 0x1956a, 0x14dc, 0x95c, 0x114ae, 0x14ac, 0x1a54, 0xdd2a, 0x1aaa,
+        0xad4, 0x555a, 0x12ba, 0x1695d, 0x936, 0x149a, 0xfa4d, 0x1654, 0x16aa, 0x8ad5,
+        0x5b4, 0x12b6, 0x2957, 0x936, 0x13497, 0xc96, 0xd52, 0xd5aa, 0xd6a, 0x56c,
+        0x52ae, 0x126e, 0x1692e, 0x192c, 0x1c9a, 0xed52, 0x1b54, 0xb5a, 0x656d, 0x4dc,
+        0x125c, 0x592d, 0x192a, 0x13a95, 0x1694, 0x16d2, 0xcada, 0xab6, 0x4ba, 0x525b,
+        0x1256, 0x1552b, 0xd2a, 0xe94, 0x116aa, 0x156c, 0xa76, 0x84b7, 0x4ae, 0xa56,
+        0x352b, 0xd2a, 0x12d55, 0xb54, 0x156a, 0xa96d, 0x95c, 0x146e, 0x6a4e, 0x1a54,
+        0x17b2a, 0x16aa, 0xad4, 0xf2da, 0x12ba, 0x95c, 0x949b, 0x149a, 0x1a4a, 0x3aaa,
+        0x16aa, 0x12ad5, 0x5b4, 0x12b6, 0xa937, 0x92e, 0x1496, 0x964b, 0xd52, 0x195aa,
+        0xb6a, 0x56c, 0x112ae, 0x125e, 0x92e, 0x8c96, 0x1a94, 0x19d4a, 0x1ad2, 0xada,
+        0x1456d, 0x4dc, 0x125c, 0xd92d, 0x192a, 0x1a94, 0x5b4a, 0x16b2, 0x18ada, 0xab6,
+        0x4ba, 0xf25b, 0x1256, 0x152a, 0xb695, 0xd94, 0x15aa, 0x2ab6, 0x976, 0x124b7,
+        0x4ae, 0xa56, 0xd52a, 0x1d2a, 0xd54, 0x75aa, 0x156a, 0x1696d, 0x95c, 0x14ae,
+        0xea4d, 0x1a4c, 0x1b2a, 0xab55, 0xad4, 0x12da, 0x495d, 0x95c, 0x1549b, 0x149a,
+        0x1a4a, 0xdaa9, 0x16aa, 0x6b4, 0x52ba, 0x12b6, 0x18937, 0x92e, 0x1496, 0x1164b,
+        0xd4a, 0xda8, 0x95b5, 0x574, 0x126e, 0x492f, 0x92e, 0x12c96, 0x1a94, 0x1d4a,
+        0xc76a, 0xada, 0x56c, 0x725e, 0x125c, 0x1792d, 0x152a, 0x1a94, 0x11b4a, 0x16aa,
+        0xad6, 0x84da, 0x14ba, 0x125a, 0x592b, 0x152a, 0x13695, 0xd54, 0x15aa, 0xcab5,
+        0x974, 0x14b6, 0x6a57, 0xa56, 0x1752a, 0x1d2a, 0xd54, 0x115aa, 0x136a, 0x96c,
+        0x94ae, 0x149e, 0xa4c, 0x5d26, 0x1aaa, 0x14b55, 0xad4, 0x12da, 0xc95d, 0x93c,
+        0x149a, 0x9a4d, 0x1a4a, 0x17aa5, 0x16a8, 0x16b4, 0x112ba, 0x12b6, 0x936, 0x9497,
+        0x1496, 0x154a, 0x36a5, 0xda8, 0x175b5, 0x56c, 0x126e, 0xc92f, 0x92e, 0xc96,
+        0x8d4a, 0x1b4a, 0xd64, 0x556c, 0x156c, 0xd26d, 0x125c, 0x192c, 0xba95, 0x1a94,
+        0x1b4a, 0x6b55, 0xad4, 0xf4da, 0x14ba, 0x125a, 0xd52b, 0x152a, 0x1694, 0x96aa,
+        0x15aa, 0xab4, 0x54ba, 0x14b6, 0xea57, 0xa56, 0xd26, 0xae95, 0xd54, 0x15aa,
+        0x69b5, 0x96c, 0x114ae, 0x149c, 0x1a4c, 0xdd26, 0x1aa4, 0x1b54, 0x8d6a, 0xada,
+        0x95c, 0x749d, 0x149a, 0xfa4b, 0x164a, 0x1aa4, 0xbad4, 0x16b4, 0xaba, 0x695b,
+        0x936, 0xf497, 0x1496, 0x154a, 0xd6a5, 0xda4, 0x15b4, 0x8ab6, 0x126e, 0x92e,
+        0x6c97, 0xc96, 0xed4a, 0x1b4a, 0xb54, 0xb56c, 0x155c, 0x125c, 0x792e, 0x192c,
+        0x11a95, 0x1a94, 0x1aaa, 0xcb55, 0xad4, 0x14da, 0x8a5d, 0xa5a, 0x152a, 0x7a95,
+        0x1694, 0xf6aa, 0x15aa, 0xab4, 0xb4ba, 0x14b6, 0xa56, 0x9517, 0xd26, 0x12d53,
+        0xd54, 0x156a, 0xc9b5, 0x96c, 0x14ae, 0x8a2e, 0x1a2c, 0x1d26, 0x6d52, 0x1b54,
+        0xeb6a, 0xada, 0x95c, 0xb49d, 0x145a, 0x1a2a, 0x9aa5, 0x16a4, 0x13ad2, 0x15b4,
+        0xaba, 0xc55b, 0x8b6, 0x1456, 0xb62b, 0x152a, 0x16a4, 0x56b2, 0x15ac, 0xeab6,
+        0xa6e, 0x8ae, 0xac57, 0xa56, 0xd2a, 0x6d95, 0xb54, 0x1556a, 0x14da, 0x95c,
+        0xd4ae, 0x14ac, 0x1a54, 0xbd2a, 0x1aaa, 0xb54, 0x756a, 0x14da, 0xe95d, 0x956,
+        0x151a, 0xba55, 0x1654, 0x16aa, 0x8ad5, 0x9b4, 0x12ba, 0x4957, 0x936, 0xd517,
+        0xc96, 0xd52, 0x96aa, 0xd6a, 0x574, 0x52b6, 0x126e, 0xca2e, 0x1a2c, 0x1c96,
+        0xad52, 0x1b52, 0xb6a, 0x656d, 0x55c, 0x145c, 0x5a2d, 0x192a, 0xda95, 0x16a4,
+        0x16d2, 0x8ada, 0xaba, 0x4ba, 0x745b, 0x1456, 0xf52b, 0x152a, 0x1694, 0xb6aa,
+        0x15aa, 0xab6, 0x84b7, 0x4ae, 0x12a57, 0xa56, 0xd2a, 0xcd95, 0xb54, 0x156a,
+        0x8a6d, 0x95c, 0x14ae, 0x6a55, 0x1a54, 0xfd2a, 0x1aaa, 0xb54, 0xb55a, 0x12ba,
+        0x95c, 0x94ab, 0x149a, 0x11a4b, 0x1652, 0x16aa, 0xead5, 0x5b4, 0x12ba, 0xa957,
+        0x936, 0x1496, 0x764b, 0xd52, 0x115a9, 0xd6a, 0x56c, 0xb2b6, 0x126e, 0x92e,
+        0x8c96, 0x1c94, 0x15d4a, 0x1b52, 0xb5a, 0xc56d, 0x55c, 0x125c, 0xb92d, 0x192a,
+        0x1a94, 0x7b4a, 0x16d2, 0xeada, 0xab6, 0x4ba, 0xb25b, 0x1256, 0x152a, 0x9a95,
+        0x1694, 0x16aa, 0x4ad5, 0xab6, 0xc4b7, 0x4ae, 0xa56, 0xb52a, 0x1d2a, 0xd54,
+        0x75aa, 0x156a, 0x1096d, 0x95c, 0x14ae, 0xaa4d, 0x1a4c, 0x1b2a, 0x8d55, 0xad4,
+        0x135a, 0x495d, 0x95c, 0xd49b, 0x149a, 0x1a4a, 0xbaa5, 0x16a8, 0x1ad4, 0x52da,
+        0x12b6, 0xe937, 0x92e, 0x1496, 0xb64b, 0xd4a, 0xda8, 0x95b5, 0x56c, 0x12ae,
+        0x492f, 0x92e, 0xcc96, 0x1a94, 0x1d4a, 0xada9, 0xb5a, 0x56c, 0x726e, 0x125c,
+        0xf92d, 0x192a, 0x1a94, 0xdb4a, 0x16aa, 0xad4, 0x955b, 0x4ba, 0x125a, 0x592b,
+        0x152a, 0xf695, 0xd94, 0x16aa, 0xaab5, 0x9b4, 0x14b6, 0x6a57, 0xa56, 0x1152a,
+        0x1d2a, 0xd54, 0xd5aa, 0x156a, 0x96c, 0x94ae, 0x14ae, 0xa4c, 0x7d26, 0x1b2a,
+        0xeb55, 0xad4, 0x12da, 0xa95d, 0x95a, 0x149a, 0x9a4d, 0x1a4a, 0x11aa5, 0x16a8,
+        0x16d4, 0xd2da, 0x12b6, 0x936, 0x9497, 0x1496, 0x1564b, 0xd4a, 0xda8, 0xd5b4,
+        0x156c, 0x12ae, 0xa92f, 0x92e, 0xc96, 0x6d4a, 0x1d4a, 0x10d65, 0xb58, 0x156c,
+        0xb26d, 0x125c, 0x192c, 0x9a95, 0x1a94, 0x1b4a, 0x4b55, 0xad4, 0xf55b, 0x4ba,
+        0x125a, 0xb92b, 0x152a, 0x1694, 0x96aa, 0x15aa, 0x12ab5, 0x974, 0x14b6, 0xca57,
+        0xa56, 0x1526, 0x8e95, 0xd54, 0x15aa, 0x49b5, 0x96c, 0xd4ae, 0x149c, 0x1a4c,
+        0xbd26, 0x1aa6, 0xb54, 0x6d6a, 0x12da, 0x1695d, 0x95a, 0x149a, 0xda4b, 0x1a4a,
+        0x1aa4, 0xbb54, 0x16b4, 0xada, 0x495b, 0x936, 0xf497, 0x1496, 0x154a, 0xb6a5,
+        0xda4, 0x15b4, 0x6ab6, 0x126e, 0x1092f, 0x92e, 0xc96, 0xcd4a, 0x1d4a, 0xd64,
+        0x956c, 0x155c, 0x125c, 0x792e, 0x192c, 0xfa95, 0x1a94, 0x1b4a, 0xab55, 0xad4,
+        0x14da, 0x8a5d, 0xa5a, 0x1152b, 0x152a, 0x1694, 0xd6aa, 0x15aa, 0xab4, 0x94ba,
+        0x14b6, 0xa56, 0x7527, 0xd26, 0xee53, 0xd54, 0x15aa, 0xa9b5, 0x96c, 0x14ae,
+        0x8a4e, 0x1a4c, 0x11d26, 0x1aa4, 0x1b54, 0xcd6a, 0xada, 0x95c, 0x949d, 0x149a,
+        0x1a2a, 0x5b25, 0x1aa4, 0xfb52, 0x16b4, 0xaba, 0xa95b, 0x936, 0x1496, 0x9a4b,
+        0x154a, 0x136a5, 0xda4, 0x15ac, 0xcab6, 0x126e, 0x92e, 0x8c97, 0xa96, 0xd4a,
+        0x6da5, 0xd54, 0xf56a, 0x155a, 0xa5c, 0xb92e, 0x152c, 0x1a94, 0x9d4a, 0x1b2a,
+        0x16b55, 0xad4, 0x14da, 0xca5d, 0xa5a, 0x151a, 0xba95, 0x1654, 0x16aa, 0x4ad5,
+        0xab4, 0xf4ba, 0x14b6, 0xa56, 0xb517, 0xd16, 0xe52, 0x96aa, 0xd6a, 0x165b5,
+        0x96c, 0x14ae, 0xca2e, 0x1a2c, 0x1d16, 0xad52, 0x1b52, 0xb6a, 0x656d, 0x55c,
+        0xf45d, 0x145a, 0x1a2a, 0xda95, 0x16a4, 0x1ad2, 0x8b5a, 0xab6, 0x1455b, 0x8b6,
+        0x1456, 0xd52b, 0x152a, 0x1694, 0xb6aa, 0x15aa, 0xab6, 0x64b7, 0x8ae, 0xec57,
+        0xa56, 0xd2a, 0xcd95, 0xb54, 0x156a, 0x8a6d, 0x95c, 0x14ae, 0x4a56, 0x1a54,
+        0xdd2a, 0x1aaa, 0xb54, 0xb56a, 0x14da, 0x95c, 0x74ab, 0x149a, 0xfa4b, 0x1652,
+        0x16aa, 0xcad5, 0x5b4, 0x12ba,
+    ];
+
+    /**
+     * Solar date of lunar new year per year, first element is the base year.
+     * Packed as (year << 9) | (month << 5) | day.
+     */
+    private const SOLAR_1_1 = [
+        797,
+        0x63c36, 0x63e4a, 0x6403e, 0x64232, 0x64446, 0x6463b, 0x6484f, 0x64a43, 0x64c38, 0x64e4b,
+        0x6503f, 0x65234, 0x65448, 0x6563c, 0x65851, 0x65a45, 0x65c39, 0x65e4d, 0x66042, 0x66235,
+        0x66449, 0x6663e, 0x66833, 0x66a46, 0x66c3b, 0x66e4f, 0x67044, 0x67237, 0x6744b, 0x6763f,
+        0x67835, 0x67a48, 0x67c3c, 0x67e50, 0x68046, 0x68239, 0x6844d, 0x68642, 0x68836, 0x68a49,
+        0x68c3e, 0x68e33, 0x69047, 0x6923b, 0x6944e, 0x69643, 0x69838, 0x69a4b, 0x69c3f, 0x69e35,
+        0x6a049, 0x6a23c, 0x6a450, 0x6a645, 0x6a839, 0x6aa4c, 0x6ac41, 0x6ae36, 0x6b04a, 0x6b23e,
+        0x6b433, 0x6b647, 0x6b83b, 0x6ba4e, 0x6bc43, 0x6be37, 0x6c04b, 0x6c23f, 0x6c435, 0x6c649,
+        0x6c83d, 0x6ca4f, 0x6cc45, 0x6ce39, 0x6d04d, 0x6d241, 0x6d436, 0x6d64a, 0x6d83e, 0x6da32,
+        0x6dc46, 0x6de3a, 0x6e04e, 0x6e243, 0x6e437, 0x6e64b, 0x6e841, 0x6ea34, 0x6ec48, 0x6ee3c,
+        0x6f050, 0x6f244, 0x6f439, 0x6f64d, 0x6f842, 0x6fa36, 0x6fc4a, 0x6fe3e, 0x70033, 0x70246,
+        0x7043a, 0x7064e, 0x70844, 0x70a37, 0x70c4b, 0x70e41, 0x71035, 0x71247, 0x7143c, 0x7164f,
+        0x71845, 0x71a39, 0x71c4d, 0x71e42, 0x72036, 0x72249, 0x7243d, 0x72632, 0x72846, 0x72a3a,
+        0x72c4e, 0x72e44, 0x73038, 0x7324b, 0x7343f, 0x73634, 0x73848, 0x73a3b, 0x73c4f, 0x73e45,
+        0x7403a, 0x7424d, 0x74442, 0x74636, 0x74849, 0x74a3d, 0x74c32, 0x74e46, 0x7503b, 0x7524d,
+        0x75442, 0x75637, 0x7584b, 0x75a3e, 0x75c34, 0x75e48, 0x7603c, 0x7624f, 0x76445, 0x76639,
+        0x7684d, 0x76a41, 0x76c35, 0x76e49, 0x7703e, 0x77232, 0x77446, 0x7763b, 0x7784f, 0x77a43,
+        0x77c37, 0x77e4b, 0x7803f, 0x78234, 0x78448, 0x7863c, 0x78850, 0x78a45, 0x78c39, 0x78e4c,
+        0x79042, 0x79235, 0x79449, 0x7963e, 0x79833, 0x79a46, 0x79c3a, 0x79e4e, 0x7a043, 0x7a236,
+        0x7a44a, 0x7a63f, 0x7a835, 0x7aa48, 0x7ac3c, 0x7ae50, 0x7b045, 0x7b238, 0x7b44c, 0x7b641,
+        0x7b836, 0x7ba49, 0x7bc3e, 0x7be33, 0x7c047, 0x7c23a, 0x7c44e, 0x7c643, 0x7c837, 0x7ca4a,
+        0x7cc3f, 0x7ce34, 0x7d048, 0x7d23c, 0x7d44f, 0x7d644, 0x7d839, 0x7da4c, 0x7dc41, 0x7de36,
+        0x7e04a, 0x7e23d, 0x7e432, 0x7e646, 0x7e83a, 0x7ea4d, 0x7ec43, 0x7ee37, 0x7f04b, 0x7f23f,
+        0x7f434, 0x7f648, 0x7f83c, 0x7fa4f, 0x7fc44, 0x7fe39, 0x8004d, 0x80241, 0x80436, 0x80649,
+        0x8083e, 0x80a32, 0x80c45, 0x80e3a, 0x8104e, 0x81243, 0x81437, 0x8164b, 0x8183f, 0x81a33,
+        0x81c47, 0x81e3b, 0x8204f, 0x82244, 0x82439, 0x8264d, 0x82842, 0x82a35, 0x82c49, 0x82e3d,
+        0x83032, 0x83245, 0x8343a, 0x8364e, 0x83844, 0x83a37, 0x83c4b, 0x83e3f, 0x84034, 0x84247,
+        0x8443b, 0x8464f, 0x84845, 0x84a38, 0x84c4c, 0x84e41, 0x85035, 0x85248, 0x8543d, 0x85632,
+        0x85846, 0x85a3a, 0x85c4e, 0x85e43, 0x86037, 0x8624a, 0x8643e, 0x86634, 0x86848, 0x86a3b,
+        0x86c31, 0x86e45, 0x87039, 0x8724c, 0x87441, 0x87635, 0x87849, 0x87a3d, 0x87c32, 0x87e46,
+        0x8803b, 0x8824d, 0x88443, 0x88637, 0x8884a, 0x88a3e, 0x88c33, 0x88e48, 0x8903c, 0x89230,
+        0x89444, 0x89638, 0x8984c, 0x89a3f, 0x89c35, 0x89e49, 0x8a03e, 0x8a232, 0x8a446, 0x8a63a,
+        0x8a84e, 0x8aa42, 0x8ac36, 0x8ae4a, 0x8b03f, 0x8b234, 0x8b448, 0x8b63c, 0x8b831, 0x8ba44,
+        0x8bc38, 0x8be4c, 0x8c041, 0x8c235, 0x8c449, 0x8c63d, 0x8c833, 0x8ca45, 0x8cc39, 0x8ce4d,
+        0x8d043, 0x8d236, 0x8d44a, 0x8d63f, 0x8d834, 0x8da47, 0x8dc3b, 0x8de30, 0x8e044, 0x8e237,
+        0x8e44c, 0x8e641, 0x8e836, 0x8ea49, 0x8ec3d, 0x8ee32, 0x8f046, 0x8f239, 0x8f44d, 0x8f642,
+        0x8f837, 0x8fa4a, 0x8fc3f, 0x8fe34, 0x90048, 0x9023b, 0x9044e, 0x90644, 0x90838, 0x90a4c,
+        0x90c41, 0x90e35, 0x91049, 0x9123c, 0x91431, 0x91645, 0x9183a, 0x91a4d, 0x91c43, 0x91e37,
+        0x9204b, 0x9223e, 0x92433, 0x92647, 0x9283b, 0x92a30, 0x92c44, 0x92e39, 0x9304c, 0x93241,
+        0x93435, 0x93649, 0x9383d, 0x93a31, 0x93c45, 0x93e3a, 0x9404e, 0x94242, 0x94437, 0x9464a,
+        0x9483e, 0x94a33, 0x94c47, 0x94e3b, 0x95031, 0x95244, 0x95438, 0x9564c, 0x95841, 0x95a34,
+        0x95c48, 0x95e3c, 0x96032, 0x96245, 0x9643a, 0x9664e, 0x96843, 0x96a36, 0x96c4a, 0x96e3e,
+        0x97033, 0x97246, 0x9743b, 0x97631, 0x97845, 0x97a38, 0x97c4c, 0x97e41, 0x98035, 0x98248,
+        0x9843c, 0x98632, 0x98846, 0x98a39, 0x98c4d, 0x98e42, 0x99036, 0x99249, 0x9943e, 0x99633,
+        0x99848, 0x99a3b, 0x99c30, 0x99e44, 0x9a038, 0x9a24b, 0x9a43f, 0x9a635, 0x9a849, 0x9aa3c,
+        0x9ac32, 0x9ae46, 0x9b03a, 0x9b24d, 0x9b442, 0x9b636, 0x9b84a, 0x9ba3e, 0x9bc33, 0x9be47,
+        0x9c03c, 0x9c230, 0x9c443, 0x9c638, 0x9c84c, 0x9ca3f, 0x9cc35, 0x9ce49, 0x9d03d, 0x9d231,
+        0x9d445, 0x9d639, 0x9d84d, 0x9da41, 0x9dc36, 0x9de4a, 0x9e03f, 0x9e233, 0x9e447, 0x9e63b,
+        0x9e830, 0x9ea43, 0x9ec37, 0x9ee4b, 0x9f041, 0x9f235, 0x9f449, 0x9f63d, 0x9f832, 0x9fa45,
+        0x9fc39, 0x9fe4d, 0xa0042, 0xa0236, 0xa044a, 0xa063e, 0xa0833, 0xa0a46, 0xa0c3a, 0xa0e2f,
+        0xa1043, 0xa1237, 0xa144b, 0xa1641, 0xa1835, 0xa1a48, 0xa1c3c, 0xa1e31, 0xa2045, 0xa2238,
+        0xa244c, 0xa2642, 0xa2837, 0xa2a4a, 0xa2c3e, 0xa2e33, 0xa3046, 0xa323a, 0xa342f, 0xa3643,
+        0xa3838, 0xa3a4b, 0xa3c3f, 0xa3e34, 0xa4048, 0xa423b, 0xa4431, 0xa4645, 0xa4839, 0xa4a2e,
+        0xa4c42, 0xa4e36, 0xa504a, 0xa523d, 0xa5432, 0xa5646, 0xa583b, 0xa5a2f, 0xa5c43, 0xa5e38,
+        0xa604c, 0xa623f, 0xa6434, 0xa6648, 0xa683c, 0xa6a31, 0xa6c45, 0xa6e39, 0xa704d, 0xa7241,
+        0xa7435, 0xa7649, 0xa783d, 0xa7a32, 0xa7c46, 0xa7e3b, 0xa8030, 0xa8243, 0xa8437, 0xa864b,
+        0xa883f, 0xa8a33, 0xa8c47, 0xa8e3c, 0xa9032, 0xa9245, 0xa9439, 0xa962e, 0xa9842, 0xa9a35,
+        0xa9c49, 0xa9e3d, 0xaa033, 0xaa246, 0xaa43b, 0xaa630, 0xaa844, 0xaaa37, 0xaac4a, 0xaae3f,
+        0xab034, 0xab247, 0xab43c, 0xab631, 0xab845, 0xaba38, 0xabc4c, 0xabe41, 0xac036, 0xac249,
+        0xac43d, 0xac633, 0xac847, 0xaca3a, 0xacc2f, 0xace43, 0xad037, 0xad24a, 0xad43f, 0xad634,
+        0xad848, 0xada3c, 0xadc31, 0xade45, 0xae039, 0xae24c, 0xae441, 0xae636, 0xae84a, 0xaea3d,
+        0xaec33, 0xaee46, 0xaf03a, 0xaf22f, 0xaf442, 0xaf637, 0xaf84b, 0xafa3f, 0xafc34, 0xafe48,
+        0xb003c, 0xb0230, 0xb0444, 0xb0638, 0xb084c, 0xb0a41, 0xb0c36, 0xb0e4a, 0xb103e, 0xb1232,
+        0xb1446, 0xb163a, 0xb182f, 0xb1a42, 0xb1c37, 0xb1e4b, 0xb2041, 0xb2234, 0xb2448, 0xb263c,
+        0xb2831, 0xb2a44, 0xb2c38, 0xb2e4c, 0xb3042, 0xb3235, 0xb3449, 0xb363d, 0xb3832, 0xb3a45,
+        0xb3c3a, 0xb3e2f, 0xb4043, 0xb4237, 0xb444b, 0xb463f, 0xb4834, 0xb4a47, 0xb4c3b, 0xb4e31,
+        0xb5045, 0xb5238, 0xb542e, 0xb5642, 0xb5836, 0xb5a49, 0xb5c3d, 0xb5e32, 0xb6046, 0xb623a,
+        0xb642f, 0xb6643, 0xb6838, 0xb6a4a, 0xb6c3e, 0xb6e34, 0xb7047, 0xb723b, 0xb7431, 0xb7645,
+        0xb7839, 0xb7a2d, 0xb7c41, 0xb7e35, 0xb8049, 0xb823c, 0xb8432, 0xb8646, 0xb883b, 0xb8a2f,
+        0xb8c43, 0xb8e37, 0xb904b, 0xb923e, 0xb9433, 0xb9647, 0xb983c, 0xb9a31, 0xb9c45, 0xb9e39,
+        0xba02e, 0xba241, 0xba435, 0xba649, 0xba83d, 0xbaa32, 0xbac46, 0xbae3a, 0xbb030, 0xbb242,
+        0xbb436, 0xbb64a, 0xbb83f, 0xbba33, 0xbbc47, 0xbbe3c, 0xbc031, 0xbc244, 0xbc438, 0xbc62d,
+        0xbc841, 0xbca35, 0xbcc49, 0xbce3d, 0xbd033, 0xbd246, 0xbd43a, 0xbd62f, 0xbd843, 0xbda36,
+        0xbdc4a, 0xbde3f, 0xbe034, 0xbe247, 0xbe43c, 0xbe631, 0xbe844, 0xbea37, 0xbec4b, 0xbee41,
+        0xbf036, 0xbf249, 0xbf43d, 0xbf632, 0xbf846, 0xbfa39, 0xbfc2e, 0xbfe42, 0xc0037, 0xc024a,
+        0xc043f, 0xc0634, 0xc0848, 0xc0a3b, 0xc0c30, 0xc0e44, 0xc1038, 0xc122d, 0xc1441, 0xc1636,
+        0xc184a, 0xc1a3d, 0xc1c32, 0xc1e45, 0xc203a, 0xc222e, 0xc2442, 0xc2637, 0xc284b, 0xc2a3e,
+        0xc2c34, 0xc2e47, 0xc303b, 0xc3230, 0xc3444, 0xc3638, 0xc382e, 0xc3a41, 0xc3c35, 0xc3e49,
+        0xc403d, 0xc4231, 0xc4445, 0xc463a, 0xc482f, 0xc4a42, 0xc4c37, 0xc4e4b, 0xc503f, 0xc5233,
+        0xc5447, 0xc563b, 0xc5830, 0xc5a44, 0xc5c38, 0xc5e38, 0xc604c, 0xc623f, 0xc6452, 0xc6647,
+        0xc683c, 0xc6a4f, 0xc6c45, 0xc6e39, 0xc704d, 0xc7241, 0xc7454, 0xc7649, 0xc783d, 0xc7a50,
+        0xc7c46, 0xc7e3b, 0xc804e, 0xc8243, 0xc8437, 0xc864b, 0xc883f, 0xc8a52, 0xc8c47, 0xc8e3c,
+        0xc9050, 0xc9244, 0xc9439, 0xc964d, 0xc9842, 0xc9a53, 0xc9c49, 0xc9e3d, 0xca051, 0xca246,
+        0xca43a, 0xca64e, 0xca844, 0xcaa36, 0xcac4a, 0xcae3f, 0xcb053, 0xcb247, 0xcb43c, 0xcb650,
+        0xcb845, 0xcba38, 0xcbc4c, 0xcbe41, 0xcc054, 0xcc248, 0xcc43d, 0xcc651, 0xcc847, 0xcca3a,
+        0xccc4e, 0xcce43, 0xcd037, 0xcd24a, 0xcd43e, 0xcd653, 0xcd848, 0xcda3c, 0xcdc50, 0xcde45,
+        0xce039, 0xce24b, 0xce441, 0xce635, 0xce849, 0xcea3d, 0xcec51, 0xcee46, 0xcf03a, 0xcf24d,
+        0xcf442, 0xcf637, 0xcf84b, 0xcfa3e, 0xcfc52, 0xcfe48, 0xd003c, 0xd024f, 0xd0444, 0xd0638,
+        0xd084c, 0xd0a41, 0xd0c35, 0xd0e49, 0xd103e, 0xd1251, 0xd1446, 0xd163a, 0xd184e, 0xd1a42,
+        0xd1c37, 0xd1e4b, 0xd203f, 0xd2252, 0xd2447, 0xd263b, 0xd284f, 0xd2a43, 0xd2c38, 0xd2e4c,
+        0xd3042, 0xd3235, 0xd3449, 0xd363d, 0xd3851, 0xd3a45, 0xd3c39, 0xd3e4d, 0xd4043, 0xd4237,
+        0xd444b, 0xd463f, 0xd4853, 0xd4a48, 0xd4c3c, 0xd4e50, 0xd5045, 0xd5239, 0xd544d, 0xd5643,
+        0xd5837, 0xd5a4a, 0xd5c3e, 0xd5e51, 0xd6047, 0xd623a, 0xd644e, 0xd6644, 0xd6838, 0xd6a4b,
+        0xd6c3f, 0xd6e53, 0xd7048, 0xd723c, 0xd7450, 0xd7645, 0xd783a, 0xd7a4d, 0xd7c42, 0xd7e36,
+        0xd804a, 0xd823d, 0xd8451, 0xd8647, 0xd883b, 0xd8a4e, 0xd8c44, 0xd8e38, 0xd904c, 0xd923f,
+        0xd9453, 0xd9648, 0xd983d, 0xd9a50, 0xd9c45, 0xd9e3a, 0xda04d, 0xda241, 0xda436, 0xda649,
+        0xda83e, 0xdaa51, 0xdac47, 0xdae3b, 0xdb04f, 0xdb243, 0xdb437, 0xdb64b, 0xdb83f, 0xdba52,
+        0xdbc48, 0xdbe3d, 0xdc051, 0xdc245, 0xdc439, 0xdc64d, 0xdc842, 0xdca35, 0xdcc49, 0xdce3e,
+        0xdd052, 0xdd247, 0xdd43b, 0xdd64f, 0xdd844, 0xdda37, 0xddc4b, 0xdde3f, 0xde053, 0xde248,
+        0xde43c, 0xde650, 0xde845, 0xdea38, 0xdec4c, 0xdee42, 0xdf036, 0xdf249, 0xdf43e, 0xdf652,
+        0xdf847, 0xdfa3a, 0xdfc4e, 0xdfe43, 0xe0038, 0xe024b, 0xe043f, 0xe0635, 0xe0849, 0xe0a3c,
+        0xe0c50, 0xe0e45, 0xe1039, 0xe124d, 0xe1443, 0xe1637, 0xe184b, 0xe1a3f, 0xe1c52, 0xe1e47,
+        0xe203c, 0xe224e, 0xe2444, 0xe2639, 0xe284d, 0xe2a41, 0xe2c35, 0xe2e49, 0xe303d, 0xe3250,
+        0xe3445, 0xe363a, 0xe384e, 0xe3a43, 0xe3c37, 0xe3e4b, 0xe403f, 0xe4252, 0xe4447, 0xe463b,
+        0xe484f, 0xe4a44, 0xe4c39, 0xe4e4d, 0xe5042, 0xe5254, 0xe5449, 0xe563d, 0xe5851, 0xe5a45,
+        0xe5c3a, 0xe5e4e, 0xe6043, 0xe6237, 0xe644a, 0xe663e, 0xe6852, 0xe6a47, 0xe6c3b, 0xe6e4f,
+        0xe7045, 0xe7238, 0xe744c, 0xe7641, 0xe7854, 0xe7a48, 0xe7c3d, 0xe7e51, 0xe8046, 0xe823a,
+        0xe844e, 0xe8643, 0xe8837, 0xe8a4a, 0xe8c3e, 0xe8e52, 0xe9048, 0xe923b, 0xe944f, 0xe9645,
+        0xe9839, 0xe9a4b, 0xe9c3f, 0xe9e53, 0xea049, 0xea23d, 0xea451, 0xea646, 0xea83a, 0xeaa4d,
+        0xeac42, 0xeae36, 0xeb04a, 0xeb23e, 0xeb452, 0xeb648, 0xeb83c, 0xeba4f, 0xebc44, 0xebe38,
+        0xec04c, 0xec23f, 0xec435, 0xec649, 0xec83e, 0xeca51, 0xecc46, 0xece3a, 0xed04d, 0xed242,
+        0xed436, 0xed64a, 0xed83f, 0xeda53, 0xedc48, 0xede3d, 0xee050, 0xee244, 0xee439, 0xee64d,
+        0xee842, 0xeea36, 0xeec4a, 0xeee3e, 0xef052, 0xef246, 0xef43a, 0xef64e, 0xef843, 0xefa37,
+        0xefc4b, 0xefe41, 0xf0054, 0xf0248, 0xf043c, 0xf0650, 0xf0845, 0xf0a38, 0xf0c4d, 0xf0e42,
+        0xf1037, 0xf124a, 0xf143e, 0xf1651, 0xf1846, 0xf1a3a, 0xf1c4e, 0xf1e44, 0xf2038, 0xf224b,
+        0xf243f, 0xf2653, 0xf2848, 0xf2a3b, 0xf2c4f, 0xf2e45, 0xf3039, 0xf324d, 0xf3442, 0xf3636,
+        0xf384a, 0xf3a3d, 0xf3c51, 0xf3e46, 0xf403b, 0xf424e, 0xf4443, 0xf4638, 0xf484c, 0xf4a3f,
+        0xf4c52, 0xf4e48, 0xf503c, 0xf524f, 0xf5445, 0xf5639, 0xf584d, 0xf5a42, 0xf5c35, 0xf5e49,
+        0xf603e, 0xf6251, 0xf6446, 0xf663b, 0xf684f, 0xf6a43, 0xf6c37, 0xf6e4b, 0xf703f, 0xf7252,
+        0xf7447, 0xf763c, 0xf7850, 0xf7a45, 0xf7c39, 0xf7e4d, 0xf8042, 0xf8254, 0xf8449, 0xf863d,
+        0xf8851, 0xf8a46, 0xf8c3b, 0xf8e4f, 0xf9044, 0xf9237, 0xf944a, 0xf963f, 0xf9853, 0xf9a47,
+        0xf9c3c, 0xf9e50, 0xfa045, 0xfa238, 0xfa44c, 0xfa641, 0xfa836, 0xfaa49, 0xfac3d, 0xfae52,
+        0xfb047, 0xfb23a, 0xfb44e, 0xfb643, 0xfb837, 0xfba4a, 0xfbc3f, 0xfbe53, 0xfc048, 0xfc23c,
+        0xfc450, 0xfc645, 0xfc839, 0xfca4c, 0xfcc41, 0xfce36, 0xfd04a, 0xfd23d, 0xfd451, 0xfd646,
+        0xfd83a, 0xfda4d, 0xfdc43, 0xfde37, 0xfe04b, 0xfe23f, 0xfe453, 0xfe648, 0xfe83c, 0xfea4f,
+        0xfec44, 0xfee38, 0xff04c, 0xff241, 0xff436, 0xff64a, 0xff83e, 0xffa51, 0xffc46, 0xffe3a,
+        0x10004e, 0x100242, 0x100437, 0x10064b, 0x100841, 0x100a53, 0x100c48, 0x100e3c, 0x10104f, 0x101244,
+        0x101438, 0x10164c, 0x101842, 0x101a35, 0x101c49, 0x101e3d, 0x102051, 0x102245, 0x10243a, 0x10264e,
+        0x102843, 0x102a37, 0x102c4b, 0x102e3f, 0x103053, 0x103247, 0x10343b, 0x10364f, 0x103845, 0x103a38,
+        0x103c4c, 0x103e42, 0x104036, 0x104249, 0x10443d, 0x104651, 0x104846, 0x104a3a, 0x104c4e, 0x104e43,
+        0x105038, 0x10524a, 0x10543e, 0x105652, 0x105847, 0x105a3b, 0x105c4f, 0x105e45, 0x106039, 0x10624c,
+        0x106441, 0x106635, 0x106849, 0x106a3d, 0x106c51, 0x106e47, 0x10703c, 0x10724f, 0x107444, 0x107638,
+        0x10784c, 0x107a3f, 0x107c53, 0x107e48, 0x10803d, 0x108250, 0x108446, 0x10863a, 0x10884e, 0x108a42,
+        0x108c36, 0x108e4a, 0x10903e, 0x109251, 0x109447, 0x10963b, 0x10984f, 0x109a43, 0x109c37, 0x109e4b,
+        0x10a041, 0x10a253, 0x10a448, 0x10a63d, 0x10a851, 0x10aa45, 0x10ac39, 0x10ae4d, 0x10b042, 0x10b236,
+        0x10b44a, 0x10b63e, 0x10b852, 0x10ba47, 0x10bc3b, 0x10be4f, 0x10c044, 0x10c237, 0x10c44b, 0x10c641,
+        0x10c854, 0x10ca48, 0x10cc3d, 0x10ce50, 0x10d045, 0x10d239, 0x10d44c, 0x10d642, 0x10d837, 0x10da4a,
+        0x10dc3e, 0x10de52, 0x10e047, 0x10e23a, 0x10e44e, 0x10e643, 0x10e838, 0x10ea4b, 0x10ec41, 0x10ee54,
+        0x10f049, 0x10f23c, 0x10f450, 0x10f645, 0x10f839, 0x10fa4c, 0x10fc42, 0x10fe37, 0x11004b, 0x11023e,
+        0x110452, 0x110647, 0x11083b, 0x110a4e, 0x110c43, 0x110e38, 0x11104c, 0x11123f, 0x111435, 0x111648,
+        0x11183c, 0x111a4f, 0x111c45, 0x111e39, 0x11204d, 0x112242, 0x112436, 0x11264a, 0x11283e, 0x112a51,
+        0x112c46, 0x112e3b, 0x11304f, 0x113244,
+    ];
+
+    private const HEAVENLY_STEMS = ['甲', '乙', '丙', '丁', '戊', '己', '庚', '辛', '壬', '癸'];
+    private const EARTHLY_BRANCHES = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+    private const ZODIAC_ANIMALS = ['鼠', '牛', '虎', '兔', '龍', '蛇', '馬', '羊', '猴', '雞', '狗', '豬'];
+    private const MONTH_NAMES = ['正', '二', '三', '四', '五', '六', '七', '八', '九', '十', '十一', '十二'];
+    private const DAY_NAMES = [
+        '初一', '初二', '初三', '初四', '初五', '初六', '初七', '初八', '初九', '初十',
+        '十一', '十二', '十三', '十四', '十五', '十六', '十七', '十八', '十九', '二十',
+        '廿一', '廿二', '廿三', '廿四', '廿五', '廿六', '廿七', '廿八', '廿九', '三十',
+    ];
+
+    /**
+     * Extract a bit field from packed table data.
+     *
+     * @param int $data Packed value.
+     * @param int $length Field length in bits.
+     * @param int $shift Field offset in bits.
+     * @return int
+     */
+    private static function get_bit_int(int $data, int $length, int $shift): int {
+        return ($data & (((1 << $length) - 1) << $shift)) >> $shift;
+    }
+
+    /**
+     * Convert a solar date to a day number.
+     * WARNING: Dates before Oct. 1582 are inaccurate (same as the JS converter).
+     *
+     * @param int $y Year.
+     * @param int $m Month (1-12).
+     * @param int $d Day.
+     * @return int
+     */
+    public static function solar_to_int(int $y, int $m, int $d): int {
+        $m = ($m + 9) % 12;
+        $y = $y - intdiv($m, 10);
+        return 365 * $y + intdiv($y, 4) - intdiv($y, 100) + intdiv($y, 400) + intdiv($m * 306 + 5, 10) + ($d - 1);
+    }
+
+    /**
+     * Convert a day number back to a solar date.
+     *
+     * @param int $g Day number from solar_to_int().
+     * @return array{year: int, month: int, day: int}
+     */
+    public static function solar_from_int(int $g): array {
+        // Float division keeps this safe where PHP_INT_SIZE is 4
+        $y = (int) ((10000 * $g + 14780) / 3652425);
+        $ddd = $g - (365 * $y + intdiv($y, 4) - intdiv($y, 100) + intdiv($y, 400));
+        if ($ddd < 0) {
+            $y--;
+            $ddd = $g - (365 * $y + intdiv($y, 4) - intdiv($y, 100) + intdiv($y, 400));
+        }
+        $mi = intdiv(100 * $ddd + 52, 3060);
+        $mm = ($mi + 2) % 12 + 1;
+        $y = $y + intdiv($mi + 2, 12);
+        $dd = $ddd - intdiv($mi * 306 + 5, 10) + 1;
+
+        return ['year' => $y, 'month' => $mm, 'day' => $dd];
+    }
+
+    /**
+     * Convert a solar date to its lunar date.
+     *
+     * @param int $year Solar year (800-2200).
+     * @param int $month Solar month (1-12).
+     * @param int $day Solar day.
+     * @return array{lunarYear: int, lunarMonth: int, lunarDay: int, isLeapMonth: bool}|null Null when out of range.
+     */
+    public static function solar_to_lunar_date(int $year, int $month, int $day): ?array {
+        $index = $year - self::SOLAR_1_1[0];
+        $data = ($year << 9) | ($month << 5) | $day;
+        if (!isset(self::SOLAR_1_1[$index])) {
+            return null;
+        }
+        if (self::SOLAR_1_1[$index] > $data) {
+            $index--;
+        }
+        if ($index < 1 || !isset(self::LUNAR_MONTH_DAYS[$index])) {
+            return null;
+        }
+
+        $solar11 = self::SOLAR_1_1[$index];
+        $y = self::get_bit_int($solar11, 12, 9);
+        $m = self::get_bit_int($solar11, 4, 5);
+        $d = self::get_bit_int($solar11, 5, 0);
+        $offset = self::solar_to_int($year, $month, $day) - self::solar_to_int($y, $m, $d);
+
+        $days = self::LUNAR_MONTH_DAYS[$index];
+        $leap = self::get_bit_int($days, 4, 13);
+
+        $lunar_year = $index + self::SOLAR_1_1[0];
+        $lunar_month = 1;
+        $offset += 1;
+
+        for ($i = 0; $i < 13; $i++) {
+            $dm = self::get_bit_int($days, 1, 12 - $i) === 1 ? 30 : 29;
+            if ($offset > $dm) {
+                $lunar_month++;
+                $offset -= $dm;
+            } else {
+                break;
+            }
+        }
+
+        $is_leap = false;
+        if ($leap !== 0 && $lunar_month > $leap) {
+            if ($lunar_month === $leap + 1) {
+                $is_leap = true;
+            }
+            $lunar_month--;
+        }
+
+        return [
+            'lunarYear' => $lunar_year,
+            'lunarMonth' => $lunar_month,
+            'lunarDay' => $offset,
+            'isLeapMonth' => $is_leap,
+        ];
+    }
+
+    /**
+     * Map a clock hour to the Chinese double-hour index (0=子 ... 11=亥).
+     *
+     * @param int $hour Clock hour (0-23).
+     * @return int
+     */
+    public static function get_time_index(int $hour): int {
+        if ($hour >= 23 || $hour < 1) {
+            return 0;
+        }
+        return intdiv($hour + 1, 2);
+    }
+
+    /**
+     * Convert a solar date and time to the lunar structure used by the chart
+     * (same keys as solarToLunar() in lunar-converter.js).
+     *
+     * @param int $year Solar year.
+     * @param int $month Solar month.
+     * @param int $day Solar day.
+     * @param int $hour Clock hour.
+     * @param int $minute Clock minute.
+     * @return array|null Null when the date is outside 800-2200.
+     */
+    public static function solar_to_lunar(int $year, int $month, int $day, int $hour, int $minute): ?array {
+        if ($year < 800 || $year > 2200) {
+            return null;
+        }
+
+        $lunar = self::solar_to_lunar_date($year, $month, $day);
+        if ($lunar === null) {
+            return null;
+        }
+
+        // Base year is 1864 (甲子年)
+        $year_offset = ($lunar['lunarYear'] - 1864) % 60;
+        if ($year_offset < 0) {
+            $year_offset += 60;
+        }
+        $branch = $year_offset % 12;
+        $year_text = self::HEAVENLY_STEMS[$year_offset % 10] . self::EARTHLY_BRANCHES[$branch] . '年，' . self::ZODIAC_ANIMALS[$branch];
+
+        $month_text = (self::MONTH_NAMES[$lunar['lunarMonth'] - 1] ?? (string) $lunar['lunarMonth']) . '月';
+        $day_text = self::DAY_NAMES[$lunar['lunarDay'] - 1] ?? ($lunar['lunarDay'] . '日');
+        $date_text = ($lunar['isLeapMonth'] ? '閏' : '') . $month_text . $day_text;
+
+        return [
+            'year' => $year_text,
+            'date' => $date_text,
+            'isLeapMonth' => $lunar['isLeapMonth'],
+            'hour' => $hour,
+            'minute' => $minute,
+            'timeIndex' => self::get_time_index($hour),
+            'lunarYear' => $lunar['lunarYear'],
+            'lunarMonth' => $lunar['lunarMonth'],
+            'lunarDay' => $lunar['lunarDay'],
+        ];
+    }
+}
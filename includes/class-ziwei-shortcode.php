@@ -0,0 +1,198 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * [ziwei_cal] Shortcode
+ *
+ * Without attributes the shortcode shows the calculator form. Attributes
+ * embed a preconfigured chart, e.g. in a blog post:
+ *
+ *   [ziwei_cal mode="chart-only" birth="1990-05-12 08:30" gender="F"
+ *              settings="ziHourHandling:ziChange;starBrightness:shuoshu" cycle="major:3"]
+ *
+ * The attributes are validated here and handed to assets/display/js/embed.js
+ * as JSON in the container's data-ziwei-embed attribute.
+ *
+ * @package Ziwei_Cal
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Parses shortcode attributes and renders the calculator or an embedded chart.
+ */
+final class Ziwei_Shortcode {
+
+    public const TAG = 'ziwei_cal';
+
+    /** Allowed modes, first entry is the default */
+    public const MODES = ['form', 'chart-only'];
+
+    private const DEFAULT_ATTRIBUTES = [
+        'mode' => 'form',
+        'birth' => '',
+        'gender' => '',
+        'name' => '',
+        'settings' => '',
+        'cycle' => '',
+    ];
+
+    /** Birth years supported by the lunar converter */
+    private const MIN_YEAR = 800;
+    private const MAX_YEAR = 2200;
+
+    /** The form uses fixed element IDs, so a page can hold only one */
+    private static bool $form_rendered = false;
+
+    /**
+     * Shortcode callback.
+     *
+     * @param array|string $atts Raw attributes ('' when none are given)
+     * @return string HTML
+     */
+    public static function render($atts): string {
+        try {
+            $embed = self::parse_attributes(is_array($atts) ? $atts : []);
+        } catch (InvalidArgumentException $e) {
+            return self::render_error($e->getMessage());
+        }
+
+        if ($embed['mode'] === 'form') {
+            if (self::$form_rendered) {
+                return self::render_error('每頁只可放一個排盤表單，其他命盤請使用 mode="chart-only"');
+            }
+            self::$form_rendered = true;
+        }
+
+        ob_start();
+        include ZIWEI_CAL_PLUGIN_DIR . ($embed['mode'] === 'form' ? 'templates/form.php' : 'templates/chart-embed.php');
+        return ob_get_clean();
+    }
+
+    /**
+     * Validate shortcode attributes into the embed configuration.
+     *
+     * @param array $atts Raw attributes
+     * @return array{mode: string, birth: ?array, gender: string, name: string, settings: array<string, string>, cycle: ?array}
+     * @throws InvalidArgumentException When an attribute is invalid.
+     */
+    public static function parse_attributes(array $atts): array {
+        $atts = shortcode_atts(self::DEFAULT_ATTRIBUTES, $atts, self::TAG);
+        $atts = array_map(static function ($value): string {
+            return trim((string) $value);
+        }, $atts);
+
+        if (!in_array($atts['mode'], self::MODES, true)) {
+            throw new InvalidArgumentException('mode 只可為 form 或 chart-only');
+        }
+
+        $birth = $atts['birth'] === '' ? null : self::parse_birth($atts['birth']);
+        $gender = strtoupper($atts['gender']);
+        if ($birth !== null && !in_array($gender, ['M', 'F'], true)) {
+            throw new InvalidArgumentException('gender 必須為 M 或 F');
+        }
+        if ($birth === null && $atts['mode'] === 'chart-only') {
+            throw new InvalidArgumentException('mode="chart-only" 必須提供 birth 及 gender');
+        }
+
+        $cycle = $atts['cycle'] === '' ? null : self::parse_cycle($atts['cycle']);
+        if ($cycle !== null && $birth === null) {
+            throw new InvalidArgumentException('cycle 必須與 birth 一起使用');
+        }
+
+        return [
+            'mode' => $atts['mode'],
+            'birth' => $birth,
+            'gender' => $birth === null ? '' : $gender,
+            'name' => sanitize_text_field($atts['name']),
+            'settings' => self::parse_settings($atts['settings']),
+            'cycle' => $cycle,
+        ];
+    }
+
+    /**
+     * @param string $value 'YYYY-MM-DD HH:MM' (西曆)
+     * @return array{year: int, month: int, day: int, hour: int, minute: int}
+     * @throws InvalidArgumentException When the date or time is invalid.
+     */
+    private static function parse_birth(string $value): array {
+        if (!preg_match('/^(\d{3,4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})$/', $value, $m)) {
+            throw new InvalidArgumentException('birth 格式應為 YYYY-MM-DD HH:MM（西曆）');
+        }
+        [$year, $month, $day, $hour, $minute] = array_map('intval', array_slice($m, 1));
+
+        if ($year < self::MIN_YEAR || $year > self::MAX_YEAR) {
+            throw new InvalidArgumentException(sprintf('birth 年份須在 %d 至 %d 之間', self::MIN_YEAR, self::MAX_YEAR));
+        }
+        if (!checkdate($month, $day, $year) || $hour > 23 || $minute > 59) {
+            throw new InvalidArgumentException("birth 不是有效的日期時間：{$value}");
+        }
+        return ['year' => $year, 'month' => $month, 'day' => $day, 'hour' => $hour, 'minute' => $minute];
+    }
+
+    /**
+     * @param string $value 'name:value' pairs separated by ';' or ','
+     * @return array<string, string> Setting name → value
+     * @throws InvalidArgumentException When a setting or value is unknown.
+     */
+    private static function parse_settings(string $value): array {
+        $available = Ziwei_Site_Settings::get_settings();
+        $settings = [];
+        foreach (preg_split('/\s*[;,]\s*/', $value, -1, PREG_SPLIT_NO_EMPTY) as $pair) {
+            $parts = array_map('trim', explode(':', $pair, 2));
+            if (count($parts) !== 2 || !isset($available[$parts[0]])) {
+                throw new InvalidArgumentException("settings 不支援「{$pair}」");
+            }
+            [$name, $setting_value] = $parts;
+            if (!isset($available[$name]['options'][$setting_value])) {
+                $allowed = implode('、', array_keys($available[$name]['options']));
+                throw new InvalidArgumentException("settings 的 {$name} 只可為 {$allowed}");
+            }
+            $settings[$name] = $setting_value;
+        }
+        return $settings;
+    }
+
+    /**
+     * @param string $value 'major:N' (第 N 個大限, from 1) or 'annual:YYYY' (流年)
+     * @return array{type: string, value: int}
+     * @throws InvalidArgumentException When the cycle is invalid.
+     */
+    private static function parse_cycle(string $value): array {
+        if (!preg_match('/^(major|annual):(\d{1,4})$/', $value, $m)) {
+            throw new InvalidArgumentException('cycle 格式應為 major:N（第 N 個大限）或 annual:YYYY（流年）');
+        }
+        $number = (int) $m[2];
+        if ($m[1] === 'major' && ($number < 1 || $number > 12)) {
+            throw new InvalidArgumentException('cycle 的大限須在 1 至 12 之間');
+        }
+        if ($m[1] === 'annual' && $number < self::MIN_YEAR) {
+            throw new InvalidArgumentException('cycle 的流年應為西曆年份');
+        }
+        return ['type' => $m[1], 'value' => $number];
+    }
+
+    /**
+     * data-ziwei-embed attribute for the template's container.
+     *
+     * @param array $embed Result of parse_attributes()
+     * @return string ' data-ziwei-embed="…"', or '' for the plain calculator form
+     */
+    public static function get_embed_attribute(array $embed): string {
+        if ($embed['birth'] === null && empty($embed['settings'])) {
+            return '';
+        }
+        return ' data-ziwei-embed="' . esc_attr(wp_json_encode($embed)) . '"';
+    }
+
+    /**
+     * @param string $message Problem with the attributes
+     * @return string HTML
+     */
+    private static function render_error(string $message): string {
+        return '<div class="ziwei-cal-embed-error">紫微斗數短代碼錯誤：' . esc_html($message) . '</div>';
+    }
+}
@@ -0,0 +1,192 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * Site-wide Settings Defaults and Features
+ *
+ * Default values for the chart settings panel and on/off switches for
+ * optional features, chosen by the site owner on Settings → 紫微斗數 and
+ * passed to the frontend as ziweiCalData.defaults / ziweiCalData.features.
+ * Visitors can still change every setting in the panel; the defaults only
+ * decide what a new visitor starts with.
+ *
+ * @package Ziwei_Cal
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Stored site defaults and feature toggles.
+ */
+final class Ziwei_Site_Settings {
+
+    /** Option holding setting name → default value */
+    public const DEFAULTS_OPTION = 'ziwei_cal_default_settings';
+
+    /** Option holding feature key → enabled */
+    public const FEATURES_OPTION = 'ziwei_cal_features';
+
+    /**
+     * Settings with a site default, mirroring SETTINGS_CONFIG in
+     * assets/display/js/config.js (first option is the built-in default).
+     * personalInfo is left out: hiding birth data is each visitor's choice.
+     * The stemInterpretation_* settings are added from Ziwei_Chart_Calculator.
+     */
+    private const SETTINGS = [
+        'flyingMutations' => [
+            'category' => '一般設定',
+            'label' => '飛化分析',
+            'options' => ['off' => '關閉', 'palaceStem' => '宮干四化'],
+        ],
+        'leapMonthHandling' => [
+            'category' => '日期處理',
+            'label' => '閏月處理',
+            'options' => ['mid' => '月中換月', 'current' => '視為本月', 'next' => '視為下月'],
+        ],
+        'ziHourHandling' => [
+            'category' => '日期處理',
+            'label' => '子時處理',
+            'options' => ['midnightChange' => '午夜換日', 'ziChange' => '子時換日'],
+        ],
+        'trueSolarTime' => [
+            'category' => '日期處理',
+            'label' => '真太陽時',
+            'options' => ['off' => '不校正', 'longitude' => '按出生地經度及均時差校正'],
+        ],
+        'palaceNameCareer' => [
+            'category' => '宮位',
+            'label' => '事業宮',
+            'options' => ['career' => '事業', 'official' => '官祿'],
+        ],
+        'palaceNameFriends' => [
+            'category' => '宮位',
+            'label' => '交友宮',
+            'options' => ['friends' => '交友', 'servants' => '奴僕', 'servants_alt' => '僕役'],
+        ],
+        'school' => [
+            'category' => '安星規則',
+            'label' => '派別',
+            'options' => ['zhongzhou' => '中州派', 'sanhe' => '三合派', 'feixing' => '飛星派', 'qintian' => '欽天門'],
+        ],
+        'starBrightness' => [
+            'category' => '安星規則',
+            'label' => '星曜亮度',
+            'options' => ['hidden' => '不顯示', 'shuoshu' => '斗數全書'],
+        ],
+        'xunKong' => [
+            'category' => '安星規則',
+            'label' => '截空旬空',
+            'options' => ['marked' => '標明正副', 'primaryOnly' => '只排正星'],
+        ],
+        'woundedServantHandling' => [
+            'category' => '安星規則',
+            'label' => '傷使處理',
+            'options' => ['zhongzhou' => '中州排法', 'noDistinction' => '不分陰陽'],
+        ],
+    ];
+
+    private const STEM_CATEGORY = '四化選擇';
+
+    /** Optional features, all enabled unless switched off */
+    public const FEATURES = [
+        'aiMode' => 'AI 提示詞模式（看AI提示詞按鈕）',
+        'shareLink' => '命盤連結（分享選單的「命盤連結」）',
+        'pdfExport' => 'PDF 匯出（下載 PDF 與 PDF 報告）',
+        'synastry' => '合盤比較（控制列的「合盤」按鈕）',
+    ];
+
+    /**
+     * All settings with a site default, in settings panel order.
+     *
+     * @return array<string, array{category: string, label: string, options: array<string, string>}>
+     */
+    public static function get_settings(): array {
+        $settings = self::SETTINGS;
+        foreach (Ziwei_Chart_Calculator::get_stem_interpretations() as $stem => $interpretations) {
+            $options = [];
+            foreach ($interpretations as $key => $mutations) {
+                $parts = [];
+                foreach ($mutations as $type => $star) {
+                    $parts[] = $type . $star;
+                }
+                $options[$key] = implode('・', $parts);
+            }
+            $settings["stemInterpretation_{$stem}"] = [
+                'category' => self::STEM_CATEGORY,
+                'label' => "{$stem}年四化",
+                'options' => $options,
+            ];
+        }
+        return $settings;
+    }
+
+    /**
+     * Site default of every setting, built-in default where none is stored.
+     *
+     * @return array<string, string> Setting name → value
+     */
+    public static function get_defaults(): array {
+        return self::sanitize_defaults(get_option(self::DEFAULTS_OPTION, []));
+    }
+
+    /**
+     * Keep known settings with allowed values, filling in built-in defaults.
+     *
+     * @param mixed $value Raw option or submitted form value
+     * @return array<string, string>
+     */
+    public static function sanitize_defaults($value): array {
+        $value = is_array($value) ? $value : [];
+        $defaults = [];
+        foreach (self::get_settings() as $name => $setting) {
+            $submitted = $value[$name] ?? null;
+            $defaults[$name] = is_string($submitted) && isset($setting['options'][$submitted])
+                ? $submitted
+                : (string) array_key_first($setting['options']);
+        }
+        return $defaults;
+    }
+
+    /**
+     * Enabled state of every feature.
+     *
+     * @return array<string, bool> Feature key → enabled
+     */
+    public static function get_features(): array {
+        $stored = get_option(self::FEATURES_OPTION, null);
+        if (!is_array($stored)) {
+            return array_fill_keys(array_keys(self::FEATURES), true);
+        }
+        $features = [];
+        foreach (array_keys(self::FEATURES) as $key) {
+            $features[$key] = !isset($stored[$key]) || (bool) $stored[$key];
+        }
+        return $features;
+    }
+
+    /**
+     * Checkbox values to feature flags; an unchecked box is not submitted.
+     *
+     * @param mixed $value Submitted form value (feature key → '1')
+     * @return array<string, bool>
+     */
+    public static function sanitize_features($value): array {
+        $value = is_array($value) ? $value : [];
+        $features = [];
+        foreach (array_keys(self::FEATURES) as $key) {
+            $features[$key] = !empty($value[$key]);
+        }
+        return $features;
+    }
+
+    /**
+     * @param string $key Feature key (see FEATURES)
+     * @return bool
+     */
+    public static function is_enabled(string $key): bool {
+        return self::get_features()[$key] ?? true;
+    }
+}
@@ -0,0 +1,216 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * Export Library Assets
+ *
+ * Third-party libraries used by the PNG/PDF export (dom-to-image, pako, UPNG,
+ * jsPDF) and the CJK font embedded in PDFs (Noto Sans TC, SIL OFL). They are
+ * bundled under assets/vendor/ so exports work on sites with no outbound
+ * network; the CDN copies are the same npm release files, so one Subresource
+ * Integrity hash covers both sources. The font is the exception: only a
+ * subset is bundled, and the full file is always loaded from the CDN.
+ *
+ * @package Ziwei_Cal
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Resolves export library URLs for the chosen source (local or CDN).
+ */
+final class Ziwei_Vendor_Assets {
+
+    /** Option holding the library source */
+    public const OPTION = 'ziwei_cal_vendor_source';
+
+    /** Allowed sources, first entry is the default */
+    public const SOURCES = ['local', 'cdn'];
+
+    private const CDN_BASE = 'https://cdn.jsdelivr.net/npm/';
+
+    /**
+     * Bundled libraries. 'file' is relative to assets/vendor/ and to the npm
+     * package on the CDN; keep 'integrity' in sync with the file
+     * (openssl dgst -sha384 -binary FILE | openssl base64 -A).
+     */
+    private const LIBRARIES = [
+        'domtoimage' => [
+            'package' => 'dom-to-image',
+            'version' => '2.6.0',
+            'file' => 'dist/dom-to-image.min.js',
+            'integrity' => 'sha384-zESinL+vR3OR5XGFqKjneclbVKOL8SfP+fKKO3K9BHAaPtboci56Vu3g5flevHk9',
+        ],
+        'pako' => [
+            'package' => 'pako',
+            'version' => '2.1.0',
+            'file' => 'dist/pako.min.js',
+            'integrity' => 'sha384-rNlaE5fs9dGIjmxWDALQh/RBAaGRYT5ChrzHo6tRfgrZ36iRFAiquP5g41Jsv+0j',
+        ],
+        'upng' => [
+            'package' => 'upng-js',
+            'version' => '2.1.0',
+            'file' => 'UPNG.js',
+            'integrity' => 'sha384-5zRBkJ6IHy9ezWHX/cBuwC0SnrK23Cfx6G6kIjwR5no9khaSv2md2ZHMXphI3UCB',
+        ],
+        'jspdf' => [
+            'package' => 'jspdf',
+            'version' => '2.5.1',
+            'file' => 'dist/jspdf.umd.min.js',
+            'integrity' => 'sha384-JcnsjUPPylna1s1fvi1u12X5qjY5OL56iySh75FdtrwhO/SWXgMjoVqcKyIIWOLk',
+        ],
+        // TrueType font fetched by share.js for PDF text, not enqueued as a
+        // script. Not bundled (see CDN_ONLY and CJK_FONT_SUBSET)
+        'cjkfont' => [
+            'package' => '@expo-google-fonts/noto-sans-tc',
+            'version' => '0.4.3',
+            'file' => '400Regular/NotoSansTC_400Regular.ttf',
+            'integrity' => 'sha384-ODksDjOtleXyeZJjvNGSO4tWVmXKGpcMf9fD8fuaXW9kg0W9bmb4J3OobCe/cd0u',
+        ],
+    ];
+
+    /** Libraries with no bundled copy, always loaded from the CDN */
+    private const CDN_ONLY = ['cjkfont'];
+
+    /**
+     * Bundled subset of cjkfont, always served locally: ASCII plus every
+     * non-ASCII character in the plugin's scripts under assets/ (outside
+     * assets/vendor/), i.e. the fixed text of the chart and the PDF report.
+     * share.js falls back to the full cjkfont only when the chart's personal
+     * text (name, birthplace) has characters outside it. Rebuild it with
+     * HarfBuzz hb-subset from the full file whenever new text is added;
+     * tests/vendor-assets.test.js checks the coverage.
+     */
+    private const CJK_FONT_SUBSET = [
+        'file' => '@expo-google-fonts/noto-sans-tc/NotoSansTC_400Regular.subset.ttf',
+        'integrity' => 'sha384-Q+CD0UbpwYLskqmjdqtIKRegrwClibdUPpLZpdS6Tf+VfdYT+nYg3vWXmhXp667D',
+    ];
+
+    /** Script handles enqueued through enqueue(), for the integrity attribute */
+    private static array $handles = [];
+
+    /**
+     * Current library source.
+     *
+     * @return string 'local' or 'cdn'
+     */
+    public static function get_source(): string {
+        return self::sanitize_source(get_option(self::OPTION, self::SOURCES[0]));
+    }
+
+    /**
+     * Restrict a stored or submitted value to SOURCES.
+     *
+     * @param mixed $value Raw value
+     * @return string
+     */
+    public static function sanitize_source($value): string {
+        return in_array($value, self::SOURCES, true) ? $value : self::SOURCES[0];
+    }
+
+    /**
+     * Library keys in load order.
+     *
+     * @return string[]
+     */
+    public static function get_keys(): array {
+        return array_keys(self::LIBRARIES);
+    }
+
+    /**
+     * URL of a library for the current source.
+     *
+     * @param string $key Library key (see LIBRARIES)
+     * @return string
+     * @throws InvalidArgumentException When the key is unknown.
+     */
+    public static function get_url(string $key): string {
+        $library = self::get_library($key);
+
+        if (self::get_source() === 'cdn' || in_array($key, self::CDN_ONLY, true)) {
+            return self::CDN_BASE . $library['package'] . '@' . $library['version'] . '/' . $library['file'];
+        }
+        return ZIWEI_CAL_PLUGIN_URL . 'assets/vendor/' . $library['package'] . '/' . basename($library['file']);
+    }
+
+    /**
+     * Path of the bundled copy, relative to the plugin directory.
+     *
+     * @param string $key Library key
+     * @return string
+     * @throws InvalidArgumentException When the key is unknown or not bundled.
+     */
+    public static function get_local_path(string $key): string {
+        $library = self::get_library($key);
+        if (in_array($key, self::CDN_ONLY, true)) {
+            throw new InvalidArgumentException("Vendor library is not bundled: {$key}");
+        }
+        return 'assets/vendor/' . $library['package'] . '/' . basename($library['file']);
+    }
+
+    /**
+     * Library URLs and hashes for ziweiCalData.vendor (share.js loads from
+     * these), plus 'cjkfontsubset' for the bundled font subset.
+     *
+     * @return array<string, array{src: string, integrity: string, version: string}>
+     */
+    public static function get_manifest(): array {
+        $manifest = [];
+        foreach (self::LIBRARIES as $key => $library) {
+            $manifest[$key] = [
+                'src' => self::get_url($key),
+                'integrity' => $library['integrity'],
+                'version' => $library['version'],
+            ];
+        }
+        $manifest['cjkfontsubset'] = [
+            'src' => ZIWEI_CAL_PLUGIN_URL . 'assets/vendor/' . self::CJK_FONT_SUBSET['file'],
+            'integrity' => self::CJK_FONT_SUBSET['integrity'],
+            'version' => self::LIBRARIES['cjkfont']['version'],
+        ];
+        return $manifest;
+    }
+
+    /**
+     * Enqueue a library as a WordPress script with its integrity hash.
+     *
+     * @param string $key Library key
+     * @param string $handle Script handle
+     * @return void
+     */
+    public static function enqueue(string $key, string $handle): void {
+        $library = self::get_library($key);
+        wp_enqueue_script($handle, self::get_url($key), [], $library['version'], true);
+        self::$handles[$handle] = $library['integrity'];
+    }
+
+    /**
+     * script_loader_tag filter: add integrity/crossorigin to library tags.
+     *
+     * @param string $tag Script tag HTML
+     * @param string $handle Script handle
+     * @return string
+     */
+    public static function add_integrity_attribute($tag, $handle) {
+        if (!isset(self::$handles[$handle]) || strpos($tag, ' integrity=') !== false) {
+            return $tag;
+        }
+        $attributes = sprintf(' integrity="%s" crossorigin="anonymous" src=', esc_attr(self::$handles[$handle]));
+        return str_replace(' src=', $attributes, $tag);
+    }
+
+    /**
+     * @param string $key Library key
+     * @return array
+     * @throws InvalidArgumentException When the key is unknown.
+     */
+    private static function get_library(string $key): array {
+        if (!isset(self::LIBRARIES[$key])) {
+            throw new InvalidArgumentException("Unknown vendor library: {$key}");
+        }
+        return self::LIBRARIES[$key];
+    }
+}
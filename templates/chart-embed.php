@@ -0,0 +1,10 @@
+<?php
+/**
+ * Embedded chart for [ziwei_cal mode="chart-only"], drawn by embed.js.
+ *
+ * @var array $embed Shortcode attributes (Ziwei_Shortcode::parse_attributes())
+ */
+?>
+<div class="ziwei-cal ziwei-cal-embed" data-ziwei-mode="chart"<?php echo Ziwei_Shortcode::get_embed_attribute($embed); ?>>
+    <div class="ziwei-cal-embed-loading">命盤載入中…</div>
+</div>
@@ -1,4 +1,4 @@
-<div class="ziwei-cal" data-ziwei-mode="form">
+<div class="ziwei-cal" data-ziwei-mode="form"<?php echo Ziwei_Shortcode::get_embed_attribute($embed); ?>>
         <div class="ziwei-cal-title">
             <h1>紫微斗數排盤工具</h1>
             <p class="ziwei-cal-version-link"><a href="https://little-yin.com/2025/11/08/calculator/" target="_blank" rel="noopener noreferrer">版本 1.1.3 • 更新於 2025-12-26</a></p>
@@ -36,11 +36,23 @@
 
         <!-- Birth Date and Time -->
         <div class="ziwei-cal-datetime-group">
-            <label class="ziwei-cal-label">
-                出生日期與時間 (西曆)<span class="ziwei-cal-required">*</span>
-            </label>
+            <div class="ziwei-cal-datetime-header">
+                <label class="ziwei-cal-label">
+                    出生日期與時間<span class="ziwei-cal-required">*</span>
+                </label>
+                <div class="ziwei-cal-calendar-toggle" role="radiogroup" aria-label="曆法">
+                    <label>
+                        <input type="radio" id="ziwei-calendar-solar" name="calendarType" value="solar" checked>
+                        西曆
+                    </label>
+                    <label>
+                        <input type="radio" id="ziwei-calendar-lunar" name="calendarType" value="lunar">
+                        農曆
+                    </label>
+                </div>
+            </div>
             <div class="ziwei-cal-datetime-row">
-                <div class="ziwei-cal-date-section">
+                <div class="ziwei-cal-date-section ziwei-cal-solar-date">
                     <input type="text" id="ziwei-birth-year" name="year" class="ziwei-cal-year-input" value="<?php echo date('Y'); ?>" placeholder="例如：1990" required pattern="[0-9]{4}" maxlength="4" inputmode="numeric">
                     <span class="ziwei-cal-unit">年</span>
 
@@ -67,6 +79,36 @@
                     <span class="ziwei-cal-unit">日</span>
                 </div>
 
+                <div class="ziwei-cal-date-section ziwei-cal-lunar-date" style="display: none;">
+                    <input type="text" id="ziwei-lunar-year" name="lunarYear" class="ziwei-cal-year-input" value="<?php echo date('Y'); ?>" placeholder="例如：1990" pattern="[0-9]{4}" maxlength="4" inputmode="numeric">
+                    <span class="ziwei-cal-unit">年</span>
+
+                    <label class="ziwei-cal-leap-label">
+                        <input type="checkbox" id="ziwei-lunar-leap" name="leapMonth" value="1">
+                        閏
+                    </label>
+                    <select id="ziwei-lunar-month" name="lunarMonth" class="ziwei-cal-md-input">
+                        <?php 
+                            $lunarMonthNames = ['正', '二', '三', '四', '五', '六', '七', '八', '九', '十', '冬', '臘'];
+                            foreach ($lunarMonthNames as $index => $monthName):
+                        ?>
+                            <option value="<?php echo $index + 1; ?>"><?php echo $monthName; ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                    <span class="ziwei-cal-unit">月</span>
+
+                    <select id="ziwei-lunar-day" name="lunarDay" class="ziwei-cal-md-input">
+                        <?php 
+                            $lunarDayNames = ['初一', '初二', '初三', '初四', '初五', '初六', '初七', '初八', '初九', '初十',
+                                              '十一', '十二', '十三', '十四', '十五', '十六', '十七', '十八', '十九', '二十',
+                                              '廿一', '廿二', '廿三', '廿四', '廿五', '廿六', '廿七', '廿八', '廿九', '三十'];
+                            foreach ($lunarDayNames as $index => $dayName):
+                        ?>
+                            <option value="<?php echo $index + 1; ?>"><?php echo $dayName; ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
+
                 <div class="ziwei-cal-spacer"></div>
 
                 <div class="ziwei-cal-time-section">
@@ -92,7 +134,22 @@
             <label class="ziwei-cal-label">
                 出生地點 <span class="ziwei-cal-optional">(選填)</span>
             </label>
-            <input type="text" id="ziwei-birthplace" name="birthplace" placeholder="例如：香港">
+            <input type="text" id="ziwei-birthplace" name="birthplace" placeholder="例如：香港" list="ziwei-birthplace-list" autocomplete="off">
+            <datalist id="ziwei-birthplace-list"></datalist>
+        </div>
+
+        <!-- Daylight-saving / historical time zone region -->
+        <div class="ziwei-cal-form-group">
+            <label class="ziwei-cal-label" for="ziwei-timezone-region">
+                夏令時間地區 <span class="ziwei-cal-optional">(自動扣除夏令時間)</span>
+            </label>
+            <select id="ziwei-timezone-region" name="timezoneRegion">
+                <option value="auto" selected>按出生地點自動判斷</option>
+                <option value="HK">香港</option>
+                <option value="TW">台灣</option>
+                <option value="CN">中國內地</option>
+                <option value="none">不調整</option>
+            </select>
         </div>
 
         <!-- Action Buttons -->
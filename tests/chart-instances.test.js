@@ -0,0 +1,154 @@
+/**
+ * Chart Instance Tests
+ *
+ * Checks ziweiAdapter.createInstance() (assets/js/data-adapter.js): each chart
+ * on a page gets its own settings, storage and current chart while sharing
+ * modules with the adapter, a calculation on an instance reads only that
+ * instance's settings, and forElement() finds the instance a chart container
+ * is bound to.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { adapter } = require('../assets/js/headless.js');
+
+const INPUT = { gender: 'F', year: '1990', month: '5', day: '12', hour: '8', minute: '30', calendarType: 'solar' };
+
+/**
+ * Stub element for closest('[data-ziwei-instance]')
+ * @param {Object|null} parent Stub parent element
+ */
+function createElement(parent) {
+    const attributes = {};
+    const element = {
+        setAttribute: function(name, value) { attributes[name] = String(value); },
+        getAttribute: function(name) { return name in attributes ? attributes[name] : null; },
+        closest: function(selector) {
+            const name = selector.replace(/^\[|\]$/g, '');
+            for (let node = element; node; node = node.parent) {
+                if (node.getAttribute(name) !== null) return node;
+            }
+            return null;
+        },
+        parent: parent
+    };
+    return element;
+}
+
+test('instances keep their own storage and share modules', function() {
+    const first = adapter.createInstance();
+    const second = adapter.createInstance();
+    try {
+        assert.notEqual(first.id, second.id);
+        adapter.storage.set('formInput', 'form');
+        first.storage.set('formInput', 'first');
+
+        assert.equal(adapter.storage.get('formInput'), 'form');
+        assert.equal(first.storage.get('formInput'), 'first');
+        assert.equal(second.storage.get('formInput'), undefined);
+
+        second.storage.clear();
+        assert.equal(first.storage.get('formInput'), 'first');
+
+        assert.equal(first.getModule('mutations'), adapter.getModule('mutations'));
+    } finally {
+        adapter.removeInstance(first.id);
+        adapter.removeInstance(second.id);
+        adapter.storage.clear();
+    }
+});
+
+test('instances keep their own settings', function() {
+    const previous = adapter.settings.getAll();
+    adapter.settings.set('xunKong', 'full');
+    const copied = adapter.createInstance();
+    const given = adapter.createInstance(undefined, { xunKong: 'primaryOnly' });
+    try {
+        // A copy of the adapter's settings at creation, or the settings given
+        assert.equal(copied.settings.get('xunKong'), 'full');
+        assert.equal(given.settings.get('xunKong'), 'primaryOnly');
+
+        adapter.settings.set('xunKong', 'hidden');
+        given.settings.set('palaceNameStyle', 'short');
+        assert.equal(copied.settings.get('xunKong'), 'full');
+        assert.equal(given.settings.get('xunKong'), 'primaryOnly');
+        assert.equal(adapter.settings.get('palaceNameStyle'), previous.palaceNameStyle);
+        assert.equal(copied.settings.get('palaceNameStyle'), undefined);
+    } finally {
+        adapter.removeInstance(copied.id);
+        adapter.removeInstance(given.id);
+        adapter._settings = previous;
+    }
+});
+
+test('calculate on an instance uses that instance\'s settings', function() {
+    const previous = adapter.settings.getAll();
+    const instance = adapter.createInstance(undefined, { woundedServantHandling: 'noDistinction', stemInterpretation_庚: 'interpretation_2' });
+    try {
+        adapter._settings = {};
+        const output = instance.calculate(Object.assign({}, INPUT, { stemInterpretations: { 戊: 'interpretation_2' } }));
+
+        // 陽女: 中州派 swaps 天傷 and 天使, noDistinction does not
+        const adapterStars = adapter.calculate(INPUT).sections.minorStars;
+        assert.equal(output.sections.minorStars['天傷'], adapterStars['天使']);
+        assert.equal(output.sections.minorStars['天使'], adapterStars['天傷']);
+        assert.notEqual(adapterStars['天傷'], adapterStars['天使']);
+
+        // Stem selections in the input go to the instance, not the adapter
+        assert.equal(instance.settings.get('stemInterpretation_戊'), 'interpretation_2');
+        assert.equal(instance.settings.get('stemInterpretation_庚'), 'interpretation_2');
+        assert.equal(adapter.settings.get('stemInterpretation_戊'), undefined);
+
+        // Settings the input lacks come from the instance
+        instance.settings.set('leapMonthHandling', 'next');
+        assert.equal(instance.normalizeInput(INPUT).meta.leapMonthHandling, 'next');
+        assert.notEqual(adapter.normalizeInput(INPUT).meta.leapMonthHandling, 'next');
+    } finally {
+        adapter.removeInstance(instance.id);
+        adapter._settings = previous;
+        adapter.setCurrentChart(null);
+    }
+});
+
+test('calculate on an instance sets only that instance\'s current chart', function() {
+    const instance = adapter.createInstance();
+    try {
+        adapter.setCurrentChart(null);
+        const output = instance.calculate(INPUT);
+
+        assert.equal(instance.getCurrentChart().derived.mingPalace.index, output.derived.mingPalace.index);
+        assert.equal(adapter.getCurrentChart(), null);
+
+        adapter.calculate(Object.assign({}, INPUT, { gender: 'M' }));
+        assert.equal(instance.getCurrentChart().meta.gender, output.meta.gender);
+    } finally {
+        adapter.removeInstance(instance.id);
+    }
+});
+
+test('forElement resolves the bound instance, else the adapter', function() {
+    const instance = adapter.createInstance('embed-test');
+    try {
+        const container = createElement(null);
+        const grid = createElement(createElement(container));
+        adapter.bindElement(container, instance);
+
+        assert.equal(container.getAttribute('data-ziwei-instance'), 'embed-test');
+        assert.equal(adapter.forElement(grid), instance);
+        assert.equal(adapter.getInstance('embed-test'), instance);
+        assert.equal(adapter.forElement(createElement(null)), adapter);
+        assert.equal(adapter.forElement(null), adapter);
+
+        adapter.removeInstance('embed-test');
+        assert.equal(adapter.getInstance('embed-test'), null);
+        assert.equal(adapter.forElement(grid), adapter);
+    } finally {
+        adapter.removeInstance(instance.id);
+    }
+});
@@ -0,0 +1,288 @@
+/**
+ * Chart Pattern (格局) Tests
+ *
+ * Runs the built-in patterns of assets/js/chart-patterns.js against hand-built
+ * charts (one per pattern, plus near misses) and against the golden charts,
+ * checks the rule language and the 夾宮/對宮 analysis, and checks that the
+ * 格局 entries written by share.js buildExportJSON() match the export schema.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { calculateChart, adapter, constants } = require('../assets/js/headless.js');
+const chartPatterns = require('../assets/js/chart-patterns.js');
+const chartExport = require('../assets/js/chart-export.js');
+
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'golden-charts.json'), 'utf8'));
+const OPTIONS = { triSquareMap: constants.TRI_SQUARE_MAP };
+
+/**
+ * Minimal adapter output
+ * @param {Object} spec
+ * @param {number} spec.ming 命宮 branch index
+ * @param {Object} [spec.primary] Star → branch index
+ * @param {Object} [spec.secondary] Star → branch index
+ * @param {Object} [spec.minor] Star → branch index
+ * @param {Object} [spec.mutations] Type (祿/權/科/忌) → star
+ * @param {Object} [spec.brightness] Star → 廟/旺/…
+ */
+function buildChart(spec) {
+    const palaces = {};
+    for (let index = 0; index < 12; index++) {
+        palaces[index] = { index: index, name: '', isMing: index === spec.ming, branchIndex: index };
+    }
+    const byType = spec.mutations || {};
+    const byStar = {};
+    Object.keys(byType).forEach(function(type) { byStar[byType[type]] = type; });
+    const brightness = { primary: {}, secondary: {} };
+    Object.keys(spec.brightness || {}).forEach(function(star) {
+        brightness.primary[star] = { brightness: spec.brightness[star] };
+    });
+    return {
+        sections: {
+            palaces: palaces,
+            primaryStars: spec.primary || {},
+            secondaryStars: spec.secondary || {},
+            minorStars: spec.minor || {},
+            mutations: { byType: byType, byStar: byStar },
+            brightness: brightness
+        }
+    };
+}
+
+/**
+ * @returns {string[]} 'name@palaceIndex' of every match
+ */
+function detect(spec) {
+    return chartPatterns.detectPatterns(buildChart(spec), OPTIONS).map(function(match) {
+        return `${match.name}@${match.palaceIndex}`;
+    });
+}
+
+test('patterns anchored on 命宮', function() {
+    // 命宮 寅 (2): 三方四正 寅、申、午、戌
+    assert.deepEqual(detect({ ming: 2, primary: { 紫微: 2, 天府: 2 } }), ['紫府同宮@2']);
+    assert.deepEqual(detect({ ming: 8, primary: { 紫微: 2, 天府: 2 } }), []);
+
+    assert.deepEqual(detect({ ming: 2, primary: { 紫微: 2 }, secondary: { 左輔: 6, 右弼: 8 } }), ['君臣慶會@2']);
+    assert.deepEqual(detect({ ming: 2, primary: { 紫微: 2 }, secondary: { 左輔: 6, 右弼: 3 } }), []);
+
+    assert.deepEqual(detect({ ming: 0, primary: { 巨門: 0 }, mutations: { 祿: '巨門' } }), ['石中隱玉@0']);
+    assert.deepEqual(detect({ ming: 6, primary: { 巨門: 6 }, mutations: { 權: '巨門' } }), ['石中隱玉@6']);
+    assert.deepEqual(detect({ ming: 4, primary: { 巨門: 4 }, mutations: { 祿: '巨門' } }), []);
+    assert.deepEqual(detect({ ming: 0, primary: { 巨門: 0 }, mutations: { 忌: '巨門' } }), []);
+
+    const sunMoon = { ming: 1, primary: { 太陽: 5, 太陰: 9 } };
+    assert.deepEqual(detect(Object.assign({ brightness: { 太陽: '旺', 太陰: '廟' } }, sunMoon)), ['日月並明@1']);
+    assert.deepEqual(detect(Object.assign({ brightness: { 太陽: '旺', 太陰: '陷' } }, sunMoon)), []);
+});
+
+test('patterns found in any palace', function() {
+    assert.deepEqual(detect({ ming: 0, primary: { 貪狼: 4 }, secondary: { 火星: 4 } }), ['火貪格@4']);
+    assert.deepEqual(detect({ ming: 0, primary: { 貪狼: 4 }, secondary: { 鈴星: 4 } }), ['鈴貪格@4']);
+    assert.deepEqual(detect({ ming: 0, primary: { 貪狼: 4 }, secondary: { 火星: 5 } }), []);
+
+    // 武曲 in 辰 (4): 三方四正 辰、戌、申、子
+    assert.deepEqual(detect({ ming: 0, primary: { 武曲: 4 }, secondary: { 鈴星: 10, 文昌: 8, 陀羅: 0 } }), ['鈴昌陀武@4']);
+    assert.deepEqual(detect({ ming: 0, primary: { 武曲: 4 }, secondary: { 鈴星: 10, 文昌: 8, 陀羅: 1 } }), []);
+
+    assert.deepEqual(detect({ ming: 0, primary: { 天同: 3 }, secondary: { 擎羊: 4, 陀羅: 2 }, mutations: { 忌: '天同' } }), ['羊陀夾忌@3']);
+    assert.deepEqual(detect({ ming: 0, primary: { 天同: 3 }, secondary: { 擎羊: 4, 陀羅: 5 }, mutations: { 忌: '天同' } }), []);
+
+    assert.deepEqual(detect({ ming: 0, secondary: { 祿存: 2 }, minor: { 天馬: 2 } }), ['祿馬交馳@2']);
+    assert.deepEqual(detect({ ming: 0, primary: { 太陽: 2 }, minor: { 天馬: 2 }, mutations: { 祿: '太陽' } }), ['祿馬交馳@2']);
+    assert.deepEqual(detect({ ming: 0, secondary: { 祿存: 2 }, minor: { 天馬: 8 } }), []);
+});
+
+test('matches list the palaces involved', function() {
+    const [match] = chartPatterns.detectPatterns(
+        buildChart({ ming: 2, primary: { 紫微: 2 }, secondary: { 左輔: 6, 右弼: 10 } }),
+        OPTIONS
+    );
+    assert.equal(match.id, 'junChenQingHui');
+    assert.equal(match.type, '吉');
+    assert.equal(match.palaceIndex, 2);
+    assert.deepEqual(match.palaces, [2, 6, 10]);
+
+    const [flanked] = chartPatterns.detectPatterns(
+        buildChart({ ming: 0, primary: { 天同: 11 }, secondary: { 擎羊: 0, 陀羅: 10 }, mutations: { 忌: '天同' } }),
+        OPTIONS
+    );
+    assert.deepEqual(flanked.palaces, [0, 10, 11]);
+});
+
+test('golden charts: every match holds in the chart', function() {
+    fixture.cases.forEach(function(entry) {
+        const chart = calculateChart(entry.input, entry.settings);
+        const sections = chart.sections;
+        chartPatterns.detectPatterns(chart, OPTIONS).forEach(function(match) {
+            assert.ok(match.palaces.includes(match.palaceIndex), `${entry.name}: ${match.name}`);
+            if (match.id === 'yangTuoJiaJi') {
+                // 擎羊 and 陀羅 always flank 祿存, so the 化忌 star sits with 祿存
+                assert.equal(sections.secondaryStars['祿存'], match.palaceIndex, entry.name);
+            }
+            if (match.id === 'luMaJiaoChi') {
+                assert.equal(sections.minorStars['天馬'], match.palaceIndex, entry.name);
+            }
+        });
+    });
+
+    // 1988-07-15 晚子時 (midnightChange): 戊辰年 天機化忌 with 祿存 in 巳
+    const entry = fixture.cases.find(function(item) { return item.name.startsWith('1988-07-15 23:00 男 (晚子時, midnightChange)'); });
+    const names = chartPatterns.detectPatterns(calculateChart(entry.input, entry.settings), OPTIONS).map(function(match) { return match.name; });
+    assert.ok(names.includes('羊陀夾忌'), names.join('、'));
+});
+
+test('custom patterns are validated', function() {
+    const chart = buildChart({ ming: 0, primary: { 紫微: 0 } });
+    const custom = [{ id: 'ziweiMing', name: '紫微坐命', anchor: 'ming', conditions: [{ stars: ['紫微'] }] }];
+    assert.deepEqual(chartPatterns.detectPatterns(chart, Object.assign({ patterns: custom }, OPTIONS)).map(function(match) { return match.name; }), ['紫微坐命']);
+
+    assert.throws(function() {
+        chartPatterns.validatePattern({ id: 'x', name: '測試', anchor: 'shen', conditions: [{ stars: ['紫微'] }] });
+    }, /anchor/);
+    assert.throws(function() {
+        chartPatterns.validatePattern({ id: 'x', name: '測試', anchor: 'any', conditions: [{ stars: ['紫微'], scope: 'far' }] });
+    }, /範圍/);
+    assert.throws(function() {
+        chartPatterns.validatePattern({ id: 'x', name: '測試', anchor: 'any', conditions: [{ star: '紫微' }] });
+    }, /無法識別/);
+    assert.throws(function() { chartPatterns.detectPatterns(chart); }, /TRI_SQUARE_MAP/);
+});
+
+test('rule language: palace roles, not/allOf and cycle layers', function() {
+    const chart = buildChart({ ming: 2, primary: { 武曲: 6, 天同: 9 }, secondary: { 擎羊: 10 }, mutations: { 忌: '天同' } });
+    const run = function(conditions, anchor, layers) {
+        const patterns = [{ id: 'rule', name: '規則', anchor: anchor || 'any', conditions: conditions }];
+        return chartPatterns.detectPatterns(chart, Object.assign({ patterns: patterns, layers: layers }, OPTIONS))
+            .map(function(match) { return match.palaceIndex; });
+    };
+
+    // 命宮 寅 (2): 財帛 in 戌 (10), 事業 in 午 (6)
+    assert.deepEqual(run([{ palace: ['財帛'] }]), [10]);
+    assert.deepEqual(run([{ palace: ['官祿', '財帛'] }]), [6, 10]);
+    assert.deepEqual(run([{ stars: ['武曲'] }, { not: { palace: ['事業'] } }]), []);
+    assert.deepEqual(run([{ allOf: [{ stars: ['擎羊'] }, { palace: ['財帛'] }] }]), [10]);
+
+    // 化忌入命三方且見擎羊: 天同 in 申 (9) is not in 寅's 三方四正 (寅午戌申 = 2, 6, 10, 8)
+    const rule = [{ mutated: ['忌'], scope: 'triSquare' }, { stars: ['擎羊'], scope: 'triSquare' }];
+    assert.deepEqual(run(rule, 'ming'), []);
+
+    // 大限命宮 in 午 (6) whose stem turns 武曲 化忌; layer mutations come from options.layers
+    const major = { branchIndex: 6, mutations: { 武曲: '忌' } };
+    assert.deepEqual(run([{ mutated: ['忌'], layer: 'major' }]), []);
+    assert.deepEqual(run([{ mutated: ['忌'], layer: 'major' }], 'any', { major: major }), [6]);
+    assert.deepEqual(run([{ stars: ['武曲'], mutations: ['忌'], layer: 'major' }], 'majorMing', { major: major }), [6]);
+    assert.deepEqual(run([{ stars: ['武曲'] }], 'majorMing'), []);
+    // 大限財帛 counted from the 大限命宮
+    assert.deepEqual(run([{ palace: ['財帛'], layer: 'major' }], 'any', { major: major }), [2]);
+    assert.deepEqual(run([{ mutated: ['忌'], layer: 'annual', scope: 'triSquare' }], 'annualMing', { annual: { branchIndex: 2, mutations: { 武曲: '忌' } } }), [2]);
+});
+
+test('cycle layers from the mutations module', function() {
+    const entry = fixture.cases[0];
+    const chart = calculateChart(entry.input, entry.settings);
+    const mutationsModule = adapter.getModule('mutations');
+    const majorIndex = chart.sections.lifeCycles.major[2].palaceIndex;
+    const stem = chart.sections.palaces[majorIndex].stem;
+    const layers = { major: { branchIndex: majorIndex, mutations: mutationsModule.calculateMajorCycleMutations(stem).byStar } };
+    const luStar = mutationsModule.calculateMajorCycleMutations(stem).byType['祿'];
+
+    const patterns = [{ id: 'majorLu', name: '大限化祿', anchor: 'any', conditions: [{ mutated: ['祿'], layer: 'major' }] }];
+    const matches = chartPatterns.detectPatterns(chart, Object.assign({ patterns: patterns, layers: layers }, OPTIONS));
+    const expected = [chart.sections.primaryStars, chart.sections.secondaryStars]
+        .map(function(group) { return group[luStar]; })
+        .find(function(value) { return value !== undefined; });
+    assert.deepEqual(matches.map(function(match) { return match.palaceIndex; }), [expected]);
+});
+
+test('rule validation and layer listing', function() {
+    const base = { id: 'x', name: '測試', anchor: 'any' };
+    const invalid = function(conditions, extra) {
+        return function() { chartPatterns.validatePattern(Object.assign({ conditions: conditions }, base, extra)); };
+    };
+    assert.throws(invalid([{ mutated: ['忌'], layer: 'monthly' }]), /盤/);
+    assert.throws(invalid([{ palace: ['命'], layer: 'major' }, { palace: ['財庫'] }]), /宮位/);
+    assert.throws(invalid([{ mutated: ['化忌'] }]), /四化/);
+    assert.throws(invalid([{ branch: ['甲'] }]), /地支/);
+    assert.throws(invalid([{ flank: ['擎羊'] }]), /flank/);
+    assert.throws(invalid([{ anyOf: [] }]), /anyOf/);
+    assert.throws(invalid([{ not: { star: '紫微' } }]), /無法識別/);
+    assert.throws(invalid([{ stars: ['紫微'] }], { type: '中' }), /type/);
+
+    const rule = Object.assign({
+        conditions: [{ stars: ['紫微'] }, { not: { anyOf: [{ mutated: ['忌'], layer: 'annual' }] } }]
+    }, base, { anchor: 'majorMing' });
+    chartPatterns.validatePattern(rule);
+    assert.deepEqual(chartPatterns.listLayers(rule), ['major', 'annual']);
+    assert.deepEqual(chartPatterns.listLayers(chartPatterns.PATTERNS[0]), []);
+});
+
+test('夾宮 findings and 對宮 of each palace', function() {
+    const chart = buildChart({
+        ming: 0,
+        primary: { 太陽: 2, 巨門: 4, 天同: 7 },
+        secondary: { 左輔: 1, 右弼: 3, 地空: 4, 地劫: 2 },
+        mutations: { 祿: '太陽', 忌: '巨門' }
+    });
+    const analysis = chartPatterns.analyzeFlanks(chart, OPTIONS);
+    assert.equal(analysis.length, 12);
+
+    // 卯 (3) sits between 寅 (2) and 辰 (4)
+    const mao = analysis[3];
+    assert.deepEqual(mao.flankers, [2, 4]);
+    assert.deepEqual(mao.flanks.map(function(flank) { return flank.name; }), ['空劫夾', '祿忌夾']);
+    assert.deepEqual(mao.flanks[0].stars, [['地劫'], ['地空']]);
+    assert.deepEqual(mao.flanks[1], {
+        id: 'mutationJia', name: '祿忌夾', type: '凶', palaces: [2, 4], stars: [['太陽化祿'], ['巨門化忌']]
+    });
+    // 對宮 酉 (9) has no 主星; 卯 has none either, so nothing to borrow from
+    assert.equal(mao.opposition, 9);
+    assert.deepEqual(mao.oppositionStars, []);
+    assert.equal(mao.borrowed, true);
+
+    // 寅 (2) between 丑 (1) and 卯 (3)
+    assert.deepEqual(analysis[2].flanks.map(function(flank) { return `${flank.name}（${flank.type}）`; }), ['左右夾（吉）']);
+    assert.equal(analysis[2].borrowed, false);
+
+    // 丑 (1) is empty and borrows 未 (7)'s 天同
+    assert.deepEqual(analysis[1].oppositionStars, ['天同']);
+    assert.equal(analysis[1].borrowed, true);
+    assert.deepEqual(analysis[5].flanks, []);
+});
+
+test('golden charts: 祿存 is always 羊陀夾', function() {
+    fixture.cases.forEach(function(entry) {
+        const chart = calculateChart(entry.input, entry.settings);
+        const lucun = chart.sections.secondaryStars['祿存'];
+        const names = chartPatterns.analyzeFlanks(chart, OPTIONS)[lucun].flanks.map(function(flank) { return flank.name; });
+        assert.ok(names.includes('羊陀夾'), `${entry.name}: ${names.join('、')}`);
+    });
+});
+
+test('格局 export entries match the schema', function() {
+    const schema = chartExport.loadSchemaSync();
+    const patternSchema = Object.assign({ $defs: schema.$defs }, schema.$defs.pattern);
+    const chart = calculateChart(fixture.cases[0].input, fixture.cases[0].settings);
+    const matches = chartPatterns.detectPatterns(chart, OPTIONS);
+    assert.ok(matches.length > 0);
+
+    // Same mapping as share.js buildExportJSON()
+    matches.forEach(function(match) {
+        const entry = {
+            名稱: match.name,
+            吉凶: match.type,
+            宮位: match.palaces.map(function(index) { return chart.sections.palaces[index].name + '宮'; }),
+            說明: match.description
+        };
+        assert.deepEqual(chartExport.validate(entry, patternSchema), []);
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Chart PDF Report Tests
+ *
+ * Builds the report rows for every golden chart with assets/js/chart-report.js,
+ * using the interpretation panel's extractPalaceData() as the browser does,
+ * and checks the palace tables, the 大限 timeline and the 流年 table against
+ * the adapter output. drawReport() is replayed on a jsPDF-like document.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { calculateChart, adapter } = require('../assets/js/headless.js');
+const chartReport = require('../assets/js/chart-report.js');
+
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'golden-charts.json'), 'utf8'));
+const mutationsModule = adapter.getModule('mutations');
+
+/**
+ * Load interpretation-panel.js with a minimal document and return its extractPalaceData
+ */
+function loadExtractPalaceData() {
+    const sandbox = { console: console, document: { readyState: 'complete', addEventListener: function() {} } };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    const file = path.join(__dirname, '..', 'assets', 'display', 'js', 'interpretation-panel.js');
+    vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    return sandbox.ziweiInterpretationPanel.extractPalaceData;
+}
+
+const extractPalaceData = loadExtractPalaceData();
+
+function reportOptions(extra) {
+    return Object.assign({
+        extractPalaceData: extractPalaceData,
+        years: { from: 2024, to: 2033 },
+        mutations: {
+            major: function(stem) { return mutationsModule.calculateMajorCycleMutations(stem).byStar; },
+            annual: function(stem) { return mutationsModule.calculateAnnualCycleMutations(stem).byStar; }
+        }
+    }, extra || {});
+}
+
+fixture.cases.forEach(function(entry) {
+    test(`palace tables cover every star once: ${entry.name}`, function() {
+        const chart = calculateChart(entry.input, entry.settings);
+        const data = chartReport.buildReportData(chart, reportOptions());
+        const sections = chart.sections;
+
+        assert.equal(data.palaces.length, 12);
+        assert.ok(sections.palaces[data.palaces[0].branchIndex].isMing, 'report does not start at 命宮');
+        assert.equal(data.palaces[1].branchIndex, (data.palaces[0].branchIndex + 11) % 12, '兄弟 should follow 命宮');
+
+        const listed = {};
+        data.palaces.forEach(function(palace) {
+            palace.primaryStars.concat(palace.secondaryStars).forEach(function(star) {
+                assert.ok(!listed[star.name], `${star.name} listed twice`);
+                listed[star.name] = palace.branchIndex;
+                assert.equal(star.mutation, sections.mutations.byStar[star.name] || '');
+            });
+            palace.primaryStars.forEach(function(star) {
+                assert.equal(star.brightness, sections.brightness.primary[star.name]?.brightness || '');
+            });
+            assert.deepEqual(palace.attributes, sections.attributes[palace.branchIndex].filter(Boolean));
+            assert.equal(palace.lifeStage, sections.lifeCycles.twelve[palace.branchIndex]);
+        });
+        Object.keys(sections.primaryStars).concat(Object.keys(sections.secondaryStars)).forEach(function(star) {
+            assert.ok(star in listed, `${star} missing from the palace tables`);
+        });
+
+        assert.equal(data.majorCycles.length, sections.lifeCycles.major.length);
+        data.majorCycles.forEach(function(cycle) {
+            assert.equal(cycle.mutations.split('、').length, 4, `大限 ${cycle.ageRange} should list four mutations`);
+        });
+    });
+});
+
+test('流年 rows follow the 60-year cycle and the birth year', function() {
+    const chart = calculateChart(fixture.cases[0].input, fixture.cases[0].settings);
+    const data = chartReport.buildReportData(chart, reportOptions());
+    const first = data.annualCycles[0];
+
+    assert.equal(data.annualCycles.length, 10);
+    assert.deepEqual([first.year, first.stemBranch], [2024, '甲辰']);
+    assert.equal(first.age, 2024 - chart.lunar.lunarYear + 1);
+    assert.equal(first.mutations, '廉貞化祿、破軍化權、武曲化科、太陽化忌');
+    // 流年命宮 of 甲辰 is the natal palace at 辰 (branch index 4)
+    assert.equal(first.mingPalace, chart.sections.palaces[4].name);
+    assert.match(first.majorCycle, /限 \d+-\d+$/);
+});
+
+test('hidden birth dates drop years and ages from the timelines', function() {
+    const chart = calculateChart(fixture.cases[0].input, fixture.cases[0].settings);
+    const data = chartReport.buildReportData(chart, reportOptions({ settings: { personalInfo: 'hideDates' } }));
+
+    assert.equal(data.showDates, false);
+    data.majorCycles.forEach(function(cycle) { assert.equal(cycle.years, ''); });
+    data.annualCycles.forEach(function(annual) {
+        assert.equal(annual.age, null);
+        assert.equal(annual.majorCycle, '');
+    });
+});
+
+test('year range and required options are validated', function() {
+    const chart = calculateChart(fixture.cases[0].input, fixture.cases[0].settings);
+
+    assert.throws(function() { chartReport.normalizeYearRange({ from: 2030, to: 2020 }); }, /不可晚於/);
+    assert.throws(function() { chartReport.normalizeYearRange({ from: 2000, to: 2000 + chartReport.MAX_YEARS }); }, /最多/);
+    assert.throws(function() { chartReport.normalizeYearRange({ from: '2020.5', to: 2021 }); }, /整數/);
+    assert.deepEqual(chartReport.normalizeYearRange({ from: '2020', to: '2021' }), { from: 2020, to: 2021 });
+    assert.throws(function() { chartReport.buildReportData(chart, { years: { from: 2020, to: 2021 } }); }, /extractPalaceData/);
+});
+
+test('drawReport writes the chart page, tables and page numbers in the given font', function() {
+    const chart = calculateChart(fixture.cases[0].input, fixture.cases[0].settings);
+    const pageSize = { width: 210, height: 297 };
+    const calls = { text: [], fonts: new Set(), pages: 1, currentPage: 1 };
+    const doc = {
+        internal: {
+            scaleFactor: 72 / 25.4,
+            pageSize: { getWidth: function() { return pageSize.width; }, getHeight: function() { return pageSize.height; } }
+        },
+        setFillColor: function() {},
+        setDrawColor: function() {},
+        setLineWidth: function() {},
+        setTextColor: function() {},
+        setFontSize: function() {},
+        setFont: function(name) { calls.fonts.add(name); },
+        rect: function() {},
+        roundedRect: function() {},
+        addPage: function() { calls.pages++; calls.currentPage = calls.pages; },
+        setPage: function(page) { calls.currentPage = page; },
+        getNumberOfPages: function() { return calls.pages; },
+        // 3mm per character is wide enough for 9pt CJK text
+        splitTextToSize: function(text, width) {
+            const perLine = Math.max(1, Math.floor(width / 3));
+            const chars = Array.from(text);
+            const lines = [];
+            for (let i = 0; i < chars.length; i += perLine) {
+                lines.push(chars.slice(i, i + perLine).join(''));
+            }
+            return lines;
+        },
+        text: function(text, x, y) { calls.text.push({ text: text, x: x, y: y, page: calls.currentPage }); }
+    };
+
+    assert.throws(function() { chartReport.drawReport(doc, chart, reportOptions()); }, /fontName/);
+
+    const result = chartReport.drawReport(doc, chart, reportOptions({ fontName: 'TestCJK' }));
+    const texts = calls.text.map(function(call) { return call.text; });
+
+    assert.ok(result.pages >= 3, `expected at least 3 pages, got ${result.pages}`);
+    assert.deepEqual(Array.from(calls.fonts), ['TestCJK']);
+    ['十二宮', '大限', '流年（2024–2033）', '甲辰', '廉貞化祿、破軍化權、武曲化科、太陽化忌'].forEach(function(expected) {
+        assert.ok(texts.some(function(text) { return text.includes(expected); }), `${expected} not drawn`);
+    });
+    for (let page = 1; page <= result.pages; page++) {
+        assert.ok(texts.includes(`第 ${page} / ${result.pages} 頁`), `page number ${page} missing`);
+    }
+    calls.text.forEach(function(call) {
+        assert.ok(call.x >= 0 && call.x <= pageSize.width && call.y >= 0 && call.y <= pageSize.height, `${call.text} outside page ${call.page}`);
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * Chart SVG Renderer Tests
+ *
+ * Renders every golden chart with assets/js/chart-svg.js and checks that the
+ * SVG carries what the HTML chart shows (palace labels, stars, brightness,
+ * the three mutation slots, cycle labels), that hidden personal info stays
+ * hidden, and that drawToPdf() replays the same layout on a jsPDF-like
+ * document.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { calculateChart } = require('../assets/js/headless.js');
+const chartSvg = require('../assets/js/chart-svg.js');
+
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'golden-charts.json'), 'utf8'));
+
+/**
+ * Text items of a layout
+ */
+function textItems(layout) {
+    return layout.items.filter(function(item) { return item.type === 'text'; });
+}
+
+/**
+ * Read the vertical label whose first character is at (x, y)
+ */
+function readVertical(items, first) {
+    return items
+        .filter(function(item) { return item.x === first.x && item.size === first.size && item.y >= first.y && item.y < first.y + first.size * 4; })
+        .sort(function(a, b) { return a.y - b.y; })
+        .map(function(item) { return item.text; })
+        .join('');
+}
+
+fixture.cases.forEach(function(entry) {
+    test(`SVG contains every palace and star: ${entry.name}`, function() {
+        const chart = calculateChart(entry.input, entry.settings);
+        const svg = chartSvg.renderSVG(chart, { settings: { starBrightness: 'shuoshu' } });
+
+        assert.ok(svg.startsWith('<?xml'), 'missing XML declaration');
+        assert.match(svg, /<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="640" height="640"/);
+        assert.equal((svg.match(/<text /g) || []).length, (svg.match(/<\/text>/g) || []).length);
+
+        const layout = chartSvg.buildLayout(chart, { settings: { starBrightness: 'shuoshu' } });
+        const items = textItems(layout);
+        const verticalLabels = items.map(function(item) { return readVertical(items, item); });
+
+        Object.keys(chart.sections.palaces).forEach(function(index) {
+            const palace = chart.sections.palaces[index];
+            assert.ok(verticalLabels.includes(palace.name), `palace name ${palace.name} missing`);
+            assert.ok(verticalLabels.includes(palace.stem + palace.branchZhi), `stem-branch of ${palace.name} missing`);
+        });
+        Object.keys(chart.sections.primaryStars).concat(Object.keys(chart.sections.secondaryStars)).forEach(function(star) {
+            assert.ok(verticalLabels.includes(star), `star ${star} missing`);
+        });
+        Object.keys(chart.sections.mutations.byStar).forEach(function(star) {
+            assert.ok(items.some(function(item) { return item.text === chart.sections.mutations.byStar[star] && item.color === '#ffffff'; }));
+        });
+        assert.ok(items.some(function(item) { return item.text === chart.meta.birthdateLunarText; }));
+    });
+});
+
+test('brightness follows the starBrightness setting', function() {
+    const chart = calculateChart(fixture.cases[0].input, fixture.cases[0].settings);
+    const brightnessValues = new Set(['廟', '旺', '地', '利', '平', '閒', '失', '陷']);
+    const count = function(settings) {
+        return textItems(chartSvg.buildLayout(chart, { settings: settings })).filter(function(item) {
+            return brightnessValues.has(item.text) && item.color === '#6b7a87' && item.size <= 12;
+        }).length;
+    };
+
+    assert.equal(count({ starBrightness: 'hidden' }), 0);
+    assert.ok(count({ starBrightness: 'shuoshu' }) > 0);
+});
+
+test('active cycles fill the 2nd and 3rd mutation slots and place cycle labels', function() {
+    const chart = calculateChart(fixture.cases[0].input, fixture.cases[0].settings);
+    const layout = chartSvg.buildLayout(chart, {
+        settings: { palaceNameCareer: 'official' },
+        cycles: {
+            major: { branchIndex: 2, mutations: { 紫微: '權' }, label: '當今大限：測試' },
+            annual: { branchIndex: 7, mutations: { 紫微: '忌' } }
+        }
+    });
+    const items = textItems(layout);
+    const slots = layout.items.filter(function(item) { return item.type === 'rect' && (item.fill === '#2980b9' || item.fill === '#27ae60'); });
+    const labels = items.map(function(item) { return readVertical(items, item); });
+
+    assert.equal(slots.length, 2);
+    assert.ok(items.some(function(item) { return item.text === '權' && item.color === '#ffffff'; }));
+    assert.ok(items.some(function(item) { return item.text === '忌' && item.color === '#ffffff'; }));
+    assert.ok(labels.includes('大命') && labels.includes('大官') && labels.includes('年命'), labels.join(','));
+    assert.ok(items.some(function(item) { return item.text === '當今大限：測試'; }));
+});
+
+test('hidden personal info is not rendered', function() {
+    const chart = calculateChart(Object.assign({ name: '陳大文' }, fixture.cases[0].input), fixture.cases[0].settings);
+    const svg = chartSvg.renderSVG(chart, { settings: { personalInfo: 'hide' } });
+
+    assert.ok(!svg.includes('陳大文'));
+    assert.ok(!svg.includes(chart.meta.birthdateSolarText));
+    assert.ok(svg.includes('西曆：用戶不顯示出生日期'));
+});
+
+test('drawToPdf replays the layout with the given font', function() {
+    const chart = calculateChart(fixture.cases[0].input, fixture.cases[0].settings);
+    const calls = { text: [], rect: 0, fonts: new Set() };
+    const doc = {
+        internal: { scaleFactor: 72 / 25.4, pageSize: { getWidth: function() { return 148; } } },
+        setFillColor: function() {},
+        setDrawColor: function() {},
+        setLineWidth: function() {},
+        setTextColor: function() {},
+        setFontSize: function() {},
+        setFont: function(name) { calls.fonts.add(name); },
+        rect: function() { calls.rect++; },
+        roundedRect: function() { calls.rect++; },
+        text: function(text, x, y) { calls.text.push({ text: text, x: x, y: y }); }
+    };
+
+    assert.throws(function() { chartSvg.drawToPdf(doc, chart, {}); }, /fontName/);
+
+    const size = chartSvg.drawToPdf(doc, chart, { fontName: 'TestCJK', x: 20, y: 10, width: 118 });
+    const layout = chartSvg.buildLayout(chart);
+
+    assert.deepEqual(size, { width: 118, height: 118 });
+    assert.equal(calls.text.length, textItems(layout).length);
+    assert.equal(calls.rect, layout.items.length - textItems(layout).length);
+    assert.deepEqual(Array.from(calls.fonts), ['TestCJK']);
+    calls.text.forEach(function(call) {
+        assert.ok(call.x >= 20 && call.x <= 138 && call.y >= 10 && call.y <= 128, `${call.text} outside the chart box`);
+    });
+});
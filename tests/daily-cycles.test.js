@@ -0,0 +1,51 @@
+/**
+ * Monthly and Daily Cycle Tests
+ *
+ * A 流年 with a 閏月 lists the leap month after the month it repeats, and
+ * drilling into it gives the leap month's own days: 2023 (癸卯) has a 30-day
+ * 二月 from 2023-02-20 and a 29-day 閏二月 from 2023-03-22.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { adapter } = require('../assets/js/headless.js');
+
+const monthlyCycle = adapter.getModule('monthlyCycle');
+const dailyCycle = adapter.getModule('dailyCycle');
+
+// 卯年 annual cycle, born in 正月 子時
+const CYCLES_2023 = JSON.parse(JSON.stringify(monthlyCycle.calculateMonthlyCycles(2023, 3, 0, 0)));
+
+test('a 流年 with a 閏月 lists it after the month it repeats', function() {
+    assert.equal(CYCLES_2023.length, 13);
+    const second = CYCLES_2023[1];
+    const leap = CYCLES_2023[2];
+    assert.deepEqual([second.month, second.isLeap, leap.month, leap.isLeap], [2, false, 2, true]);
+    assert.equal(leap.palaceIndex, second.palaceIndex);
+    assert.equal(leap.stemBranch, second.stemBranch);
+    assert.equal(CYCLES_2023[3].month, 3);
+
+    // 2024 has no 閏月
+    assert.equal(monthlyCycle.calculateMonthlyCycles(2024, 4, 0, 0).length, 12);
+});
+
+test('the 閏月 has its own days', function() {
+    const palaceIndex = CYCLES_2023[1].palaceIndex;
+    const regular = JSON.parse(JSON.stringify(dailyCycle.calculateDailyCycles(2023, 2, palaceIndex)));
+    const leap = JSON.parse(JSON.stringify(dailyCycle.calculateDailyCycles(2023, 2, palaceIndex, true)));
+
+    assert.equal(regular.length, 30);
+    assert.deepEqual(regular[0].solar, { year: 2023, month: 2, day: 20 });
+    assert.equal(leap.length, 29);
+    assert.deepEqual(leap[0].solar, { year: 2023, month: 3, day: 22 });
+    assert.equal(leap[0].palaceIndex, palaceIndex);
+
+    // No 閏三月 in 2023
+    assert.deepEqual(JSON.parse(JSON.stringify(dailyCycle.calculateDailyCycles(2023, 3, 0, true))), []);
+});
@@ -0,0 +1,209 @@
+/**
+ * Embedded Chart Tests
+ *
+ * Runs assets/display/js/embed.js against stub containers (the
+ * data-ziwei-embed JSON written by Ziwei_Shortcode) and a stub
+ * ziweiCalculator.renderEmbedded: each chart-only embed is drawn on its own
+ * adapter instance holding the panel defaults plus the shortcode's settings,
+ * the visitor's settings are never touched, and cycle="major:N" /
+ * "annual:YYYY" clicks the right buttons.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+/**
+ * Stub .ziwei-cal container
+ * @param {Object} embed Embed configuration (Ziwei_Shortcode::parse_attributes() shape)
+ */
+function createContainer(embed) {
+    return {
+        children: [],
+        getAttribute: function(name) { return name === 'data-ziwei-embed' ? JSON.stringify(embed) : null; },
+        replaceChildren: function(...children) { this.children = children; },
+        contains: function(node) { return this.children.includes(node); }
+    };
+}
+
+/**
+ * Stub chart element with 大限 buttons (10-year ranges from ageStart) and the
+ * 流年 buttons of the selected 大限
+ */
+function createChartElement(ageStart, lunarYear, clicks) {
+    const annualButtons = [];
+    const majorButtons = Array.from({ length: 12 }, function(_, index) {
+        const from = ageStart + index * 10;
+        return {
+            dataset: { cycleIndex: String(index), ageRange: `${from}-${from + 9}` },
+            click: function() {
+                clicks.push(`major:${index}`);
+                annualButtons.length = 0;
+                for (let age = from; age <= from + 9; age++) {
+                    const year = lunarYear + age - 1;
+                    annualButtons.push({
+                        dataset: { year: String(year) },
+                        click: function() { clicks.push(`annual:${year}`); }
+                    });
+                }
+            }
+        };
+    });
+    return {
+        querySelectorAll: function(selector) {
+            return selector === '.ziwei-major-cycle-button' ? majorButtons : [];
+        },
+        querySelector: function(selector) {
+            let match = selector.match(/^\.ziwei-major-cycle-button\[data-cycle-index="(\d+)"\]$/);
+            if (match) {
+                return majorButtons.find(function(button) { return button.dataset.cycleIndex === match[1]; }) || null;
+            }
+            match = selector.match(/^\.ziwei-annual-cycle-button\[data-year="(\d+)"\]$/);
+            if (match) {
+                return annualButtons.find(function(button) { return button.dataset.year === match[1]; }) || null;
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Load constants.js, mutation.js, config.js and embed.js into a window-like sandbox
+ * @param {Object[]} embeds Embed configurations, one container each
+ * @param {Object} [stored] Adapter settings the visitor already has
+ */
+function loadEmbed(embeds, stored) {
+    const settings = Object.assign({}, stored);
+    const instances = [];
+    const bound = [];
+    const timers = [];
+    const clicks = [];
+    const rendered = [];
+    const containers = embeds.map(createContainer);
+    const sandbox = {
+        console: { log: function() {}, warn: function() {}, error: console.error },
+        ziweiCalData: {},
+        ziweiAdapter: {
+            settings: {
+                get: function(key) { return settings[key]; },
+                set: function(key, value) { settings[key] = value; }
+            },
+            createInstance: function(id, values) {
+                const instance = { id: id || `chart-${instances.length + 1}`, values: Object.assign({}, values) };
+                instances.push(instance);
+                return instance;
+            },
+            bindElement: function(element, instance) { bound.push({ element: element, instance: instance }); }
+        },
+        ziweiCalculator: {
+            renderEmbedded: async function(container, formData, options) {
+                rendered.push({
+                    container: container,
+                    formData: formData,
+                    options: options,
+                    settings: options.adapter.values,
+                    stems: Object.assign({}, sandbox.getCurrentStemSelections())
+                });
+                const chartElement = createChartElement(4, Number(formData.year), clicks);
+                container.replaceChildren(chartElement);
+                return { chartElement: chartElement, adapterOutput: { lunar: { lunarYear: Number(formData.year) } } };
+            }
+        },
+        addEventListener: function() {},
+        removeEventListener: function() {},
+        setTimeout: function(callback) { timers.push(callback); },
+        document: {
+            readyState: 'complete',
+            addEventListener: function() {},
+            removeEventListener: function() {},
+            querySelector: function() { return null; },
+            querySelectorAll: function(selector) {
+                return selector === '.ziwei-cal[data-ziwei-embed]' ? containers : [];
+            }
+        }
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    ['assets/data/constants.js', 'assets/data/mutation.js', 'assets/display/js/config.js', 'assets/display/js/embed.js'].forEach(function(relative) {
+        const file = path.join(root, relative);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    });
+    return {
+        ready: sandbox.ziweiEmbed.ready,
+        settings: settings,
+        bound: bound,
+        rendered: rendered,
+        clicks: clicks,
+        flushTimers: function() { timers.splice(0).forEach(function(callback) { callback(); }); }
+    };
+}
+
+const BIRTH = { year: 1990, month: 5, day: 12, hour: 8, minute: 30 };
+
+test('chart-only embeds get instances with panel defaults plus shortcode settings', async function() {
+    const embed = loadEmbed([
+        {
+            mode: 'chart-only', birth: BIRTH, gender: 'F', name: '',
+            settings: { ziHourHandling: 'ziChange', 'stemInterpretation_庚': 'interpretation_2' },
+            cycle: null
+        },
+        { mode: 'chart-only', birth: BIRTH, gender: 'M', name: '', settings: {}, cycle: null }
+    ], { starBrightness: 'shuoshu', personalInfo: 'hideBirthday' });
+    await embed.ready;
+
+    assert.equal(embed.rendered.length, 2);
+    const [first, second] = embed.rendered;
+    assert.equal(first.options.fixed, true);
+    assert.equal(first.formData.year, '1990');
+    assert.equal(first.formData.minute, '30');
+    assert.equal(first.formData.calendarType, 'solar');
+    assert.equal(first.settings.ziHourHandling, 'ziChange');
+    assert.equal(first.settings.starBrightness, 'hidden');
+    assert.equal(first.settings['stemInterpretation_庚'], 'interpretation_2');
+    assert.equal(first.settings.personalInfo, undefined);
+
+    // Each embed has its own instance, bound to its container, starting from the defaults
+    assert.notEqual(first.options.adapter, second.options.adapter);
+    assert.deepEqual(embed.bound.map(function(entry) { return entry.instance; }), [first.options.adapter, second.options.adapter]);
+    assert.equal(embed.bound[0].element, first.container);
+    assert.equal(second.settings.ziHourHandling, 'midnightChange');
+    assert.equal(second.settings['stemInterpretation_庚'], 'interpretation_1');
+
+    // The form's settings and stem selections are never touched
+    assert.equal(first.stems['庚'], 'interpretation_1');
+    assert.deepEqual(embed.settings, { starBrightness: 'shuoshu', personalInfo: 'hideBirthday' });
+});
+
+test('cycle selects the 大限 and 流年 buttons', async function() {
+    const embed = loadEmbed([
+        { mode: 'chart-only', birth: BIRTH, gender: 'F', name: '', settings: {}, cycle: { type: 'major', value: 3 } },
+        { mode: 'chart-only', birth: BIRTH, gender: 'F', name: '', settings: {}, cycle: { type: 'annual', value: 2025 } },
+        { mode: 'chart-only', birth: BIRTH, gender: 'F', name: '', settings: {}, cycle: { type: 'annual', value: 2300 } }
+    ]);
+    await embed.ready;
+    embed.flushTimers();
+
+    // Third 大限 is index 2; 2025 is age 36 (虛歲), inside the 34-43 大限 (index 3)
+    assert.deepEqual(embed.clicks, ['major:2', 'major:3', 'annual:2025']);
+});
+
+test('form embeds get the shortcode settings on top of the visitor settings', async function() {
+    const embed = loadEmbed([
+        { mode: 'form', birth: BIRTH, gender: 'M', name: '', settings: { xunKong: 'primaryOnly' }, cycle: null },
+        { mode: 'chart-only', birth: BIRTH, gender: 'F', name: '', settings: { xunKong: 'marked' }, cycle: null }
+    ], { starBrightness: 'shuoshu' });
+    await embed.ready;
+
+    assert.equal(embed.rendered.length, 1);
+    assert.equal(embed.settings.xunKong, 'primaryOnly');
+    assert.equal(embed.settings.starBrightness, 'shuoshu');
+});
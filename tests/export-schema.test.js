@@ -0,0 +1,78 @@
+/**
+ * Export Schema Tests
+ *
+ * Checks the versioned export contract: the machine variant built by
+ * assets/js/chart-export.js validates against
+ * assets/schema/chart-export.schema.json for every golden chart, the three
+ * schema version numbers agree, and the validator rejects malformed exports.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { calculateChart } = require('../assets/js/headless.js');
+const chartExport = require('../assets/js/chart-export.js');
+
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'golden-charts.json'), 'utf8'));
+const schema = chartExport.loadSchemaSync();
+
+/**
+ * Schema for the `chart` block alone, keeping $defs resolvable
+ */
+const machineSchema = Object.assign({ $defs: schema.$defs }, schema.$defs.machineChart);
+
+test('schema, chart-export.js and share.js agree on schemaVersion', function() {
+    const shareSource = fs.readFileSync(path.join(__dirname, '..', 'assets', 'display', 'js', 'share.js'), 'utf8');
+    const match = /const EXPORT_SCHEMA_VERSION = (\d+);/.exec(shareSource);
+
+    assert.ok(match, 'EXPORT_SCHEMA_VERSION not found in share.js');
+    assert.equal(schema.properties.schemaVersion.const, chartExport.SCHEMA_VERSION);
+    assert.equal(Number(match[1]), chartExport.SCHEMA_VERSION);
+});
+
+fixture.cases.forEach(function(entry) {
+    test(`machine export matches schema: ${entry.name}`, function() {
+        const chart = calculateChart(entry.input, entry.settings);
+        const machine = chartExport.buildMachineExport(chart);
+
+        assert.deepEqual(chartExport.validate(machine, machineSchema), []);
+        assert.equal(machine.palaces[machine.mingPalaceIndex].role, 'life');
+        assert.deepEqual(
+            machine.palaces.filter(function(palace) { return palace.isMing; }).map(function(palace) { return palace.index; }),
+            [chart.derived.mingPalace.index]
+        );
+
+        const primaryNames = machine.palaces.flatMap(function(palace) {
+            return palace.stars.primary.map(function(star) { return star.name; });
+        });
+        assert.deepEqual(primaryNames.sort(), Object.keys(chart.sections.primaryStars).sort());
+    });
+});
+
+test('validator reports missing, unknown and mistyped fields', function() {
+    const chart = calculateChart(fixture.cases[0].input, fixture.cases[0].settings);
+    const machine = chartExport.buildMachineExport(chart);
+
+    delete machine.lifeMaster;
+    machine.extra = true;
+    machine.palaces[0].index = '0';
+    machine.palaces.pop();
+
+    const errors = chartExport.validate(machine, machineSchema);
+    assert.ok(errors.includes('$: 缺少欄位「lifeMaster」'), errors.join('\n'));
+    assert.ok(errors.includes('$.extra: 未定義的欄位'), errors.join('\n'));
+    assert.ok(errors.some(function(error) { return error.startsWith('$.palaces[0].index: 類型應為 integer'); }), errors.join('\n'));
+    assert.ok(errors.includes('$.palaces: 至少需要 12 項'), errors.join('\n'));
+});
+
+test('validator rejects an export from another schemaVersion', function() {
+    const errors = chartExport.validate({ schemaVersion: 1, 基本資料: {}, 宮位資料: {} }, schema);
+    assert.ok(errors.includes(`$.schemaVersion: 應為 ${chartExport.SCHEMA_VERSION}`), errors.join('\n'));
+});
@@ -0,0 +1,95 @@
+/**
+ * Golden-Chart Regression Tests
+ *
+ * Runs the calculation layer headlessly (assets/js/headless.js) against the
+ * reference charts in tests/fixtures/golden-charts.json and compares every
+ * placement module: 14 primary stars, secondary stars, all minorStars keys,
+ * 神煞 (attributes.js), 五行局 (nayin.js), 大限 ranges, plus the lunar date and
+ * 命/身宮 the chart was built from.
+ *
+ * The corpus is not only self-referential: each case's checked field records
+ * the independent implementations it was compared with (iztro and
+ * lunar-javascript, see the fixture description) and any convention notes.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ *
+ * After an intentional rule change, review the diff and refresh the corpus:
+ *   ZIWEI_UPDATE_GOLDEN=1 node --test tests/
+ * then re-check the changed cases against an independent source and update
+ * their checked field.
+ */
+
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { calculateChart } = require('../assets/js/headless.js');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'golden-charts.json');
+const UPDATE = process.env.ZIWEI_UPDATE_GOLDEN === '1';
+
+const fixture = JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+
+/**
+ * Reduce a chart to the placements the corpus records
+ * @param {Object} chart Output of calculateChart()
+ * @returns {Object} Plain JSON-comparable snapshot
+ */
+function toGolden(chart) {
+    const sections = chart.sections;
+    return {
+        lunar: {
+            lunarYear: chart.lunar.lunarYear,
+            lunarMonth: chart.lunar.lunarMonth,
+            lunarDay: chart.lunar.lunarDay,
+            isLeapMonth: chart.lunar.isLeapMonth,
+            timeIndex: chart.lunar.timeIndex
+        },
+        monthIndex: chart.indices.monthIndex,
+        mingPalace: chart.derived.mingPalace.index,
+        shenPalace: chart.derived.shenPalace ? chart.derived.shenPalace.index : null,
+        nayin: chart.derived.nayin,
+        primaryStars: sections.primaryStars,
+        secondaryStars: sections.secondaryStars,
+        minorStars: sections.minorStars,
+        attributes: sections.attributes,
+        majorCycles: sections.lifeCycles.major.map(function(cycle) {
+            return { palaceIndex: cycle.palaceIndex, startAge: cycle.startAge, endAge: cycle.endAge };
+        })
+    };
+}
+
+fixture.cases.forEach(function(entry) {
+    test(entry.name, function() {
+        const actual = toGolden(calculateChart(entry.input, entry.settings));
+
+        if (UPDATE) {
+            entry.expected = actual;
+            return;
+        }
+
+        assert.ok(entry.expected, 'missing expected chart; run with ZIWEI_UPDATE_GOLDEN=1');
+        assert.ok(entry.checked && entry.checked.source && entry.checked.agrees, 'case not checked against an independent source');
+        assert.deepEqual(actual.lunar, entry.expected.lunar, 'lunar date');
+        assert.equal(actual.monthIndex, entry.expected.monthIndex, 'month index');
+        assert.equal(actual.mingPalace, entry.expected.mingPalace, '命宮');
+        assert.equal(actual.shenPalace, entry.expected.shenPalace, '身宮');
+        assert.deepEqual(actual.nayin, entry.expected.nayin, '五行局');
+        assert.deepEqual(actual.primaryStars, entry.expected.primaryStars, 'primary stars');
+        assert.deepEqual(actual.secondaryStars, entry.expected.secondaryStars, 'secondary stars');
+        assert.deepEqual(Object.keys(actual.minorStars).sort(), Object.keys(entry.expected.minorStars).sort(), 'minorStars keys');
+        assert.deepEqual(actual.minorStars, entry.expected.minorStars, 'minor stars');
+        assert.deepEqual(actual.attributes, entry.expected.attributes, '神煞');
+        assert.deepEqual(actual.majorCycles, entry.expected.majorCycles, '大限');
+    });
+});
+
+if (UPDATE) {
+    after(function() {
+        fs.writeFileSync(FIXTURE_PATH, JSON.stringify(fixture, null, 2) + '\n');
+    });
+}
@@ -0,0 +1,58 @@
+/**
+ * 閏月 命宮/身宮 Tests
+ *
+ * 命宮 and 身宮 are placed from the same month index as the stars, so the
+ * 閏月 setting (leapMonthHandling) moves them too. 2020 has a 閏四月:
+ * 2020-06-10 is 閏四月十九 (second half, 月中換月 reads it as 五月) and
+ * 2020-05-23 is 閏四月初一 (first half, 月中換月 keeps 四月).
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateChart } = require('../assets/js/headless.js');
+
+/**
+ * 命宮/身宮 branch indices (0 = 子 … 11 = 亥) and the month index the stars use
+ */
+function placements(input, leapMonthHandling) {
+    const chart = calculateChart(Object.assign({ minute: 0 }, input), { leapMonthHandling: leapMonthHandling });
+    return {
+        monthIndex: chart.indices.monthIndex,
+        ming: chart.derived.mingPalace.index,
+        shen: chart.derived.shenPalace.index
+    };
+}
+
+test('second half of a 閏月: 視為本月 keeps 四月, 月中換月 and 視為下月 use 五月', function() {
+    const input = { gender: 'F', year: 2020, month: 6, day: 10, hour: 8 };
+
+    // 四月辰時: 命宮丑, 身宮酉
+    assert.deepEqual(placements(input, 'current'), { monthIndex: 3, ming: 1, shen: 9 });
+    // 五月辰時: 命宮寅, 身宮戌
+    assert.deepEqual(placements(input, 'mid'), { monthIndex: 4, ming: 2, shen: 10 });
+    assert.deepEqual(placements(input, 'next'), { monthIndex: 4, ming: 2, shen: 10 });
+});
+
+test('first half of a 閏月: only 視為下月 moves to 五月', function() {
+    const input = { gender: 'M', year: 2020, month: 5, day: 23, hour: 12 };
+
+    // 四月午時: 身命同宮於亥
+    assert.deepEqual(placements(input, 'current'), { monthIndex: 3, ming: 11, shen: 11 });
+    assert.deepEqual(placements(input, 'mid'), { monthIndex: 3, ming: 11, shen: 11 });
+    // 五月午時: 身命同宮於子
+    assert.deepEqual(placements(input, 'next'), { monthIndex: 4, ming: 0, shen: 0 });
+});
+
+test('a non-leap month ignores the setting', function() {
+    const input = { gender: 'F', year: 2020, month: 4, day: 20, hour: 8 };
+    const expected = placements(input, 'mid');
+
+    assert.deepEqual(placements(input, 'current'), expected);
+    assert.deepEqual(placements(input, 'next'), expected);
+});
@@ -0,0 +1,166 @@
+/**
+ * Pattern Rule Tests
+ *
+ * Runs assets/display/js/pattern-rules.js in a window-like sandbox with a
+ * localStorage stub: rules are cleaned up and validated before saving, rule
+ * packs round-trip through export/import (bad rules are skipped with a
+ * reason), and saved rules are detected with the built-in 格局 using the
+ * 大限/流年 selected on the chart.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { calculateChart, adapter } = require('../assets/js/headless.js');
+
+const root = path.join(__dirname, '..');
+const chart = calculateChart({ gender: 'F', year: 1990, month: 5, day: 3, hour: 14, minute: 30 });
+
+/**
+ * Load constants.js, chart-patterns.js, local-storage.js and pattern-rules.js into a sandbox
+ * @param {Object} [options]
+ * @param {Object} [options.storage] Initial localStorage content
+ * @param {boolean} [options.blocked] Every localStorage access throws (private mode)
+ * @param {Object} [options.activeMajor] Stub active 大限 button
+ * @returns {Object} { rules: window.ziweiPatternRules, storage }
+ */
+function loadRules(options) {
+    const settings = options || {};
+    const storage = Object.assign({}, settings.storage);
+    const sandbox = {
+        console: { log: function() {}, warn: function() {}, error: console.error },
+        localStorage: settings.blocked ? {
+            getItem: function() { throw new Error('SecurityError'); },
+            setItem: function() { throw new Error('SecurityError'); },
+            removeItem: function() { throw new Error('SecurityError'); }
+        } : {
+            getItem: function(key) { return key in storage ? storage[key] : null; },
+            setItem: function(key, value) { storage[key] = String(value); },
+            removeItem: function(key) { delete storage[key]; }
+        },
+        ziweiAdapter: {
+            storage: { get: function(key) { return key === 'adapterOutput' ? chart : null; } },
+            settings: { get: function() { return undefined; } },
+            getModule: function(name) { return adapter.getModule(name); }
+        },
+        document: {
+            querySelector: function(selector) {
+                return selector === '.ziwei-major-cycle-button.ziwei-cycle-button-active' ? settings.activeMajor || null : null;
+            }
+        }
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    ['assets/data/constants.js', 'assets/js/chart-patterns.js', 'assets/display/js/local-storage.js', 'assets/display/js/pattern-rules.js'].forEach(function(relative) {
+        const file = path.join(root, relative);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    });
+    return { rules: sandbox.ziweiPatternRules, storage: storage };
+}
+
+// Plain copy of a sandbox object (its prototypes differ from this realm's)
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const RULE = {
+    name: '紫微坐命',
+    type: '吉',
+    anchor: 'any',
+    conditions: [{ stars: ['紫微'] }, { palace: ['命宮'] }],
+    note: 'dropped'
+};
+
+test('rules are cleaned up and validated before saving', function() {
+    const { rules, storage } = loadRules();
+
+    const saved = plain(rules.saveRule(RULE));
+    assert.deepEqual(saved, {
+        id: '紫微坐命', name: '紫微坐命', type: '吉', description: '', anchor: 'any',
+        conditions: [{ stars: ['紫微'] }, { palace: ['命宮'] }]
+    });
+    assert.equal(JSON.parse(storage['ziweiCal.patternRules']).rules.length, 1);
+
+    // Same id replaces
+    rules.saveRule(Object.assign({}, RULE, { description: '紫微在命宮' }));
+    assert.deepEqual(plain(rules.listRules()).map(function(rule) { return rule.description; }), ['紫微在命宮']);
+
+    assert.throws(function() { rules.saveRule(Object.assign({}, RULE, { id: 'ziFuTongGong' })); }, /內建格局/);
+    assert.throws(function() { rules.saveRule(Object.assign({}, RULE, { name: ' ' })); }, /名稱/);
+    assert.throws(function() { rules.saveRule(Object.assign({}, RULE, { anchor: 'shen' })); }, /anchor/);
+
+    assert.equal(rules.deleteRule('紫微坐命'), true);
+    assert.equal(rules.deleteRule('紫微坐命'), false);
+    assert.deepEqual(plain(rules.listRules()), []);
+});
+
+test('rule packs round-trip through export and import', function() {
+    const source = loadRules();
+    source.rules.saveRule(RULE);
+    const pack = plain(source.rules.buildRuleExport());
+    assert.equal(pack.format, 'ziwei-pattern-rules');
+    assert.equal(pack.version, 1);
+
+    const target = loadRules();
+    pack.rules.push({ name: '壞規則', anchor: 'any', conditions: [{ mutated: ['化忌'] }] });
+    const result = plain(target.rules.importRuleData(pack));
+    assert.deepEqual(result.imported, ['紫微坐命']);
+    assert.equal(result.errors.length, 1);
+    assert.match(result.errors[0], /第 2 條規則.*四化/);
+    assert.deepEqual(plain(target.rules.listRules()), plain(source.rules.listRules()));
+
+    assert.deepEqual(plain(target.rules.importRuleData({ format: 'ziwei-settings-presets', presets: {} })).errors, ['檔案不是紫微斗數格局規則']);
+    assert.deepEqual(plain(target.rules.importRuleData({ format: 'ziwei-pattern-rules', version: 2, rules: [] })).errors, ['不支援的檔案版本：2']);
+});
+
+test('stored rules that no longer validate are skipped', function() {
+    const { rules } = loadRules({
+        storage: {
+            'ziweiCal.patternRules': JSON.stringify({ version: 1, rules: [RULE, { name: '舊規則', anchor: 'any', conditions: [] }] })
+        }
+    });
+    assert.deepEqual(plain(rules.listRules()).map(function(rule) { return rule.name; }), ['紫微坐命']);
+});
+
+test('blocked localStorage leaves only the built-in patterns', function() {
+    const { rules } = loadRules({ blocked: true });
+    assert.deepEqual(plain(rules.listRules()), []);
+    assert.throws(function() { rules.saveRule(RULE); }, /無法寫入瀏覽器儲存空間/);
+    assert.equal(rules.deleteRule('紫微坐命'), false);
+    assert.ok(rules.getPatterns().length > 0);
+});
+
+test('saved rules are detected with the built-in patterns and the selected 大限', function() {
+    const majorIndex = chart.sections.lifeCycles.major[3].palaceIndex;
+    const activeMajor = { dataset: { palaceIndex: String(majorIndex) } };
+    const { rules } = loadRules({ activeMajor: activeMajor });
+    rules.saveRule({ name: '大限命宮', anchor: 'majorMing', conditions: [{ palace: ['命宮'], layer: 'major' }] });
+
+    const layers = plain(rules.getActiveLayers(chart));
+    const stem = chart.sections.palaces[majorIndex].stem;
+    assert.deepEqual(layers, {
+        major: { branchIndex: majorIndex, mutations: plain(adapter.getModule('mutations').calculateMajorCycleMutations(stem).byStar) }
+    });
+
+    const names = plain(rules.detectChartPatterns(chart)).map(function(match) { return `${match.name}@${match.palaceIndex}`; });
+    assert.ok(names.includes(`大限命宮@${majorIndex}`), names.join('、'));
+    assert.ok(names.length > 1, 'built-in patterns are detected too');
+
+    const result = plain(rules.testRule({ name: '大限化祿', anchor: 'any', conditions: [{ mutated: ['祿'], layer: 'major' }] }));
+    assert.deepEqual(result.missingLayers, []);
+    assert.equal(result.matches.length, 1);
+    assert.match(result.lines[0], /^.+宮（.）：/);
+
+    const withoutCycle = loadRules();
+    const missing = plain(withoutCycle.rules.testRule({ name: '流年化忌', anchor: 'annualMing', conditions: [{ mutated: ['忌'], layer: 'annual' }] }));
+    assert.deepEqual(missing.missingLayers, ['annual']);
+    assert.deepEqual(missing.matches, []);
+});
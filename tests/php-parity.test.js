@@ -0,0 +1,73 @@
+/**
+ * PHP Parity Tests
+ *
+ * Runs every reference chart in tests/fixtures/golden-charts.json through the
+ * server-side calculator (includes/class-ziwei-chart-calculator.php, via
+ * tests/php/calculate.php) and compares meta, lunar, indices, derived and
+ * sections with calculateChart() from assets/js/headless.js.
+ *
+ * Needs a PHP CLI (7.4+): `php` on PATH, or the binary named in ZIWEI_PHP.
+ * Without one the tests are skipped, not passed.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ *   ZIWEI_PHP=/usr/bin/php8.2 node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const { calculateChart } = require('../assets/js/headless.js');
+
+const PHP = process.env.ZIWEI_PHP || 'php';
+const RUNNER = path.join(__dirname, 'php', 'calculate.php');
+const COMPARED = ['meta', 'lunar', 'indices', 'derived', 'sections'];
+
+const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'golden-charts.json'), 'utf8'));
+
+/**
+ * Run the PHP calculator on REST-style inputs
+ * @param {Array<Object>} inputs Birth data merged with setting values
+ * @returns {Array<Object>|null} Charts, or null when no PHP CLI is available
+ */
+function runPhp(inputs) {
+    const result = childProcess.spawnSync(PHP, [RUNNER], {
+        input: JSON.stringify(inputs),
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024
+    });
+    if (result.error && result.error.code === 'ENOENT') {
+        return null;
+    }
+    assert.ifError(result.error);
+    assert.equal(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout);
+}
+
+/**
+ * Keep the compared blocks, as plain JSON
+ */
+function pick(chart) {
+    const picked = {};
+    COMPARED.forEach(function(key) {
+        picked[key] = chart[key];
+    });
+    return JSON.parse(JSON.stringify(picked));
+}
+
+const phpCharts = runPhp(fixture.cases.map(function(entry) {
+    return Object.assign({}, entry.input, entry.settings);
+}));
+const skip = phpCharts ? false : `no PHP CLI (${PHP}); set ZIWEI_PHP to run the parity tests`;
+
+fixture.cases.forEach(function(entry, i) {
+    test(`PHP calculator matches the browser: ${entry.name}`, { skip: skip }, function() {
+        assert.equal(phpCharts[i].error, undefined, phpCharts[i].error);
+        assert.deepEqual(phpCharts[i], pick(calculateChart(entry.input, entry.settings)));
+    });
+});
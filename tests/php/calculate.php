@@ -0,0 +1,38 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * Server-side calculator runner for parity checks
+ *
+ * Reads a JSON array of REST-style inputs (birth data plus setting values)
+ * from stdin, runs each through Ziwei_Chart_Calculator::calculate() outside
+ * WordPress and writes a JSON array of charts to stdout. An input the
+ * calculator rejects yields {"error": message} in its place.
+ *
+ * Usage:
+ *   echo '[{"gender":"M","year":1990,"month":5,"day":3,"hour":10,"minute":0}]' | php tests/php/calculate.php
+ *
+ * @package Ziwei_Cal
+ */
+
+define('ABSPATH', dirname(__DIR__, 2) . '/');
+
+require ABSPATH . 'includes/class-ziwei-lunar-converter.php';
+require ABSPATH . 'includes/class-ziwei-chart-calculator.php';
+
+$inputs = json_decode((string) file_get_contents('php://stdin'), true);
+if (!is_array($inputs)) {
+    fwrite(STDERR, "Expected a JSON array of inputs on stdin\n");
+    exit(1);
+}
+
+$charts = [];
+foreach ($inputs as $input) {
+    try {
+        $charts[] = Ziwei_Chart_Calculator::calculate($input);
+    } catch (InvalidArgumentException $e) {
+        $charts[] = ['error' => $e->getMessage()];
+    }
+}
+
+echo json_encode($charts, JSON_UNESCAPED_UNICODE);
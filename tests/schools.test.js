@@ -0,0 +1,89 @@
+/**
+ * School (派別) Profile Tests
+ *
+ * Runs the calculation layer headlessly with each profile in
+ * assets/data/schools.js: 中州派 stays the default, and every placement
+ * variant (火鈴, 天馬, 魁鉞, 旬空, 長生, 大限 ages) moves only the stars it
+ * names.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateChart, adapter } = require('../assets/js/headless.js');
+
+// 庚午年 female: 陽女, so 大限 and 長生 run counter-clockwise
+const INPUT = { gender: 'F', year: 1990, month: 5, day: 3, hour: 14, minute: 30 };
+
+/**
+ * @param {string} [school] Profile key, left out for the default
+ * @returns {Object} Plain copy of the chart sections and indices
+ */
+function chartFor(school) {
+    const chart = calculateChart(INPUT, school ? { school: school } : {});
+    return JSON.parse(JSON.stringify({ indices: chart.indices, derived: chart.derived, sections: chart.sections }));
+}
+
+const zhongzhou = chartFor('zhongzhou');
+
+test('中州派 is the default and unknown profiles fall back to it', function() {
+    assert.deepEqual(chartFor(), zhongzhou);
+    assert.deepEqual(chartFor('unknown'), zhongzhou);
+    assert.ok('副旬' in zhongzhou.sections.minorStars);
+});
+
+test('三合派 uses 庚辛逢馬虎 and places 旬空 only', function() {
+    const sanhe = chartFor('sanhe');
+    assert.equal(sanhe.sections.secondaryStars['天魁'], 6);
+    assert.equal(sanhe.sections.secondaryStars['天鉞'], 2);
+    assert.equal(sanhe.sections.minorStars['旬空'], zhongzhou.sections.minorStars['旬空']);
+    assert.ok(!('副旬' in sanhe.sections.minorStars));
+    assert.equal(sanhe.sections.secondaryStars['火星'], zhongzhou.sections.secondaryStars['火星']);
+    assert.deepEqual(sanhe.sections.lifeCycles, zhongzhou.sections.lifeCycles);
+});
+
+test('飛星派 counts 火鈴 counter-clockwise for 陽女 and reads the 局 as 實歲', function() {
+    const feixing = chartFor('feixing');
+    const timeIndex = feixing.indices.timeIndex;
+    // 寅午戌人丑卯方
+    assert.equal(feixing.sections.secondaryStars['火星'], (1 - timeIndex + 12) % 12);
+    assert.equal(feixing.sections.secondaryStars['鈴星'], (3 - timeIndex + 12) % 12);
+    assert.equal(feixing.sections.secondaryStars['天魁'], zhongzhou.sections.secondaryStars['天魁']);
+
+    const loci = feixing.derived.nayin.loci;
+    feixing.sections.lifeCycles.major.forEach(function(cycle, i) {
+        const natal = zhongzhou.sections.lifeCycles.major[i];
+        assert.equal(cycle.startAge, loci + 1 + i * 10);
+        assert.equal(cycle.startAge, natal.startAge + 1);
+        assert.equal(cycle.palaceIndex, natal.palaceIndex);
+    });
+});
+
+test('欽天門 places 天馬 by month and starts 長生 at 命宮', function() {
+    const qintian = chartFor('qintian');
+    const monthBranch = (qintian.indices.monthIndex + 2) % 12;
+    assert.equal(qintian.sections.minorStars['天馬'], [2, 11, 8, 5][monthBranch % 4]);
+
+    const ming = qintian.derived.mingPalace.index;
+    const twelve = qintian.sections.lifeCycles.twelve;
+    assert.equal(twelve[ming], '長生');
+    assert.equal(twelve[(ming - 1 + 12) % 12], '沐浴');
+});
+
+test('profiles are listed and described for the settings panel', function() {
+    const schools = adapter.getModule('schools');
+    assert.deepEqual(JSON.parse(JSON.stringify(schools.listSchools())).map(function(item) { return item.label; }), ['中州派', '三合派', '飛星派', '欽天門']);
+    assert.deepEqual(JSON.parse(JSON.stringify(schools.describeSchool('qintian'))), [
+        '火鈴：陽男陰女順、陰男陽女逆',
+        '天馬：月支起馬',
+        '魁鉞：庚辛逢馬虎',
+        '旬空：只排旬空',
+        '長生：由命宮起',
+        '起運：局數為實歲'
+    ]);
+});
@@ -0,0 +1,131 @@
+/**
+ * Site Settings Tests
+ *
+ * Checks that the settings table in includes/class-ziwei-site-settings.php
+ * (Settings → 紫微斗數) offers the same values and built-in defaults as
+ * SETTINGS_CONFIG in assets/display/js/config.js, and that config.js applies
+ * ziweiCalData.defaults / ziweiCalData.features when it loads.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const phpSource = fs.readFileSync(path.join(root, 'includes', 'class-ziwei-site-settings.php'), 'utf8');
+
+/**
+ * Parse the SETTINGS table out of the PHP class
+ */
+function readPhpSettings() {
+    const settings = {};
+    const entryPattern = /'(\w+)' => \[\s*'category' => '([^']+)',\s*'label' => '([^']+)',\s*'options' => \[([^\]]*)\],\s*\]/g;
+    let match;
+    while ((match = entryPattern.exec(phpSource)) !== null) {
+        const options = [];
+        const optionPattern = /'(\w+)' => '[^']*'/g;
+        let option;
+        while ((option = optionPattern.exec(match[4])) !== null) {
+            options.push(option[1]);
+        }
+        settings[match[1]] = { category: match[2], label: match[3], options: options };
+    }
+    return settings;
+}
+
+/**
+ * Load config.js (with constants.js and mutation.js) into a window-like sandbox
+ * @param {Object} ziweiCalData Localized plugin data
+ * @param {Object} [stored] Adapter settings the visitor already has
+ */
+function loadConfig(ziweiCalData, stored) {
+    const settings = Object.assign({}, stored);
+    const sandbox = {
+        console: console,
+        ziweiCalData: ziweiCalData,
+        ziweiAdapter: {
+            settings: {
+                get: function(key) { return settings[key]; },
+                set: function(key, value) { settings[key] = value; }
+            }
+        },
+        addEventListener: function() {},
+        removeEventListener: function() {},
+        // mutation.js defers reading the adapter; not needed here
+        setTimeout: function() {},
+        document: {
+            readyState: 'complete',
+            addEventListener: function() {},
+            querySelector: function() { return null; },
+            querySelectorAll: function() { return []; }
+        }
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    ['assets/data/constants.js', 'assets/data/mutation.js', 'assets/display/js/config.js'].forEach(function(relative) {
+        const file = path.join(root, relative);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    });
+    return { config: sandbox.ziweiConfig, settings: settings, sandbox: sandbox };
+}
+
+test('admin settings table matches SETTINGS_CONFIG', function() {
+    const phpSettings = readPhpSettings();
+    const { config } = loadConfig({});
+    const jsSettings = config.getSettingsConfig().filter(function(setting) {
+        return setting.name !== 'personalInfo' && !setting.name.startsWith('stemInterpretation_');
+    });
+
+    // Array.from: arrays built inside the sandbox have its Array prototype
+    assert.deepEqual(Object.keys(phpSettings), Array.from(jsSettings, function(setting) { return setting.name; }));
+    jsSettings.forEach(function(setting) {
+        const phpSetting = phpSettings[setting.name];
+        assert.equal(phpSetting.category, setting.category, `${setting.name} category`);
+        assert.equal(phpSetting.label, setting.label, `${setting.name} label`);
+        assert.deepEqual(phpSetting.options, Array.from(setting.options, function(opt) { return opt.value; }), `${setting.name} options`);
+        assert.equal(phpSetting.options[0], setting.defaultValue, `${setting.name} built-in default`);
+    });
+});
+
+test('site defaults become the panel defaults and seed the adapter', function() {
+    const { config, settings } = loadConfig({
+        defaults: {
+            leapMonthHandling: 'next',
+            starBrightness: 'shuoshu',
+            palaceNameCareer: 'career',
+            xunKong: 'unknown',
+            'stemInterpretation_庚': 'interpretation_3'
+        }
+    }, { starBrightness: 'hidden' });
+
+    const leapMonth = config.getSetting('leapMonthHandling');
+    assert.equal(leapMonth.defaultValue, 'next');
+    assert.deepEqual(Array.from(leapMonth.options, function(opt) { return opt.text; }), ['月中換月', '視為本月', '視為下月 - 預設']);
+    assert.equal(settings.leapMonthHandling, 'next');
+    assert.equal(settings['stemInterpretation_庚'], 'interpretation_3');
+
+    // The visitor's own value is kept; the site default still marks the option
+    assert.equal(settings.starBrightness, 'hidden');
+    assert.equal(config.getSetting('starBrightness').defaultValue, 'shuoshu');
+
+    // Built-in defaults and unknown values leave the adapter alone
+    assert.equal(settings.palaceNameCareer, undefined);
+    assert.equal(config.getSetting('xunKong').defaultValue, 'marked');
+    assert.equal(settings.xunKong, undefined);
+});
+
+test('features are enabled unless switched off', function() {
+    const { config } = loadConfig({ features: { aiMode: false, shareLink: true } });
+
+    assert.equal(config.isFeatureEnabled('aiMode'), false);
+    assert.equal(config.isFeatureEnabled('shareLink'), true);
+    assert.equal(config.isFeatureEnabled('pdfExport'), true);
+    assert.equal(loadConfig({}).config.isFeatureEnabled('aiMode'), true);
+});
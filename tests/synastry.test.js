@@ -0,0 +1,97 @@
+/**
+ * Synastry (合盤) Tests
+ *
+ * Builds the overlays of assets/js/chart-synastry.js for two headless charts:
+ * the partner's 生年四化 land where those stars sit in the owner's chart, the
+ * partner's year-based key stars land on the owner's palace of the same
+ * branch, and the 化祿/化忌 summary works in both directions.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateChart } = require('../assets/js/headless.js');
+const chartSynastry = require('../assets/js/chart-synastry.js');
+
+const BRANCH_NAMES = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+
+// 庚午年 (太陽祿, 天同忌) and 甲子年 (廉貞祿, 太陽忌)
+const chartA = calculateChart({ name: '甲', gender: 'F', year: 1990, month: 5, day: 12, hour: 8, minute: 30 });
+const chartB = calculateChart({ name: '乙', gender: 'M', year: 1984, month: 11, day: 3, hour: 21, minute: 15 });
+
+/**
+ * @param {Object} chart Adapter output
+ * @param {string} star Star name
+ * @returns {number} Branch index of the star's palace
+ */
+function starBranch(chart, star) {
+    const sections = chart.sections;
+    const placement = [sections.primaryStars, sections.secondaryStars, sections.minorStars]
+        .map(function(group) { return group[star]; })
+        .find(function(value) { return value !== undefined; });
+    return Array.isArray(placement) ? placement[0] : placement;
+}
+
+test('partner mutations land where the stars sit in the owner\'s chart', function() {
+    const { onA, onB } = chartSynastry.buildSynastry(chartA, chartB);
+
+    assert.deepEqual(onA.mutations.map(function(item) { return item.type; }), ['祿', '權', '科', '忌']);
+    onA.mutations.forEach(function(item) {
+        assert.equal(item.star, chartB.sections.mutations.byType[item.type]);
+        assert.equal(item.branchIndex, starBranch(chartA, item.star));
+        assert.equal(item.palaceName, chartA.sections.palaces[item.branchIndex].name);
+        assert.ok(onA.byPalace[item.branchIndex].mutations.includes(item));
+    });
+    onB.mutations.forEach(function(item) {
+        assert.equal(item.star, chartA.sections.mutations.byType[item.type]);
+        assert.equal(item.branchIndex, starBranch(chartB, item.star));
+    });
+});
+
+test('partner key stars land on the owner\'s palace of the same branch', function() {
+    const { onA } = chartSynastry.buildSynastry(chartA, chartB);
+
+    assert.deepEqual(onA.keyStars.map(function(item) { return item.star; }), chartSynastry.KEY_STARS);
+    onA.keyStars.forEach(function(item) {
+        assert.equal(item.branchIndex, starBranch(chartB, item.star));
+        assert.equal(item.palaceName, chartA.sections.palaces[item.branchIndex].name);
+        assert.ok(onA.byPalace[item.branchIndex].keyStars.includes(item));
+    });
+});
+
+test('summary lists the palaces receiving the partner\'s 化祿 and 化忌', function() {
+    const { onA, onB } = chartSynastry.buildSynastry(chartA, chartB);
+
+    assert.equal(onA.summary['祿'].star, chartB.sections.mutations.byType['祿']);
+    assert.equal(onA.summary['忌'].star, chartB.sections.mutations.byType['忌']);
+    assert.equal(onB.summary['祿'].star, chartA.sections.mutations.byType['祿']);
+    assert.equal(onB.summary['忌'].star, chartA.sections.mutations.byType['忌']);
+
+    const lu = onA.summary['祿'];
+    assert.equal(
+        chartSynastry.describeSummary(lu, '祿', '乙方', '甲方'),
+        `乙方化祿（${lu.star}）入甲方${lu.palaceName}（${BRANCH_NAMES[lu.branchIndex]}）`
+    );
+    assert.equal(chartSynastry.describeSummary(null, '忌', '乙方', '甲方'), '乙方沒有化忌');
+});
+
+test('palace names follow the naming settings', function() {
+    const palaces = chartA.sections.palaces;
+    const careerIndex = Number(Object.keys(palaces).find(function(key) { return palaces[key].name === '事業'; }));
+    const star = Object.keys(chartA.sections.primaryStars)
+        .find(function(name) { return chartA.sections.primaryStars[name] === careerIndex; });
+    const partner = { sections: { mutations: { byType: { '祿': star } } } };
+
+    assert.equal(chartSynastry.buildOverlay(chartA, partner).summary['祿'].palaceName, '事業');
+    assert.equal(chartSynastry.buildOverlay(chartA, partner, { palaceNameCareer: 'official' }).summary['祿'].palaceName, '官祿');
+    assert.equal(chartSynastry.buildOverlay(chartA, partner).summary['忌'], null);
+});
+
+test('both charts are required', function() {
+    assert.throws(function() { chartSynastry.buildSynastry(chartA, null); }, /合盤需要兩個命盤/);
+});
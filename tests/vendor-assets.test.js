@@ -0,0 +1,173 @@
+/**
+ * Vendor Asset Tests
+ *
+ * Checks that every export library and font listed in
+ * includes/class-ziwei-vendor-assets.php is bundled under assets/vendor/ with
+ * a license, and that its integrity hash matches the file. The CDN serves the
+ * same npm release file, so a stale hash would break both sources. The PDF
+ * font is only bundled as a subset, which must still hold every character of
+ * the plugin's own text.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const phpSource = fs.readFileSync(path.join(root, 'includes', 'class-ziwei-vendor-assets.php'), 'utf8');
+
+/**
+ * Parse the LIBRARIES table out of the PHP class
+ */
+function readLibraries() {
+    const libraries = {};
+    const entryPattern = /'(\w+)' => \[\s*'package' => '([^']+)',\s*'version' => '([^']+)',\s*'file' => '([^']+)',\s*'integrity' => '([^']+)',\s*\]/g;
+    let match;
+    while ((match = entryPattern.exec(phpSource)) !== null) {
+        libraries[match[1]] = { package: match[2], version: match[3], file: match[4], integrity: match[5] };
+    }
+    return libraries;
+}
+
+const libraries = readLibraries();
+const cdnOnly = phpSource.match(/CDN_ONLY = \[([^\]]*)\]/)[1].match(/'(\w+)'/g).map(function(key) { return key.slice(1, -1); });
+const fontSubset = phpSource.match(/CJK_FONT_SUBSET = \[\s*'file' => '([^']+)',\s*'integrity' => '([^']+)',/);
+
+function sha384(content) {
+    return 'sha384-' + crypto.createHash('sha384').update(content).digest('base64');
+}
+
+/**
+ * Code points in the Windows Unicode cmap (format 4) of a TrueType font
+ * @param {Buffer} font
+ * @returns {Set<number>}
+ */
+function readCodePoints(font) {
+    const codePoints = new Set();
+    let cmap = -1;
+    for (let i = 0; i < font.readUInt16BE(4); i++) {
+        if (font.toString('latin1', 12 + 16 * i, 16 + 16 * i) === 'cmap') {
+            cmap = font.readUInt32BE(20 + 16 * i);
+        }
+    }
+    for (let i = 0; i < font.readUInt16BE(cmap + 2); i++) {
+        const table = cmap + font.readUInt32BE(cmap + 8 + 8 * i);
+        if (font.readUInt16BE(cmap + 4 + 8 * i) !== 3 || font.readUInt16BE(table) !== 4) {
+            continue;
+        }
+        const segments = font.readUInt16BE(table + 6) / 2;
+        for (let s = 0; s < segments; s++) {
+            const end = font.readUInt16BE(table + 14 + 2 * s);
+            const start = font.readUInt16BE(table + 16 + 2 * segments + 2 * s);
+            const delta = font.readUInt16BE(table + 16 + 4 * segments + 2 * s);
+            const rangeOffsetAt = table + 16 + 6 * segments + 2 * s;
+            const rangeOffset = font.readUInt16BE(rangeOffsetAt);
+            for (let code = start; code <= end && code !== 0xFFFF; code++) {
+                const glyph = rangeOffset === 0 ? code : font.readUInt16BE(rangeOffsetAt + rangeOffset + 2 * (code - start));
+                if ((rangeOffset === 0 || glyph !== 0) && ((glyph + delta) & 0xFFFF) !== 0) {
+                    codePoints.add(code);
+                }
+            }
+        }
+    }
+    return codePoints;
+}
+
+/**
+ * Characters Big5 (WHATWG, with HKSCS) can encode: the repertoire a
+ * Traditional Chinese font is expected to cover
+ */
+function readBig5Characters() {
+    const decoder = new TextDecoder('big5');
+    const characters = new Set();
+    for (let lead = 0x81; lead <= 0xFE; lead++) {
+        for (let trail = 0x40; trail <= 0xFE; trail++) {
+            const text = decoder.decode(Uint8Array.from([lead, trail]));
+            if (text.length === 1 && text !== '\uFFFD') {
+                characters.add(text);
+            }
+        }
+    }
+    return characters;
+}
+
+/**
+ * Plugin scripts under assets/, outside assets/vendor/
+ */
+function listPluginScripts(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(function(entry) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return entry.name === 'vendor' ? [] : listPluginScripts(file);
+        }
+        return file.endsWith('.js') ? [file] : [];
+    });
+}
+
+test('vendor table lists the export libraries', function() {
+    assert.deepEqual(Object.keys(libraries), ['domtoimage', 'pako', 'upng', 'jspdf', 'cjkfont']);
+});
+
+Object.keys(libraries).filter(function(key) { return !cdnOnly.includes(key); }).forEach(function(key) {
+    const library = libraries[key];
+    const dir = path.join(root, 'assets', 'vendor', library.package);
+
+    test(`bundled ${library.package} matches its integrity hash`, function() {
+        const content = fs.readFileSync(path.join(dir, path.basename(library.file)));
+
+        assert.equal(sha384(content), library.integrity);
+        assert.ok(fs.existsSync(path.join(dir, 'LICENSE')), `${library.package} LICENSE missing`);
+    });
+});
+
+test('only the PDF font subset is bundled', function() {
+    assert.deepEqual(cdnOnly, ['cjkfont']);
+    const dir = path.join(root, 'assets', 'vendor', libraries.cjkfont.package);
+    assert.ok(!fs.existsSync(path.join(dir, path.basename(libraries.cjkfont.file))), 'full font is bundled again');
+
+    const font = fs.readFileSync(path.join(root, 'assets', 'vendor', fontSubset[1]));
+    assert.equal(sha384(font), fontSubset[2]);
+    assert.ok(font.length < 1024 * 1024, `subset is ${font.length} bytes`);
+    assert.ok(fs.existsSync(path.join(dir, 'LICENSE_FONT')), 'font license missing');
+});
+
+test('the PDF font subset has every character of the plugin scripts', function() {
+    const codePoints = readCodePoints(fs.readFileSync(path.join(root, 'assets', 'vendor', fontSubset[1])));
+    const big5 = readBig5Characters();
+    const missing = new Set();
+    listPluginScripts(path.join(root, 'assets')).forEach(function(file) {
+        Array.from(fs.readFileSync(file, 'utf8')).forEach(function(ch) {
+            if ((ch.codePointAt(0) < 0x80 || big5.has(ch)) && ch >= ' ' && !codePoints.has(ch.codePointAt(0))) {
+                missing.add(ch);
+            }
+        });
+    });
+    assert.equal(Array.from(missing).join(''), '', 'rebuild the subset (see CJK_FONT_SUBSET)');
+});
+
+test('share.js and control.js fall back to the bundled paths', function() {
+    const bundledPath = function(key) {
+        return `${libraries[key].package}/${path.basename(libraries[key].file)}`;
+    };
+    // control.js only loads the scripts; the PDF font is fetched by share.js
+    // The full PDF font has no bundled copy; share.js falls back to the subset
+    const expected = {
+        'share.js': Object.keys(libraries).filter(function(key) { return !cdnOnly.includes(key); }).map(bundledPath).concat(fontSubset[1]),
+        'control.js': Object.keys(libraries).filter(function(key) { return libraries[key].file.endsWith('.js'); }).map(bundledPath)
+    };
+
+    Object.keys(expected).forEach(function(file) {
+        const source = fs.readFileSync(path.join(root, 'assets', 'display', 'js', file), 'utf8');
+        assert.doesNotMatch(source, /cdn\.jsdelivr\.net|cdnjs\.cloudflare\.com/, `${file} still hard-codes a CDN`);
+        expected[file].forEach(function(relative) {
+            assert.ok(source.includes(relative), `${file} has no fallback for ${relative}`);
+        });
+    });
+});
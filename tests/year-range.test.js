@@ -0,0 +1,62 @@
+/**
+ * Supported Year Range Tests
+ *
+ * The calendar covers 800-2200: the form regex accepts three-digit years,
+ * the adapter rejects charts whose lunar year falls outside the range, and
+ * the PHP port (includes/class-ziwei-chart-calculator.php) applies the same
+ * lunar-year limits with the same message.
+ *
+ * Run (Node.js 18+):
+ *   node --test tests/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { calculateChart, constants } = require('../assets/js/headless.js');
+
+const phpSource = fs.readFileSync(path.join(__dirname, '..', 'includes', 'class-ziwei-chart-calculator.php'), 'utf8');
+
+/**
+ * Run calculateChart and return the adapter error type, or null when it succeeds
+ */
+function errorTypeOf(input) {
+    try {
+        calculateChart(Object.assign({ gender: 'M', hour: 10, minute: 0 }, input));
+        return null;
+    } catch (err) {
+        assert.equal(err.name, 'AdapterError', err.message);
+        return err.type;
+    }
+}
+
+test('the year regex accepts three- and four-digit years', function() {
+    ['800', '965', '1990', '2200'].forEach(function(year) {
+        assert.ok(constants.REGEX.YEAR.test(year), year);
+    });
+    ['80', '12345', '19a0', ''].forEach(function(year) {
+        assert.ok(!constants.REGEX.YEAR.test(year), year);
+    });
+});
+
+test('the adapter accepts 800-2200 by lunar year', function() {
+    assert.equal(errorTypeOf({ year: 965, month: 3, day: 3 }), null);
+    // 800-01-30 is 正月初一 of lunar 800, the day before is still lunar 799
+    assert.equal(errorTypeOf({ year: 800, month: 1, day: 30 }), null);
+    assert.equal(errorTypeOf({ year: 800, month: 1, day: 29 }), 'LUNAR_YEAR_OUT_OF_RANGE');
+    assert.equal(errorTypeOf({ year: 2200, month: 12, day: 31 }), null);
+    assert.equal(errorTypeOf({ year: 799, month: 12, day: 31 }), 'INPUT_VALIDATION_FAILED');
+    assert.equal(errorTypeOf({ year: 2201, month: 1, day: 1 }), 'INPUT_VALIDATION_FAILED');
+});
+
+test('the PHP port rejects the same lunar years with the same message', function() {
+    const check = phpSource.match(/if \(\$lunar\['lunarYear'\] < (\d+) \|\| \$lunar\['lunarYear'\] > (\d+)\) \{\s*throw new InvalidArgumentException\('([^']+)'\);/);
+    assert.ok(check, 'lunar-year range check missing from Ziwei_Chart_Calculator::calculate()');
+    assert.equal(Number(check[1]), constants.NUMERIC.LUNAR_YEAR_MIN);
+    assert.equal(Number(check[2]), constants.NUMERIC.LUNAR_YEAR_MAX);
+    assert.equal(check[3], '農曆年份超出支援範圍。');
+});
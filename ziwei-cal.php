@@ -20,6 +20,17 @@ define('ZIWEI_CAL_VERSION', '1.1.3'); // Bump version to force cache refresh
 define('ZIWEI_CAL_PLUGIN_DIR', plugin_dir_path(__FILE__));
 define('ZIWEI_CAL_PLUGIN_URL', plugin_dir_url(__FILE__));
 
+require_once ZIWEI_CAL_PLUGIN_DIR . 'includes/class-ziwei-lunar-converter.php';
+require_once ZIWEI_CAL_PLUGIN_DIR . 'includes/class-ziwei-chart-calculator.php';
+require_once ZIWEI_CAL_PLUGIN_DIR . 'includes/class-ziwei-vendor-assets.php';
+require_once ZIWEI_CAL_PLUGIN_DIR . 'includes/class-ziwei-site-settings.php';
+require_once ZIWEI_CAL_PLUGIN_DIR . 'includes/class-ziwei-shortcode.php';
+
+if (is_admin()) {
+    require_once ZIWEI_CAL_PLUGIN_DIR . 'includes/class-ziwei-admin-settings.php';
+    Ziwei_Admin_Settings::init();
+}
+
 /**
  * Register REST API endpoints for the calculator.
  *
@@ -82,6 +93,38 @@ function ziwei_cal_register_rest_routes(): void {
                 'type' => 'string',
                 'sanitize_callback' => 'sanitize_text_field',
             ],
+            // Calculation settings (same values as the frontend settings panel)
+            'leapMonthHandling' => [
+                'required' => false,
+                'type' => 'string',
+                'enum' => Ziwei_Chart_Calculator::LEAP_MONTH_HANDLING,
+            ],
+            'ziHourHandling' => [
+                'required' => false,
+                'type' => 'string',
+                'enum' => Ziwei_Chart_Calculator::ZI_HOUR_HANDLING,
+            ],
+            'woundedServantHandling' => [
+                'required' => false,
+                'type' => 'string',
+                'enum' => Ziwei_Chart_Calculator::WOUNDED_SERVANT_HANDLING,
+            ],
+            'school' => [
+                'required' => false,
+                'type' => 'string',
+                'enum' => array_keys(Ziwei_Chart_Calculator::SCHOOL_PROFILES),
+            ],
+            'stemInterpretations' => [
+                'required' => false,
+                'type' => 'object',
+                'description' => __('Controversial stem 四化 selections, e.g. {"庚": "interpretation_2"}', 'ziwei-cal'),
+            ],
+            'computeChart' => [
+                'required' => false,
+                'type' => 'boolean',
+                'default' => true,
+                'description' => __('Return the full server-side chart in data.chart', 'ziwei-cal'),
+            ],
         ],
     ]);
     
@@ -111,15 +154,19 @@ add_action('rest_api_init', 'ziwei_cal_register_rest_routes');
 
 /*
  * Server-side HKO API-based lunar conversion and fallback removed.
- * Lunar conversion is performed client-side using the included
- * `LunarSolarConverter` (assets/calculate/common/lunar-converter.js) which supports
- * years 800-2200. The REST API now expects lunar data to be provided
- * by the frontend where applicable.
+ * Lunar conversion runs on the embedded converter tables, in the browser
+ * (assets/calculate/common/lunar-converter.js) and, for the REST API,
+ * in its PHP port (includes/class-ziwei-lunar-converter.php). Both support
+ * years 800-2200.
  */
 
 /**
  * Calculate Ziwei Doushu chart based on form data.
  *
+ * Unless `computeChart` is false, `data.chart` holds the full chart computed by
+ * Ziwei_Chart_Calculator in the ziweiAdapter.calculate() shape and `data.lunar`
+ * is the server-side lunar conversion.
+ *
  * @param WP_REST_Request $request The REST API request object.
  * @return WP_REST_Response The REST API response.
  */
@@ -146,10 +193,26 @@ function ziwei_cal_calculate_chart(WP_REST_Request $request): WP_REST_Response {
             }
         }
 
-        // Lunar data is now provided by the frontend (converted in JavaScript)
-        // Extract lunar data from params if provided
+        // Server-side chart (skipped by the frontend form, which renders locally)
+        $chart = null;
+        if (!isset($params['computeChart']) || rest_sanitize_boolean($params['computeChart'])) {
+            try {
+                $chart = Ziwei_Chart_Calculator::calculate($params);
+            } catch (InvalidArgumentException $e) {
+                return new WP_REST_Response([
+                    'success' => false,
+                    'message' => $e->getMessage(),
+                    'code' => 'invalid_birth_data',
+                    'data' => ['status' => 400, 'message' => $e->getMessage()]
+                ], 400);
+            }
+        }
+
+        // Lunar data: server conversion when available, otherwise as supplied by the frontend
         $lunar_data = null;
-        if (isset($params['lunar']) && is_array($params['lunar'])) {
+        if ($chart !== null) {
+            $lunar_data = $chart['lunar'];
+        } elseif (isset($params['lunar']) && is_array($params['lunar'])) {
             $lunar_data = $params['lunar'];
         }
 
@@ -170,9 +233,12 @@ function ziwei_cal_calculate_chart(WP_REST_Request $request): WP_REST_Response {
                     $params['minute']
                 ),
                 'birthplace' => $params['birthplace'] ?? '',
-                'lunar' => $lunar_data, // Use lunar data from frontend
+                'lunar' => $lunar_data,
             ]
         ];
+        if ($chart !== null) {
+            $chart_data['data']['chart'] = $chart;
+        }
 
         // Debug: log response when WP_DEBUG is enabled
         if (defined('WP_DEBUG') && WP_DEBUG) {
@@ -252,8 +318,13 @@ class Ziwei_Enqueuer {
             'config' => 'assets/display/css/config.css',
             'share' => 'assets/display/css/share.css',
             'interpretation-panel' => 'assets/display/css/interpretation-panel.css',
-            'ai_mode' => 'assets/display/css/ai_mode.css',
         ];
+        if (Ziwei_Site_Settings::is_enabled('aiMode')) {
+            $styles['ai_mode'] = 'assets/display/css/ai_mode.css';
+        }
+        if (Ziwei_Site_Settings::is_enabled('synastry')) {
+            $styles['synastry'] = 'assets/display/css/synastry.css';
+        }
         foreach ($styles as $handle => $path) {
             wp_enqueue_style("ziwei-cal-{$handle}", ZIWEI_CAL_PLUGIN_URL . $path, [], ZIWEI_CAL_VERSION);
         }
@@ -261,12 +332,16 @@ class Ziwei_Enqueuer {
 
     private static function enqueue_data_js(): void {
         wp_enqueue_script('ziwei-cal-constants', ZIWEI_CAL_PLUGIN_URL . 'assets/data/constants.js', [], ZIWEI_CAL_VERSION, true);
+        self::localize_data();
         wp_enqueue_script('ziwei-cal-adapter-utils', ZIWEI_CAL_PLUGIN_URL . 'assets/js/adapter-utils.js', ['ziwei-cal-constants'], ZIWEI_CAL_VERSION, true);
         wp_enqueue_script('ziwei-cal-lunar-converter', ZIWEI_CAL_PLUGIN_URL . 'assets/calculate/common/lunar-converter.js', ['ziwei-cal-constants'], ZIWEI_CAL_VERSION, true);
+        wp_enqueue_script('ziwei-cal-gazetteer', ZIWEI_CAL_PLUGIN_URL . 'assets/data/gazetteer.js', [], ZIWEI_CAL_VERSION, true);
+        wp_enqueue_script('ziwei-cal-timezone-rules', ZIWEI_CAL_PLUGIN_URL . 'assets/data/timezone-rules.js', [], ZIWEI_CAL_VERSION, true);
         wp_enqueue_script('ziwei-cal-palaces-name', ZIWEI_CAL_PLUGIN_URL . 'assets/data/palaces-name.js', ['ziwei-cal-constants', 'ziwei-cal-adapter-utils'], ZIWEI_CAL_VERSION, true);
         wp_enqueue_script('ziwei-cal-nayin', ZIWEI_CAL_PLUGIN_URL . 'assets/data/nayin.js', ['ziwei-cal-constants', 'ziwei-cal-adapter-utils'], ZIWEI_CAL_VERSION, true);
         wp_enqueue_script('ziwei-cal-mutation-zhongzhou', ZIWEI_CAL_PLUGIN_URL . 'assets/data/mutation.js', ['ziwei-cal-constants'], ZIWEI_CAL_VERSION, true);
         wp_enqueue_script('ziwei-cal-brightness-zhongzhou', ZIWEI_CAL_PLUGIN_URL . 'assets/data/brightness.js', [], ZIWEI_CAL_VERSION, true);
+        wp_enqueue_script('ziwei-cal-schools', ZIWEI_CAL_PLUGIN_URL . 'assets/data/schools.js', ['ziwei-cal-adapter-utils'], ZIWEI_CAL_VERSION, true);
         wp_enqueue_script('ziwei-cal-interpretations', ZIWEI_CAL_PLUGIN_URL . 'assets/data/interpretations.js', ['ziwei-cal-adapter-utils'], ZIWEI_CAL_VERSION, true);
     }
 
@@ -276,13 +351,16 @@ class Ziwei_Enqueuer {
             'gender-calculator' => ['ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
             'palaces' => ['ziwei-cal-palaces-name', 'ziwei-cal-basic', 'ziwei-cal-adapter-utils'],
             'primary' => ['ziwei-cal-nayin', 'ziwei-cal-adapter-utils'],
-            'life-cycle' => ['ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
-            'secondary' => ['ziwei-cal-nayin', 'ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
+            'life-cycle' => ['ziwei-cal-schools', 'ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
+            'minor-limit' => ['ziwei-cal-adapter-utils'],
+            'secondary' => ['ziwei-cal-nayin', 'ziwei-cal-schools', 'ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
             'mutations' => ['ziwei-cal-mutation-zhongzhou', 'ziwei-cal-basic', 'ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
-            'minor-stars' => ['ziwei-cal-basic', 'ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
+            'minor-stars' => ['ziwei-cal-basic', 'ziwei-cal-schools', 'ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
             'attributes' => ['ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
             'brightness' => ['ziwei-cal-brightness-zhongzhou', 'ziwei-cal-adapter-utils'],
             'major-cycle' => ['ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
+            'monthly-cycle' => ['ziwei-cal-lunar-converter', 'ziwei-cal-basic', 'ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
+            'daily-cycle' => ['ziwei-cal-lunar-converter', 'ziwei-cal-constants', 'ziwei-cal-adapter-utils'],
         ];
         foreach ($modules as $handle => $deps) {
             wp_enqueue_script("ziwei-cal-{$handle}", ZIWEI_CAL_PLUGIN_URL . "assets/calculate/astrology/{$handle}.js", $deps, ZIWEI_CAL_VERSION, true);
@@ -290,39 +368,68 @@ class Ziwei_Enqueuer {
     }
 
     private static function enqueue_display_modules(): void {
-        // Load external libraries for export functionality
-        wp_enqueue_script('ziwei-cal-domtoimage', 'https://cdnjs.cloudflare.com/ajax/libs/dom-to-image/2.8.0/dom-to-image.min.js', [], '2.8.0', true);
-        wp_enqueue_script('ziwei-cal-jspdf', 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js', [], '2.5.1', true);
+        // Load export libraries (bundled or CDN, see Settings → 紫微斗數)
+        Ziwei_Vendor_Assets::enqueue('domtoimage', 'ziwei-cal-domtoimage');
+        if (Ziwei_Site_Settings::is_enabled('pdfExport')) {
+            Ziwei_Vendor_Assets::enqueue('jspdf', 'ziwei-cal-jspdf');
+        }
 
         wp_enqueue_script('ziwei-cal-chart', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/chart.js', ['jquery', 'ziwei-cal-constants', 'ziwei-cal-adapter-utils'], ZIWEI_CAL_VERSION, true);
         
         wp_enqueue_script('ziwei-cal-data-adapter', ZIWEI_CAL_PLUGIN_URL . 'assets/js/data-adapter.js', [
-            'ziwei-cal-adapter-utils', 'ziwei-cal-lunar-converter', 'ziwei-cal-basic', 'ziwei-cal-palaces-name', 'ziwei-cal-nayin',
+            'ziwei-cal-adapter-utils', 'ziwei-cal-lunar-converter', 'ziwei-cal-gazetteer', 'ziwei-cal-timezone-rules', 'ziwei-cal-basic', 'ziwei-cal-palaces-name', 'ziwei-cal-nayin', 'ziwei-cal-schools',
             'ziwei-cal-palaces', 'ziwei-cal-primary', 'ziwei-cal-secondary', 'ziwei-cal-mutations',
-            'ziwei-cal-minor-stars', 'ziwei-cal-attributes', 'ziwei-cal-brightness', 'ziwei-cal-life-cycle', 'ziwei-cal-gender-calculator'
+            'ziwei-cal-minor-stars', 'ziwei-cal-attributes', 'ziwei-cal-brightness', 'ziwei-cal-life-cycle', 'ziwei-cal-minor-limit', 'ziwei-cal-gender-calculator'
         ], ZIWEI_CAL_VERSION, true);
 
-        wp_enqueue_script('ziwei-cal-cycles', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/cycles.js', ['ziwei-cal-life-cycle', 'ziwei-cal-constants', 'ziwei-cal-data-adapter'], ZIWEI_CAL_VERSION, true);
-        wp_enqueue_script('ziwei-cal-form', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/form.js', ['jquery', 'ziwei-cal-lunar-converter', 'ziwei-cal-gender-calculator', 'ziwei-cal-data-adapter'], ZIWEI_CAL_VERSION, true);
+        wp_enqueue_script('ziwei-cal-cycles', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/cycles.js', ['ziwei-cal-life-cycle', 'ziwei-cal-monthly-cycle', 'ziwei-cal-daily-cycle', 'ziwei-cal-constants', 'ziwei-cal-data-adapter'], ZIWEI_CAL_VERSION, true);
+        wp_enqueue_script('ziwei-cal-form', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/form.js', ['jquery', 'ziwei-cal-lunar-converter', 'ziwei-cal-gazetteer', 'ziwei-cal-gender-calculator', 'ziwei-cal-data-adapter'], ZIWEI_CAL_VERSION, true);
         wp_enqueue_script('ziwei-cal-palace-interaction', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/palace-interaction.js', ['ziwei-cal-chart'], ZIWEI_CAL_VERSION, true);
-        wp_enqueue_script('ziwei-cal-interpretation-panel', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/interpretation-panel.js', ['ziwei-cal-palace-interaction', 'ziwei-cal-interpretations', 'ziwei-cal-data-adapter'], ZIWEI_CAL_VERSION, true);
+        wp_enqueue_script('ziwei-cal-chart-patterns', ZIWEI_CAL_PLUGIN_URL . 'assets/js/chart-patterns.js', ['ziwei-cal-constants'], ZIWEI_CAL_VERSION, true);
+        wp_enqueue_script('ziwei-cal-interpretation-panel', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/interpretation-panel.js', ['ziwei-cal-palace-interaction', 'ziwei-cal-interpretations', 'ziwei-cal-data-adapter', 'ziwei-cal-chart-patterns'], ZIWEI_CAL_VERSION, true);
         wp_enqueue_script('ziwei-cal-config', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/config.js', ['ziwei-cal-data-adapter'], ZIWEI_CAL_VERSION, true);
+        wp_enqueue_script('ziwei-cal-local-storage', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/local-storage.js', [], ZIWEI_CAL_VERSION, true);
+        wp_enqueue_script('ziwei-cal-settings-presets', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/settings-presets.js', ['ziwei-cal-config', 'ziwei-cal-local-storage'], ZIWEI_CAL_VERSION, true);
+        wp_enqueue_script('ziwei-cal-pattern-rules', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/pattern-rules.js', ['ziwei-cal-config', 'ziwei-cal-chart-patterns', 'ziwei-cal-local-storage'], ZIWEI_CAL_VERSION, true);
         wp_enqueue_script('ziwei-cal-control', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/control.js', ['ziwei-cal-config'], ZIWEI_CAL_VERSION, true);
-        wp_enqueue_script('ziwei-cal-ai-mode', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/ai_mode.js', ['ziwei-cal-chart', 'ziwei-cal-cycles', 'ziwei-cal-control'], ZIWEI_CAL_VERSION, true);
+        if (Ziwei_Site_Settings::is_enabled('aiMode')) {
+            wp_enqueue_script('ziwei-cal-ai-mode', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/ai_mode.js', ['ziwei-cal-chart', 'ziwei-cal-cycles', 'ziwei-cal-control'], ZIWEI_CAL_VERSION, true);
+        }
     }
 
     private static function enqueue_calculator(): void {
         wp_enqueue_script('ziwei-cal-js', ZIWEI_CAL_PLUGIN_URL . 'assets/calculate/common/calculator.js', [
             'jquery', 'ziwei-cal-form', 'ziwei-cal-chart', 'ziwei-cal-palace-interaction', 'ziwei-cal-control'
         ], ZIWEI_CAL_VERSION, true);
+        // Shortcode attributes (Ziwei_Shortcode): chart-only embeds, preset settings and cycle
+        wp_enqueue_script('ziwei-cal-embed', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/embed.js', [
+            'ziwei-cal-js', 'ziwei-cal-config', 'ziwei-cal-settings-presets'
+        ], ZIWEI_CAL_VERSION, true);
+        if (Ziwei_Site_Settings::is_enabled('synastry')) {
+            // 合盤 comparison view, opened from the control bar
+            wp_enqueue_script('ziwei-cal-chart-svg', ZIWEI_CAL_PLUGIN_URL . 'assets/js/chart-svg.js', [], ZIWEI_CAL_VERSION, true);
+            wp_enqueue_script('ziwei-cal-chart-synastry', ZIWEI_CAL_PLUGIN_URL . 'assets/js/chart-synastry.js', ['ziwei-cal-chart-svg'], ZIWEI_CAL_VERSION, true);
+            wp_enqueue_script('ziwei-cal-synastry', ZIWEI_CAL_PLUGIN_URL . 'assets/display/js/synastry.js', [
+                'ziwei-cal-js', 'ziwei-cal-chart-synastry'
+            ], ZIWEI_CAL_VERSION, true);
+        }
+    }
 
-        wp_localize_script('ziwei-cal-js', 'ziweiCalData', [
+    /**
+     * ziweiCalData, attached to the first script so config.js can read the
+     * site defaults (Settings → 紫微斗數) when it loads.
+     */
+    private static function localize_data(): void {
+        wp_localize_script('ziwei-cal-constants', 'ziweiCalData', [
             'ajaxUrl' => admin_url('admin-ajax.php'),
             'restUrl' => esc_url_raw(rest_url('ziwei-cal/v1/calculate')),
             'nonce' => wp_create_nonce('wp_rest'),
             'isDebug' => defined('WP_DEBUG') && WP_DEBUG,
             'pluginUrl' => ZIWEI_CAL_PLUGIN_URL,
             'pluginVersion' => ZIWEI_CAL_VERSION,
+            'vendor' => Ziwei_Vendor_Assets::get_manifest(),
+            'defaults' => Ziwei_Site_Settings::get_defaults(),
+            'features' => Ziwei_Site_Settings::get_features(),
             'env' => [
                 'isDebug' => defined('WP_DEBUG') && WP_DEBUG,
                 'wpVersion' => get_bloginfo('version'),
@@ -359,18 +466,18 @@ function ziwei_cal_add_defer_attribute($tag, $handle, $src) {
     return $tag;
 }
 add_filter('script_loader_tag', 'ziwei_cal_add_defer_attribute', 10, 3);
+add_filter('script_loader_tag', [Ziwei_Vendor_Assets::class, 'add_integrity_attribute'], 10, 2);
 
 /**
- * Register shortcode [ziwei_cal] for the calculator form.
+ * Register shortcode [ziwei_cal] for the calculator form or an embedded chart.
  *
- * @return string The form HTML output.
+ * @param array|string $atts Shortcode attributes (see Ziwei_Shortcode).
+ * @return string The form or chart container HTML output.
  */
-function ziwei_cal_shortcode(): string {
-    ob_start();
-    include ZIWEI_CAL_PLUGIN_DIR . 'templates/form.php';
-    return ob_get_clean();
+function ziwei_cal_shortcode($atts = []): string {
+    return Ziwei_Shortcode::render($atts);
 }
-add_shortcode('ziwei_cal', 'ziwei_cal_shortcode');
+add_shortcode(Ziwei_Shortcode::TAG, 'ziwei_cal_shortcode');
 
 /**
  * Execute actions when the plugin is activated.